@@ -9,9 +9,11 @@
 import { Command } from 'commander'
 import chalk from 'chalk'
 import { readFileSync } from 'fs'
-import { join, dirname } from 'path'
+import { join, dirname, basename } from 'path'
 import { fileURLToPath } from 'url'
 import { execSync } from 'child_process'
+import { configureOutput, setResult, addErrors } from '../src/utils/CliOutput.js'
+import { findConfigFile } from '../src/utils/ConfigLoader.js'
 
 // ES modules에서 __dirname 구현
 const __filename = fileURLToPath(import.meta.url)
@@ -34,12 +36,43 @@ program
 Asset 파일을 자동으로 관리하고 TypeScript/React 코드를 생성하는 도구
 `)
 	)
+	.option('--json', 'stdout에 JSON 문서 하나만 출력 (watch는 NDJSON 이벤트), 나머지 출력은 stderr로')
+	.option('--silent', '사람이 읽는 출력 생략 (오류만 stderr로 출력)')
+	.option('--env <name>', '적용할 설정의 환경 오버레이 (기본값: NODE_ENV)')
+	.hook('preAction', (thisCommand, actionCommand) => {
+		const globalOptions = actionCommand.optsWithGlobals()
+		configureOutput(actionCommand.name(), globalOptions)
+		// 생성기/watch가 설정을 다시 읽을 때도 같은 환경을 사용하도록 환경 변수로 전달
+		if (globalOptions.env) {
+			process.env.ASSET_CODEGEN_ENV = globalOptions.env
+		}
+		discoverConfig(actionCommand)
+	})
+
+/**
+ * --config를 지정하지 않은 명령어의 설정 파일 탐색
+ * 상위 디렉토리에서 찾으면 그 디렉토리를 작업 디렉토리로 사용합니다 (설정의 상대 경로 기준)
+ */
+function discoverConfig(command) {
+	const acceptsConfig = command.options.some((option) => option.long === '--config')
+	if (!acceptsConfig || command.getOptionValue('config')) return
+
+	const configFile = findConfigFile()
+	if (!configFile) return
+
+	const configDir = dirname(configFile)
+	if (configDir !== process.cwd()) {
+		process.chdir(configDir)
+		console.log(chalk.gray(`📂 작업 디렉토리: ${configDir}`))
+	}
+	command.setOptionValue('config', basename(configFile))
+}
 
 // init 명령어
 program
 	.command('init')
 	.description('새 프로젝트 초기화 (설정 파일 및 템플릿 생성)')
-	.option('-t, --type <type>', '프로젝트 타입 (nextjs, react, react-native)', 'nextjs')
+	.option('-t, --type <type>', '프로젝트 타입 (nextjs, react, react-native, vue, svelte)', 'nextjs')
 	.option('-f, --force', '기존 파일 덮어쓰기')
 	.option('-o, --output <path>', '설정 파일 출력 경로', './asset-codegen.config.json')
 	.action(async (options) => {
@@ -48,6 +81,7 @@ program
 			const { initCommand } = await import('../src/commands/init.js')
 			await initCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 초기화 실패:'), error.message)
 			process.exit(1)
 		}
@@ -58,29 +92,68 @@ program
 	.command('generate')
 	.alias('gen')
 	.description('Asset 코드 생성 (전체 프로세스)')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.option('-s, --steps <steps>', '실행할 단계 (쉼표로 구분)', '')
-	.option('--dry-run', '실제 파일 생성 없이 시뮬레이션만 실행')
+	.option('--dry-run', '디스크 변경 없이 실행 계획(파일명 변경, 생성 파일 diff)만 출력')
+	.option('--format <format>', 'dry-run 실행 계획 출력 형식 (text, json)', 'text')
 	.action(async (options) => {
 		try {
 			const { generateCommand } = await import('../src/commands/generate.js')
 			await generateCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 생성 실패:'), error.message)
 			process.exit(1)
 		}
 	})
 
+// check 명령어 (CI용 최신 상태 검사)
+program
+	.command('check')
+	.description('생성 코드가 최신인지 검사 (디스크 변경 없음, 최신이 아니면 종료 코드 1)')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('--format <format>', '출력 형식 (text, json)', 'text')
+	.option('--max-diff-lines <n>', '파일별 diff 최대 줄 수', '40')
+	.action(async (options) => {
+		try {
+			const { checkCommand } = await import('../src/commands/check.js')
+			await checkCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 검사 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
+// watch 명령어 (변경 감지 증분 생성)
+program
+	.command('watch')
+	.description('Asset 디렉토리 변경 감지 시 증분 재생성')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('-d, --debounce <ms>', '이벤트 묶음 대기 시간 (ms)', '300')
+	.option('--no-initial', '시작 시 전체 생성 건너뛰기')
+	.action(async (options) => {
+		try {
+			const { watchCommand } = await import('../src/commands/watch.js')
+			await watchCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 감시 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
 // 개별 단계 명령어들
 program
 	.command('clean')
 	.description('폴더명 제거 (1단계)')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.action(async (options) => {
 		try {
 			const { cleanCommand } = await import('../src/commands/clean.js')
 			await cleanCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 폴더명 제거 실패:'), error.message)
 			process.exit(1)
 		}
@@ -89,12 +162,13 @@ program
 program
 	.command('organize')
 	.description('새 폴더 구조 네이밍 (2단계)')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.action(async (options) => {
 		try {
 			const { organizeCommand } = await import('../src/commands/organize.js')
 			await organizeCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 네이밍 실패:'), error.message)
 			process.exit(1)
 		}
@@ -103,12 +177,13 @@ program
 program
 	.command('types')
 	.description('TypeScript 타입 생성 (3단계)')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.action(async (options) => {
 		try {
 			const { typesCommand } = await import('../src/commands/types.js')
 			await typesCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 타입 생성 실패:'), error.message)
 			process.exit(1)
 		}
@@ -117,62 +192,224 @@ program
 program
 	.command('components')
 	.description('React 컴포넌트 생성 (4단계)')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.action(async (options) => {
 		try {
 			const { componentsCommand } = await import('../src/commands/components.js')
 			await componentsCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 컴포넌트 생성 실패:'), error.message)
 			process.exit(1)
 		}
 	})
 
+// undo 명령어 (파일명 변경 되돌리기)
+program
+	.command('undo')
+	.description('파일명 변경 저널을 역순으로 재생하여 되돌리기')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('-r, --run <id>', '되돌릴 실행 ID (기본값: 가장 최근 실행)')
+	.option('-l, --list', '실행 기록 목록 출력')
+	.action(async (options) => {
+		try {
+			const { undoCommand } = await import('../src/commands/undo.js')
+			await undoCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 되돌리기 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
+// codemod 명령어 (소스 참조 갱신)
+program
+	.command('codemod')
+	.description('파일명 변경에 맞춰 소스 코드의 Asset 이름/URL 참조 갱신')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('-r, --run <id>', '기준 실행 ID (기본값: 가장 최근 실행)')
+	.option('-s, --sources <globs>', '스캔할 소스 glob (쉼표로 구분)')
+	.option('--apply', '미리보기 대신 실제로 파일 수정')
+	.action(async (options) => {
+		try {
+			const { codemodCommand } = await import('../src/commands/codemod.js')
+			await codemodCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 참조 갱신 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
+// duplicates 명령어 (중복 Asset 검사)
+program
+	.command('duplicates')
+	.description('내용이 같은 Asset 파일 검사 (바이트 동일 / SVG 정규화 후 동일)')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('--dedupe', '대표 파일만 남기고 나머지는 격리 후 별칭으로 연결')
+	.action(async (options) => {
+		try {
+			const { duplicatesCommand } = await import('../src/commands/duplicates.js')
+			await duplicatesCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 중복 검사 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
+// usage 명령어 (사용하지 않는 / 누락된 Asset 보고)
+program
+	.command('usage')
+	.description('소스 코드를 스캔하여 사용하지 않는 Asset과 존재하지 않는 Asset 참조 보고')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
+	.option('-s, --sources <globs>', '스캔할 소스 glob (쉼표로 구분)')
+	.option('--quarantine', '사용하지 않는 Asset을 격리 디렉토리로 이동')
+	.action(async (options) => {
+		try {
+			const { usageCommand } = await import('../src/commands/usage.js')
+			await usageCommand(options)
+		} catch (error) {
+			addErrors(error)
+			console.error(chalk.red('❌ 사용 현황 분석 실패:'), error.message)
+			process.exit(1)
+		}
+	})
+
 // validate-config 명령어
 program
 	.command('validate-config')
 	.alias('validate')
 	.description('설정 파일 검증')
-	.option('-c, --config <path>', '설정 파일 경로', './asset-codegen.config.json')
+	.option('-c, --config <path>', '설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 자동 탐색)')
 	.action(async (options) => {
 		try {
 			const { validateCommand } = await import('../src/commands/validate.js')
 			await validateCommand(options)
 		} catch (error) {
+			addErrors(error)
 			console.error(chalk.red('❌ 검증 실패:'), error.message)
 			process.exit(1)
 		}
 	})
 
 // examples 명령어
+const EXAMPLES = [
+	{ title: '새 프로젝트 초기화', commands: ['npx @stepin/asset-codegen init --type=nextjs'] },
+	{ title: 'Asset 코드 전체 생성', commands: ['npx @stepin/asset-codegen generate'] },
+	{
+		title: '특정 단계만 실행',
+		commands: [
+			'npx @stepin/asset-codegen clean       # 폴더명 제거만',
+			'npx @stepin/asset-codegen organize    # 새 네이밍만',
+			'npx @stepin/asset-codegen types       # 타입 생성만',
+			'npx @stepin/asset-codegen components  # 컴포넌트 생성만'
+		]
+	},
+	{ title: '설정 파일 검증', commands: ['npx @stepin/asset-codegen validate-config'] },
+	{
+		title: '환경별 설정 적용',
+		commands: [
+			'npx @stepin/asset-codegen --env production generate',
+			'NODE_ENV=production npx @stepin/asset-codegen generate'
+		]
+	},
+	{
+		title: '시뮬레이션 모드',
+		commands: [
+			'npx @stepin/asset-codegen generate --dry-run',
+			'npx @stepin/asset-codegen generate --dry-run --format=json > plan.json'
+		]
+	},
+	{ title: '변경 감지 모드', commands: ['npx @stepin/asset-codegen watch'] },
+	{
+		title: '파일명 변경 되돌리기',
+		commands: ['npx @stepin/asset-codegen undo --list', 'npx @stepin/asset-codegen undo --run <id>']
+	},
+	{
+		title: '파일명 변경 후 소스 참조 갱신',
+		commands: [
+			'npx @stepin/asset-codegen codemod            # 미리보기',
+			'npx @stepin/asset-codegen codemod --apply    # 적용'
+		]
+	},
+	{
+		title: '중복 Asset 검사 및 정리',
+		commands: [
+			'npx @stepin/asset-codegen duplicates           # 보고만',
+			'npx @stepin/asset-codegen duplicates --dedupe  # 대표 파일 유지 + 별칭 생성'
+		]
+	},
+	{
+		title: '사용하지 않는 / 누락된 Asset 보고',
+		commands: [
+			'npx @stepin/asset-codegen usage                # 표 출력',
+			'npx @stepin/asset-codegen usage --json         # JSON 출력',
+			'npx @stepin/asset-codegen usage --quarantine   # 사용하지 않는 파일 격리'
+		]
+	},
+	{ title: 'CI에서 생성 코드 최신 여부 검사', commands: ['npx @stepin/asset-codegen check'] },
+	{
+		title: 'CI/에디터 도구용 JSON 출력',
+		commands: [
+			'npx @stepin/asset-codegen --json generate > result.json',
+			'npx @stepin/asset-codegen --json watch       # NDJSON 이벤트',
+			'npx @stepin/asset-codegen --silent types'
+		]
+	}
+]
+
 program
 	.command('examples')
 	.description('사용 예제 출력')
 	.action(() => {
-		console.log(chalk.green.bold('\n📚 사용 예제:\n'))
+		console.log(chalk.green.bold('\n📚 사용 예제:'))
 
-		console.log(chalk.yellow('1. 새 프로젝트 초기화:'))
-		console.log('   npx @stepin/asset-codegen init --type=nextjs')
-
-		console.log(chalk.yellow('\n2. Asset 코드 전체 생성:'))
-		console.log('   npx @stepin/asset-codegen generate')
-
-		console.log(chalk.yellow('\n3. 특정 단계만 실행:'))
-		console.log('   npx @stepin/asset-codegen clean       # 폴더명 제거만')
-		console.log('   npx @stepin/asset-codegen organize    # 새 네이밍만')
-		console.log('   npx @stepin/asset-codegen types       # 타입 생성만')
-		console.log('   npx @stepin/asset-codegen components  # 컴포넌트 생성만')
-
-		console.log(chalk.yellow('\n4. 설정 파일 검증:'))
-		console.log('   npx @stepin/asset-codegen validate-config')
-
-		console.log(chalk.yellow('\n5. 시뮬레이션 모드:'))
-		console.log('   npx @stepin/asset-codegen generate --dry-run')
+		EXAMPLES.forEach((example, index) => {
+			console.log(chalk.yellow(`\n${index + 1}. ${example.title}:`))
+			example.commands.forEach((command) => console.log(`   ${command}`))
+		})
 
 		console.log(chalk.blue('\n💡 자세한 설정은 asset-codegen.config.json 파일을 참조하세요.'))
+		setResult({ examples: EXAMPLES })
 	})
 
 // info 명령어
+const FEATURES = [
+	'Asset 파일명 자동 정리',
+	'폴더 구조 기반 네이밍',
+	'TypeScript 타입 생성',
+	'React 컴포넌트 생성',
+	'React Native 컴포넌트 생성 (require 소스 맵, @2x/@3x 해상도 변형)',
+	'React Native SVG 렌더링 (react-native-svg 컴포넌트 / SvgXml)',
+	'Vue 3 컴포넌트 생성 (SFC, Composables)',
+	'Svelte 컴포넌트 생성',
+	'Web Component 생성 (<asset-icon> 커스텀 엘리먼트)',
+	'SVG 인라인 컴포넌트 (currentColor 테마 색상)',
+	'SVG 최적화 (메타데이터 제거, 숫자 반올림, path 축약)',
+	'중복 Asset 검사 및 별칭 정리',
+	'사용하지 않는 / 누락된 Asset 보고',
+	'React Hooks 생성',
+	'유틸리티 함수 생성',
+	'변경 감지 증분 생성',
+	'CI 최신 상태 검사',
+	'JSON 출력 모드 (CI/에디터 도구)',
+	'플러그인 단계',
+	'설정 프리셋(extends)과 환경별 오버레이',
+	'하이브리드 포맷팅',
+	'설정 기반 커스터마이징'
+]
+
+const SUPPORTED_PROJECTS = [
+	'Next.js (App Router, Pages Router)',
+	'React (CRA, Vite)',
+	'React Native',
+	'Vue 3 (Vite, Nuxt)',
+	'Svelte 5 (SvelteKit)',
+	'서버 렌더링 템플릿 (Web Component)',
+	'기타 TypeScript 프로젝트'
+]
+
 program
 	.command('info')
 	.description('패키지 정보 출력')
@@ -186,24 +423,28 @@ program
 		console.log(`   홈페이지: ${packageJson.homepage}`)
 
 		console.log(chalk.green.bold('\n🛠️ 지원하는 기능:'))
-		console.log('   ✅ Asset 파일명 자동 정리')
-		console.log('   ✅ 폴더 구조 기반 네이밍')
-		console.log('   ✅ TypeScript 타입 생성')
-		console.log('   ✅ React 컴포넌트 생성')
-		console.log('   ✅ React Hooks 생성')
-		console.log('   ✅ 유틸리티 함수 생성')
-		console.log('   ✅ 하이브리드 포맷팅')
-		console.log('   ✅ 설정 기반 커스터마이징')
+		FEATURES.forEach((feature) => console.log(`   ✅ ${feature}`))
 
 		console.log(chalk.magenta.bold('\n🎯 지원하는 프로젝트:'))
-		console.log('   • Next.js (App Router, Pages Router)')
-		console.log('   • React (CRA, Vite)')
-		console.log('   • React Native')
-		console.log('   • 기타 TypeScript 프로젝트')
+		SUPPORTED_PROJECTS.forEach((project) => console.log(`   • ${project}`))
+
+		setResult({
+			package: {
+				name: packageJson.name,
+				version: packageJson.version,
+				description: packageJson.description,
+				author: packageJson.author,
+				license: packageJson.license,
+				homepage: packageJson.homepage
+			},
+			features: FEATURES,
+			supportedProjects: SUPPORTED_PROJECTS
+		})
 	})
 
 // 글로벌 에러 핸들러
 process.on('uncaughtException', (error) => {
+	addErrors(error)
 	console.error(chalk.red.bold('\n❌ 예상치 못한 오류가 발생했습니다:'))
 	console.error(chalk.red(error.message))
 	console.error(chalk.gray('상세 정보:'), error.stack)
@@ -211,6 +452,7 @@ process.on('uncaughtException', (error) => {
 })
 
 process.on('unhandledRejection', (reason, promise) => {
+	addErrors(reason)
 	console.error(chalk.red.bold('\n❌ 처리되지 않은 Promise 거부:'))
 	console.error(chalk.red(reason))
 	process.exit(1)
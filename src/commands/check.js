@@ -0,0 +1,41 @@
+/**
+ * ✅ Check 명령어
+ *
+ * 전체 생성 과정을 메모리에서 계산하여 디스크의 Asset 파일명과 생성 코드가 최신인지 검사합니다 (CI용)
+ * 디스크는 절대 변경하지 않으며, 최신이 아니면 간결한 diff와 함께 종료 코드 1로 끝납니다
+ */
+
+import chalk from 'chalk'
+import { AssetGenerator } from '../generators/AssetGenerator.js'
+import { collectStaleChanges, formatCheckAsText } from '../utils/ExecutionPlan.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+
+/**
+ * Check 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function checkCommand(options) {
+	try {
+		const generator = new AssetGenerator({ configPath: options.config, dryRun: true })
+		const plan = await generator.plan()
+		const stale = collectStaleChanges(plan)
+		setResult(stale)
+
+		if (options.format === 'json') {
+			console.log(JSON.stringify(stale, null, 2))
+		} else if (!options.format || options.format === 'text') {
+			console.log(formatCheckAsText(stale, { maxDiffLines: Number(options.maxDiffLines) || undefined }))
+		} else {
+			throw new Error(`지원하지 않는 출력 형식입니다: ${options.format} (text, json)`)
+		}
+
+		if (stale.isStale) {
+			process.exit(1)
+		}
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ 검사 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+		process.exit(1)
+	}
+}
@@ -7,6 +7,9 @@
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
 import { CleanGenerator } from '../generators/CleanGenerator.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { toRenameResult } from '../utils/ExecutionPlan.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
 
 /**
  * Clean 명령어 실행
@@ -18,14 +21,19 @@ export async function cleanCommand(options) {
 	try {
 		// 1. 설정 로드
 		const configManager = new ConfigManager()
-		const config = configManager.loadConfig(options.config)
+		const config = await configManager.loadConfig(options.config)
 
-		console.log(chalk.gray(`📋 설정 파일: ${options.config}`))
+		console.log(chalk.gray(`📋 설정 파일: ${options.config || '기본 설정'}`))
 		console.log(chalk.gray(`📂 처리 대상: ${config.assetDirectories.filter(d => d.enabled).map(d => d.name).join(', ')}\n`))
 
 		// 2. Clean Generator 실행
-		const cleanGenerator = new CleanGenerator(config)
+		const journal = RenameJournal.fromConfig(config, 'clean')
+		const cleanGenerator = new CleanGenerator(config, { journal })
 		const processedFiles = await cleanGenerator.generate()
+		setResult({
+			runId: journal?.entries.length > 0 ? journal.runId : null,
+			renames: processedFiles.map(toRenameResult)
+		})
 
 		// 3. 결과 출력
 		if (processedFiles.length > 0) {
@@ -45,11 +53,17 @@ export async function cleanCommand(options) {
 					console.log(chalk.gray(`   ${file.originalName} → ${file.newName}`))
 				})
 			})
+
+			if (journal?.entries.length > 0) {
+				console.log(chalk.blue(`\n📒 변경 기록: ${journal.runId}`))
+				console.log(chalk.gray(`   되돌리기: asset-codegen undo --run ${journal.runId}`))
+			}
 		} else {
 			console.log(chalk.yellow('⚠️ 처리할 파일이 없습니다.'))
 		}
 
 	} catch (error) {
+		addErrors(error)
 		console.error(chalk.red.bold('\n❌ Clean 실행 실패:'))
 		console.error(chalk.red(`   ${error.message}`))
 
@@ -0,0 +1,60 @@
+/**
+ * 🔁 Codemod 명령어
+ *
+ * 저널에 기록된 파일명 변경 실행을 기준으로 소스 코드의 Asset 참조를 갱신하는 명령어
+ */
+
+import chalk from 'chalk'
+import { ConfigManager } from '../utils/ConfigManager.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { CodemodGenerator } from '../generators/CodemodGenerator.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+
+/**
+ * Codemod 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function codemodCommand(options) {
+	console.log(chalk.blue.bold('🔁 소스 참조 갱신 시작...\n'))
+
+	try {
+		// 1. 설정 로드
+		const configManager = new ConfigManager()
+		const config = await configManager.loadConfig(options.config)
+		const journalDir = config.journal?.dir
+
+		// 2. 기준 실행 결정 (기본값: 되돌리지 않은 가장 최근 실행)
+		const run = options.run
+			? await RenameJournal.load(journalDir, options.run)
+			: [...(await RenameJournal.list(journalDir))].reverse().find((r) => !r.undoneAt)
+
+		if (!run) {
+			throw new Error(options.run ? `실행 기록을 찾을 수 없습니다: ${options.run}` : '파일명 변경 실행 기록이 없습니다')
+		}
+
+		console.log(chalk.gray(`📒 기준 실행: ${run.runId} (${run.command}, ${run.entries.length}개 파일)`))
+
+		// 소스 glob 옵션이 주어지면 설정보다 우선
+		if (options.sources) {
+			config.featureFlags = config.featureFlags || {}
+			config.featureFlags.rewriteReferences = {
+				...config.featureFlags.rewriteReferences,
+				options: {
+					...config.featureFlags.rewriteReferences?.options,
+					sources: options.sources.split(',').map((s) => s.trim())
+				}
+			}
+		}
+
+		// 3. 참조 갱신 실행
+		const codemodGenerator = new CodemodGenerator(config, { apply: options.apply || false })
+		const { changes, applied } = await codemodGenerator.generate(run.entries)
+		setResult({ runId: run.runId, applied, changes: changes.map(({ file, lines }) => ({ file, lines })) })
+
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ Codemod 실행 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+		process.exit(1)
+	}
+}
@@ -7,6 +7,7 @@
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
 import { ComponentsGenerator } from '../generators/ComponentsGenerator.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
 
 /**
  * Components 명령어 실행
@@ -18,9 +19,9 @@ export async function componentsCommand(options) {
 	try {
 		// 1. 설정 로드
 		const configManager = new ConfigManager()
-		const config = configManager.loadConfig(options.config)
+		const config = await configManager.loadConfig(options.config)
 
-		console.log(chalk.gray(`📋 설정 파일: ${options.config}`))
+		console.log(chalk.gray(`📋 설정 파일: ${options.config || '기본 설정'}`))
 		console.log(chalk.gray(`📂 처리 대상: ${config.assetDirectories.filter(d => d.enabled).map(d => d.name).join(', ')}`))
 		console.log(chalk.gray(`📁 출력 디렉토리: ${config.fileGeneration.outputDir}`))
 		console.log(chalk.gray(`🛠️ 프레임워크: ${config.componentGeneration?.framework || 'react'}`))
@@ -29,6 +30,7 @@ export async function componentsCommand(options) {
 		// 2. Components Generator 실행
 		const componentsGenerator = new ComponentsGenerator(config)
 		const result = await componentsGenerator.generate()
+		setResult({ generatedFiles: Array.isArray(result) ? result : [] })
 
 		// 3. 결과 출력
 		if (result && result.success) {
@@ -64,6 +66,7 @@ export async function componentsCommand(options) {
 		}
 
 	} catch (error) {
+		addErrors(error)
 		console.error(chalk.red.bold('\n❌ Components 생성 실패:'))
 		console.error(chalk.red(`   ${error.message}`))
 
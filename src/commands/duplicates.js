@@ -0,0 +1,53 @@
+/**
+ * 🧬 Duplicates 명령어
+ *
+ * 내용이 같은 Asset 파일(바이트 동일 / SVG 정규화 후 동일)을 찾아 보고하고,
+ * --dedupe 옵션으로 대표 파일만 남긴 뒤 나머지 이름을 별칭으로 연결하는 명령어
+ */
+
+import chalk from 'chalk'
+import { ConfigManager } from '../utils/ConfigManager.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { DuplicatesGenerator } from '../generators/DuplicatesGenerator.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+
+/**
+ * Duplicates 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function duplicatesCommand(options) {
+	try {
+		// 1. 설정 로드
+		const configManager = new ConfigManager()
+		const config = await configManager.loadConfig(options.config)
+
+		console.log(chalk.blue.bold('🧬 중복 Asset 검사 시작...\n'))
+
+		// 2. 중복 검사
+		const journal = options.dedupe ? RenameJournal.fromConfig(config, 'duplicates') : null
+		const duplicatesGenerator = new DuplicatesGenerator(config, { journal })
+		const report = await duplicatesGenerator.findDuplicates()
+
+		setResult({ report })
+		duplicatesGenerator.printReport(report)
+
+		// 3. 중복 제거 (대표 파일 유지 + 별칭 생성)
+		if (options.dedupe && report.groups.length > 0) {
+			console.log(chalk.blue.bold('\n🧹 중복 파일 정리 중...'))
+			const { moved, aliasFile } = await duplicatesGenerator.dedupe(report.groups)
+			setResult({ moved, aliasFile, runId: journal?.runId || null })
+
+			console.log(chalk.green.bold(`\n✅ ${moved.length}개 파일을 격리하고 별칭을 ${aliasFile}에 기록했습니다`))
+			if (journal) {
+				console.log(chalk.gray(`📒 되돌리기: asset-codegen undo --run ${journal.runId}`))
+			}
+			console.log(chalk.gray('💡 타입을 갱신하려면 asset-codegen types 명령어를 실행하세요.'))
+		}
+
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ 중복 검사 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+		process.exit(1)
+	}
+}
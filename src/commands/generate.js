@@ -7,6 +7,8 @@
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
 import { AssetGenerator } from '../generators/AssetGenerator.js'
+import { formatPlanAsJson, formatPlanAsText, toRenameResult } from '../utils/ExecutionPlan.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
 
 /**
  * generate 명령어 핸들러
@@ -14,22 +16,51 @@ import { AssetGenerator } from '../generators/AssetGenerator.js'
  */
 export async function generateCommand(options) {
 	try {
-		console.log(chalk.green('🚀 Asset 코드 생성 시작...'))
-
 		const generator = new AssetGenerator({
 			configPath: options.config,
 			steps: parseSteps(options),
 			dryRun: options.dryRun || false,
 		})
 
+		// dry-run: 실행 계획만 출력
+		if (options.dryRun) {
+			const result = await generator.generate()
+			if (!result.success) {
+				throw new Error(result.error)
+			}
+
+			setResult({ dryRun: true, plan: result.plan })
+
+			const format = options.format || 'text'
+			if (format === 'json') {
+				console.log(formatPlanAsJson(result.plan))
+			} else if (format === 'text') {
+				console.log(formatPlanAsText(result.plan))
+			} else {
+				throw new Error(`지원하지 않는 출력 형식입니다: ${format} (text, json)`)
+			}
+			return
+		}
+
+		console.log(chalk.green('🚀 Asset 코드 생성 시작...'))
+
 		const result = await generator.generate()
 
+		setResult({
+			dryRun: false,
+			runId: result.runId || null,
+			renames: (result.renames || []).map(toRenameResult),
+			generatedFiles: result.generatedFiles || [],
+			steps: (result.results || []).map(({ step, flagKey, success }) => ({ name: step, flagKey, success })),
+			timings: { steps: (result.results || []).map(({ flagKey, durationMs }) => ({ flagKey, durationMs })) }
+		})
+
 		if (result.success) {
 			console.log(chalk.green('✅ Asset 코드 생성 완료!'))
 			console.log(chalk.blue(`📁 생성된 파일: ${result.generatedFiles.length}개`))
 
-			if (options.dryRun) {
-				console.log(chalk.yellow('\n🔍 시뮬레이션 모드 - 실제 파일은 생성되지 않았습니다'))
+			if (result.runId) {
+				console.log(chalk.gray(`📒 파일명 변경 되돌리기: asset-codegen undo --run ${result.runId}`))
 			}
 
 			// 사용법 안내
@@ -40,11 +71,13 @@ export async function generateCommand(options) {
 		} else {
 			console.error(chalk.red('❌ Asset 코드 생성 실패'))
 			if (result.error) {
+				addErrors(result.error)
 				console.error(chalk.red(result.error))
 			}
 			process.exit(1)
 		}
 	} catch (error) {
+		addErrors(error)
 		console.error(chalk.red('❌ 생성 중 오류:'), error.message)
 		process.exit(1)
 	}
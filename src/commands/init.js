@@ -6,6 +6,8 @@
 
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
+import { getConfigPreset } from '../utils/ConfigPresets.js'
+import { setResult } from '../utils/CliOutput.js'
 import { readFileSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
@@ -41,58 +43,18 @@ export async function initCommand(options) {
 		// JSON 파싱
 		const config = JSON.parse(configTemplate)
 
-		switch (type) {
-			case 'nextjs':
-				config.assetDirectories = [
-					{
-						name: 'icons',
-						path: 'public/icons',
-						enabled: true,
-						description: '아이콘 에셋'
-					},
-					{
-						name: 'images',
-						path: 'public/images',
-						enabled: true,
-						description: '이미지 에셋'
-					}
-				]
-				config.fileGeneration.outputDir = 'src/@shared/components/asset'
-				config.componentGeneration.framework = 'react'
-				break
-
-			case 'react':
-				config.assetDirectories = [
-					{
-						name: 'assets',
-						path: 'src/assets',
-						enabled: true,
-						description: '에셋 파일'
-					}
-				]
-				config.fileGeneration.outputDir = 'src/@shared/components/asset'
-				config.componentGeneration.framework = 'react'
-				break
-
-			case 'react-native':
-				config.assetDirectories = [
-					{
-						name: 'assets',
-						path: 'assets',
-						enabled: true,
-						description: '에셋 파일'
-					}
-				]
-				config.fileGeneration.outputDir = 'src/@shared/components/asset'
-				config.componentGeneration.framework = 'react-native'
-				break
-
-			default:
-				console.warn(chalk.yellow(`⚠️ 알 수 없는 프로젝트 타입: ${type}. 기본 설정을 사용합니다.`))
+		const preset = getConfigPreset(type)
+		if (preset) {
+			config.assetDirectories = preset.assetDirectories
+			config.fileGeneration.outputDir = preset.fileGeneration.outputDir
+			config.componentGeneration.framework = preset.componentGeneration.framework
+		} else {
+			console.warn(chalk.yellow(`⚠️ 알 수 없는 프로젝트 타입: ${type}. 기본 설정을 사용합니다.`))
 		}
 
 		// 설정 파일 생성
 		configManager.createConfig(output, config, { force })
+		setResult({ configPath: output, projectType: type })
 
 		console.log(chalk.green('\n✅ 초기화 완료!'))
 		console.log(chalk.blue('\n📋 다음 단계:'))
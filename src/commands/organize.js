@@ -7,6 +7,10 @@
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
 import { OrganizeGenerator } from '../generators/OrganizeGenerator.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { toRenameResult } from '../utils/ExecutionPlan.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+import { getNamingPattern } from '../utils/NamingTemplate.js'
 
 /**
  * Organize 명령어 실행
@@ -18,16 +22,21 @@ export async function organizeCommand(options) {
 	try {
 		// 1. 설정 로드
 		const configManager = new ConfigManager()
-		const config = configManager.loadConfig(options.config)
+		const config = await configManager.loadConfig(options.config)
 
-		console.log(chalk.gray(`📋 설정 파일: ${options.config}`))
+		console.log(chalk.gray(`📋 설정 파일: ${options.config || '기본 설정'}`))
 		console.log(chalk.gray(`📂 처리 대상: ${config.assetDirectories.filter(d => d.enabled).map(d => d.name).join(', ')}`))
-		console.log(chalk.gray(`🎯 네이밍 패턴: ${config.conventions?.namingPattern || '{category}-{subcategory}-{name}'}`))
+		console.log(chalk.gray(`🎯 네이밍 패턴: ${getNamingPattern(config)}`))
 		console.log(chalk.gray(`🔤 케이스 스타일: ${config.conventions?.caseStyle || 'kebab-case'}\n`))
 
 		// 2. Organize Generator 실행
-		const organizeGenerator = new OrganizeGenerator(config)
+		const journal = RenameJournal.fromConfig(config, 'organize')
+		const organizeGenerator = new OrganizeGenerator(config, { journal })
 		const processedFiles = await organizeGenerator.generate()
+		setResult({
+			runId: journal?.entries.length > 0 ? journal.runId : null,
+			renames: processedFiles.map(toRenameResult)
+		})
 
 		// 3. 결과 출력
 		if (processedFiles.length > 0) {
@@ -50,11 +59,17 @@ export async function organizeCommand(options) {
 					}
 				})
 			})
+
+			if (journal?.entries.length > 0) {
+				console.log(chalk.blue(`\n📒 변경 기록: ${journal.runId}`))
+				console.log(chalk.gray(`   되돌리기: asset-codegen undo --run ${journal.runId}`))
+			}
 		} else {
 			console.log(chalk.yellow('⚠️ 처리할 파일이 없습니다.'))
 		}
 
 	} catch (error) {
+		addErrors(error)
 		console.error(chalk.red.bold('\n❌ Organize 실행 실패:'))
 		console.error(chalk.red(`   ${error.message}`))
 
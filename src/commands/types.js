@@ -7,6 +7,7 @@
 import chalk from 'chalk'
 import { ConfigManager } from '../utils/ConfigManager.js'
 import { TypesGenerator } from '../generators/TypesGenerator.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
 
 /**
  * Types 명령어 실행
@@ -18,9 +19,9 @@ export async function typesCommand(options) {
 	try {
 		// 1. 설정 로드
 		const configManager = new ConfigManager()
-		const config = configManager.loadConfig(options.config)
+		const config = await configManager.loadConfig(options.config)
 
-		console.log(chalk.gray(`📋 설정 파일: ${options.config}`))
+		console.log(chalk.gray(`📋 설정 파일: ${options.config || '기본 설정'}`))
 		console.log(chalk.gray(`📂 처리 대상: ${config.assetDirectories.filter(d => d.enabled).map(d => d.name).join(', ')}`))
 		console.log(chalk.gray(`📁 출력 디렉토리: ${config.fileGeneration.outputDir}`))
 		console.log(chalk.gray(`📄 출력 파일: ${config.fileGeneration.outputFile}\n`))
@@ -28,6 +29,7 @@ export async function typesCommand(options) {
 		// 2. Types Generator 실행
 		const typesGenerator = new TypesGenerator(config)
 		const result = await typesGenerator.generate()
+		setResult({ generatedFiles: Array.isArray(result) ? result : [] })
 
 		// 3. 결과 출력
 		if (result && result.success) {
@@ -52,6 +54,7 @@ export async function typesCommand(options) {
 		}
 
 	} catch (error) {
+		addErrors(error)
 		console.error(chalk.red.bold('\n❌ Types 생성 실패:'))
 		console.error(chalk.red(`   ${error.message}`))
 
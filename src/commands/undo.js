@@ -0,0 +1,106 @@
+/**
+ * ↩️ Undo 명령어
+ *
+ * 파일명 변경 저널을 역순으로 재생하여 Clean/Organize 실행을 되돌리는 명령어
+ */
+
+import chalk from 'chalk'
+import { relative } from 'path'
+import { ConfigManager } from '../utils/ConfigManager.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+
+/**
+ * Undo 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function undoCommand(options) {
+	try {
+		// 1. 설정 로드 (저널 디렉토리 확인용)
+		const configManager = new ConfigManager()
+		const config = await configManager.loadConfig(options.config)
+		const journalDir = config.journal?.dir
+		const runs = await RenameJournal.list(journalDir)
+
+		// 2. 실행 기록 목록 출력
+		if (options.list) {
+			setResult({
+				runs: runs.map(({ runId, command, createdAt, undoneAt, entries }) => ({
+					runId,
+					command,
+					createdAt,
+					undoneAt: undoneAt || null,
+					fileCount: entries.length
+				}))
+			})
+			printRuns(runs)
+			return
+		}
+
+		// 3. 되돌릴 실행 결정 (기본값: 되돌리지 않은 가장 최근 실행)
+		const run = options.run
+			? await RenameJournal.load(journalDir, options.run)
+			: [...runs].reverse().find((r) => !r.undoneAt && r.entries.length > 0)
+
+		if (!run) {
+			throw new Error(options.run ? `실행 기록을 찾을 수 없습니다: ${options.run}` : '되돌릴 실행 기록이 없습니다')
+		}
+
+		if (run.undoneAt) {
+			throw new Error(`이미 되돌린 실행입니다: ${run.runId} (${run.undoneAt})`)
+		}
+
+		console.log(chalk.blue.bold(`↩️ 파일명 변경 되돌리기: ${run.runId}\n`))
+		console.log(chalk.gray(`📋 명령어: ${run.command}`))
+		console.log(chalk.gray(`🕐 실행 시각: ${run.createdAt}`))
+		console.log(chalk.gray(`📄 변경 파일: ${run.entries.length}개\n`))
+
+		// 4. 충돌 검사 (실행 이후 변경된 파일은 덮어쓰지 않음)
+		const { operations, conflicts } = await RenameJournal.planUndo(run)
+		setResult({ runId: run.runId, conflicts: conflicts.map((conflict) => conflict.message) })
+
+		if (conflicts.length > 0) {
+			addErrors(...conflicts.map((conflict) => conflict.message))
+			console.error(chalk.red.bold(`❌ ${conflicts.length}개 파일이 실행 이후 변경되어 되돌릴 수 없습니다:`))
+			conflicts.forEach((conflict) => {
+				console.error(chalk.red(`   • ${conflict.message}`))
+			})
+			console.error(chalk.yellow('\n⚠️ 아무 파일도 변경하지 않았습니다. 충돌을 해결한 뒤 다시 실행하세요.'))
+			process.exit(1)
+		}
+
+		// 5. 되돌리기 실행
+		await RenameJournal.applyUndo(run, operations)
+		setResult({ restored: operations.map(({ from, to }) => ({ from: relative(run.cwd, from), to: relative(run.cwd, to) })) })
+
+		operations.forEach(({ from, to }) => {
+			console.log(chalk.green(`  ✓ ${relative(run.cwd, from)} → ${relative(run.cwd, to)}`))
+		})
+
+		console.log(chalk.green.bold(`\n✅ Undo 완료: ${operations.length}개 파일 복원`))
+		console.log(chalk.gray('💡 타입을 갱신하려면 asset-codegen types 명령어를 실행하세요.'))
+
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ Undo 실행 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+		process.exit(1)
+	}
+}
+
+/**
+ * 실행 기록 목록 출력
+ * @param {object[]} runs - 실행 기록 배열
+ */
+function printRuns(runs) {
+	if (runs.length === 0) {
+		console.log(chalk.yellow('⚠️ 저장된 실행 기록이 없습니다.'))
+		return
+	}
+
+	console.log(chalk.blue.bold('📒 파일명 변경 실행 기록:\n'))
+	runs.forEach((run) => {
+		const status = run.undoneAt ? chalk.gray('(되돌림)') : ''
+		console.log(`   ${run.runId}  ${run.command.padEnd(9)} ${String(run.entries.length).padStart(4)}개  ${status}`)
+	})
+}
@@ -0,0 +1,56 @@
+/**
+ * 📊 Usage 명령어
+ *
+ * 소스 코드를 스캔하여 사용하지 않는 Asset과 존재하지 않는 Asset 참조를 보고하고,
+ * --quarantine 옵션으로 사용하지 않는 파일을 격리 디렉토리로 옮기는 명령어
+ */
+
+import chalk from 'chalk'
+import { ConfigManager } from '../utils/ConfigManager.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { UsageGenerator } from '../generators/UsageGenerator.js'
+import { setResult, addErrors } from '../utils/CliOutput.js'
+
+/**
+ * Usage 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function usageCommand(options) {
+	try {
+		// 1. 설정 로드
+		const configManager = new ConfigManager()
+		const config = await configManager.loadConfig(options.config)
+
+		console.log(chalk.blue.bold('📊 Asset 사용 현황 분석 시작...\n'))
+
+		// 2. 소스 스캔 (소스 glob 옵션이 주어지면 설정보다 우선)
+		const journal = options.quarantine ? RenameJournal.fromConfig(config, 'usage') : null
+		const usageGenerator = new UsageGenerator(config, {
+			journal,
+			sources: options.sources ? options.sources.split(',').map((s) => s.trim()) : undefined
+		})
+		const report = await usageGenerator.analyze()
+
+		setResult({ report })
+		usageGenerator.printReport(report)
+
+		// 3. 사용하지 않는 Asset 격리
+		if (options.quarantine && report.unused.length > 0) {
+			console.log(chalk.blue.bold('🧹 사용하지 않는 Asset 격리 중...'))
+			const moved = await usageGenerator.quarantine(report.unused)
+			setResult({ moved, runId: journal?.runId || null })
+
+			console.log(chalk.green.bold(`\n✅ ${moved.length}개 파일을 ${config.quarantine?.dir}로 옮겼습니다`))
+			if (journal) {
+				console.log(chalk.gray(`📒 되돌리기: asset-codegen undo --run ${journal.runId}`))
+			}
+			console.log(chalk.gray('💡 타입을 갱신하려면 asset-codegen types 명령어를 실행하세요.'))
+		}
+
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ 사용 현황 분석 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+		process.exit(1)
+	}
+}
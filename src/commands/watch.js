@@ -0,0 +1,64 @@
+/**
+ * 👀 Watch 명령어
+ *
+ * Asset 디렉토리를 감시하며 변경된 부분만 증분 재생성하는 명령어
+ */
+
+import chalk from 'chalk'
+import { ConfigManager } from '../utils/ConfigManager.js'
+import { AssetWatcher } from '../utils/AssetWatcher.js'
+import { addErrors, emitEvent, isJsonOutput } from '../utils/CliOutput.js'
+
+/**
+ * Watch 명령어 실행
+ * @param {object} options - 명령어 옵션
+ */
+export async function watchCommand(options) {
+	console.log(chalk.blue.bold('👀 Asset 디렉토리 감시 시작...\n'))
+
+	try {
+		// 1. 설정 로드
+		const configManager = new ConfigManager()
+		const config = await configManager.loadConfig(options.config)
+		const debounceMs = Number.parseInt(options.debounce, 10)
+
+		if (Number.isNaN(debounceMs) || debounceMs < 0) {
+			throw new Error(`잘못된 debounce 값입니다: ${options.debounce}`)
+		}
+
+		console.log(chalk.gray(`📋 설정 파일: ${options.config || '기본 설정'}`))
+		console.log(chalk.gray(`📂 감시 대상: ${config.assetDirectories.filter(d => d.enabled).map(d => d.name).join(', ')}`))
+		console.log(chalk.gray(`⏱️ Debounce: ${debounceMs}ms\n`))
+
+		// 2. 감시 시작
+		const watcher = new AssetWatcher(config, {
+			configPath: options.config,
+			debounceMs,
+			initial: options.initial,
+			onEvent: isJsonOutput() ? emitEvent : undefined,
+		})
+		await watcher.start()
+
+		console.log(chalk.green('\n✅ 변경 감지 대기 중... (종료: Ctrl+C)'))
+
+		// 3. 종료 처리
+		process.on('SIGINT', () => {
+			watcher.close()
+			emitEvent('stopped')
+			console.log(chalk.blue('\n👋 감시를 종료합니다.'))
+			process.exit(0)
+		})
+
+	} catch (error) {
+		addErrors(error)
+		console.error(chalk.red.bold('\n❌ Watch 실행 실패:'))
+		console.error(chalk.red(`   ${error.message}`))
+
+		if (error.stack) {
+			console.error(chalk.gray('\n상세 오류:'))
+			console.error(chalk.gray(error.stack))
+		}
+
+		process.exit(1)
+	}
+}
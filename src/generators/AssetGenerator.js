@@ -5,16 +5,74 @@
  */
 
 import { execSync } from 'child_process';
+import { readFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
 import { ConfigManager } from '../utils/ConfigManager.js';
-import { conditionalFormat } from '../utils/FormattingUtils.js';
+import { conditionalFormat, formatContent } from '../utils/FormattingUtils.js';
+import { createUnifiedDiff } from '../utils/DiffUtils.js';
+import { listFiles } from '../utils/FileUtils.js';
 import { ProgressTracker } from '../utils/ProgressTracker.js';
+import { RenameJournal } from '../utils/RenameJournal.js';
+import { resolveRenameCollisions, reportCollisions, getCollisionOptions } from '../utils/RenameCollisions.js';
 import chalk from 'chalk';
+import { loadPluginSteps, orderSteps, isPluginStepEnabled, normalizeStepResult } from '../utils/PluginLoader.js';
+import { logger } from '../utils/Logger.js';
+
+/**
+ * 기본 단계 정의 (실행 순서)
+ */
+const BUILTIN_STEPS = [
+  {
+    name: '스마트 폴더명 제거',
+    description: '파일명에서 모든 가능한 폴더명 조합을 스마트하게 제거',
+    flagKey: 'cleanupDuplicates',
+    required: false,
+  },
+  {
+    name: '새 폴더 구조 네이밍',
+    description: '현재 위치 기반으로 폴더 구조를 파일명에 적용',
+    flagKey: 'organizeFilenames',
+    required: false,
+  },
+  {
+    name: 'SVG 최적화',
+    description: '메타데이터 제거, 그룹 병합, 숫자 반올림, path 축약으로 SVG 파일 최적화',
+    flagKey: 'optimizeSvg',
+    required: false,
+  },
+  {
+    name: '소스 참조 갱신',
+    description: '변경된 Asset 파일명에 맞춰 소스 코드의 이름/URL 참조 갱신',
+    flagKey: 'rewriteReferences',
+    required: false,
+  },
+  {
+    name: 'Asset 타입 생성',
+    description: '최종 정리된 파일명으로 TypeScript 타입 정의 생성',
+    flagKey: 'generateTypes',
+    required: true, // 항상 실행
+  },
+  {
+    name: 'Asset Utils 생성',
+    description: 'Asset 유틸리티 함수들 생성',
+    flagKey: 'generateUtils',
+    required: false,
+  },
+  {
+    name: 'Asset 컴포넌트 생성',
+    description: 'React Asset 컴포넌트, hooks 생성',
+    flagKey: 'generateComponent',
+    required: false,
+  },
+];
 
 export class AssetGenerator {
   constructor(options = {}) {
-    this.configPath = options.configPath || './asset-codegen.config.json';
+    this.configPath = options.configPath || null; // 생략하면 현재 디렉토리부터 상위로 탐색
+    this.config = options.config || null; // 설정 객체 (프로그래밍 API, 있으면 configPath 대신 사용)
     this.requestedSteps = options.steps || [];
     this.dryRun = options.dryRun || false;
+    this.pluginSteps = []; // 설정의 plugins에서 불러온 단계 (loadPlugins)
 
     this.configManager = new ConfigManager();
   }
@@ -23,56 +81,73 @@ export class AssetGenerator {
    * 메인 생성 함수
    */
   async generate() {
+    // dry-run은 실행 계획만 계산 (디스크 변경 없음)
+    if (this.dryRun) {
+      try {
+        const plan = await this.plan();
+        return { success: true, dryRun: true, plan, generatedFiles: [] };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
     try {
-      console.log(chalk.blue('🚀 Asset 통합 생성 프로세스 시작...'));
-      console.log(
+      logger.info(chalk.blue('🚀 Asset 통합 생성 프로세스 시작...'));
+      logger.info(
         chalk.blue(
           '📋 올바른 실행 순서: 폴더명 제거 → 새 네이밍 → 타입 생성 → 컴포넌트 생성'
         )
       );
-      console.log('='.repeat(70));
+      logger.info('='.repeat(70));
 
       // 1. 설정 로드 및 검증
-      const config = this.configManager.loadConfig(this.configPath);
-      const validation = this.configManager.validateConfig(this.configPath);
-
-      if (!validation.isValid) {
-        throw new Error(`설정 검증 실패: ${validation.errors.join(', ')}`);
-      }
+      const config = await this.loadValidatedConfig();
+      await this.loadPlugins(config);
 
       // 2. 실행할 단계 결정
       const enabledSteps = this.getEnabledSteps(config);
 
+      // 파일명 변경 충돌 사전 검사 (Clean 단계가 먼저 파일을 바꾼 뒤 Organize 단계에서 중단되지 않도록)
+      await this.preflightRenames(config, enabledSteps);
+
+      // 파일명 변경 저널 (Clean/Organize 단계가 하나의 실행으로 기록됨)
+      this.journal = RenameJournal.fromConfig(config, 'generate');
+
       // 3. 각 단계 실행 (진행률 추적)
       const progress = new ProgressTracker(enabledSteps.length, 'Asset 생성 전체 진행');
       const results = [];
       const generatedFiles = [];
+      const context = { renames: [] }; // 단계 간 공유 데이터 (Clean/Organize 파일명 변경 결과)
       let completedSteps = 0;
 
       for (const step of enabledSteps) {
+        const stepStartedAt = Date.now();
         try {
-          console.log(
+          logger.info(
             `\n📝 ${completedSteps + 1}/${enabledSteps.length}: ${step.name}`
           );
-          console.log(`   📖 설명: ${step.description}`);
+          logger.info(`   📖 설명: ${step.description}`);
 
-          if (!this.dryRun) {
-            const stepResult = await this.executeStep(step, config);
-            if (stepResult.generatedFiles) {
-              generatedFiles.push(...stepResult.generatedFiles);
-            }
+          const stepResult = await this.executeStep(step, config, context);
+          if (stepResult.generatedFiles) {
+            generatedFiles.push(...stepResult.generatedFiles);
+          }
+          if (stepResult.renames) {
+            context.renames.push(...stepResult.renames.map((rename) => ({ ...rename, step: step.flagKey })));
           }
 
           completedSteps++;
           progress.increment(step.name, false);
-          results.push({ step: step.name, success: true });
+          results.push({ step: step.name, flagKey: step.flagKey, success: true, durationMs: Date.now() - stepStartedAt });
         } catch (error) {
-          console.error(`   ❌ ${step.name} 실패:`, error.message);
+          logger.error(`   ❌ ${step.name} 실패:`, error.message);
           progress.increment(step.name, true);
           results.push({
             step: step.name,
+            flagKey: step.flagKey,
             success: false,
             error: error.message,
+            durationMs: Date.now() - stepStartedAt,
           });
           throw error;
         }
@@ -82,35 +157,41 @@ export class AssetGenerator {
       progress.complete();
 
       // 4. 포맷팅 실행
-      if (generatedFiles.length > 0 && !this.dryRun) {
-        await conditionalFormat(generatedFiles, this.configPath);
+      if (generatedFiles.length > 0) {
+        await conditionalFormat(generatedFiles, config);
       }
 
       // 5. 결과 출력
-      console.log('\n' + '='.repeat(70));
-      console.log(chalk.green('🎉 Asset 생성 완료!'));
-      console.log(
+      logger.info('\n' + '='.repeat(70));
+      logger.info(chalk.green('🎉 Asset 생성 완료!'));
+      logger.info(
         chalk.blue(`📊 실행된 단계: ${completedSteps}/${enabledSteps.length}`)
       );
 
       if (generatedFiles.length > 0) {
-        console.log(chalk.blue('\n📁 생성된 구조:'));
-        console.log('  - 정리된 asset 파일명들 (폴더명 1회만 적용)');
-        console.log('  - TypeScript 타입 정의');
-        console.log('  - React Asset 컴포넌트');
-        console.log('  - React Hooks');
-        console.log('  - 유틸리티 함수');
+        logger.info(chalk.blue('\n📁 생성된 구조:'));
+        logger.info('  - 정리된 asset 파일명들 (폴더명 1회만 적용)');
+        logger.info('  - TypeScript 타입 정의');
+        logger.info('  - React Asset 컴포넌트');
+        logger.info('  - React Hooks');
+        logger.info('  - 유틸리티 함수');
+      }
+
+      if (this.journal?.entries.length > 0) {
+        logger.info(chalk.blue(`\n📒 파일명 변경 기록: ${this.journal.runId}`));
       }
 
       return {
         success: true,
+        runId: this.journal?.entries.length > 0 ? this.journal.runId : null,
         completedSteps,
         totalSteps: enabledSteps.length,
+        renames: context.renames,
         generatedFiles,
         results,
       };
     } catch (error) {
-      console.error(chalk.red('❌ Asset 생성 실패:'), error.message);
+      logger.error(chalk.red('❌ Asset 생성 실패:'), error.message);
       return {
         success: false,
         error: error.message,
@@ -118,12 +199,89 @@ export class AssetGenerator {
     }
   }
 
+  /**
+   * 설정 로드 및 검증 (설정 객체가 주어지면 파일 대신 기본 설정과 병합하여 사용)
+   * @returns {Promise<object>} 검증된 설정
+   */
+  async loadValidatedConfig() {
+    if (this.config) {
+      return this.validateLoadedConfig(this.configManager.mergeWithDefaults(this.config));
+    }
+
+    const { config, filepath } = await this.configManager.resolveConfig(this.configPath);
+    this.configPath = filepath; // 탐색한 설정 파일 (플러그인 상대 경로 기준)
+    return this.validateLoadedConfig(config);
+  }
+
+  /**
+   * 병합된 설정 검증
+   */
+  validateLoadedConfig(config) {
+    const validation = this.configManager.validateConfigObject(config);
+
+    if (!validation.isValid) {
+      throw new Error(`설정 검증 실패: ${validation.errors.join(', ')}`);
+    }
+
+    return config;
+  }
+
+  /**
+   * 설정의 plugins에서 사용자 정의 단계 로드 (상대 경로는 설정 파일 위치 기준)
+   * @param {object} config - 검증된 설정
+   * @returns {Promise<object[]>} 플러그인 단계
+   */
+  async loadPlugins(config) {
+    this.pluginSteps = await loadPluginSteps(
+      config,
+      this.configPath ? dirname(resolve(this.configPath)) : process.cwd(),
+      BUILTIN_STEPS.map((step) => step.flagKey)
+    );
+    return this.pluginSteps;
+  }
+
+  /**
+   * 플러그인 단계 실행
+   * execute가 반환한 생성 파일은 기본 단계와 같이 포맷팅/결과 보고에 포함됩니다
+   * @param {object} step - 플러그인 단계
+   * @param {object} config - 설정
+   * @param {object[]} assets - Asset 정보 (생략하면 디스크에서 수집)
+   * @returns {Promise<string[]>} 생성된 파일 경로
+   */
+  async executePluginStep(step, config, assets = null) {
+    if (!assets) {
+      const { TypesGenerator } = await import('./TypesGenerator.js');
+      assets = await new TypesGenerator(config).collectAssetInfo(
+        config.assetDirectories.filter((dir) => dir.enabled)
+      );
+    }
+
+    const result = await step.execute(this.createPluginContext(step, config, assets));
+    return normalizeStepResult(result, step);
+  }
+
+  /**
+   * 플러그인 단계에 전달하는 컨텍스트
+   */
+  createPluginContext(step, config, assets) {
+    return {
+      assets,
+      config,
+      options: step.options,
+      outputDir: config.fileGeneration.outputDir,
+      dryRun: this.dryRun,
+      logger,
+    };
+  }
+
   /**
    * 개별 단계 실행
    */
-  async executeStep(step, config) {
+  async executeStep(step, config, context = { renames: [] }) {
     const { CleanGenerator } = await import('./CleanGenerator.js');
     const { OrganizeGenerator } = await import('./OrganizeGenerator.js');
+    const { OptimizeGenerator } = await import('./OptimizeGenerator.js');
+    const { CodemodGenerator } = await import('./CodemodGenerator.js');
     const { TypesGenerator } = await import('./TypesGenerator.js');
     const { ComponentsGenerator } = await import('./ComponentsGenerator.js');
     const { UtilsGenerator } = await import('./UtilsGenerator.js');
@@ -132,14 +290,24 @@ export class AssetGenerator {
 
     switch (step.flagKey) {
       case 'cleanupDuplicates':
-        const cleanGen = new CleanGenerator(config);
+        const cleanGen = new CleanGenerator(config, { journal: this.journal });
         const cleanResult = await cleanGen.generate();
-        return { generatedFiles: [] }; // 파일명 변경만 수행, 생성 파일 없음
+        return { generatedFiles: [], renames: cleanResult }; // 파일명 변경만 수행, 생성 파일 없음
 
       case 'organizeFilenames':
-        const organizeGen = new OrganizeGenerator(config);
+        const organizeGen = new OrganizeGenerator(config, { journal: this.journal });
         const organizeResult = await organizeGen.generate();
-        return { generatedFiles: [] }; // 파일명 변경만 수행, 생성 파일 없음
+        return { generatedFiles: [], renames: organizeResult }; // 파일명 변경만 수행, 생성 파일 없음
+
+      case 'optimizeSvg':
+        const optimizeGen = new OptimizeGenerator(config, { journal: this.journal });
+        await optimizeGen.generate();
+        return { generatedFiles: [] }; // Asset 파일 내용만 변경, 생성 파일 없음
+
+      case 'rewriteReferences':
+        const codemodGen = new CodemodGenerator(config);
+        await codemodGen.generate(context.renames);
+        return { generatedFiles: [] }; // 소스 파일 수정만 수행, 생성 파일 없음
 
       case 'generateTypes':
         const typesGen = new TypesGenerator(config);
@@ -158,54 +326,366 @@ export class AssetGenerator {
         return { generatedFiles: Array.isArray(componentsResult) ? componentsResult : [] };
 
       default:
-        console.warn(`⚠️ 알 수 없는 단계: ${step.flagKey}`);
+        if (step.plugin) {
+          return { generatedFiles: await this.executePluginStep(step, config) };
+        }
+        logger.warn(`⚠️ 알 수 없는 단계: ${step.flagKey}`);
         return { generatedFiles: [] };
     }
   }
 
+  /**
+   * 실행 계획 계산 (dry-run)
+   * 파일명 변경, 소스 참조 변경, 생성 파일 내용을 모두 메모리에서 계산하며 디스크는 변경하지 않습니다
+   * @returns {Promise<object>} 실행 계획
+   */
+  async plan() {
+    // 1. 설정 로드 및 검증
+    const config = await this.loadValidatedConfig();
+    await this.loadPlugins(config);
+
+    const enabledSteps = this.getEnabledSteps(config);
+
+    // 2. 현재 Asset 파일 목록 (단계별 파일명 변경을 반영하는 가상 파일 목록)
+    const context = await this.createPlanContext(config);
+
+    // 3. 단계별 계획 계산
+    for (const step of enabledSteps) {
+      await this.planStep(step, config, context);
+    }
+
+    // 4. 생성 파일을 디스크 내용과 비교
+    const files = await this.compareOutputs(context.outputs, config);
+
+    const countByStatus = (status) => files.filter((file) => file.status === status).length;
+
+    // 단계별 변경을 합친 최종 파일명 변경 (Clean → Organize가 원래 이름으로 돌아오는 경우 제외)
+    const netRenames = [...context.origins]
+      .filter(([virtualPath, realPath]) => virtualPath !== realPath)
+      .map(([virtualPath, realPath]) => ({ oldPath: realPath, newPath: virtualPath }))
+      .sort((a, b) => comparePaths(a.oldPath, b.oldPath));
+
+    return {
+      dryRun: true,
+      steps: enabledSteps.map((step) => ({ flagKey: step.flagKey, name: step.name })),
+      unplannedSteps: context.unplannedSteps,
+      renames: context.renames.map(({ step, assetDir, oldPath, newPath, sanitized = [] }) => ({
+        step,
+        assetDir,
+        oldPath,
+        newPath,
+        sanitized,
+      })),
+      netRenames,
+      conflicts: context.conflicts,
+      optimizations: context.optimizations.map(({ outputPath, bytesBefore, bytesAfter, bytesSaved }) => ({
+        file: outputPath,
+        bytesBefore,
+        bytesAfter,
+        bytesSaved,
+      })),
+      sourceChanges: context.sourceChanges.map((change) => ({
+        file: change.file,
+        count: change.count,
+        diff: createUnifiedDiff(change.original, change.content, {
+          fromFile: `a/${change.file}`,
+          toFile: `b/${change.file}`,
+        }),
+      })),
+      files,
+      summary: {
+        renames: netRenames.length,
+        stepRenames: context.renames.length,
+        conflicts: context.conflicts.length,
+        optimized: context.optimizations.length,
+        bytesSaved: context.optimizations.reduce((sum, optimization) => sum + optimization.bytesSaved, 0),
+        sourceChanges: context.sourceChanges.length,
+        create: countByStatus('create'),
+        update: countByStatus('update'),
+        unchanged: countByStatus('unchanged'),
+        skip: countByStatus('skip'),
+        unplannedSteps: context.unplannedSteps.length,
+      },
+    };
+  }
+
+  /**
+   * 계획 계산용 가상 컨텍스트 생성 (현재 Asset 파일 목록)
+   */
+  async createPlanContext(config) {
+    const { CleanGenerator } = await import('./CleanGenerator.js');
+    const isAssetFile = (filename) => new CleanGenerator(config).isAssetFile(filename);
+    const context = {
+      files: new Map(),
+      origins: new Map(), // 가상 경로 → 실제 파일 경로
+      contents: new Map(), // 가상 경로 → 이전 단계에서 변경된 파일 내용
+      assetInfo: null,
+      renames: [],
+      conflicts: [],
+      optimizations: [],
+      sourceChanges: [],
+      outputs: [],
+      unplannedSteps: [],
+    };
+
+    for (const assetDir of config.assetDirectories.filter((dir) => dir.enabled)) {
+      const filePaths = await listFiles(assetDir.path, isAssetFile);
+      context.files.set(assetDir.name, filePaths);
+      filePaths.forEach((filePath) => context.origins.set(filePath, filePath));
+    }
+
+    return context;
+  }
+
+  /**
+   * 파일명 변경 단계 충돌 사전 검사
+   * Clean/Organize 단계를 메모리에서 미리 계산하여 fail 전략의 충돌이 있으면 아무 파일도 바꾸기 전에 중단합니다
+   */
+  async preflightRenames(config, enabledSteps) {
+    const renameSteps = enabledSteps.filter((step) =>
+      ['cleanupDuplicates', 'organizeFilenames'].includes(step.flagKey)
+    );
+    if (renameSteps.length === 0) return;
+
+    const context = await this.createPlanContext(config);
+    for (const step of renameSteps) {
+      await this.planStep(step, config, context);
+    }
+
+    const failed = context.conflicts.filter((conflict) => conflict.resolution === 'fail');
+    reportCollisions(failed, 'fail');
+  }
+
+  /**
+   * 개별 단계의 계획 계산 (executeStep의 메모리 버전)
+   */
+  async planStep(step, config, context) {
+    const { CleanGenerator } = await import('./CleanGenerator.js');
+    const { OrganizeGenerator } = await import('./OrganizeGenerator.js');
+    const { OptimizeGenerator } = await import('./OptimizeGenerator.js');
+    const { CodemodGenerator } = await import('./CodemodGenerator.js');
+    const { TypesGenerator } = await import('./TypesGenerator.js');
+    const { ComponentsGenerator } = await import('./ComponentsGenerator.js');
+    const { UtilsGenerator } = await import('./UtilsGenerator.js');
+
+    const enabledDirectories = config.assetDirectories.filter((dir) => dir.enabled);
+    const componentOverwriteMode = config.componentGeneration?.overwriteMode;
+
+    switch (step.flagKey) {
+      case 'cleanupDuplicates':
+      case 'organizeFilenames': {
+        const generator =
+          step.flagKey === 'cleanupDuplicates'
+            ? new CleanGenerator(config)
+            : new OrganizeGenerator(config);
+
+        // 실행 시와 같이 모든 디렉토리의 변경 계획을 모아 충돌 검사 (fail 전략이면 이 단계의 변경 없음)
+        const plans = [];
+        for (const assetDir of enabledDirectories) {
+          plans.push(
+            ...(await generator.planRenames(context.files.get(assetDir.name) || [], assetDir, {
+              origins: context.origins,
+            }))
+          );
+        }
+        const { renames, conflicts } = resolveRenameCollisions(plans, [...context.files.values()].flat(), {
+          ...getCollisionOptions(config),
+          checkAssetNames: step.flagKey === 'organizeFilenames',
+        });
+        const renamed = new Map(renames.map((rename) => [rename.oldPath, rename.newPath]));
+
+        renames.forEach(({ oldPath, newPath }) => {
+          context.origins.set(newPath, context.origins.get(oldPath));
+          context.origins.delete(oldPath);
+        });
+        context.renames.push(...renames.map((rename) => ({ ...rename, step: step.flagKey })));
+        context.conflicts.push(...conflicts.map((conflict) => ({ ...conflict, step: step.flagKey })));
+
+        for (const assetDir of enabledDirectories) {
+          context.files.set(
+            assetDir.name,
+            (context.files.get(assetDir.name) || []).map((filePath) => renamed.get(filePath) || filePath)
+          );
+        }
+        return;
+      }
+
+      case 'optimizeSvg': {
+        const generator = new OptimizeGenerator(config);
+
+        for (const assetDir of enabledDirectories) {
+          for (const filePath of context.files.get(assetDir.name) || []) {
+            if (!generator.isSvgFile(filePath)) continue;
+
+            const content =
+              context.contents.get(filePath) ?? (await readFile(context.origins.get(filePath), 'utf8'));
+            let optimization;
+            try {
+              optimization = generator.planSingleFile(filePath, assetDir, content);
+            } catch {
+              continue; // 파싱할 수 없는 SVG는 실행 시에도 건너뜀
+            }
+
+            const existing =
+              optimization.outputPath === filePath
+                ? content
+                : await readFile(optimization.outputPath, 'utf8').catch(() => null);
+            if (existing === optimization.content) continue;
+
+            if (optimization.outputPath === filePath) {
+              context.contents.set(filePath, optimization.content);
+            }
+            context.optimizations.push(optimization);
+          }
+        }
+        return;
+      }
+
+      case 'rewriteReferences': {
+        const { changes } = await new CodemodGenerator(config).computeChanges(context.renames);
+        context.sourceChanges.push(...changes);
+        return;
+      }
+
+      case 'generateTypes': {
+        const typesGen = new TypesGenerator(config);
+        const assetInfo = await this.collectPlannedAssetInfo(config, context);
+        context.outputs.push(
+          ...typesGen.renderFiles(assetInfo).map((file) => ({
+            ...file,
+            overwriteMode: config.fileGeneration?.overwriteMode,
+          }))
+        );
+        return;
+      }
+
+      case 'generateUtils': {
+        const utilsGen = new UtilsGenerator(config);
+        context.outputs.push(
+          ...utilsGen.renderFiles(config.fileGeneration.outputDir).map((file) => ({
+            ...file,
+            overwriteMode: componentOverwriteMode,
+          }))
+        );
+        return;
+      }
+
+      case 'generateComponent': {
+        const componentsGen = new ComponentsGenerator(config);
+        const assetInfo = await this.collectPlannedAssetInfo(config, context);
+        context.outputs.push(
+          ...(await componentsGen.renderFiles(assetInfo)).map((file) => ({
+            ...file,
+            overwriteMode: componentOverwriteMode,
+          }))
+        );
+        return;
+      }
+
+      default: {
+        // 플러그인 단계는 plan을 구현한 경우에만 생성 파일을 미리 계산 (execute는 호출하지 않음)
+        if (!step.plugin) return;
+        if (!step.plan) {
+          // 계산하지 못한 단계가 있으면 dry-run/check 결과가 불완전하므로 계획에 기록
+          context.unplannedSteps.push({ flagKey: step.flagKey, name: step.name });
+          logger.warn(`⚠️ 플러그인 단계 '${step.flagKey}'는 plan()이 없어 생성 파일을 미리 계산하지 못했습니다`);
+          return;
+        }
+
+        const assets = await this.collectPlannedAssetInfo(config, context);
+        const files = (await step.plan(this.createPluginContext(step, config, assets))) || [];
+        context.outputs.push(
+          ...files.map((file) => ({ path: file.path, content: file.content, overwriteMode: file.overwriteMode }))
+        );
+        return;
+      }
+    }
+  }
+
+  /**
+   * 가상 파일 목록 기준 Asset 정보
+   * sourcePath에 실제 파일 경로, content에 이전 단계(SVG 최적화)에서 바뀐 내용을 기록합니다
+   */
+  async collectPlannedAssetInfo(config, context) {
+    if (!context.assetInfo) {
+      const { TypesGenerator } = await import('./TypesGenerator.js');
+      const typesGen = new TypesGenerator(config);
+      context.assetInfo = [];
+
+      for (const assetDir of config.assetDirectories.filter((dir) => dir.enabled)) {
+        const filePaths = (context.files.get(assetDir.name) || []).slice().sort(comparePaths);
+        const assets = [];
+
+        for (const filePath of filePaths) {
+          const sourcePath = context.origins.get(filePath);
+          const content = context.contents.get(filePath);
+          assets.push({
+            ...typesGen.createAssetInfo(filePath, assetDir),
+            ...(await typesGen.readAssetDimensions(sourcePath, content ?? null)),
+            sourcePath,
+            content,
+          });
+        }
+
+        context.assetInfo.push(...typesGen.groupDensityVariants(assets));
+      }
+    }
+    return context.assetInfo;
+  }
+
+  /**
+   * 생성 예정 파일과 디스크 파일 비교
+   * @returns {Promise<object[]>} { path, status: create|update|unchanged|skip, diff }
+   */
+  async compareOutputs(outputs, config) {
+    // 같은 경로가 여러 단계에서 생성되면 마지막 단계 결과가 최종 내용
+    const latestByPath = new Map(outputs.map((output) => [output.path, output]));
+    const files = [];
+
+    for (const output of latestByPath.values()) {
+      const content = await formatContent(output.content, output.path, config);
+      const existing = await readFile(output.path, 'utf8').catch(() => null);
+
+      let status;
+      if (existing === null) {
+        status = 'create';
+      } else if (existing === content) {
+        status = 'unchanged';
+      } else if (output.overwriteMode === 'skip') {
+        status = 'skip';
+      } else {
+        status = 'update';
+      }
+
+      files.push({
+        path: output.path,
+        status,
+        diff:
+          status === 'create' || status === 'update'
+            ? createUnifiedDiff(existing, content, {
+                fromFile: `a/${output.path}`,
+                toFile: `b/${output.path}`,
+              })
+            : '',
+      });
+    }
+
+    return files;
+  }
+
   /**
    * 활성화된 단계들 반환
    */
   getEnabledSteps(config) {
-    // 모든 가능한 단계 정의
-    const ALL_STEPS = [
-      {
-        name: '스마트 폴더명 제거',
-        description: '파일명에서 모든 가능한 폴더명 조합을 스마트하게 제거',
-        flagKey: 'cleanupDuplicates',
-        required: false,
-      },
-      {
-        name: '새 폴더 구조 네이밍',
-        description: '현재 위치 기반으로 폴더 구조를 파일명에 적용',
-        flagKey: 'organizeFilenames',
-        required: false,
-      },
-      {
-        name: 'Asset 타입 생성',
-        description: '최종 정리된 파일명으로 TypeScript 타입 정의 생성',
-        flagKey: 'generateTypes',
-        required: true, // 항상 실행
-      },
-      {
-        name: 'Asset Utils 생성',
-        description: 'Asset 유틸리티 함수들 생성',
-        flagKey: 'generateUtils',
-        required: false,
-      },
-      {
-        name: 'Asset 컴포넌트 생성',
-        description: 'React Asset 컴포넌트, hooks 생성',
-        flagKey: 'generateComponent',
-        required: false,
-      },
-    ];
+    // 플러그인 단계를 before/after 기준에 맞춰 배치
+    const allSteps = orderSteps(BUILTIN_STEPS, this.pluginSteps);
 
     // 특정 단계만 요청된 경우
     if (this.requestedSteps.length > 0) {
-      return ALL_STEPS.filter((step) =>
+      return allSteps.filter((step) =>
         this.requestedSteps.some(
           (requested) =>
+            step.flagKey === requested ||
             step.flagKey?.includes(requested.replace(/-/g, '')) ||
             step.name.toLowerCase().includes(requested.toLowerCase())
         )
@@ -215,10 +695,13 @@ export class AssetGenerator {
     // featureFlags에 따라 필터링
     const featureFlags = config.featureFlags || {};
 
-    return ALL_STEPS.filter((step) => {
+    return allSteps.filter((step) => {
       // required가 true인 스크립트는 항상 실행
       if (step.required) return true;
 
+      // 플러그인 단계는 featureFlags[id] 또는 단계의 enabled 기준
+      if (step.plugin) return isPluginStepEnabled(step, config);
+
       // flagKey가 있는 경우 featureFlags에서 확인
       if (step.flagKey) {
         const flag = featureFlags[step.flagKey];
@@ -232,3 +715,18 @@ export class AssetGenerator {
     });
   }
 }
+
+/**
+ * 경로 비교 (TypesGenerator의 정렬된 디렉토리 순회 순서와 동일)
+ */
+function comparePaths(a, b) {
+  const aParts = a.split(/[\\/]/);
+  const bParts = b.split(/[\\/]/);
+
+  for (let i = 0; i < Math.min(aParts.length, bParts.length); i++) {
+    if (aParts[i] !== bParts[i]) {
+      return aParts[i] < bParts[i] ? -1 : 1;
+    }
+  }
+  return aParts.length - bParts.length;
+}
@@ -7,35 +7,55 @@
 import { promises as fs } from 'fs'
 import { join, dirname, basename, extname } from 'path'
 import chalk from 'chalk'
+import {
+	resolveRenameCollisions,
+	reportCollisions,
+	resolveSingleRename,
+	getCollisionOptions,
+	listAssetFilesByDirectory
+} from '../utils/RenameCollisions.js'
+import { sanitizeName, getSanitizeOptions } from '../utils/FilenameSanitizer.js'
+import { applyCaseStyle } from '../utils/CaseStyle.js'
+import { getNamingPattern, extractNameFromPattern } from '../utils/NamingTemplate.js'
+import { logger } from '../utils/Logger.js'
 
 export class CleanGenerator {
-	constructor(config) {
+	constructor(config, options = {}) {
 		this.config = config
+		this.journal = options.journal || null // 파일명 변경 저널 (RenameJournal)
 	}
 
 	/**
 	 * 폴더명 정리 프로세스 실행
 	 */
 	async generate() {
-		console.log(chalk.blue('🧹 1단계: 파일명에서 폴더명 제거 시작...'))
+		logger.info(chalk.blue('🧹 1단계: 파일명에서 폴더명 제거 시작...'))
 
 		const enabledDirectories = this.config.assetDirectories.filter(dir => dir.enabled)
 
 		if (enabledDirectories.length === 0) {
-			console.log(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'))
+			logger.info(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'))
 			return []
 		}
 
-		// 1. 모든 폴더명 수집
-		const allFolderNames = await this.collectAllFolderNames(enabledDirectories)
-		console.log(chalk.gray(`📂 수집된 폴더명: ${Array.from(allFolderNames).join(', ')}`))
+		// 1. 모든 디렉토리의 파일명 변경 계획 계산 (디스크 변경 전)
+		const filesByDirectory = await listAssetFilesByDirectory(this.config)
+		const currentFiles = [...filesByDirectory.values()].flat()
+		const plans = enabledDirectories.flatMap(assetDir =>
+			this.planRenames(filesByDirectory.get(assetDir.name), assetDir)
+		)
+
+		// 2. 충돌 검사 (fail 전략이면 아무 파일도 변경하지 않고 중단)
+		const collisionOptions = getCollisionOptions(this.config)
+		const { renames, conflicts } = resolveRenameCollisions(plans, currentFiles, collisionOptions)
+		reportCollisions(conflicts, collisionOptions.strategy)
 
-		// 2. 각 디렉토리에서 파일명 정리 (병렬 처리 + 부분 실패 허용)
-		console.log(chalk.gray(`  🚀 ${enabledDirectories.length}개 디렉토리 병렬 처리 중...`))
+		// 3. 각 디렉토리에서 파일명 정리 (병렬 처리 + 부분 실패 허용)
+		logger.info(chalk.gray(`  🚀 ${enabledDirectories.length}개 디렉토리 병렬 처리 중...`))
 
 		const results = await Promise.allSettled(
 			enabledDirectories.map(assetDir =>
-				this.cleanFilenamesInDirectory(assetDir, allFolderNames)
+				this.applyRenames(renames.filter(plan => plan.assetDir === assetDir.name))
 			)
 		)
 
@@ -49,120 +69,102 @@ export class CleanGenerator {
 			if (result.status === 'fulfilled') {
 				const files = result.value
 				processedFiles.push(...files)
-				console.log(chalk.gray(`  ✓ ${dirName}: ${files.length}개 파일 처리`))
+				logger.info(chalk.gray(`  ✓ ${dirName}: ${files.length}개 파일 처리`))
 			} else {
 				errors.push({
 					dir: dirName,
 					error: result.reason
 				})
-				console.error(chalk.red(`  ✗ ${dirName} 처리 실패: ${result.reason.message}`))
+				logger.error(chalk.red(`  ✗ ${dirName} 처리 실패: ${result.reason.message}`))
 			}
 		})
 
 		// 최종 결과 출력
 		if (errors.length > 0) {
-			console.log(
+			logger.info(
 				chalk.yellow(
 					`⚠️ 1단계 완료: ${processedFiles.length}개 파일 처리됨 (${errors.length}개 디렉토리 실패)`
 				)
 			)
 		} else {
-			console.log(chalk.green(`✅ 1단계 완료: ${processedFiles.length}개 파일 처리됨`))
+			logger.info(chalk.green(`✅ 1단계 완료: ${processedFiles.length}개 파일 처리됨`))
 		}
 
 		return processedFiles
 	}
 
 	/**
-	 * 모든 Asset 디렉토리에서 폴더명 수집
+	 * 충돌 검사를 통과한 파일명 변경 적용
 	 */
-	async collectAllFolderNames(assetDirectories) {
-		const allFolderNames = new Set()
-
-		for (const assetDir of assetDirectories) {
-			// 베이스 Asset 디렉토리명 추가
-			allFolderNames.add(assetDir.name)
+	async applyRenames(plans) {
+		const processedFiles = []
 
-			try {
-				await this.collectFolderNamesRecursive(assetDir.path, allFolderNames)
-			} catch (error) {
-				console.warn(chalk.yellow(`⚠️ 디렉토리 스캔 실패: ${assetDir.path} - ${error.message}`))
+		for (const plan of plans) {
+			const result = await this.applyRename(plan)
+			if (result) {
+				processedFiles.push(result)
 			}
 		}
 
-		return allFolderNames
+		return processedFiles
 	}
 
 	/**
-	 * 재귀적으로 폴더명 수집
+	 * Asset 파일인지 확인
 	 */
-	async collectFolderNamesRecursive(dirPath, folderNames) {
-		try {
-			const entries = await fs.readdir(dirPath, { withFileTypes: true })
-
-			for (const entry of entries) {
-				if (entry.isDirectory()) {
-					folderNames.add(entry.name)
-					const subDirPath = join(dirPath, entry.name)
-					await this.collectFolderNamesRecursive(subDirPath, folderNames)
-				}
-			}
-		} catch (error) {
-			// 디렉토리가 없거나 접근할 수 없는 경우 무시
-		}
+	isAssetFile(filename) {
+		const ext = extname(filename).toLowerCase().slice(1)
+		return this.config.fileGeneration.supportedExtensions.includes(ext)
 	}
 
 	/**
-	 * 특정 디렉토리에서 파일명 정리
+	 * 단일 파일명 정리 (watch 모드용, 다른 Asset 파일과의 충돌 검사 포함)
 	 */
-	async cleanFilenamesInDirectory(assetDir, allFolderNames) {
-		const processedFiles = []
-
-		try {
-			await this.processDirectoryRecursive(assetDir.path, assetDir, allFolderNames, processedFiles)
-		} catch (error) {
-			console.error(chalk.red(`❌ 디렉토리 처리 실패: ${assetDir.path} - ${error.message}`))
+	async cleanSingleFile(filePath, assetDir) {
+		const plan = this.planSingleFile(filePath, assetDir)
+		if (!plan) {
+			// 변경사항 없음
+			return null
 		}
 
-		return processedFiles
+		const resolvedPlan = await resolveSingleRename(plan, this.config)
+		return resolvedPlan ? this.applyRename(resolvedPlan) : null
 	}
 
 	/**
-	 * 재귀적으로 디렉토리 처리
+	 * 파일명 변경 실행 및 저널 기록
 	 */
-	async processDirectoryRecursive(dirPath, assetDir, allFolderNames, processedFiles) {
-		try {
-			const entries = await fs.readdir(dirPath, { withFileTypes: true })
+	async applyRename(plan) {
+		const { originalName: originalFilename, newName: newFilename, oldPath: filePath, newPath: newFilePath } = plan
 
-			for (const entry of entries) {
-				const fullPath = join(dirPath, entry.name)
+		try {
+			await fs.rename(filePath, newFilePath)
+			await this.journal?.record(filePath, newFilePath)
+			const reasons = plan.sanitized?.length > 0 ? chalk.gray(` (${plan.sanitized.join(', ')})`) : ''
+			logger.info(chalk.green(`  ✓ ${originalFilename} → ${newFilename}`) + reasons)
 
-				if (entry.isDirectory()) {
-					await this.processDirectoryRecursive(fullPath, assetDir, allFolderNames, processedFiles)
-				} else if (this.isAssetFile(entry.name)) {
-					const result = await this.cleanSingleFile(fullPath, assetDir, allFolderNames)
-					if (result) {
-						processedFiles.push(result)
-					}
-				}
-			}
+			return plan
 		} catch (error) {
-			console.warn(chalk.yellow(`⚠️ 디렉토리 읽기 실패: ${dirPath} - ${error.message}`))
+			logger.error(chalk.red(`  ✗ 파일명 변경 실패: ${originalFilename} - ${error.message}`))
+			return null
 		}
 	}
 
 	/**
-	 * Asset 파일인지 확인
+	 * 파일 목록의 파일명 변경 계획 계산 (디스크를 변경하지 않음)
+	 * @param {string[]} filePaths - Asset 파일 경로 배열
+	 * @param {object} assetDir - Asset 디렉토리 설정
+	 * @returns {object[]} generate()와 같은 형태의 변경 예정 목록
 	 */
-	isAssetFile(filename) {
-		const ext = extname(filename).toLowerCase().slice(1)
-		return this.config.fileGeneration.supportedExtensions.includes(ext)
+	planRenames(filePaths, assetDir) {
+		return filePaths.map((filePath) => this.planSingleFile(filePath, assetDir)).filter(Boolean)
 	}
 
 	/**
-	 * 단일 파일명 정리
+	 * 단일 파일의 정리된 파일명 계산
+	 * @returns {object|null} 변경 정보 (변경사항 없으면 null)
 	 */
-	async cleanSingleFile(filePath, assetDir, allFolderNames) {
+	planSingleFile(filePath, assetDir) {
 		const directory = dirname(filePath)
 		const originalFilename = basename(filePath)
 		const extension = extname(originalFilename)
@@ -172,15 +174,24 @@ export class CleanGenerator {
 		const relativePath = directory.replace(assetDir.path, '').replace(/^\/+/, '')
 		const actualFolders = relativePath ? relativePath.split('/').filter(part => part) : []
 
-		// 경로 프리픽스 생성: baseAssetName-folder1-folder2-
+		// 파일명/폴더명 정규화 (Organize 단계와 같은 규칙이어야 프리픽스가 일치)
+		const sanitizeOptions = getSanitizeOptions(this.config)
+		const { name: sanitizedName, changes: sanitized } = sanitizeName(nameWithoutExt, sanitizeOptions)
 		const separatorChar = this.config.conventions?.separatorChar || '-'
-		const pathPrefix = [assetDir.name, ...actualFolders].join(separatorChar) + separatorChar
+		const caseStyle = this.config.conventions?.caseStyle || 'kebab-case'
+		const folderNames = [assetDir.name, ...actualFolders].map(folder =>
+			applyCaseStyle(sanitizeName(folder, sanitizeOptions).name, caseStyle, separatorChar)
+		)
 
-		// 파일명이 경로 프리픽스로 시작하면 제거 (한 번만)
-		let cleanedName = nameWithoutExt
-		if (cleanedName.startsWith(pathPrefix)) {
-			cleanedName = cleanedName.substring(pathPrefix.length)
-		}
+		// Organize 단계의 파일명 템플릿(conventions.namingPattern)을 역으로 적용하여 원래 이름만 남김 (한 번만)
+		const [baseAssetName, ...pathParts] = folderNames
+		const cleanedName =
+			extractNameFromPattern(
+				getNamingPattern(this.config),
+				sanitizedName,
+				{ dir: baseAssetName, path: pathParts, ext: extension.toLowerCase().slice(1) },
+				separatorChar
+			) || sanitizedName
 
 		if (cleanedName === nameWithoutExt) {
 			// 변경사항 없음
@@ -188,79 +199,15 @@ export class CleanGenerator {
 		}
 
 		const newFilename = cleanedName + extension
-		const newFilePath = join(directory, newFilename)
-
-		try {
-			await fs.rename(filePath, newFilePath)
-			console.log(chalk.green(`  ✓ ${originalFilename} → ${newFilename}`))
 
-			return {
-				assetDir: assetDir.name,
-				directory,
-				originalName: originalFilename,
-				newName: newFilename,
-				oldPath: filePath,
-				newPath: newFilePath
-			}
-		} catch (error) {
-			console.error(chalk.red(`  ✗ 파일명 변경 실패: ${originalFilename} - ${error.message}`))
-			return null
+		return {
+			assetDir: assetDir.name,
+			directory,
+			originalName: originalFilename,
+			newName: newFilename,
+			oldPath: filePath,
+			newPath: join(directory, newFilename),
+			sanitized
 		}
 	}
-
-	/**
-	 * 파일명에서 폴더명들을 제거
-	 */
-	removeFolderNamesFromFilename(filename, folderNames) {
-		let cleanedName = filename
-		const separatorChar = this.config.conventions?.separatorChar || '-'
-
-		// 정렬: 긴 것부터 처리하여 부분 매칭 방지
-		const sortedFolderNames = Array.from(folderNames).sort((a, b) => b.length - a.length)
-
-		for (const folderName of sortedFolderNames) {
-			// 전역 패턴으로 모든 인스턴스를 제거
-			const patterns = [
-				// 1. 시작 부분: "folderName-" → ""
-				new RegExp(`^${this.escapeRegex(folderName)}${this.escapeRegex(separatorChar)}`, 'g'),
-				// 2. 중간 부분: "-folderName-" → "-"
-				new RegExp(`${this.escapeRegex(separatorChar)}${this.escapeRegex(folderName)}${this.escapeRegex(separatorChar)}`, 'g'),
-				// 3. 끝 부분: "-folderName" → ""
-				new RegExp(`${this.escapeRegex(separatorChar)}${this.escapeRegex(folderName)}$`, 'g')
-			]
-
-			// 변화가 있을 때까지 반복 실행 (같은 폴더명이 여러 번 나타날 수 있음)
-			let previousName
-			do {
-				previousName = cleanedName
-
-				// 시작 패턴 제거
-				cleanedName = cleanedName.replace(patterns[0], '')
-
-				// 끝 패턴 제거
-				cleanedName = cleanedName.replace(patterns[2], '')
-
-				// 중간 패턴 제거 (구분자 하나만 남김)
-				cleanedName = cleanedName.replace(patterns[1], separatorChar)
-
-			} while (cleanedName !== previousName)
-		}
-
-		// 연속된 구분자 정리
-		const separatorPattern = new RegExp(`${this.escapeRegex(separatorChar)}{2,}`, 'g')
-		cleanedName = cleanedName.replace(separatorPattern, separatorChar)
-
-		// 앞뒤 구분자 제거
-		const trimPattern = new RegExp(`^${this.escapeRegex(separatorChar)}+|${this.escapeRegex(separatorChar)}+$`, 'g')
-		cleanedName = cleanedName.replace(trimPattern, '')
-
-		return cleanedName || 'unnamed'
-	}
-
-	/**
-	 * 정규식 특수문자 이스케이프
-	 */
-	escapeRegex(string) {
-		return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-	}
 }
\ No newline at end of file
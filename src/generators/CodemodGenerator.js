@@ -0,0 +1,204 @@
+/**
+ * 🔁 소스 참조 갱신 생성기
+ *
+ * Clean/Organize 단계의 파일명 변경 결과(oldPath/newPath)를 기반으로
+ * 애플리케이션 소스의 Asset 참조를 새 이름으로 갱신합니다
+ * - 문자열 리터럴 Asset 이름: <Asset name="...">, getAssetPath('...'), useAssetPath('...')
+ * - public 디렉토리 URL 문자열: '/icons/...', url(/icons/...)
+ */
+
+import { promises as fs } from 'fs'
+import { basename, extname, normalize } from 'path'
+import chalk from 'chalk'
+import { toPublicUrl } from '../utils/FileUtils.js'
+import { findFiles } from '../utils/GlobUtils.js'
+import { escapeRegex } from '../utils/RegexUtils.js'
+import { logger } from '../utils/Logger.js'
+
+const DEFAULT_SOURCES = ['src/**/*.{ts,tsx,js,jsx}']
+
+export class CodemodGenerator {
+	constructor(config, options = {}) {
+		this.config = config
+
+		const flagOptions = config.featureFlags?.rewriteReferences?.options || {}
+		this.sources = flagOptions.sources || DEFAULT_SOURCES
+		this.ignore = flagOptions.ignore || []
+		this.apply = options.apply ?? flagOptions.apply ?? false
+	}
+
+	/**
+	 * 소스 참조 갱신 실행
+	 * @param {object[]} renames - { oldPath, newPath } 배열 (실행 순서대로)
+	 * @returns {Promise<{changes: object[], applied: boolean}>}
+	 */
+	async generate(renames = []) {
+		logger.info(chalk.blue(`🔁 소스 참조 갱신 시작... (${this.apply ? '적용' : '미리보기'})`))
+
+		const { changes, scannedCount, skipped } = await this.computeChanges(renames)
+
+		if (skipped) {
+			logger.info(chalk.gray('  변경된 Asset 이름이 없어 건너뜁니다.'))
+			return { changes: [], applied: false }
+		}
+
+		if (this.apply) {
+			await Promise.all(changes.map((change) => fs.writeFile(change.file, change.content, 'utf8')))
+		}
+
+		this.printSummary(changes, scannedCount)
+
+		return { changes, applied: this.apply }
+	}
+
+	/**
+	 * 소스 참조 변경 내역 계산 (디스크를 변경하지 않음)
+	 * @param {object[]} renames - { oldPath, newPath } 배열
+	 * @returns {Promise<{changes: object[], scannedCount: number, skipped: boolean}>}
+	 */
+	async computeChanges(renames = []) {
+		const mappings = this.buildMappings(renames)
+
+		if (mappings.names.size === 0 && mappings.urls.size === 0) {
+			return { changes: [], scannedCount: 0, skipped: true }
+		}
+
+		// 생성된 코드 디렉토리는 항상 제외 (다음 단계에서 다시 생성됨)
+		const files = await findFiles(this.sources, {
+			ignore: [...this.ignore, this.config.fileGeneration.outputDir]
+		})
+
+		const changes = []
+		for (const file of files) {
+			const original = await fs.readFile(file, 'utf8')
+			const result = this.rewriteContent(original, mappings)
+
+			if (result.lines.length > 0) {
+				changes.push({ file, original, ...result })
+			}
+		}
+
+		return { changes, scannedCount: files.length, skipped: false }
+	}
+
+	/**
+	 * 파일명 변경 목록을 Asset 이름/URL 매핑으로 변환
+	 * Clean → Organize처럼 연쇄된 변경은 최초 경로 → 최종 경로로 합칩니다
+	 */
+	buildMappings(renames) {
+		const finalPaths = new Map() // 최초 경로 → 최종 경로
+		const origins = new Map() // 현재 경로 → 최초 경로
+
+		for (const { oldPath, newPath } of renames) {
+			const from = normalize(oldPath)
+			const to = normalize(newPath)
+			const origin = origins.get(from) ?? from
+
+			origins.delete(from)
+			origins.set(to, origin)
+			finalPaths.set(origin, to)
+		}
+
+		const names = new Map()
+		const urls = new Map()
+
+		for (const [origin, final] of finalPaths) {
+			const oldName = this.toAssetName(origin)
+			const newName = this.toAssetName(final)
+			if (oldName !== newName) {
+				names.set(oldName, newName)
+			}
+
+			const oldUrl = toPublicUrl(origin)
+			const newUrl = toPublicUrl(final)
+			if (oldUrl && newUrl && oldUrl !== newUrl) {
+				urls.set(oldUrl, newUrl)
+			}
+		}
+
+		return { names, urls }
+	}
+
+	/**
+	 * 파일 경로 → AssetName 키 (TypesGenerator와 동일한 name-extension 형식)
+	 */
+	toAssetName(filePath) {
+		const extension = extname(filePath)
+		return `${basename(filePath, extension)}-${extension.toLowerCase().slice(1)}`
+	}
+
+	/**
+	 * 소스 내용의 참조 갱신 (한 번의 치환으로 처리하여 a→b, b→c 같은 연쇄 치환 방지)
+	 * @returns {{content: string, lines: object[], count: number}}
+	 */
+	rewriteContent(content, { names, urls }) {
+		const namePattern = this.createAlternation([...names.keys()])
+		const urlPattern = this.createAlternation([...urls.keys()])
+
+		const nameRegex = namePattern && new RegExp(`(['"\`])(${namePattern})\\1`, 'g')
+		const urlRegex = urlPattern && new RegExp(`(?<=['"\`(])(${urlPattern})(?=[?#'"\`)])`, 'g')
+
+		const lines = []
+		let count = 0
+
+		const rewrittenLines = content.split('\n').map((line, index) => {
+			let after = line
+
+			if (nameRegex) {
+				after = after.replace(nameRegex, (_, quote, name) => {
+					count++
+					return `${quote}${names.get(name)}${quote}`
+				})
+			}
+
+			if (urlRegex) {
+				after = after.replace(urlRegex, (url) => {
+					count++
+					return urls.get(url)
+				})
+			}
+
+			if (after !== line) {
+				lines.push({ line: index + 1, before: line, after })
+			}
+			return after
+		})
+
+		return { content: rewrittenLines.join('\n'), lines, count }
+	}
+
+	/**
+	 * 긴 것부터 매칭되도록 정렬된 정규식 alternation 생성
+	 */
+	createAlternation(values) {
+		return values
+			.sort((a, b) => b.length - a.length)
+			.map(escapeRegex)
+			.join('|')
+	}
+
+	/**
+	 * 변경 요약 출력
+	 */
+	printSummary(changes, scannedCount) {
+		if (changes.length === 0) {
+			logger.info(chalk.green(`✅ 갱신할 참조가 없습니다 (${scannedCount}개 파일 스캔)`))
+			return
+		}
+
+		changes.forEach((change) => {
+			logger.info(chalk.blue(`\n  📝 ${change.file} (${change.count}곳)`))
+			change.lines.forEach(({ line, before, after }) => {
+				logger.info(chalk.red(`  ${String(line).padStart(5)} - ${before.trim()}`))
+				logger.info(chalk.green(`  ${String(line).padStart(5)} + ${after.trim()}`))
+			})
+		})
+
+		const total = changes.reduce((sum, change) => sum + change.count, 0)
+		if (this.apply) {
+			logger.info(chalk.green(`\n✅ 소스 참조 갱신 완료: ${changes.length}개 파일, ${total}곳 수정`))
+		} else {
+			logger.info(chalk.yellow(`\n🔍 미리보기: ${changes.length}개 파일, ${total}곳 수정 예정 (적용: --apply 또는 rewriteReferences.options.apply)`))
+		}
+	}
+}
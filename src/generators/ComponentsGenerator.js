@@ -1,16 +1,62 @@
 /**
  * ⚛️ React 컴포넌트 생성기
  *
- * Asset을 위한 완전한 React 생태계를 생성합니다
- * - Asset 컴포넌트 (discriminated union props)
- * - Custom Hooks (useAssetPath, useAssetInfo 등)
+ * Asset을 위한 완전한 React 생태계를 생성합니다 (framework: react, react-native, vue, svelte, web-component)
+ * - Asset 컴포넌트 (discriminated union props, Vue는 Asset.vue SFC, Svelte는 Asset.svelte, Web Component는 <asset-icon>)
+ * - Custom Hooks (useAssetPath, useAssetInfo 등, Vue는 composables.ts)
  * - Utility 함수들
+ * - SVG 인라인 컴포넌트 (svgMode: 'inline', Web Component는 svgMarkup.ts, React Native는 react-native-svg)
+ * - React Native Asset 소스 맵 (Metro require, @2x/@3x 해상도 변형 포함), SvgXml 레지스트리 (svgMode: 'xml')
  * - 통합 index 파일
  */
 
 import { promises as fs } from 'fs';
-import { join } from 'path';
+import { join, relative, sep } from 'path';
 import chalk from 'chalk';
+import { svgToJsx, svgToMarkup } from '../utils/SvgUtils.js';
+import { resolveAliases } from '../utils/AssetAliases.js';
+import { logger } from '../utils/Logger.js';
+import { getFramework, getNativeSvgMode } from '../utils/Frameworks.js';
+import { getDensityBasePath } from '../utils/DensityVariants.js';
+
+/**
+ * 프레임워크별 생성 파일 구성
+ * - componentExtension: Asset 컴포넌트 파일 확장자 (tsx/ts가 아니면 index에서 확장자까지 붙여 import)
+ * - hooksModule: Hooks 모듈 이름 (null이면 generateHook이어도 생성하지 않음)
+ * - inlineSvg: svgMode별로 생성하는 SVG 모듈 (없는 svgMode는 무시하고 <img>/<Image>로 렌더링)
+ * - assetSources: Asset 목록으로 생성하는 번들러 require 소스 모듈
+ */
+const FRAMEWORK_OUTPUTS = {
+  react: {
+    label: 'React',
+    componentExtension: 'tsx',
+    hooksModule: 'hooks',
+    hooksLabel: 'Hooks',
+    inlineSvg: { inline: { filename: 'svgComponents.tsx', label: 'SVG 컴포넌트' } },
+  },
+  'react-native': {
+    label: 'React Native',
+    componentExtension: 'tsx',
+    hooksModule: 'hooks',
+    hooksLabel: 'Hooks',
+    inlineSvg: {
+      inline: { filename: 'svgComponents.tsx', label: 'SVG 컴포넌트' },
+      xml: { filename: 'svgXml.ts', label: 'SVG XML 레지스트리' },
+    },
+    assetSources: { filename: 'assetSources.ts', label: 'Asset 소스 맵' },
+  },
+  vue: { label: 'Vue', componentExtension: 'vue', hooksModule: 'composables', hooksLabel: 'Composables' },
+  svelte: { label: 'Svelte', componentExtension: 'svelte', hooksModule: null },
+  'web-component': {
+    label: 'Web Component',
+    componentExtension: 'ts',
+    hooksModule: null,
+    inlineSvg: { inline: { filename: 'svgMarkup.ts', label: 'SVG 마크업' } },
+  },
+};
+
+// Web Component 태그 이름
+const CUSTOM_ELEMENT_TAG = 'asset-icon';
 
 export class ComponentsGenerator {
   constructor(config) {
@@ -33,7 +79,7 @@ export class ComponentsGenerator {
 
       switch (overwriteMode) {
         case 'skip':
-          console.log(
+          logger.info(
             chalk.yellow(`  ⚠️ ${filename} 파일이 이미 존재합니다. 건너뜁니다.`)
           );
           return true;
@@ -41,14 +87,14 @@ export class ComponentsGenerator {
         case 'backup':
           const backupPath = `${filepath}.backup`;
           await fs.copyFile(filepath, backupPath);
-          console.log(
+          logger.info(
             chalk.blue(`  📦 ${filename} 백업 생성: ${filename}.backup`)
           );
           return false;
 
         case 'overwrite':
         default:
-          console.log(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`));
+          logger.info(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`));
           return false;
       }
     } catch (error) {
@@ -57,19 +103,74 @@ export class ComponentsGenerator {
     }
   }
 
+  /**
+   * SVG 인라인 렌더링 모드 여부
+   * svgMode: 'inline'이면 SVG Asset을 React 컴포넌트(Web Component는 SVG 마크업, React Native는 react-native-svg 컴포넌트)로 변환하여
+   * <img> 대신 인라인으로 렌더링합니다 (React Native는 svgMode: 'xml'이면 SvgXml 문자열)
+   */
+  isInlineSvgMode() {
+    return Boolean(this.getInlineSvgOutput());
+  }
+
+  /**
+   * 현재 svgMode의 SVG 인라인 모듈 구성 ({ filename, label }, 지원하지 않으면 undefined)
+   */
+  getInlineSvgOutput(framework = getFramework(this.config)) {
+    const svgMode = this.config.componentGeneration?.svgMode;
+    return this.getFrameworkOutput(framework).inlineSvg?.[svgMode];
+  }
+
+  /**
+   * 프레임워크별 생성 파일 구성
+   */
+  getFrameworkOutput(framework) {
+    return FRAMEWORK_OUTPUTS[framework] || FRAMEWORK_OUTPUTS.react;
+  }
+
+  /**
+   * 프레임워크별 Asset 소스 모듈 구성 ({ filename, label }, 생성하지 않으면 undefined)
+   */
+  getAssetSourcesOutput(framework = getFramework(this.config)) {
+    return this.getFrameworkOutput(framework).assetSources;
+  }
+
+  /**
+   * 프레임워크별 Asset 컴포넌트 파일명
+   */
+  getComponentFilename(componentName, framework) {
+    return `${componentName}.${this.getFrameworkOutput(framework).componentExtension}`;
+  }
+
+  /**
+   * 프레임워크별 Hooks 파일명 (Vue는 composables, 생성하지 않는 프레임워크는 null)
+   */
+  getHooksFilename(framework) {
+    const { hooksModule } = this.getFrameworkOutput(framework);
+    return hooksModule ? `${hooksModule}.ts` : null;
+  }
+
+  /**
+   * Hooks 생성 여부 (generateHook 옵션 + 프레임워크 지원)
+   */
+  shouldGenerateHooks(framework) {
+    return Boolean(this.config.componentGeneration.generateHook && this.getHooksFilename(framework));
+  }
+
   /**
    * React 컴포넌트 생성 프로세스 실행
+   * @param {object[]|null} assetInfo - 수집된 Asset 정보 (없으면 svgMode: 'inline'일 때 직접 수집)
    */
-  async generate() {
-    console.log(chalk.blue('⚛️ 4단계: React 컴포넌트 생성 시작...'));
+  async generate(assetInfo = null) {
+    const framework = getFramework(this.config);
+    const frameworkLabel = this.getFrameworkOutput(framework).label;
+    logger.info(chalk.blue(`⚛️ 4단계: ${frameworkLabel} 컴포넌트 생성 시작...`));
 
     if (!this.config.componentGeneration?.enabled) {
-      console.log(chalk.yellow('⚠️ 컴포넌트 생성이 비활성화되어 있습니다.'));
+      logger.info(chalk.yellow('⚠️ 컴포넌트 생성이 비활성화되어 있습니다.'));
       return [];
     }
 
     const outputDir = this.config.fileGeneration.outputDir;
-    const framework = this.config.componentGeneration.framework || 'react';
 
     // 디렉토리 생성
     await fs.mkdir(outputDir, { recursive: true });
@@ -86,9 +187,9 @@ export class ComponentsGenerator {
     );
 
     // 2. Hooks 생성 (옵션)
-    if (this.config.componentGeneration.generateHook) {
+    if (this.shouldGenerateHooks(framework)) {
       tasks.push(
-        this.generateHooks(outputDir).catch((error) => ({
+        this.generateHooks(outputDir, framework).catch((error) => ({
           error,
           file: 'Hooks',
         }))
@@ -110,8 +211,28 @@ export class ComponentsGenerator {
       );
     }
 
+    // 4. SVG 인라인 컴포넌트 생성 (svgMode: 'inline')
+    if (this.isInlineSvgMode()) {
+      tasks.push(
+        this.generateSvgComponents(outputDir, assetInfo).catch((error) => ({
+          error,
+          file: this.getInlineSvgOutput().label,
+        }))
+      );
+    }
+
+    // 5. Asset 소스 맵 생성 (React Native)
+    if (this.getAssetSourcesOutput()) {
+      tasks.push(
+        this.generateAssetSources(outputDir, assetInfo).catch((error) => ({
+          error,
+          file: this.getAssetSourcesOutput().label,
+        }))
+      );
+    }
+
     // 병렬 실행
-    console.log(chalk.gray(`  🚀 ${tasks.length}개 파일 병렬 생성 중...`));
+    logger.info(chalk.gray(`  🚀 ${tasks.length}개 파일 병렬 생성 중...`));
     const results = await Promise.all(tasks);
 
     // 결과 분석
@@ -122,7 +243,7 @@ export class ComponentsGenerator {
       if (result && result.error) {
         // 에러 발생
         errors.push(result);
-        console.error(
+        logger.error(
           chalk.red(`  ✗ ${result.file} 생성 실패: ${result.error.message}`)
         );
       } else if (result) {
@@ -131,28 +252,28 @@ export class ComponentsGenerator {
       }
     });
 
-    // 4. Index 파일 생성 (다른 파일들이 생성된 후에)
+    // 6. Index 파일 생성 (다른 파일들이 생성된 후에)
     if (generatedFiles.length > 0) {
       try {
-        const indexFile = await this.generateIndex(outputDir);
+        const indexFile = await this.generateIndex(outputDir, framework);
         generatedFiles.push(indexFile);
       } catch (error) {
-        console.error(chalk.red(`  ✗ Index 파일 생성 실패: ${error.message}`));
+        logger.error(chalk.red(`  ✗ Index 파일 생성 실패: ${error.message}`));
         errors.push({ error, file: 'Index' });
       }
     }
 
     // 최종 결과 출력
     if (errors.length > 0) {
-      console.log(
+      logger.info(
         chalk.yellow(
           `⚠️ 4단계 완료: ${generatedFiles.length}개 파일 생성됨 (${errors.length}개 실패)`
         )
       );
     } else {
-      console.log(
+      logger.info(
         chalk.green(
-          `✅ 4단계 완료: React 컴포넌트 생성됨 (${generatedFiles.length}개 파일)`
+          `✅ 4단계 완료: ${frameworkLabel} 컴포넌트 생성됨 (${generatedFiles.length}개 파일)`
         )
       );
     }
@@ -160,13 +281,67 @@ export class ComponentsGenerator {
     return generatedFiles;
   }
 
+  /**
+   * 생성할 파일 내용 계산 (디스크에 쓰지 않음)
+   * generate()와 같은 파일 구성을 반환합니다
+   * @param {object[]|null} assetInfo - 수집된 Asset 정보 (dry-run의 가상 파일 목록 등)
+   * @returns {Promise<{path: string, content: string}[]>}
+   */
+  async renderFiles(assetInfo = null) {
+    if (!this.config.componentGeneration?.enabled) {
+      return [];
+    }
+
+    const outputDir = this.config.fileGeneration.outputDir;
+    const framework = getFramework(this.config);
+    const componentName =
+      this.config.componentGeneration.componentName || 'Asset';
+
+    const files = [
+      {
+        path: join(outputDir, this.getComponentFilename(componentName, framework)),
+        content: this.generateComponentCode(componentName, framework),
+      },
+    ];
+
+    if (this.shouldGenerateHooks(framework)) {
+      files.push({
+        path: join(outputDir, this.getHooksFilename(framework)),
+        content: this.generateHooksCode(framework),
+      });
+    }
+
+    if (this.config.componentGeneration.generateUtils) {
+      const { UtilsGenerator } = await import('./UtilsGenerator.js');
+      files.push(...new UtilsGenerator(this.config).renderFiles(outputDir));
+    }
+
+    if (this.isInlineSvgMode()) {
+      files.push({
+        path: join(outputDir, this.getInlineSvgOutput().filename),
+        content: await this.generateSvgComponentsCode(assetInfo ?? (await this.collectAssetInfo())),
+      });
+    }
+
+    if (this.getAssetSourcesOutput(framework)) {
+      files.push({
+        path: join(outputDir, this.getAssetSourcesOutput(framework).filename),
+        content: this.generateAssetSourcesCode(assetInfo ?? (await this.collectAssetInfo())),
+      });
+    }
+
+    files.push({ path: join(outputDir, 'index.ts'), content: this.generateIndexCode(framework) });
+
+    return files;
+  }
+
   /**
    * Asset 컴포넌트 생성
    */
   async generateAssetComponent(outputDir, framework) {
     const componentName =
       this.config.componentGeneration.componentName || 'Asset';
-    const filename = `${componentName}.tsx`;
+    const filename = this.getComponentFilename(componentName, framework);
     const filepath = join(outputDir, filename);
 
     // 파일 존재 여부 확인 및 처리
@@ -175,21 +350,31 @@ export class ComponentsGenerator {
       return filepath;
     }
 
-    let componentCode;
+    const componentCode = this.generateComponentCode(componentName, framework);
+
+    await fs.writeFile(filepath, componentCode, 'utf8');
+    logger.info(chalk.green(`  ✓ Asset 컴포넌트 생성: ${filename}`));
+
+    return filepath;
+  }
+
+  /**
+   * 프레임워크별 Asset 컴포넌트 코드 생성
+   */
+  generateComponentCode(componentName, framework) {
     switch (framework) {
       case 'react-native':
-        componentCode = this.generateReactNativeComponent(componentName);
-        break;
+        return this.generateReactNativeComponent(componentName);
+      case 'vue':
+        return this.generateVueComponent(componentName);
+      case 'svelte':
+        return this.generateSvelteComponent(componentName);
+      case 'web-component':
+        return this.generateWebComponent(componentName);
       case 'react':
       default:
-        componentCode = this.generateReactComponent(componentName);
-        break;
+        return this.generateReactComponent(componentName);
     }
-
-    await fs.writeFile(filepath, componentCode, 'utf8');
-    console.log(chalk.green(`  ✓ Asset 컴포넌트 생성: ${filename}`));
-
-    return filepath;
   }
 
   /**
@@ -197,6 +382,51 @@ export class ComponentsGenerator {
    */
   generateReactComponent(componentName) {
     const { assetNameType, assetPropsType } = this.config.typeGeneration;
+    const inlineSvg = this.isInlineSvgMode();
+
+    // svgMode: 'inline'이면 ref가 <img> 또는 <svg>를 가리킵니다
+    const refType = inlineSvg ? 'HTMLImageElement | SVGSVGElement' : 'HTMLImageElement';
+    const imgRef = inlineSvg ? 'ref as React.Ref<HTMLImageElement>' : 'ref';
+
+    const svgImport = inlineSvg
+      ? `\nimport { svgComponentMap } from './svgComponents';`
+      : '';
+
+    const svgAccessibility = inlineSvg
+      ? `
+
+    // 인라인 SVG 접근성 속성 계산
+    const svgAccessibilityProps = useMemo(() => {
+        if (decorative) {
+            return {
+                'aria-hidden': true as const,
+                focusable: 'false' as const,
+            };
+        }
+        return {
+            role: 'img' as const,
+            'aria-label': ariaLabel || alt || undefined,
+        };
+    }, [decorative, alt, ariaLabel]);`
+      : '';
+
+    const svgRendering = inlineSvg
+      ? `
+
+        // SVG 아이콘은 인라인 렌더링 (fill/stroke가 currentColor이므로 color prop 적용)
+        const SvgComponent = svgComponentMap[name];
+        if (SvgComponent) {
+            return (
+                <SvgComponent
+                    ref={ref as React.Ref<SVGSVGElement>}
+                    {...svgAccessibilityProps}
+                    className={\`asset asset-\${assetInfo.type} asset-\${assetInfo.category} \${className || ''}\`}
+                    style={commonStyle}
+                    {...dimensionProps}
+                />
+            );
+        }`
+      : '';
 
     return `'use client';
 
@@ -209,7 +439,7 @@ export class ComponentsGenerator {
 
 import React, { forwardRef, useMemo } from 'react';
 import { ${assetPropsType}, ${assetNameType}, AssetInfo, assetPathMap } from './types';
-import { getAssetPath, getSizeStyle, getAssetColor, createCommonStyle, createErrorElement } from './utils';
+import { getAssetPath, getSizeStyle, getAssetColor, createCommonStyle, createErrorElement } from './utils';${svgImport}
 
 /**
  * 범용 Asset 컴포넌트
@@ -230,11 +460,17 @@ import { getAssetPath, getSizeStyle, getAssetColor, createCommonStyle, createErr
  * // ref 사용
  * <Asset ref={myRef} type="icon" name="dance-race-car-png" size="lg" />
  */
-export const ${componentName} = forwardRef<HTMLImageElement, ${assetPropsType}>(function ${componentName}Component(props, ref) {
+export const ${componentName} = forwardRef<${refType}, ${assetPropsType}>(function ${componentName}Component(props, ref) {
     const { size, color, className, style, 'aria-label': ariaLabel, alt, fallback, ratio, decorative } = props;
 
+    // Asset 고유 크기 (이미지 헤더 / SVG viewBox에서 추출)
+    const intrinsicInfo = props.type === 'icon' ? assetPathMap[props.name] : undefined;
+
     // 사이즈 스타일 계산
-    const sizeStyle = useMemo(() => getSizeStyle(size, ratio, style), [size, ratio, style]);
+    const sizeStyle = useMemo(
+        () => getSizeStyle(size, ratio, style, intrinsicInfo?.aspectRatio),
+        [size, ratio, style, intrinsicInfo]
+    );
 
     // 색상 계산
     const actualColor = useMemo(() => getAssetColor(color), [color]);
@@ -244,8 +480,14 @@ export const ${componentName} = forwardRef<HTMLImageElement, ${assetPropsType}>(
         const props: { width?: number; height?: number } = {};
         if (typeof sizeStyle.width === 'number') props.width = sizeStyle.width;
         if (typeof sizeStyle.height === 'number') props.height = sizeStyle.height;
+
+        // 크기가 지정되지 않으면 고유 크기로 공간 예약
+        if (props.width === undefined && props.height === undefined && intrinsicInfo?.width && intrinsicInfo?.height) {
+            props.width = intrinsicInfo.width;
+            props.height = intrinsicInfo.height;
+        }
         return props;
-    }, [sizeStyle]);
+    }, [sizeStyle, intrinsicInfo]);
 
     // 접근성 속성 계산
     const accessibilityProps = useMemo(() => {
@@ -260,7 +502,7 @@ export const ${componentName} = forwardRef<HTMLImageElement, ${assetPropsType}>(
             alt: alt || ariaLabel || undefined,
             'aria-label': ariaLabel,
         };
-    }, [decorative, alt, ariaLabel]);
+    }, [decorative, alt, ariaLabel]);${svgAccessibility}
 
     if (props.type === 'icon') {
         const { name } = props;
@@ -277,12 +519,12 @@ export const ${componentName} = forwardRef<HTMLImageElement, ${assetPropsType}>(
         const assetPath = getAssetPath(name);
 
         // 최종 스타일
-        const commonStyle = createCommonStyle(sizeStyle, actualColor, style);
+        const commonStyle = createCommonStyle(sizeStyle, actualColor, style);${svgRendering}
 
         // 기존 Asset 렌더링
         return (
             <img
-                ref={ref}
+                ref={${imgRef}}
                 src={assetPath}
                 {...accessibilityProps}
                 className={\`asset asset-\${assetInfo.type} asset-\${assetInfo.category} \${assetInfo.category && \`asset-\${assetInfo.category}\`} \${className || ''}\`}
@@ -301,7 +543,7 @@ export const ${componentName} = forwardRef<HTMLImageElement, ${assetPropsType}>(
         // URL 이미지 렌더링
         return (
             <img
-                ref={ref}
+                ref={${imgRef}}
                 src={src}
                 {...accessibilityProps}
                 className={\`asset asset-url \${className || ''}\`}
@@ -323,7 +565,46 @@ export default ${componentName};`;
    * React Native 컴포넌트 코드 생성
    */
   generateReactNativeComponent(componentName) {
-    const { assetNameType, assetPropsType } = this.config.typeGeneration;
+    const { assetPropsType } = this.config.typeGeneration;
+    const nativeSvgMode = this.isInlineSvgMode() ? getNativeSvgMode(this.config) : null;
+
+    const svgImport = {
+      inline: `\nimport { svgComponentMap } from './svgComponents'`,
+      xml: `\nimport { SvgXml } from 'react-native-svg'\nimport { svgXmlMap } from './svgXml'`,
+    }[nativeSvgMode] ?? '';
+
+    const svgElement = {
+      inline: `const SvgComponent = svgComponentMap[props.name]
+    if (SvgComponent) {
+      return <SvgComponent {...svgProps} />
+    }`,
+      xml: `const xml = svgXmlMap[props.name]
+    if (xml) {
+      return <SvgXml xml={xml} {...svgProps} />
+    }`,
+    }[nativeSvgMode];
+
+    const svgRendering = svgElement
+      ? `
+
+  // SVG 아이콘은 react-native-svg로 렌더링 (fill/stroke가 currentColor이므로 color prop 적용)
+  if (props.type === 'icon') {
+    const svgProps = {
+      ...dimensions,
+      color: getAssetColor(color),
+      style: [sizeStyle, style],
+      ...accessibilityProps,
+    }
+    ${svgElement}
+  }`
+      : '';
+
+    const colorExample = nativeSvgMode
+      ? `
+ * // SVG 아이콘 (color는 SVG에만 적용)
+ * <${componentName} type="icon" name="icons-home-svg" size="md" color="primary" />
+ *`
+      : '';
 
     return `/**
  * 🎨 Asset 컴포넌트 (React Native)
@@ -333,114 +614,1016 @@ export default ${componentName};`;
  */
 
 import React from 'react'
-import { Image, ImageStyle, StyleProp } from 'react-native'
-import { ${assetPropsType}, ${assetNameType}, SizeType, ColorType, assetPathMap, sizeMapping, colorMapping } from './types'
+import { Image } from 'react-native'
+import { ${assetPropsType}, assetPathMap } from './types'
+import { assetSourceMap } from './assetSources'
+import { getSizeStyle${nativeSvgMode ? ', getAssetColor' : ''} } from './utils'${svgImport}
 
 /**
- * Asset을 렌더링하는 메인 컴포넌트
+ * 범용 Asset 컴포넌트
+ *
+ * @example
+ * // 번들 이미지 (@2x/@3x는 Metro가 기기 해상도에 맞춰 선택)
+ * <${componentName} type="icon" name="icons-star-png" size="md" />
+ *${colorExample}
+ * // URL 이미지 (네트워크 이미지는 크기를 지정해야 합니다)
+ * <${componentName} type="url" src="https://example.com/banner.png" size={{ width: 320, height: 160 }} />
  */
 export default function ${componentName}(props: ${assetPropsType}) {
-  // 공통 size 계산
-  const calculatedSize = calculateSize(props.size)
+  const { size, ${nativeSvgMode ? 'color, ' : ''}style, 'aria-label': ariaLabel, alt, fallback, ratio, decorative } = props
+
+  // Asset 고유 크기 (논리 크기, 이미지 헤더 / SVG viewBox에서 추출)
+  const assetInfo = props.type === 'icon' ? assetPathMap[props.name] : undefined
+
+  // 사이즈 스타일 계산 (크기를 지정하지 않으면 고유 크기)
+  const sizeStyle =
+    size === undefined && ratio === undefined && assetInfo?.width && assetInfo?.height
+      ? { width: assetInfo.width, height: assetInfo.height }
+      : getSizeStyle(size, ratio, undefined, assetInfo?.aspectRatio)
+
+  // width/height 속성 (숫자 크기만)
+  const dimensions: { width?: number; height?: number } = {}
+  if (typeof sizeStyle.width === 'number') dimensions.width = sizeStyle.width
+  if (typeof sizeStyle.height === 'number') dimensions.height = sizeStyle.height
+
+  // 접근성 속성 계산
+  const accessibilityProps = decorative
+    ? {
+        accessible: false,
+        accessibilityElementsHidden: true,
+        importantForAccessibility: 'no-hide-descendants' as const,
+      }
+    : {
+        accessible: true,
+        accessibilityRole: 'image' as const,
+        accessibilityLabel: ariaLabel || alt,
+      }${svgRendering}
+
+  const source = props.type === 'icon' ? assetSourceMap[props.name] : { uri: props.src }
+
+  if (!source) {
+    console.warn(
+      assetInfo
+        ? \`Asset "\${assetInfo.filename}" cannot be rendered by <Image> (\${assetInfo.extension})\`
+        : \`Asset "\${props.type === 'icon' ? props.name : ''}" not found in assetPathMap\`
+    )
+    return <>{fallback ?? null}</>
+  }
 
-  if (props.type === 'icon') {
-    return renderIcon(props, calculatedSize)
-  } else if (props.type === 'image') {
-    return renderImage(props, calculatedSize)
-  } else {
-    return renderUrl(props, calculatedSize)
+  return <Image source={source} style={[sizeStyle, style]} {...accessibilityProps} />
+}`;
   }
-}
 
+  /**
+   * Vue 3 컴포넌트 코드 생성 (<script setup> SFC)
+   * class/style/aria-label은 속성 상속으로 <img>에 전달하고, fallback은 슬롯으로 받습니다
+   */
+  generateVueComponent(componentName) {
+    const { assetPropsType } = this.config.typeGeneration;
+
+    return `<script setup lang="ts">
 /**
- * 아이콘 렌더링
+ * 🎨 범용 Asset 컴포넌트 (Vue)
+ *
+ * Asset CodeGen에 의해 자동 생성된 Vue 3 컴포넌트 (Vue 3.3 이상)
+ * 모든 Asset을 type-safe하게 사용할 수 있습니다
+ *
+ * @example
+ * <${componentName} type="icon" name="icons-home-svg" size="md" />
+ * <${componentName} type="url" src="/path/to/image.png" :size="32" />
+ * <${componentName} type="icon" name="icons-home-svg" size="lg" color="primary" class="my-icon">
+ *   <template #fallback>대체 콘텐츠</template>
+ * </${componentName}>
  */
-function renderIcon(props: Extract<${assetPropsType}, { type: 'icon' }>, size: number) {
-  const assetInfo = assetPathMap[props.name]
+import { computed, useAttrs, watchEffect, type CSSProperties } from 'vue'
+import { type ${assetPropsType}, assetPathMap } from './types'
+import { getAssetPath, getSizeStyle, getAssetColor, createCommonStyle } from './utils'
 
-  const source = { uri: assetInfo.path }
+defineOptions({ name: '${componentName}', inheritAttrs: false })
 
-  const style: StyleProp<ImageStyle> = [
-    {
-      width: size,
-      height: size,
-      tintColor: calculateColor(props.color),
-    },
-    props.style,
-  ]
+const props = defineProps<${assetPropsType}>()
+
+defineSlots<{
+    /** Asset을 찾을 수 없을 때 렌더링할 내용 */
+    fallback?: () => unknown
+}>()
+
+const attrs = useAttrs()
+
+// Asset 정보 (고유 크기 포함)
+const assetInfo = computed(() => (props.type === 'icon' ? assetPathMap[props.name] : undefined))
 
-  return <Image source={source} style={style} />
+const src = computed(() => {
+    if (props.type === 'url') return props.src
+    return assetInfo.value ? getAssetPath(props.name) : undefined
+})
+
+watchEffect(() => {
+    if (props.type === 'icon' && !assetInfo.value) {
+        console.warn(\`Asset "\${props.name}" not found in assetPathMap\`)
+    }
+})
+
+// 사이즈 스타일 계산 (style 속성이 객체이면 ratio 계산에 사용)
+const sizeStyle = computed(() =>
+    getSizeStyle(
+        props.size,
+        props.ratio,
+        typeof attrs.style === 'object' ? (attrs.style as CSSProperties) : undefined,
+        assetInfo.value?.aspectRatio
+    )
+)
+
+// Vue는 숫자 스타일 값에 px를 붙이지 않으므로 직접 변환
+const pixelSizeStyle = computed<CSSProperties>(() => ({
+    width: toCssSize(sizeStyle.value.width),
+    height: toCssSize(sizeStyle.value.height),
+}))
+
+// 최종 스타일 (style 속성은 속성 상속으로 뒤에 병합되어 우선 적용)
+const commonStyle = computed(() => createCommonStyle(pixelSizeStyle.value, getAssetColor(props.color)))
+
+// width/height 속성 (레이아웃 시프트 방지)
+const dimensionAttrs = computed(() => {
+    const dimensions: { width?: number; height?: number } = {}
+    if (typeof sizeStyle.value.width === 'number') dimensions.width = sizeStyle.value.width
+    if (typeof sizeStyle.value.height === 'number') dimensions.height = sizeStyle.value.height
+
+    // 크기가 지정되지 않으면 고유 크기로 공간 예약
+    const info = assetInfo.value
+    if (dimensions.width === undefined && dimensions.height === undefined && info?.width && info?.height) {
+        dimensions.width = info.width
+        dimensions.height = info.height
+    }
+    return dimensions
+})
+
+// 접근성 속성 계산
+const accessibilityAttrs = computed(() => {
+    if (props.decorative) {
+        return { alt: '', 'aria-hidden': true as const, role: 'presentation' }
+    }
+    return { alt: props.alt || (attrs['aria-label'] as string | undefined) || undefined }
+})
+
+const assetClass = computed(() =>
+    assetInfo.value ? ['asset', \`asset-\${assetInfo.value.type}\`, \`asset-\${assetInfo.value.category}\`] : ['asset', 'asset-url']
+)
+
+// 미발견 표시 스타일
+const notFoundStyle = computed<CSSProperties>(() => ({
+    ...pixelSizeStyle.value,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: '#f8f9fa',
+    border: '1px dashed #dee2e6',
+    borderRadius: '4px',
+    fontSize: '12px',
+    color: '#6c757d',
+}))
+
+function toCssSize(value: CSSProperties['width']) {
+    return typeof value === 'number' ? \`\${value}px\` : value
 }
+</script>
+
+<template>
+    <img
+        v-if="src"
+        :src="src"
+        :class="assetClass"
+        :style="commonStyle"
+        v-bind="{ ...accessibilityAttrs, ...dimensionAttrs, ...$attrs }"
+    />
+    <slot v-else name="fallback">
+        <div class="asset-not-found" :style="notFoundStyle" v-bind="$attrs">❓ {{ props.type === 'icon' ? props.name : '' }}</div>
+    </slot>
+</template>
+`;
+  }
+
+  /**
+   * Svelte 컴포넌트 코드 생성 (Svelte 5 runes)
+   * fallback은 snippet으로 받습니다
+   */
+  generateSvelteComponent(componentName) {
+    const { assetPropsType } = this.config.typeGeneration;
+
+    return `<script lang="ts">
+    /**
+     * 🎨 범용 Asset 컴포넌트 (Svelte)
+     *
+     * Asset CodeGen에 의해 자동 생성된 Svelte 5 컴포넌트
+     * 모든 Asset을 type-safe하게 사용할 수 있습니다
+     *
+     * @example
+     * <${componentName} type="icon" name="icons-home-svg" size="md" />
+     * <${componentName} type="url" src="/path/to/image.png" size={32} />
+     * <${componentName} type="icon" name="icons-home-svg" size="lg" color="primary" class="my-icon">
+     *     {#snippet fallback()}대체 콘텐츠{/snippet}
+     * </${componentName}>
+     */
+    import { type ${assetPropsType}, assetPathMap } from './types'
+    import { type AssetStyle, getAssetPath, getSizeStyle, getAssetColor, createCommonStyle } from './utils'
+
+    const props: ${assetPropsType} = $props()
+
+    // Asset 정보 (고유 크기 포함)
+    const assetInfo = $derived(props.type === 'icon' ? assetPathMap[props.name] : undefined)
+
+    const src = $derived(props.type === 'url' ? props.src : assetInfo ? getAssetPath(props.name) : undefined)
+
+    $effect(() => {
+        if (props.type === 'icon' && !assetInfo) {
+            console.warn(\`Asset "\${props.name}" not found in assetPathMap\`)
+        }
+    })
+
+    // 사이즈 스타일 계산
+    const sizeStyle = $derived(getSizeStyle(props.size, props.ratio, undefined, assetInfo?.aspectRatio))
+
+    // 최종 스타일 (style 속성을 뒤에 붙여 우선 적용)
+    const style = $derived(joinStyles(createCommonStyle(sizeStyle, getAssetColor(props.color)), props.style))
+
+    // width/height 속성 (레이아웃 시프트 방지)
+    const dimensionAttrs = $derived.by(() => {
+        const dimensions: { width?: number; height?: number } = {}
+        if (typeof sizeStyle.width === 'number') dimensions.width = sizeStyle.width
+        if (typeof sizeStyle.height === 'number') dimensions.height = sizeStyle.height
+
+        // 크기가 지정되지 않으면 고유 크기로 공간 예약
+        if (dimensions.width === undefined && dimensions.height === undefined && assetInfo?.width && assetInfo?.height) {
+            dimensions.width = assetInfo.width
+            dimensions.height = assetInfo.height
+        }
+        return dimensions
+    })
+
+    // 접근성 속성 계산
+    const accessibilityAttrs = $derived(
+        props.decorative
+            ? { alt: '', 'aria-hidden': true as const, role: 'presentation' }
+            : { alt: props.alt || props['aria-label'] || undefined, 'aria-label': props['aria-label'] }
+    )
+
+    const assetClass = $derived(
+        assetInfo ? \`asset asset-\${assetInfo.type} asset-\${assetInfo.category}\` : 'asset asset-url'
+    )
+
+    // 미발견 표시 스타일
+    const notFoundStyle = $derived(
+        joinStyles({
+            ...sizeStyle,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            background: '#f8f9fa',
+            border: '1px dashed #dee2e6',
+            borderRadius: '4px',
+            fontSize: '12px',
+            color: '#6c757d',
+        }, props.style)
+    )
+
+    /**
+     * 스타일 객체 → style 문자열 (숫자 크기는 px)
+     */
+    function joinStyles(styleObject: AssetStyle, inlineStyle?: string): string {
+        const declarations = Object.entries(styleObject)
+            .filter(([, value]) => value !== undefined && value !== '')
+            .map(([key, value]) => {
+                const property = key.replace(/[A-Z]/g, (char) => \`-\${char.toLowerCase()}\`)
+                return \`\${property}: \${typeof value === 'number' ? \`\${value}px\` : value}\`
+            })
+
+        return [...declarations, inlineStyle].filter(Boolean).join('; ')
+    }
+</script>
+
+{#if src}
+    <img {src} class="{assetClass} {props.class ?? ''}" {style} {...accessibilityAttrs} {...dimensionAttrs} />
+{:else if props.fallback}
+    {@render props.fallback()}
+{:else}
+    <div class="asset-not-found {props.class ?? ''}" style={notFoundStyle}>❓ {props.type === 'icon' ? props.name : ''}</div>
+{/if}
+`;
+  }
+
+  /**
+   * Web Component(커스텀 엘리먼트) 코드 생성
+   * 속성 ↔ 프로퍼티를 반영(reflect)하고 Shadow DOM에 <img> 또는 인라인 <svg>를 렌더링합니다
+   */
+  generateWebComponent(componentName) {
+    const { assetNameType } = this.config.typeGeneration;
+    const inlineSvg = this.isInlineSvgMode();
+    const elementClass = `${componentName}Element`;
+
+    const svgImport = inlineSvg ? `\nimport { svgMarkupMap } from './svgMarkup'` : '';
+
+    const svgRendering = inlineSvg
+      ? `
+
+        // SVG 아이콘은 인라인 렌더링 (fill/stroke가 currentColor이므로 color 속성 적용)
+        const svgMarkup = name ? svgMarkupMap[name] : undefined
+        if (svgMarkup && assetInfo) {
+            const template = document.createElement('template')
+            template.innerHTML = svgMarkup
+            const svg = template.content.firstElementChild as SVGSVGElement
+            svg.setAttribute('class', \`asset asset-\${assetInfo.type} asset-\${assetInfo.category}\`)
+            svg.setAttribute('part', 'asset')
+            if (this.decorative) {
+                svg.setAttribute('aria-hidden', 'true')
+                svg.setAttribute('focusable', 'false')
+            } else {
+                svg.setAttribute('role', 'img')
+                setOptionalAttribute(svg, 'aria-label', ariaLabel || alt)
+            }
+            applyDimensions(svg, dimensions)
+            applyStyle(svg, commonStyle)
+            root.replaceChildren(style, svg)
+            return
+        }`
+      : '';
+
+    return `/**
+ * 🎨 범용 Asset 커스텀 엘리먼트 (Web Component)
+ *
+ * Asset CodeGen에 의해 자동 생성된 프레임워크 독립 <${CUSTOM_ELEMENT_TAG}> 엘리먼트
+ * 이 모듈을 불러오면 엘리먼트가 등록되어 서버 렌더링 템플릿에서도 바로 사용할 수 있습니다
+ *
+ * @example
+ * <${CUSTOM_ELEMENT_TAG} name="icons-home-svg" size="md" color="primary"></${CUSTOM_ELEMENT_TAG}>
+ * <${CUSTOM_ELEMENT_TAG} src="/path/to/image.png" size="32" alt="배너"></${CUSTOM_ELEMENT_TAG}>
+ * <${CUSTOM_ELEMENT_TAG} name="icons-user-svg">대체 콘텐츠</${CUSTOM_ELEMENT_TAG}>
+ *
+ * const icon = document.createElement('${CUSTOM_ELEMENT_TAG}')
+ * icon.name = 'icons-home-svg' // AssetName으로 타입 검사
+ */
+
+import type { ${assetNameType}, AssetColor, SizeType } from './types'
+import { assetPathMap } from './types'
+import { type AssetStyle, getAssetPath, getSizeStyle, getAssetColor, createCommonStyle } from './utils'${svgImport}
 
 /**
- * 이미지 렌더링
+ * size 속성 (사이즈 이름 또는 px 숫자)
  */
-function renderImage(props: Extract<${assetPropsType}, { type: 'image' }>, size: number) {
-  const assetInfo = assetPathMap[props.name]
-  const source = { uri: assetInfo.path }
-
-  const style: StyleProp<ImageStyle> = [
-    {
-      width: size,
-      height: size,
-    },
-    props.style,
-  ]
+export type AssetElementSize = SizeType | number
+
+/**
+ * <${CUSTOM_ELEMENT_TAG}> 속성 (JSX/템플릿 타입 검사용)
+ */
+export interface AssetElementAttributes {
+    name?: ${assetNameType}
+    src?: string
+    size?: AssetElementSize
+    color?: AssetColor
+    alt?: string
+    'aria-label'?: string
+    ratio?: number
+    decorative?: boolean
+    id?: string
+    class?: string
+    className?: string
+    slot?: string
+    hidden?: boolean
+    children?: unknown
+}
 
-  return <Image source={source} style={style} />
+const OBSERVED_ATTRIBUTES = ['name', 'src', 'size', 'color', 'alt', 'aria-label', 'ratio', 'decorative']
+
+// 업그레이드 전에 설정된 프로퍼티를 다시 반영할 목록
+const REFLECTED_PROPERTIES = ['name', 'src', 'size', 'color', 'alt', 'ratio', 'decorative'] as const
+
+const SHADOW_STYLE = \`
+:host { display: inline-block; line-height: 0; vertical-align: middle; }
+:host([hidden]) { display: none; }
+.asset { display: block; }
+.asset-not-found {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: #f8f9fa;
+    border: 1px dashed #dee2e6;
+    border-radius: 4px;
+    font-size: 12px;
+    line-height: normal;
+    color: #6c757d;
 }
+\`
+
+// 서버 환경(SSR 번들)에서 import해도 오류가 나지 않도록 HTMLElement가 없으면 빈 클래스를 상속
+const BaseElement = (typeof HTMLElement === 'undefined' ? class {} : HTMLElement) as typeof HTMLElement
 
 /**
- * URL 기반 이미지 렌더링
+ * 범용 Asset 커스텀 엘리먼트
+ * 속성과 프로퍼티는 서로 반영되며, 값이 바뀌면 다시 렌더링합니다
  */
-function renderUrl(props: Extract<${assetPropsType}, { type: 'url' }>, size: number) {
-  const source = { uri: props.src }
+export class ${elementClass} extends BaseElement {
+    static get observedAttributes(): string[] {
+        return OBSERVED_ATTRIBUTES
+    }
 
-  const style: StyleProp<ImageStyle> = [
-    {
-      width: size,
-      height: size,
-    },
-    props.style,
-  ]
+    connectedCallback(): void {
+        for (const property of REFLECTED_PROPERTIES) {
+            this.upgradeProperty(property)
+        }
+        this.render()
+    }
+
+    attributeChangedCallback(): void {
+        if (this.isConnected) {
+            this.render()
+        }
+    }
+
+    /** Asset 이름 (name 속성) */
+    get name(): ${assetNameType} | null {
+        return this.getAttribute('name') as ${assetNameType} | null
+    }
+    set name(value: ${assetNameType} | null) {
+        this.reflectAttribute('name', value)
+    }
+
+    /** 이미지 URL (src 속성, name 대신 사용) */
+    get src(): string | null {
+        return this.getAttribute('src')
+    }
+    set src(value: string | null) {
+        this.reflectAttribute('src', value)
+    }
+
+    /** 사이즈 (size 속성, 숫자는 px) */
+    get size(): AssetElementSize | undefined {
+        const value = this.getAttribute('size')
+        if (!value) return undefined
+        return /^\\d+(\\.\\d+)?$/.test(value) ? Number(value) : (value as SizeType)
+    }
+    set size(value: AssetElementSize | undefined) {
+        this.reflectAttribute('size', value)
+    }
+
+    /** 색상 (color 속성, colorMap 이름 또는 CSS 색상) */
+    get color(): AssetColor | null {
+        return this.getAttribute('color')
+    }
+    set color(value: AssetColor | null) {
+        this.reflectAttribute('color', value)
+    }
+
+    /** 대체 텍스트 (alt 속성) */
+    get alt(): string | null {
+        return this.getAttribute('alt')
+    }
+    set alt(value: string | null) {
+        this.reflectAttribute('alt', value)
+    }
+
+    /** 비율 (ratio 속성, 1이면 정사각형) */
+    get ratio(): number | undefined {
+        const value = Number.parseFloat(this.getAttribute('ratio') ?? '')
+        return Number.isNaN(value) ? undefined : value
+    }
+    set ratio(value: number | undefined) {
+        this.reflectAttribute('ratio', value)
+    }
+
+    /** 장식용 여부 (decorative 불리언 속성) */
+    get decorative(): boolean {
+        return this.hasAttribute('decorative')
+    }
+    set decorative(value: boolean) {
+        this.toggleAttribute('decorative', Boolean(value))
+    }
+
+    private reflectAttribute(attribute: string, value: string | number | null | undefined): void {
+        if (value === null || value === undefined) {
+            this.removeAttribute(attribute)
+        } else {
+            this.setAttribute(attribute, String(value))
+        }
+    }
+
+    private upgradeProperty(property: (typeof REFLECTED_PROPERTIES)[number]): void {
+        if (Object.prototype.hasOwnProperty.call(this, property)) {
+            const value = (this as Record<string, unknown>)[property]
+            delete (this as Record<string, unknown>)[property]
+            ;(this as Record<string, unknown>)[property] = value
+        }
+    }
+
+    private render(): void {
+        const root = this.shadowRoot ?? this.attachShadow({ mode: 'open' })
+        const style = document.createElement('style')
+        style.textContent = SHADOW_STYLE
+
+        const { name, alt } = this
+        const ariaLabel = this.getAttribute('aria-label')
+        const assetInfo = name ? assetPathMap[name] : undefined
+
+        // 사이즈/색상 스타일 계산
+        const sizeStyle = getSizeStyle(this.size, this.ratio, undefined, assetInfo?.aspectRatio)
+        const commonStyle = createCommonStyle(sizeStyle, getAssetColor(this.color ?? undefined))
+
+        // width/height 속성 (레이아웃 시프트 방지, 크기가 없으면 고유 크기로 공간 예약)
+        const dimensions: { width?: number; height?: number } = {}
+        if (typeof sizeStyle.width === 'number') dimensions.width = sizeStyle.width
+        if (typeof sizeStyle.height === 'number') dimensions.height = sizeStyle.height
+        if (dimensions.width === undefined && dimensions.height === undefined && assetInfo?.width && assetInfo?.height) {
+            dimensions.width = assetInfo.width
+            dimensions.height = assetInfo.height
+        }
+
+        const src = this.src ?? (name && assetInfo ? getAssetPath(name) : null)
+
+        if (!src) {
+            // 미발견 시 자식 콘텐츠(slot)를 대체 콘텐츠로 표시
+            const slot = document.createElement('slot')
+            if (name) {
+                console.warn(\`Asset "\${name}" not found in assetPathMap\`)
+                const notFound = document.createElement('span')
+                notFound.className = 'asset-not-found'
+                notFound.textContent = \`❓ \${name}\`
+                applyStyle(notFound, sizeStyle)
+                slot.append(notFound)
+            }
+            root.replaceChildren(style, slot)
+            return
+        }${svgRendering}
+
+        const image = document.createElement('img')
+        image.src = src
+        image.className = assetInfo ? \`asset asset-\${assetInfo.type} asset-\${assetInfo.category}\` : 'asset asset-url'
+        image.setAttribute('part', 'asset')
+        if (this.decorative) {
+            image.alt = ''
+            image.setAttribute('aria-hidden', 'true')
+            image.setAttribute('role', 'presentation')
+        } else {
+            setOptionalAttribute(image, 'alt', alt || ariaLabel)
+            setOptionalAttribute(image, 'aria-label', ariaLabel)
+        }
+        applyDimensions(image, dimensions)
+        applyStyle(image, commonStyle)
+        root.replaceChildren(style, image)
+    }
+}
+
+/**
+ * 스타일 객체를 엘리먼트에 적용 (숫자는 px)
+ */
+function applyStyle(element: HTMLElement | SVGElement, style: AssetStyle): void {
+    for (const [property, value] of Object.entries(style)) {
+        if (value === undefined) continue
+        const cssProperty = property.replace(/[A-Z]/g, (char) => \`-\${char.toLowerCase()}\`)
+        element.style.setProperty(cssProperty, typeof value === 'number' ? \`\${value}px\` : value)
+    }
+}
+
+function applyDimensions(element: Element, dimensions: { width?: number; height?: number }): void {
+    if (dimensions.width !== undefined) element.setAttribute('width', String(dimensions.width))
+    if (dimensions.height !== undefined) element.setAttribute('height', String(dimensions.height))
+}
+
+function setOptionalAttribute(element: Element, attribute: string, value: string | null | undefined): void {
+    if (value) element.setAttribute(attribute, value)
+}
 
-  return <Image source={source} style={style} />
+// 엘리먼트 등록 (브라우저에서 한 번만)
+if (typeof customElements !== 'undefined' && !customElements.get('${CUSTOM_ELEMENT_TAG}')) {
+    customElements.define('${CUSTOM_ELEMENT_TAG}', ${elementClass})
 }
 
+declare global {
+    interface HTMLElementTagNameMap {
+        '${CUSTOM_ELEMENT_TAG}': ${elementClass}
+    }
+
+    // JSX에서 <${CUSTOM_ELEMENT_TAG}> 속성 타입 검사 (전역 JSX 네임스페이스를 사용하는 환경)
+    namespace JSX {
+        interface IntrinsicElements {
+            '${CUSTOM_ELEMENT_TAG}': AssetElementAttributes
+        }
+    }
+}
+
+export default ${elementClass}
+`;
+  }
+
+  /**
+   * SVG 컴포넌트 생성용 Asset 정보 수집
+   */
+  async collectAssetInfo() {
+    const { TypesGenerator } = await import('./TypesGenerator.js');
+    const typesGenerator = new TypesGenerator(this.config);
+    const enabledDirectories = this.config.assetDirectories.filter((dir) => dir.enabled);
+
+    const results = await Promise.all(
+      enabledDirectories.map((assetDir) => typesGenerator.collectAssetsFromDirectory(assetDir))
+    );
+    return results.flat();
+  }
+
+  /**
+   * SVG 인라인 컴포넌트 파일 생성
+   */
+  async generateSvgComponents(outputDir, assetInfo = null) {
+    const { filename, label } = this.getInlineSvgOutput();
+    const filepath = join(outputDir, filename);
+
+    // 파일 존재 여부 확인 및 처리
+    const shouldSkip = await this.handleFileOverwrite(filepath, filename);
+    if (shouldSkip) {
+      return filepath;
+    }
+
+    const svgCode = await this.generateSvgComponentsCode(
+      assetInfo ?? (await this.collectAssetInfo())
+    );
+
+    await fs.writeFile(filepath, svgCode, 'utf8');
+    logger.info(chalk.green(`  ✓ ${label} 생성: ${filename}`));
+
+    return filepath;
+  }
+
+  /**
+   * SVG 인라인 컴포넌트 코드 생성
+   * 각 SVG Asset을 forwardRef 컴포넌트로 변환하고 Asset 이름 → 컴포넌트 맵을 export합니다
+   * 파싱할 수 없는 SVG는 맵에서 제외되어 <img>로 렌더링됩니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   */
+  async generateSvgComponentsCode(assetInfo) {
+    switch (getFramework(this.config)) {
+      case 'web-component':
+        return this.generateSvgMarkupCode(assetInfo);
+      case 'react-native':
+        return getNativeSvgMode(this.config) === 'xml'
+          ? this.generateSvgXmlCode(assetInfo)
+          : this.generateNativeSvgComponentsCode(assetInfo);
+    }
+
+    const { assetNameType } = this.config.typeGeneration;
+    const svgAssets = assetInfo.filter((asset) => asset.extension === 'svg');
+
+    const usedNames = new Set();
+    const componentNames = new Map(); // Asset 키 → 컴포넌트 이름
+    const components = [];
+    const mapEntries = [];
+
+    for (const asset of svgAssets) {
+      const assetKey = `${asset.name}-${asset.extension}`;
+
+      let jsx;
+      try {
+        // dry-run에서는 가상 경로(fullPath) 대신 계획된 내용(content) 또는 실제 파일 경로(sourcePath)를 읽습니다
+        const content =
+          asset.content ?? (await fs.readFile(asset.sourcePath || asset.fullPath, 'utf8'));
+        jsx = svgToJsx(content, { depth: 3, idPrefix: assetKey });
+      } catch (error) {
+        logger.warn(
+          chalk.yellow(`  ⚠️ ${asset.filename} SVG 변환 실패 (<img>로 렌더링): ${error.message}`)
+        );
+        continue;
+      }
+
+      const componentName = this.toSvgComponentName(assetKey, usedNames);
+      const viewBoxAttribute = jsx.viewBox ? ` viewBox="${jsx.viewBox}"` : '';
+      const rootAttributes = jsx.attributes ? ` ${jsx.attributes}` : '';
+      const children = jsx.children ? `\n${jsx.children}\n        ` : '';
+
+      components.push(`/** ${asset.path} */
+export const ${componentName}: SvgComponent = forwardRef<SVGSVGElement, SvgComponentProps>(function ${componentName}(props, ref) {
+    return (
+        <svg ref={ref} xmlns="http://www.w3.org/2000/svg"${viewBoxAttribute}${rootAttributes} {...props}>${children}</svg>
+    );
+});`);
+      mapEntries.push(`    '${assetKey}': ${componentName},`);
+      componentNames.set(assetKey, componentName);
+    }
+
+    // 중복 제거된 기존 이름도 대표 Asset의 컴포넌트로 연결
+    for (const { alias, target } of resolveAliases(assetInfo, this.config)) {
+      if (componentNames.has(target)) {
+        mapEntries.push(`    '${alias}': ${componentNames.get(target)},`);
+      }
+    }
+
+    return `/**
+ * 🖌️ SVG 인라인 컴포넌트
+ *
+ * Asset CodeGen에 의해 자동 생성된 SVG React 컴포넌트
+ * 하드코딩된 fill/stroke 색상은 currentColor로 변환되어 color prop으로 테마 색상을 적용할 수 있습니다
+ */
+
+import React, { forwardRef } from 'react';
+import { ${assetNameType} } from './types';
+
+export type SvgComponentProps = React.SVGAttributes<SVGSVGElement>;
+export type SvgComponent = React.ForwardRefExoticComponent<SvgComponentProps & React.RefAttributes<SVGSVGElement>>;
+
+${components.join('\n\n')}
+
 /**
- * Size 계산 유틸리티
+ * Asset 이름 → SVG 컴포넌트 매핑
  */
-function calculateSize(size?: SizeType | number): number {
-  if (typeof size === 'number') {
-    return size
+export const svgComponentMap: Partial<Record<${assetNameType}, SvgComponent>> = {
+${mapEntries.join('\n')}
+};
+`;
   }
 
-  if (typeof size === 'string' && size in sizeMapping) {
-    return sizeMapping[size as SizeType]
+  /**
+   * SVG 마크업 코드 생성 (Web Component)
+   * 각 SVG Asset을 인라인 삽입용 마크업 문자열로 변환하고 Asset 이름 → 마크업 맵을 export합니다
+   * 파싱할 수 없는 SVG는 맵에서 제외되어 <img>로 렌더링됩니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   */
+  async generateSvgMarkupCode(assetInfo) {
+    const { assetNameType } = this.config.typeGeneration;
+    const mapEntries = (await this.collectSvgMarkup(assetInfo, '<img>')).map(
+      ([assetKey, markup]) => `    '${assetKey}': ${JSON.stringify(markup)},`
+    );
+
+    return `/**
+ * 🖌️ SVG 인라인 마크업
+ *
+ * Asset CodeGen에 의해 자동 생성된 SVG 마크업 (Web Component 인라인 렌더링용)
+ * 하드코딩된 fill/stroke 색상은 currentColor로 변환되어 color 속성으로 테마 색상을 적용할 수 있습니다
+ */
+
+import type { ${assetNameType} } from './types'
+
+/**
+ * Asset 이름 → SVG 마크업 매핑
+ */
+export const svgMarkupMap: Partial<Record<${assetNameType}, string>> = {
+${mapEntries.join('\n')}
+}
+`;
   }
 
-  return sizeMapping.md || 24 // 기본값
+  /**
+   * SvgXml 레지스트리 코드 생성 (React Native, svgMode: 'xml')
+   * react-native-svg의 <SvgXml>이 런타임에 파싱하는 SVG 문자열 맵을 export합니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   */
+  async generateSvgXmlCode(assetInfo) {
+    const { assetNameType } = this.config.typeGeneration;
+    const mapEntries = (await this.collectSvgMarkup(assetInfo, 'fallback', true)).map(
+      ([assetKey, markup]) => `  '${assetKey}': ${JSON.stringify(markup)},`
+    );
+
+    return `/**
+ * 🖌️ SVG XML 레지스트리 (React Native)
+ *
+ * Asset CodeGen에 의해 자동 생성된 SVG 문자열 (react-native-svg <SvgXml> 렌더링용)
+ * 하드코딩된 fill/stroke 색상은 currentColor로 변환되어 color prop으로 테마 색상을 적용할 수 있습니다
+ */
+
+import type { ${assetNameType} } from './types'
+
+/**
+ * Asset 이름 → SVG XML 매핑
+ */
+export const svgXmlMap: Partial<Record<${assetNameType}, string>> = {
+${mapEntries.join('\n')}
 }
+`;
+  }
+
+  /**
+   * SVG Asset → 인라인 마크업 목록 (중복 제거된 기존 이름 포함)
+   * @param {object[]} assetInfo - Asset 정보 배열
+   * @param {string} fallbackLabel - 변환 실패 시 렌더링 방식 (경고 메시지용)
+   * @param {boolean} native - react-native-svg SvgXml용 (<title> 제거, SVG마다 따로 렌더링되므로 id 접두어 없음)
+   * @returns {Promise<[string, string][]>} [Asset 키, 마크업] 목록
+   */
+  async collectSvgMarkup(assetInfo, fallbackLabel, native = false) {
+    const markupByKey = new Map(); // Asset 키 → 마크업
+
+    for (const asset of assetInfo.filter((asset) => asset.extension === 'svg')) {
+      try {
+        const content =
+          asset.content ?? (await fs.readFile(asset.sourcePath || asset.fullPath, 'utf8'));
+        const assetKey = `${asset.name}-${asset.extension}`;
+        markupByKey.set(
+          assetKey,
+          svgToMarkup(content, native ? { keepTitle: false } : { idPrefix: assetKey })
+        );
+      } catch (error) {
+        logger.warn(
+          chalk.yellow(`  ⚠️ ${asset.filename} SVG 변환 실패 (${fallbackLabel}로 렌더링): ${error.message}`)
+        );
+      }
+    }
+
+    const entries = [...markupByKey];
+
+    // 중복 제거된 기존 이름도 대표 Asset의 마크업으로 연결
+    for (const { alias, target } of resolveAliases(assetInfo, this.config)) {
+      if (markupByKey.has(target)) {
+        entries.push([alias, markupByKey.get(target)]);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * react-native-svg 컴포넌트 코드 생성 (React Native, svgMode: 'inline')
+   * 각 SVG Asset을 Svg/Path 등 react-native-svg 컴포넌트로 변환하고 Asset 이름 → 컴포넌트 맵을 export합니다
+   * 파싱할 수 없는 SVG는 맵에서 제외되어 fallback으로 렌더링됩니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   */
+  async generateNativeSvgComponentsCode(assetInfo) {
+    const { assetNameType } = this.config.typeGeneration;
+    const svgAssets = assetInfo.filter((asset) => asset.extension === 'svg');
+
+    const usedNames = new Set();
+    const usedElements = new Set();
+    const componentNames = new Map(); // Asset 키 → 컴포넌트 이름
+    const components = [];
+    const mapEntries = [];
+
+    for (const asset of svgAssets) {
+      const assetKey = `${asset.name}-${asset.extension}`;
+
+      let jsx;
+      try {
+        const content =
+          asset.content ?? (await fs.readFile(asset.sourcePath || asset.fullPath, 'utf8'));
+        jsx = svgToJsx(content, { depth: 3, indent: '  ', native: true });
+      } catch (error) {
+        logger.warn(
+          chalk.yellow(`  ⚠️ ${asset.filename} SVG 변환 실패 (fallback으로 렌더링): ${error.message}`)
+        );
+        continue;
+      }
+
+      if (jsx.unsupportedElements.length > 0) {
+        const elements = jsx.unsupportedElements.map((name) => `<${name}>`).join(', ');
+        logger.warn(
+          chalk.yellow(
+            `  ⚠️ ${asset.fullPath}: react-native-svg가 지원하지 않는 요소 제외 (${elements}) - <style> 클래스 규칙 등은 적용되지 않습니다`
+          )
+        );
+      }
+
+      for (const [, elementName] of jsx.children.matchAll(/<([A-Z]\w*)/g)) {
+        usedElements.add(elementName);
+      }
+
+      const componentName = this.toSvgComponentName(assetKey, usedNames);
+      const viewBoxAttribute = jsx.viewBox ? ` viewBox="${jsx.viewBox}"` : '';
+      const rootAttributes = jsx.attributes ? ` ${jsx.attributes}` : '';
+      const children = jsx.children ? `\n${jsx.children}\n    ` : '';
+
+      components.push(`/** ${asset.path} */
+export function ${componentName}(props: SvgProps) {
+  return (
+    <Svg${viewBoxAttribute}${rootAttributes} {...props}>${children}</Svg>
+  )
+}`);
+      mapEntries.push(`  '${assetKey}': ${componentName},`);
+      componentNames.set(assetKey, componentName);
+    }
+
+    // 중복 제거된 기존 이름도 대표 Asset의 컴포넌트로 연결
+    for (const { alias, target } of resolveAliases(assetInfo, this.config)) {
+      if (componentNames.has(target)) {
+        mapEntries.push(`  '${alias}': ${componentNames.get(target)},`);
+      }
+    }
+
+    const elementImports = usedElements.size > 0 ? `, { ${[...usedElements].sort().join(', ')} }` : '';
+
+    return `/**
+ * 🖌️ SVG 컴포넌트 (React Native)
+ *
+ * Asset CodeGen에 의해 자동 생성된 react-native-svg 컴포넌트
+ * 하드코딩된 fill/stroke 색상은 currentColor로 변환되어 color prop으로 테마 색상을 적용할 수 있습니다
+ */
+
+import React from 'react'
+import Svg${elementImports} from 'react-native-svg'
+import type { SvgProps } from 'react-native-svg'
+import type { ${assetNameType} } from './types'
+
+${components.join('\n\n')}
 
 /**
- * Color 계산 유틸리티
+ * Asset 이름 → SVG 컴포넌트 매핑
  */
-function calculateColor(color?: ColorType | string): string | undefined {
-  if (!color) return undefined
+export const svgComponentMap: Partial<Record<${assetNameType}, React.ComponentType<SvgProps>>> = {
+${mapEntries.join('\n')}
+}
+`;
+  }
+
+  /**
+   * Asset 소스 맵 파일 생성 (React Native)
+   */
+  async generateAssetSources(outputDir, assetInfo = null) {
+    const { filename, label } = this.getAssetSourcesOutput();
+    const filepath = join(outputDir, filename);
+
+    // 파일 존재 여부 확인 및 처리
+    const shouldSkip = await this.handleFileOverwrite(filepath, filename);
+    if (shouldSkip) {
+      return filepath;
+    }
 
-  if (typeof color === 'string' && color in colorMapping) {
-    return colorMapping[color as ColorType]
+    const sourcesCode = this.generateAssetSourcesCode(
+      assetInfo ?? (await this.collectAssetInfo())
+    );
+
+    await fs.writeFile(filepath, sourcesCode, 'utf8');
+    logger.info(chalk.green(`  ✓ ${label} 생성: ${filename}`));
+
+    return filepath;
   }
 
-  return color
-}`;
+  /**
+   * Asset 소스 맵 코드 생성 (React Native)
+   * Metro가 번들 시점에 해석할 수 있도록 출력 디렉토리 기준 상대 경로의 정적 require를 생성합니다
+   * - @2x/@3x 해상도 변형은 접미사를 뺀 기준 파일 하나로 require (Metro가 기기 해상도에 맞춰 선택)
+   * - <Image>로 렌더링할 수 없는 SVG는 제외합니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   */
+  generateAssetSourcesCode(assetInfo) {
+    const { assetNameType } = this.config.typeGeneration;
+    const outputDir = this.config.fileGeneration.outputDir;
+
+    const requireByKey = new Map(); // Asset 키 → require 경로
+    for (const asset of assetInfo.filter((asset) => asset.type === 'image')) {
+      const requirePath = relative(outputDir, getDensityBasePath(asset)).split(sep).join('/');
+      requireByKey.set(
+        `${asset.name}-${asset.extension}`,
+        requirePath.startsWith('.') ? requirePath : `./${requirePath}`
+      );
+    }
+
+    const mapEntries = [...requireByKey].map(
+      ([assetKey, requirePath]) => `  '${assetKey}': require('${requirePath}'),`
+    );
+
+    // 중복 제거된 기존 이름도 대표 Asset의 파일로 연결
+    for (const { alias, target } of resolveAliases(assetInfo, this.config)) {
+      if (requireByKey.has(target)) {
+        mapEntries.push(`  '${alias}': require('${requireByKey.get(target)}'),`);
+      }
+    }
+
+    return `/**
+ * 📱 Asset 소스 맵 (React Native)
+ *
+ * Asset CodeGen에 의해 자동 생성된 Metro require 소스
+ * @2x/@3x 해상도 변형은 Metro가 기기 해상도에 맞춰 선택합니다
+ */
+
+import type { ImageSourcePropType } from 'react-native'
+import type { ${assetNameType} } from './types'
+
+/**
+ * Asset 이름 → <Image> source 매핑 (SVG 제외)
+ */
+export const assetSourceMap: Partial<Record<${assetNameType}, ImageSourcePropType>> = {
+${mapEntries.join('\n')}
+}
+`;
+  }
+
+  /**
+   * Asset 키 → SVG 컴포넌트 이름 (PascalCase, 중복 시 숫자 접미사)
+   * @example 'arrow-left-svg' → 'ArrowLeftSvg'
+   */
+  toSvgComponentName(assetKey, usedNames) {
+    const pascalName = assetKey
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join('');
+
+    // 식별자는 문자로 시작해야 함 (숫자로 시작하거나 ASCII 문자가 없는 이름 대비)
+    const baseName = /^[A-Za-z]/.test(pascalName) ? pascalName : `Svg${pascalName}`;
+
+    let componentName = baseName;
+    for (let index = 2; usedNames.has(componentName); index++) {
+      componentName = `${baseName}${index}`;
+    }
+    usedNames.add(componentName);
+
+    return componentName;
   }
 
   /**
    * Hooks 파일 생성
    */
-  async generateHooks(outputDir) {
-    const filename = 'hooks.ts';
+  async generateHooks(outputDir, framework = getFramework(this.config)) {
+    const filename = this.getHooksFilename(framework);
     const filepath = join(outputDir, filename);
 
     // 파일 존재 여부 확인 및 처리
@@ -449,10 +1632,10 @@ function calculateColor(color?: ColorType | string): string | undefined {
       return filepath;
     }
 
-    const hooksCode = this.generateHooksCode();
+    const hooksCode = this.generateHooksCode(framework);
 
     await fs.writeFile(filepath, hooksCode, 'utf8');
-    console.log(chalk.green(`  ✓ Hooks 파일 생성: ${filename}`));
+    logger.info(chalk.green(`  ✓ Hooks 파일 생성: ${filename}`));
 
     return filepath;
   }
@@ -460,9 +1643,13 @@ function calculateColor(color?: ColorType | string): string | undefined {
   /**
    * Hooks 코드 생성
    */
-  generateHooksCode() {
+  generateHooksCode(framework = getFramework(this.config)) {
     const { assetNameType } = this.config.typeGeneration;
 
+    if (framework === 'vue') {
+      return this.generateComposablesCode();
+    }
+
     return `/**
  * 🪝 Asset Hooks
  *
@@ -488,10 +1675,41 @@ export function useAssetInfo(name: ${assetNameType}): AssetInfo | null {
 }`;
   }
 
+  /**
+   * Vue Composables 코드 생성 (hooks.ts와 같은 API, ref/getter 인자 지원)
+   */
+  generateComposablesCode() {
+    const { assetNameType } = this.config.typeGeneration;
+
+    return `/**
+ * 🪝 Asset Composables
+ *
+ * Asset CodeGen에 의해 자동 생성된 Vue Composables
+ */
+
+import { computed, toValue, type ComputedRef, type MaybeRefOrGetter } from 'vue'
+import type { ${assetNameType}, AssetInfo } from './types'
+import { getAssetPath, getAssetInfo } from './utils'
+
+/**
+ * Asset 경로를 가져오는 Composable
+ */
+export function useAssetPath(name: MaybeRefOrGetter<${assetNameType}>): ComputedRef<string> {
+  return computed(() => getAssetPath(toValue(name)))
+}
+
+/**
+ * Asset 정보를 가져오는 Composable
+ */
+export function useAssetInfo(name: MaybeRefOrGetter<${assetNameType}>): ComputedRef<AssetInfo | null> {
+  return computed(() => getAssetInfo(toValue(name)))
+}`;
+  }
+
   /**
    * Index 파일 생성
    */
-  async generateIndex(outputDir) {
+  async generateIndex(outputDir, framework = getFramework(this.config)) {
     const filename = 'index.ts';
     const filepath = join(outputDir, filename);
 
@@ -501,10 +1719,10 @@ export function useAssetInfo(name: ${assetNameType}): AssetInfo | null {
       return filepath;
     }
 
-    const indexCode = this.generateIndexCode();
+    const indexCode = this.generateIndexCode(framework);
 
     await fs.writeFile(filepath, indexCode, 'utf8');
-    console.log(chalk.green(`  ✓ Index 파일 생성: ${filename}`));
+    logger.info(chalk.green(`  ✓ Index 파일 생성: ${filename}`));
 
     return filepath;
   }
@@ -512,28 +1730,36 @@ export function useAssetInfo(name: ${assetNameType}): AssetInfo | null {
   /**
    * Index 코드 생성
    */
-  generateIndexCode() {
+  generateIndexCode(framework = getFramework(this.config)) {
     const componentName =
       this.config.componentGeneration.componentName || 'Asset';
-    const generateHook = this.config.componentGeneration.generateHook;
+    const { componentExtension, hooksModule, hooksLabel } = this.getFrameworkOutput(framework);
     const generateUtils = this.config.componentGeneration.generateUtils;
 
     const exports = [];
 
     // 1. 컴포넌트 export
     exports.push(`// Asset 컴포넌트`);
-    exports.push(
-      `export { default as ${componentName} } from './${componentName}'`
-    );
+    const componentModule = ['tsx', 'ts'].includes(componentExtension)
+      ? componentName
+      : `${componentName}.${componentExtension}`;
+    if (framework === 'web-component') {
+      // 엘리먼트 클래스와 속성 타입 (import하면 <asset-icon>이 등록됨)
+      exports.push(`export * from './${componentModule}'`);
+    } else {
+      exports.push(
+        `export { default as ${componentName} } from './${componentModule}'`
+      );
+    }
 
     // 2. 타입들 export
     exports.push(`\n// 타입 정의`);
     exports.push(`export * from './types'`);
 
     // 3. Hooks export (옵션)
-    if (generateHook) {
-      exports.push(`\n// Hooks`);
-      exports.push(`export * from './hooks'`);
+    if (this.shouldGenerateHooks(framework)) {
+      exports.push(`\n// ${hooksLabel}`);
+      exports.push(`export * from './${hooksModule}'`);
     }
 
     // 4. Utils export (옵션)
@@ -542,6 +1768,20 @@ export function useAssetInfo(name: ${assetNameType}): AssetInfo | null {
       exports.push(`export * from './utils'`);
     }
 
+    // 5. SVG 컴포넌트 export (svgMode: 'inline')
+    if (this.isInlineSvgMode()) {
+      const { filename, label } = this.getInlineSvgOutput();
+      exports.push(`\n// ${label}`);
+      exports.push(`export * from './${filename.replace(/\.tsx?$/, '')}'`);
+    }
+
+    // 6. Asset 소스 맵 export (React Native)
+    if (this.getAssetSourcesOutput(framework)) {
+      const { filename, label } = this.getAssetSourcesOutput(framework);
+      exports.push(`\n// ${label}`);
+      exports.push(`export * from './${filename.replace(/\.ts$/, '')}'`);
+    }
+
     return `/**
  * 🎨 Asset 모듈
  *
@@ -0,0 +1,207 @@
+/**
+ * 🧬 중복 Asset 검사 생성기
+ *
+ * 모든 Asset 디렉토리의 파일 내용을 해시하여 중복 그룹을 찾습니다
+ * - exact: 바이트 단위로 동일한 파일
+ * - normalized: 바이트는 다르지만 SVG 정규화(주석/메타데이터 제거, 숫자 반올림 등) 후 동일한 파일
+ * 중복 제거 모드는 대표 파일 하나만 남기고 나머지를 격리 디렉토리로 옮긴 뒤
+ * 기존 이름이 계속 동작하도록 별칭을 기록합니다
+ */
+
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import chalk from 'chalk'
+import { TypesGenerator } from './TypesGenerator.js'
+import { optimizeSvg } from '../utils/SvgOptimizer.js'
+import { loadAliases, saveAliases } from '../utils/AssetAliases.js'
+import { formatBytes, moveToQuarantine } from '../utils/FileUtils.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { logger } from '../utils/Logger.js'
+
+const DEFAULT_QUARANTINE_DIR = '.asset-codegen/quarantine'
+
+export class DuplicatesGenerator {
+	constructor(config, options = {}) {
+		this.config = config
+		this.journal = options.journal || null // 격리 이동 저널 (RenameJournal)
+		this.normalizeSvg = config.duplicates?.normalizeSvg ?? true
+		this.quarantineDir = config.quarantine?.dir || DEFAULT_QUARANTINE_DIR
+	}
+
+	/**
+	 * 중복 그룹 검사
+	 * @returns {Promise<{scannedCount: number, groups: object[]}>}
+	 */
+	async findDuplicates() {
+		const typesGenerator = new TypesGenerator(this.config)
+		const enabledDirectories = this.config.assetDirectories.filter(dir => dir.enabled)
+
+		const files = []
+		for (const assetDir of enabledDirectories) {
+			for (const asset of await typesGenerator.collectAssetsFromDirectory(assetDir)) {
+				const content = await fs.readFile(asset.fullPath)
+				files.push({
+					path: asset.fullPath,
+					assetName: `${asset.name}-${asset.extension}`,
+					size: content.length,
+					hash: this.hash(content),
+					normalizedHash: asset.extension === 'svg' ? this.hashNormalizedSvg(content) : null
+				})
+			}
+		}
+
+		// 1. 바이트 동일 그룹
+		const exactGroups = this.groupBy(files, (file) => file.hash)
+
+		// 2. SVG 정규화 후 동일 그룹 (바이트 동일 그룹끼리 합쳐지는 경우만)
+		const groups = []
+		const normalizedGroups = this.normalizeSvg
+			? this.groupBy(
+				exactGroups.map((group) => group[0]).filter((file) => file.normalizedHash),
+				(file) => file.normalizedHash
+			)
+			: []
+		const mergedHashes = new Set()
+
+		for (const representatives of normalizedGroups) {
+			if (representatives.length < 2) continue
+
+			const members = representatives.flatMap((file) => exactGroups.find((group) => group[0] === file))
+			representatives.forEach((file) => mergedHashes.add(file.hash))
+			groups.push(this.createGroup('normalized', members))
+		}
+
+		for (const group of exactGroups) {
+			if (group.length > 1 && !mergedHashes.has(group[0].hash)) {
+				groups.push(this.createGroup('exact', group))
+			}
+		}
+
+		groups.sort((a, b) => (a.canonical.path < b.canonical.path ? -1 : 1))
+
+		return { scannedCount: files.length, groups }
+	}
+
+	/**
+	 * 내용 해시 (sha256)
+	 */
+	hash(content) {
+		return createHash('sha256').update(content).digest('hex')
+	}
+
+	/**
+	 * 정규화된 SVG 해시 (파싱할 수 없으면 null)
+	 */
+	hashNormalizedSvg(content) {
+		try {
+			return this.hash(optimizeSvg(content.toString('utf8')))
+		} catch {
+			return null
+		}
+	}
+
+	/**
+	 * 키 기준 그룹화 (입력 순서 유지)
+	 */
+	groupBy(files, getKey) {
+		const groups = new Map()
+		for (const file of files) {
+			const key = getKey(file)
+			if (!groups.has(key)) groups.set(key, [])
+			groups.get(key).push(file)
+		}
+		return [...groups.values()]
+	}
+
+	/**
+	 * 중복 그룹 생성
+	 * 대표 파일: 가장 얕은 경로 → 이름이 짧은 순 → 경로 이름순
+	 */
+	createGroup(kind, members) {
+		const sorted = [...members].sort((a, b) => {
+			const depthDiff = a.path.split('/').length - b.path.split('/').length
+			if (depthDiff !== 0) return depthDiff
+			if (a.assetName.length !== b.assetName.length) return a.assetName.length - b.assetName.length
+			return a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+		})
+		const [canonical, ...duplicates] = sorted
+
+		return {
+			kind,
+			canonical,
+			duplicates,
+			wastedBytes: duplicates.reduce((sum, file) => sum + file.size, 0)
+		}
+	}
+
+	/**
+	 * 중복 제거: 대표 파일만 남기고 나머지는 격리 디렉토리로 이동, 기존 이름은 별칭으로 기록
+	 * @param {object[]} groups - findDuplicates 결과 그룹
+	 * @returns {Promise<{moved: object[], aliasFile: string}>}
+	 */
+	async dedupe(groups) {
+		const aliases = loadAliases(this.config)
+		const moved = []
+		const runDir = join(this.quarantineDir, this.journal?.runId || RenameJournal.createRunId())
+
+		for (const group of groups) {
+			for (const duplicate of group.duplicates) {
+				let quarantinePath
+				try {
+					quarantinePath = await moveToQuarantine(duplicate.path, runDir, this.journal)
+				} catch (error) {
+					logger.error(chalk.red(`  ✗ 이동 실패: ${duplicate.path} - ${error.message}`))
+					continue
+				}
+
+				// 기존 별칭이 이 파일을 가리키고 있었다면 대표 Asset으로 다시 연결
+				Object.keys(aliases).forEach((alias) => {
+					if (aliases[alias] === duplicate.assetName) aliases[alias] = group.canonical.assetName
+				})
+				if (duplicate.assetName !== group.canonical.assetName) {
+					aliases[duplicate.assetName] = group.canonical.assetName
+				}
+
+				moved.push({ from: duplicate.path, to: quarantinePath, alias: duplicate.assetName, target: group.canonical.assetName })
+				logger.info(chalk.green(`  ✓ ${duplicate.path} → ${group.canonical.assetName} (별칭)`))
+			}
+		}
+
+		const aliasFile = await saveAliases(this.config, aliases)
+		return { moved, aliasFile }
+	}
+
+	/**
+	 * 검사 결과 출력
+	 */
+	printReport({ scannedCount, groups }) {
+		if (groups.length === 0) {
+			logger.info(chalk.green(`✅ 중복 Asset이 없습니다 (${scannedCount}개 파일 검사)`))
+			return
+		}
+
+		const kindLabels = { exact: '동일 바이트', normalized: 'SVG 정규화 후 동일' }
+
+		groups.forEach((group, index) => {
+			const count = group.duplicates.length + 1
+			logger.info(
+				chalk.blue(
+					`\n📦 그룹 ${index + 1} · ${kindLabels[group.kind]} · ${count}개 파일 (${formatBytes(group.wastedBytes)} 중복)`
+				)
+			)
+			logger.info(chalk.green(`   ★ ${group.canonical.path} (${group.canonical.assetName})`))
+			group.duplicates.forEach((file) => {
+				logger.info(chalk.gray(`   • ${file.path} (${file.assetName})`))
+			})
+		})
+
+		const duplicateCount = groups.reduce((sum, group) => sum + group.duplicates.length, 0)
+		const wastedBytes = groups.reduce((sum, group) => sum + group.wastedBytes, 0)
+		logger.info(
+			chalk.yellow(
+				`\n⚠️ ${groups.length}개 그룹, 중복 파일 ${duplicateCount}개 (${formatBytes(wastedBytes)}) - ${scannedCount}개 파일 검사`
+			)
+		)
+	}
+}
@@ -0,0 +1,142 @@
+/**
+ * 🪶 SVG 최적화 생성기
+ *
+ * Asset 디렉토리의 SVG 파일을 최적화합니다
+ * - 기본: 원본 파일을 제자리에서 최적화
+ * - options.outputDir 지정 시: {outputDir}/{assetDir.name}/ 아래에 최적화 결과를 저장 (원본 유지)
+ * - 이미 최적화된 파일은 다시 쓰지 않으므로 여러 번 실행해도 결과가 같습니다
+ */
+
+import { promises as fs } from 'fs'
+import { join, dirname, basename, extname, relative } from 'path'
+import chalk from 'chalk'
+import { optimizeSvg, DEFAULT_SVG_PLUGINS, DEFAULT_PRECISION } from '../utils/SvgOptimizer.js'
+import { formatBytes, hashFile, listFiles } from '../utils/FileUtils.js'
+import { logger } from '../utils/Logger.js'
+
+export class OptimizeGenerator {
+	constructor(config, options = {}) {
+		this.config = config
+		this.journal = options.journal || null // 제자리 최적화 시 내용 변경 기록 (RenameJournal)
+
+		const flagOptions = config.featureFlags?.optimizeSvg?.options || {}
+		this.outputDir = flagOptions.outputDir || null
+		this.plugins = { ...DEFAULT_SVG_PLUGINS, ...flagOptions.plugins }
+		this.precision = flagOptions.precision ?? DEFAULT_PRECISION
+	}
+
+	/**
+	 * SVG 최적화 프로세스 실행
+	 * @returns {Promise<object[]>} 최적화된(다시 쓴) 파일 결과 배열
+	 */
+	async generate() {
+		logger.info(chalk.blue('🪶 SVG 최적화 시작...'))
+
+		const enabledDirectories = this.config.assetDirectories.filter(dir => dir.enabled)
+		const results = []
+		let unchangedCount = 0
+
+		for (const assetDir of enabledDirectories) {
+			for (const filePath of await listFiles(assetDir.path, (name) => this.isSvgFile(name))) {
+				const result = await this.optimizeSingleFile(filePath, assetDir)
+				if (!result) continue
+
+				if (result.written) {
+					results.push(result)
+				} else {
+					unchangedCount++
+				}
+			}
+		}
+
+		const totalSaved = results.reduce((sum, result) => sum + result.bytesSaved, 0)
+		logger.info(
+			chalk.green(
+				`✅ SVG 최적화 완료: ${results.length}개 파일, ${formatBytes(totalSaved)} 절약` +
+					(unchangedCount > 0 ? ` (${unchangedCount}개 이미 최적화됨)` : '')
+			)
+		)
+
+		return results
+	}
+
+	/**
+	 * SVG 파일인지 확인
+	 */
+	isSvgFile(filename) {
+		return extname(filename).toLowerCase() === '.svg'
+	}
+
+	/**
+	 * 최적화 결과 저장 경로
+	 */
+	getOutputPath(filePath, assetDir) {
+		if (!this.outputDir) {
+			return filePath
+		}
+		return join(this.outputDir, assetDir.name, relative(assetDir.path, filePath))
+	}
+
+	/**
+	 * 단일 파일 최적화 계획 (디스크를 변경하지 않음)
+	 * @param {string} filePath - 원본 파일 경로
+	 * @param {object} assetDir - Asset 디렉토리 설정
+	 * @param {string} content - 원본 파일 내용
+	 * @returns {{filePath, outputPath, content, bytesBefore, bytesAfter, bytesSaved}}
+	 */
+	planSingleFile(filePath, assetDir, content) {
+		const optimized = optimizeSvg(content, { plugins: this.plugins, precision: this.precision })
+		const bytesBefore = Buffer.byteLength(content)
+		const bytesAfter = Buffer.byteLength(optimized)
+
+		return {
+			filePath,
+			outputPath: this.getOutputPath(filePath, assetDir),
+			content: optimized,
+			bytesBefore,
+			bytesAfter,
+			bytesSaved: bytesBefore - bytesAfter
+		}
+	}
+
+	/**
+	 * 단일 파일 최적화
+	 * @returns {Promise<object|null>} 결과 (written: 실제로 파일을 썼는지), 실패 시 null
+	 */
+	async optimizeSingleFile(filePath, assetDir) {
+		const filename = basename(filePath)
+
+		try {
+			const original = await fs.readFile(filePath, 'utf8')
+			const plan = this.planSingleFile(filePath, assetDir, original)
+
+			// 출력 파일이 이미 최적화 결과와 같으면 쓰지 않음
+			const existing =
+				plan.outputPath === filePath ? original : await fs.readFile(plan.outputPath, 'utf8').catch(() => null)
+			if (existing === plan.content) {
+				return { ...plan, written: false }
+			}
+
+			const previousHash = plan.outputPath === filePath ? await hashFile(filePath) : null
+
+			await fs.mkdir(dirname(plan.outputPath), { recursive: true })
+			await fs.writeFile(plan.outputPath, plan.content, 'utf8')
+
+			if (previousHash) {
+				await this.journal?.recordUpdate(filePath, previousHash)
+			}
+
+			const percent = plan.bytesBefore > 0 ? ((plan.bytesSaved / plan.bytesBefore) * 100).toFixed(1) : '0.0'
+			logger.info(
+				chalk.green(
+					`  ✓ ${filename}: ${formatBytes(plan.bytesBefore)} → ${formatBytes(plan.bytesAfter)} (-${percent}%)`
+				)
+			)
+
+			return { ...plan, written: true }
+		} catch (error) {
+			logger.error(chalk.red(`  ✗ SVG 최적화 실패: ${filename} - ${error.message}`))
+			return null
+		}
+	}
+}
@@ -7,31 +7,59 @@
 import { promises as fs } from 'fs'
 import { join, dirname, basename, extname, relative } from 'path'
 import chalk from 'chalk'
+import {
+	resolveRenameCollisions,
+	reportCollisions,
+	resolveSingleRename,
+	getCollisionOptions,
+	listAssetFilesByDirectory
+} from '../utils/RenameCollisions.js'
+import { sanitizeName, getSanitizeOptions } from '../utils/FilenameSanitizer.js'
+import { applyCaseStyle } from '../utils/CaseStyle.js'
+import { getNamingPattern, getPatternRequirements, renderNamingPattern } from '../utils/NamingTemplate.js'
+import { readImageDimensions } from '../utils/ImageUtils.js'
+import { hashFile } from '../utils/FileUtils.js'
+import { logger } from '../utils/Logger.js'
 
 export class OrganizeGenerator {
-	constructor(config) {
+	constructor(config, options = {}) {
 		this.config = config
+		this.journal = options.journal || null // 파일명 변경 저널 (RenameJournal)
 	}
 
 	/**
 	 * 파일명 재구성 프로세스 실행
 	 */
 	async generate() {
-		console.log(chalk.blue('📂 2단계: 파일명 체계적 재구성 시작...'))
+		logger.info(chalk.blue('📂 2단계: 파일명 체계적 재구성 시작...'))
 
 		const enabledDirectories = this.config.assetDirectories.filter(dir => dir.enabled)
 
 		if (enabledDirectories.length === 0) {
-			console.log(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'))
+			logger.info(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'))
 			return []
 		}
 
-		// 병렬 처리 + 부분 실패 허용
-		console.log(chalk.gray(`  🚀 ${enabledDirectories.length}개 디렉토리 병렬 처리 중...`))
+		// 1. 모든 디렉토리의 파일명 변경 계획 계산 (디스크 변경 전)
+		const filesByDirectory = await listAssetFilesByDirectory(this.config)
+		const currentFiles = [...filesByDirectory.values()].flat()
+		const plans = []
+		for (const assetDir of enabledDirectories) {
+			plans.push(...(await this.planRenames(filesByDirectory.get(assetDir.name), assetDir)))
+		}
+
+		// 2. 충돌 검사 (fail 전략이면 아무 파일도 변경하지 않고 중단)
+		// Organize 결과가 최종 AssetName이 되므로 다른 디렉토리와의 이름 충돌도 검사
+		const collisionOptions = { ...getCollisionOptions(this.config), checkAssetNames: true }
+		const { renames, conflicts } = resolveRenameCollisions(plans, currentFiles, collisionOptions)
+		reportCollisions(conflicts, collisionOptions.strategy)
+
+		// 3. 병렬 처리 + 부분 실패 허용
+		logger.info(chalk.gray(`  🚀 ${enabledDirectories.length}개 디렉토리 병렬 처리 중...`))
 
 		const results = await Promise.allSettled(
 			enabledDirectories.map(assetDir =>
-				this.organizeFilenamesInDirectory(assetDir)
+				this.applyRenames(renames.filter(plan => plan.assetDir === assetDir.name))
 			)
 		)
 
@@ -45,69 +73,46 @@ export class OrganizeGenerator {
 			if (result.status === 'fulfilled') {
 				const files = result.value
 				processedFiles.push(...files)
-				console.log(chalk.gray(`  ✓ ${dirName}: ${files.length}개 파일 처리`))
+				logger.info(chalk.gray(`  ✓ ${dirName}: ${files.length}개 파일 처리`))
 			} else {
 				errors.push({
 					dir: dirName,
 					error: result.reason
 				})
-				console.error(chalk.red(`  ✗ ${dirName} 처리 실패: ${result.reason.message}`))
+				logger.error(chalk.red(`  ✗ ${dirName} 처리 실패: ${result.reason.message}`))
 			}
 		})
 
 		// 최종 결과 출력
 		if (errors.length > 0) {
-			console.log(
+			logger.info(
 				chalk.yellow(
 					`⚠️ 2단계 완료: ${processedFiles.length}개 파일 재구성됨 (${errors.length}개 디렉토리 실패)`
 				)
 			)
 		} else {
-			console.log(chalk.green(`✅ 2단계 완료: ${processedFiles.length}개 파일 재구성됨`))
+			logger.info(chalk.green(`✅ 2단계 완료: ${processedFiles.length}개 파일 재구성됨`))
 		}
 
 		return processedFiles
 	}
 
 	/**
-	 * 특정 디렉토리에서 파일명 재구성
+	 * 충돌 검사를 통과한 파일명 변경 적용
 	 */
-	async organizeFilenamesInDirectory(assetDir) {
+	async applyRenames(plans) {
 		const processedFiles = []
 
-		try {
-			await this.processDirectoryRecursive(assetDir.path, assetDir, processedFiles)
-		} catch (error) {
-			console.error(chalk.red(`❌ 디렉토리 처리 실패: ${assetDir.path} - ${error.message}`))
+		for (const plan of plans) {
+			const result = await this.applyRename(plan)
+			if (result) {
+				processedFiles.push(result)
+			}
 		}
 
 		return processedFiles
 	}
 
-	/**
-	 * 재귀적으로 디렉토리 처리
-	 */
-	async processDirectoryRecursive(dirPath, assetDir, processedFiles) {
-		try {
-			const entries = await fs.readdir(dirPath, { withFileTypes: true })
-
-			for (const entry of entries) {
-				const fullPath = join(dirPath, entry.name)
-
-				if (entry.isDirectory()) {
-					await this.processDirectoryRecursive(fullPath, assetDir, processedFiles)
-				} else if (this.isAssetFile(entry.name)) {
-					const result = await this.organizeSingleFile(fullPath, assetDir)
-					if (result) {
-						processedFiles.push(result)
-					}
-				}
-			}
-		} catch (error) {
-			console.warn(chalk.yellow(`⚠️ 디렉토리 읽기 실패: ${dirPath} - ${error.message}`))
-		}
-	}
-
 	/**
 	 * Asset 파일인지 확인
 	 */
@@ -117,169 +122,147 @@ export class OrganizeGenerator {
 	}
 
 	/**
-	 * 단일 파일명 재구성
+	 * 단일 파일명 재구성 (watch 모드용, 다른 Asset 파일과의 충돌 검사 포함)
 	 */
 	async organizeSingleFile(filePath, assetDir) {
-		const directory = dirname(filePath)
-		const originalFilename = basename(filePath)
-		const extension = extname(originalFilename)
-		const nameWithoutExt = basename(originalFilename, extension)
-
-		// 상대 경로 계산
-		const relativePath = relative(assetDir.path, directory)
-		const pathParts = relativePath === '.' ? [] : relativePath.split('/').filter(part => part)
-
-		// 새로운 파일명 생성
-		const newNameWithoutExt = this.addFolderStructureToFilename(
-			nameWithoutExt,
-			pathParts,
-			assetDir.name,
-			this.config.conventions?.separatorChar || '-'
-		)
-
-		if (newNameWithoutExt === nameWithoutExt) {
+		const plan = await this.planSingleFile(filePath, assetDir)
+		if (!plan) {
 			// 변경사항 없음
 			return null
 		}
 
-		const newFilename = newNameWithoutExt + extension
-		const newFilePath = join(directory, newFilename)
+		const resolvedPlan = await resolveSingleRename(plan, this.config, { checkAssetNames: true })
+		return resolvedPlan ? this.applyRename(resolvedPlan) : null
+	}
+
+	/**
+	 * 파일명 변경 실행 및 저널 기록
+	 */
+	async applyRename(plan) {
+		const { originalName: originalFilename, newName: newFilename, oldPath: filePath, newPath: newFilePath } = plan
 
 		try {
 			await fs.rename(filePath, newFilePath)
-			console.log(chalk.green(`  ✓ ${originalFilename} → ${newFilename}`))
-
-			return {
-				assetDir: assetDir.name,
-				directory,
-				originalName: originalFilename,
-				newName: newFilename,
-				oldPath: filePath,
-				newPath: newFilePath,
-				pathParts,
-				baseAssetName: assetDir.name
-			}
+			await this.journal?.record(filePath, newFilePath)
+			const reasons = plan.sanitized?.length > 0 ? chalk.gray(` (${plan.sanitized.join(', ')})`) : ''
+			logger.info(chalk.green(`  ✓ ${originalFilename} → ${newFilename}`) + reasons)
+
+			return plan
 		} catch (error) {
-			console.error(chalk.red(`  ✗ 파일명 변경 실패: ${originalFilename} - ${error.message}`))
+			logger.error(chalk.red(`  ✗ 파일명 변경 실패: ${originalFilename} - ${error.message}`))
 			return null
 		}
 	}
 
 	/**
-	 * 폴더 구조를 파일명에 추가
-	 * 형식: baseAssetName-pathPart1-pathPart2-filename
+	 * 파일 목록의 파일명 변경 계획 계산 (디스크를 변경하지 않음)
+	 * @param {string[]} filePaths - Asset 파일 경로 배열
+	 * @param {object} assetDir - Asset 디렉토리 설정
+	 * @param {object} options - { origins: 가상 경로 → 실제 파일 경로 (계획 계산 시 {width}, {height}, {hash} 값을 읽을 위치) }
+	 * @returns {Promise<object[]>} generate()와 같은 형태의 변경 예정 목록
 	 */
-	addFolderStructureToFilename(filename, pathParts, baseAssetName = '', separatorChar = '-') {
-		const parts = []
+	async planRenames(filePaths, assetDir, options = {}) {
+		const plans = []
 
-		// 1. 베이스 Asset 이름 (최우선)
-		if (baseAssetName) {
-			parts.push(baseAssetName)
-		}
-
-		// 2. 경로 부분들 (순서대로)
-		if (pathParts.length > 0) {
-			parts.push(...pathParts)
+		for (const filePath of filePaths) {
+			const plan = await this.planSingleFile(filePath, assetDir, options.origins?.get(filePath) || filePath)
+			if (plan) {
+				plans.push(plan)
+			}
 		}
 
-		// 3. 파일명 (마지막)
-		parts.push(filename)
-
-		return parts.join(separatorChar)
+		return plans
 	}
 
 	/**
-	 * 파일명이 이미 적절한 형태인지 확인
+	 * 단일 파일의 재구성된 파일명 계산
+	 * @param {string} filePath - Asset 파일 경로
+	 * @param {object} assetDir - Asset 디렉토리 설정
+	 * @param {string} sourcePath - 내용을 읽을 실제 파일 경로 (기본값: filePath)
+	 * @returns {Promise<object|null>} 변경 정보 (변경사항 없으면 null)
 	 */
-	isAlreadyOrganized(filename, pathParts, baseAssetName, separatorChar = '-') {
-		const expectedPattern = this.addFolderStructureToFilename('', pathParts, baseAssetName, separatorChar)
-		return filename.startsWith(expectedPattern)
-	}
-
-	/**
-	 * 중복 경로 부분 제거
-	 */
-	removeDuplicatePathParts(filename, pathParts, separatorChar = '-') {
-		let cleanedFilename = filename
+	async planSingleFile(filePath, assetDir, sourcePath = filePath) {
+		const directory = dirname(filePath)
+		const originalFilename = basename(filePath)
+		const extension = extname(originalFilename)
+		const nameWithoutExt = basename(originalFilename, extension)
 
-		for (const part of pathParts) {
-			const pattern = new RegExp(`(^|${this.escapeRegex(separatorChar)})${this.escapeRegex(part)}(?=${this.escapeRegex(separatorChar)}|$)`, 'gi')
-			cleanedFilename = cleanedFilename.replace(pattern, '$1')
-		}
+		// 상대 경로 계산
+		const relativePath = relative(assetDir.path, directory)
+		const pathParts = relativePath === '.' ? [] : relativePath.split('/').filter(part => part)
 
-		// 연속된 구분자 정리
-		const separatorPattern = new RegExp(`${this.escapeRegex(separatorChar)}{2,}`, 'g')
-		cleanedFilename = cleanedFilename.replace(separatorPattern, separatorChar)
+		// 파일명/폴더명 정규화 (NFC, 공백/특수문자 치환, 선택적 한글 로마자 변환) 후 케이스 스타일 적용
+		const sanitizeOptions = getSanitizeOptions(this.config)
+		const { name: sanitizedName, changes: sanitized } = sanitizeName(nameWithoutExt, sanitizeOptions)
+		const formatSegment = (segment) => this.applyNamingConvention(sanitizeName(segment, sanitizeOptions).name)
 
-		// 앞뒤 구분자 제거
-		const trimPattern = new RegExp(`^${this.escapeRegex(separatorChar)}+|${this.escapeRegex(separatorChar)}+$`, 'g')
-		cleanedFilename = cleanedFilename.replace(trimPattern, '')
+		const fileSegment = this.applyNamingConvention(sanitizedName)
+		if (fileSegment !== sanitizedName) {
+			sanitized.push(`케이스 스타일 (${this.config.conventions?.caseStyle || 'kebab-case'})`)
+		}
 
-		return cleanedFilename
-	}
+		// 새로운 파일명 생성 (conventions.namingPattern)
+		const newNameWithoutExt = await this.formatFilename(
+			{
+				dir: formatSegment(assetDir.name),
+				path: pathParts.map(formatSegment),
+				name: fileSegment,
+				ext: extension.toLowerCase().slice(1)
+			},
+			sourcePath
+		)
 
-	/**
-	 * 정규식 특수문자 이스케이프
-	 */
-	escapeRegex(string) {
-		return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-	}
+		if (newNameWithoutExt === nameWithoutExt) {
+			// 변경사항 없음
+			return null
+		}
 
-	/**
-	 * 네이밍 컨벤션 적용
-	 */
-	applyNamingConvention(text) {
-		const caseStyle = this.config.conventions?.caseStyle || 'kebab-case'
+		const newFilename = newNameWithoutExt + extension
 
-		switch (caseStyle) {
-			case 'kebab-case':
-				return this.toKebabCase(text)
-			case 'camelCase':
-				return this.toCamelCase(text)
-			case 'snake_case':
-				return this.toSnakeCase(text)
-			case 'PascalCase':
-				return this.toPascalCase(text)
-			default:
-				return text
+		return {
+			assetDir: assetDir.name,
+			directory,
+			originalName: originalFilename,
+			newName: newFilename,
+			oldPath: filePath,
+			newPath: join(directory, newFilename),
+			pathParts,
+			baseAssetName: assetDir.name,
+			sanitized
 		}
 	}
 
 	/**
-	 * kebab-case 변환
+	 * 파일명 템플릿 적용
+	 * 템플릿이 {width}, {height}, {hash}를 사용할 때만 파일 내용을 읽습니다
+	 * @param {object} values - 경로에서 얻은 값 { dir, path, name, ext }
+	 * @param {string} sourcePath - 내용을 읽을 실제 파일 경로
+	 * @returns {Promise<string>} 파일명 (확장자 제외)
 	 */
-	toKebabCase(text) {
-		return text
-			.replace(/([a-z])([A-Z])/g, '$1-$2')
-			.replace(/[\s_]+/g, '-')
-			.toLowerCase()
-	}
+	async formatFilename(values, sourcePath) {
+		const pattern = getNamingPattern(this.config)
+		const requirements = getPatternRequirements(pattern)
+		const fileValues = { ...values }
+
+		if (requirements.size) {
+			// SVG는 소수 크기일 수 있으므로 정수로 반올림
+			const dimensions = await readImageDimensions(sourcePath)
+			fileValues.width = dimensions ? Math.round(dimensions.width) : null
+			fileValues.height = dimensions ? Math.round(dimensions.height) : null
+		}
 
-	/**
-	 * camelCase 변환
-	 */
-	toCamelCase(text) {
-		return text
-			.replace(/[-_\s]+(.)?/g, (_, char) => char ? char.toUpperCase() : '')
-			.replace(/^[A-Z]/, char => char.toLowerCase())
-	}
+		if (requirements.hash) {
+			fileValues.hash = (await hashFile(sourcePath)).slice(0, 8)
+		}
 
-	/**
-	 * snake_case 변환
-	 */
-	toSnakeCase(text) {
-		return text
-			.replace(/([a-z])([A-Z])/g, '$1_$2')
-			.replace(/[-\s]+/g, '_')
-			.toLowerCase()
+		return renderNamingPattern(pattern, fileValues, this.config.conventions?.separatorChar || '-')
 	}
 
 	/**
-	 * PascalCase 변환
+	 * 네이밍 컨벤션 적용 (세그먼트 하나: 베이스 이름, 폴더명 또는 파일명)
 	 */
-	toPascalCase(text) {
-		return text
-			.replace(/[-_\s]+(.)?/g, (_, char) => char ? char.toUpperCase() : '')
-			.replace(/^[a-z]/, char => char.toUpperCase())
+	applyNamingConvention(text) {
+		const caseStyle = this.config.conventions?.caseStyle || 'kebab-case'
+		return applyCaseStyle(text, caseStyle, this.config.conventions?.separatorChar || '-')
 	}
-}
\ No newline at end of file
+}
@@ -7,6 +7,12 @@
 import { promises as fs } from 'fs';
 import { join, dirname, basename, extname, relative } from 'path';
 import chalk from 'chalk';
+import { sortEntries } from '../utils/FileUtils.js';
+import { readImageDimensions, toDimensionFields } from '../utils/ImageUtils.js';
+import { resolveAliases } from '../utils/AssetAliases.js';
+import { logger } from '../utils/Logger.js';
+import { getFramework, getNativeSvgMode } from '../utils/Frameworks.js';
+import { mergeDensityVariants } from '../utils/DensityVariants.js';
 
 export class TypesGenerator {
   constructor(config) {
@@ -17,27 +23,38 @@ export class TypesGenerator {
    * TypeScript 타입 생성 프로세스 실행
    */
   async generate() {
-    console.log(chalk.blue('📝 3단계: TypeScript 타입 생성 시작...'));
+    logger.info(chalk.blue('📝 3단계: TypeScript 타입 생성 시작...'));
 
     const enabledDirectories = this.config.assetDirectories.filter(
       (dir) => dir.enabled
     );
 
     if (enabledDirectories.length === 0) {
-      console.log(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'));
+      logger.info(chalk.yellow('⚠️ 활성화된 Asset 디렉토리가 없습니다.'));
       return [];
     }
 
     // 1. Asset 파일 정보 수집
     const assetInfo = await this.collectAssetInfo(enabledDirectories);
 
-    // 2. TypeScript 타입 생성
+    // 2. 타입 생성 및 파일 출력
+    return this.generateFromAssetInfo(assetInfo);
+  }
+
+  /**
+   * 수집된 Asset 정보로 타입 파일 생성
+   * watch 모드처럼 디렉토리별로 캐시된 Asset 정보를 재사용할 때 사용합니다
+   * @param {object[]} assetInfo - Asset 정보 배열
+   * @returns {string[]} 생성된 파일 경로 배열
+   */
+  async generateFromAssetInfo(assetInfo) {
+    // 1. TypeScript 타입 생성
     const typeDefinitions = this.generateTypeDefinitions(assetInfo);
 
-    // 3. 파일 출력
+    // 2. 파일 출력
     const outputPath = await this.writeTypeFile(typeDefinitions);
 
-    console.log(
+    logger.info(
       chalk.green(
         `✅ 3단계 완료: TypeScript 타입 파일 생성됨 (${assetInfo.length}개 Asset)`
       )
@@ -50,7 +67,7 @@ export class TypesGenerator {
    */
   async collectAssetInfo(assetDirectories) {
     // 병렬 처리 + 부분 실패 허용
-    console.log(chalk.gray(`  🚀 ${assetDirectories.length}개 디렉토리 병렬 스캔 중...`));
+    logger.info(chalk.gray(`  🚀 ${assetDirectories.length}개 디렉토리 병렬 스캔 중...`));
 
     const results = await Promise.allSettled(
       assetDirectories.map(assetDir => this.collectAssetsFromDirectory(assetDir))
@@ -66,18 +83,18 @@ export class TypesGenerator {
       if (result.status === 'fulfilled') {
         const assets = result.value;
         assetInfo.push(...assets);
-        console.log(chalk.gray(`  ✓ ${dirName}: ${assets.length}개 asset 발견`));
+        logger.info(chalk.gray(`  ✓ ${dirName}: ${assets.length}개 asset 발견`));
       } else {
         errors.push({
           dir: dirName,
           error: result.reason,
         });
-        console.error(chalk.red(`  ✗ ${dirName} 스캔 실패: ${result.reason.message}`));
+        logger.error(chalk.red(`  ✗ ${dirName} 스캔 실패: ${result.reason.message}`));
       }
     });
 
     if (errors.length > 0) {
-      console.log(
+      logger.info(
         chalk.yellow(`  ⚠️ ${assetInfo.length}개 asset 수집됨 (${errors.length}개 디렉토리 실패)`)
       );
     }
@@ -94,14 +111,24 @@ export class TypesGenerator {
     try {
       await this.collectAssetsRecursive(assetDir.path, assetDir, assets);
     } catch (error) {
-      console.warn(
+      logger.warn(
         chalk.yellow(
           `⚠️ 디렉토리 스캔 실패: ${assetDir.path} - ${error.message}`
         )
       );
     }
 
-    return assets;
+    return this.groupDensityVariants(assets);
+  }
+
+  /**
+   * 해상도 변형(@2x, @3x) 묶기
+   * React Native는 Metro가 require 하나로 변형을 고르므로 하나의 Asset으로 합칩니다
+   * @param {object[]} assets - 한 Asset 디렉토리의 Asset 정보
+   * @param {boolean} force - 프레임워크와 무관하게 묶기 (사용 현황 분석 등)
+   */
+  groupDensityVariants(assets, force = false) {
+    return force || getFramework(this.config) === 'react-native' ? mergeDensityVariants(assets) : assets;
   }
 
   /**
@@ -111,18 +138,19 @@ export class TypesGenerator {
     try {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
-      for (const entry of entries) {
+      // 디렉토리 읽기 순서와 무관하게 항상 같은 결과가 나오도록 정렬
+      for (const entry of sortEntries(entries)) {
         const fullPath = join(dirPath, entry.name);
 
         if (entry.isDirectory()) {
           await this.collectAssetsRecursive(fullPath, assetDir, assets);
         } else if (this.isAssetFile(entry.name)) {
           const assetInfo = this.createAssetInfo(fullPath, assetDir);
-          assets.push(assetInfo);
+          assets.push({ ...assetInfo, ...(await this.readAssetDimensions(fullPath)) });
         }
       }
     } catch (error) {
-      console.warn(
+      logger.warn(
         chalk.yellow(`⚠️ 디렉토리 읽기 실패: ${dirPath} - ${error.message}`)
       );
     }
@@ -161,6 +189,16 @@ export class TypesGenerator {
     };
   }
 
+  /**
+   * Asset 고유 크기 읽기 (이미지 헤더 / SVG viewBox)
+   * @param {string} filePath - 파일 경로
+   * @param {string|null} content - 이미 읽은 파일 내용 (선택)
+   * @returns {Promise<{width?: number, height?: number, aspectRatio?: number}>} 크기를 모르면 빈 객체
+   */
+  async readAssetDimensions(filePath, content = null) {
+    return toDimensionFields(await readImageDimensions(filePath, content));
+  }
+
   /**
    * Asset 타입 결정
    */
@@ -199,14 +237,17 @@ export class TypesGenerator {
 
     const sections = [];
 
+    // 중복 제거로 정리된 Asset의 기존 이름 (별칭)
+    const aliases = resolveAliases(assetInfo, this.config);
+
     // 1. Asset Names Union Type
-    sections.push(this.generateAssetNamesType(assetInfo, assetNameType));
+    sections.push(this.generateAssetNamesType(assetInfo, assetNameType, aliases));
 
     // 2. Asset Info Interface
     sections.push(this.generateAssetInfoInterface());
 
     // 3. Asset Props Types
-    sections.push(this.generateAssetPropsTypes(assetPropsType));
+    sections.push(this.generateAssetPropsTypes(assetPropsType, assetInfo, aliases));
 
     // 4. Size Types (옵션)
     if (this.config.typeGeneration.includeSizeTypes) {
@@ -219,7 +260,12 @@ export class TypesGenerator {
     }
 
     // 6. Asset Path Map
-    sections.push(this.generateAssetPathMap(assetInfo, pathMapName));
+    sections.push(this.generateAssetPathMap(assetInfo, pathMapName, aliases));
+
+    // 6-1. Asset 별칭 (중복 제거된 Asset이 있는 경우)
+    if (aliases.length > 0) {
+      sections.push(this.generateAssetAliases(aliases, assetNameType));
+    }
 
     // 7. Utility Types
     sections.push(this.generateUtilityTypes(assetNameType));
@@ -230,8 +276,11 @@ export class TypesGenerator {
   /**
    * Asset Names 유니온 타입 생성
    */
-  generateAssetNamesType(assetInfo, typeName) {
-    const names = assetInfo.map((asset) => `'${asset.name}-${asset.extension}'`).sort();
+  generateAssetNamesType(assetInfo, typeName, aliases = []) {
+    const names = [
+      ...assetInfo.map((asset) => `'${asset.name}-${asset.extension}'`),
+      ...aliases.map(({ alias }) => `'${alias}'`),
+    ].sort();
 
     return `/**
  * Asset 이름 타입
@@ -255,15 +304,32 @@ export interface AssetInfo {
   type: 'icon' | 'image' | 'asset'
   category: string
   assetDir: string
+  /** 고유 너비 (px, 이미지 헤더 또는 SVG width/viewBox) */
+  width?: number
+  /** 고유 높이 (px) */
+  height?: number
+  /** 너비 / 높이 */
+  aspectRatio?: number
 }`;
   }
 
   /**
    * Asset Props 타입들 생성
    */
-  generateAssetPropsTypes(propsTypeName) {
+  generateAssetPropsTypes(propsTypeName, assetInfo = [], aliases = []) {
     const { assetNameType } = this.config.typeGeneration;
 
+    const { declarations, variants } =
+      getFramework(this.config) === 'react-native'
+        ? this.getNativePropVariants(assetInfo, aliases)
+        : {
+            declarations: '',
+            variants: [
+              this.getAssetPropFields(["type: 'icon'", `name: ${assetNameType}`, 'src?: never']),
+              this.getAssetPropFields(["type: 'url'", 'name?: never', 'src: string']),
+            ],
+          };
+
     return `/**
  * Size 객체 타입
  */
@@ -282,38 +348,133 @@ export type AssetSize = SizeType | number | SizeObject
  */
 export type AssetColor = ColorType | string
 
-/**
+${declarations}/**
  * Asset 컴포넌트 Props (원본 discriminated union)
  */
 export type ${propsTypeName} =
-    | {
-            type: 'icon'
-            name: ${assetNameType}
-            src?: never
-            size?: AssetSize
-            color?: AssetColor
-            className?: string
-            style?: React.CSSProperties
-            'aria-label'?: string
-            alt?: string
-            fallback?: React.ReactNode
-            ratio?: number
-            decorative?: boolean
-      }
-    | {
-            type: 'url'
-            name?: never
-            src: string
-            size?: AssetSize
-            color?: AssetColor
-            className?: string
-            style?: React.CSSProperties
-            'aria-label'?: string
-            alt?: string
-            fallback?: React.ReactNode
-            ratio?: number
-            decorative?: boolean
-      }`;
+${variants
+  .map(
+    (fields) => `    | {
+            ${fields.join('\n            ')}
+      }`
+  )
+  .join('\n')}`;
+  }
+
+  /**
+   * React Native Props 분기 (color는 효과가 있는 Asset에만 허용)
+   * - svgMode: inline/xml이면 react-native-svg로 렌더링하는 SVG 이름만 color(currentColor) 허용
+   * - 래스터/URL 이미지와 렌더링하지 않는 SVG는 color?: never
+   * @returns {{declarations: string, variants: string[][]}} declarations는 Props 앞에 추가할 타입 선언
+   */
+  getNativePropVariants(assetInfo, aliases) {
+    const { assetNameType } = this.config.typeGeneration;
+    const noColor = 'color?: never';
+    const urlVariant = this.getAssetPropFields(["type: 'url'", 'name?: never', 'src: string'], noColor);
+
+    if (!getNativeSvgMode(this.config)) {
+      return {
+        declarations: '',
+        variants: [
+          this.getAssetPropFields(["type: 'icon'", `name: ${assetNameType}`, 'src?: never'], noColor),
+          urlVariant,
+        ],
+      };
+    }
+
+    // 별칭은 대표 Asset이 SVG일 때 SVG 이름에 포함
+    const svgKeys = new Set(
+      assetInfo
+        .filter((asset) => asset.extension === 'svg')
+        .map((asset) => `${asset.name}-${asset.extension}`)
+    );
+    const svgNames = [
+      ...svgKeys,
+      ...aliases.filter(({ target }) => svgKeys.has(target)).map(({ alias }) => alias),
+    ]
+      .map((name) => `'${name}'`)
+      .sort();
+
+    return {
+      declarations: `/**
+ * SVG Asset 이름 타입 (color가 currentColor로 적용되는 Asset)
+ */
+export type SvgAssetName = ${svgNames.length > 0 ? svgNames.join(' | ') : 'never'}
+
+`,
+      variants: [
+        this.getAssetPropFields(["type: 'icon'", 'name: SvgAssetName', 'src?: never']),
+        this.getAssetPropFields(
+          ["type: 'icon'", `name: Exclude<${assetNameType}, SvgAssetName>`, 'src?: never'],
+          noColor
+        ),
+        urlVariant,
+      ],
+    };
+  }
+
+  /**
+   * Props 필드 목록 (프레임워크별)
+   * @param {string[]} discriminantFields - type/name/src 필드
+   * @param {string} colorField - color 필드 (효과가 없는 Asset은 'color?: never')
+   */
+  getAssetPropFields(discriminantFields, colorField = 'color?: AssetColor') {
+    const { attributeFields, fallbackFields } = this.getFrameworkPropFields();
+
+    return [
+      ...discriminantFields,
+      'size?: AssetSize',
+      colorField,
+      ...attributeFields,
+      'alt?: string',
+      ...fallbackFields,
+      'ratio?: number',
+      'decorative?: boolean',
+    ];
+  }
+
+  /**
+   * 프레임워크별 속성/fallback 필드
+   */
+  getFrameworkPropFields() {
+    switch (getFramework(this.config)) {
+      case 'vue':
+      case 'web-component':
+        // class/style/aria-label은 속성 상속(fallthrough)/엘리먼트 속성으로, fallback은 슬롯으로 받습니다
+        return { attributeFields: [], fallbackFields: [] };
+      case 'svelte':
+        return {
+          attributeFields: ['class?: string', 'style?: string', "'aria-label'?: string"],
+          fallbackFields: ['fallback?: Snippet'],
+        };
+      case 'react-native':
+        return {
+          attributeFields: ['style?: StyleProp<ImageStyle>', "'aria-label'?: string"],
+          fallbackFields: ['fallback?: React.ReactNode'],
+        };
+      default:
+        return {
+          attributeFields: ['className?: string', 'style?: React.CSSProperties', "'aria-label'?: string"],
+          fallbackFields: ['fallback?: React.ReactNode'],
+        };
+    }
+  }
+
+  /**
+   * Props 필드가 사용하는 프레임워크 타입 import
+   */
+  getFrameworkTypeImport() {
+    switch (getFramework(this.config)) {
+      case 'vue':
+      case 'web-component':
+        return '';
+      case 'svelte':
+        return "import type { Snippet } from 'svelte'";
+      case 'react-native':
+        return "import React from 'react'\nimport type { ImageStyle, StyleProp } from 'react-native'";
+      default:
+        return "import React from 'react'";
+    }
   }
 
   /**
@@ -363,12 +524,22 @@ export const colorMap: Record<ColorType, string> = ${JSON.stringify(
   /**
    * Asset Path Map 생성
    */
-  generateAssetPathMap(assetInfo, mapName) {
+  generateAssetPathMap(assetInfo, mapName, aliases = []) {
     const { assetNameType } = this.config.typeGeneration;
 
-    const entries = assetInfo
-      .map((asset) => {
-        const uniqueKey = `${asset.name}-${asset.extension}`;
+    // 별칭은 대표 Asset과 같은 파일 정보를 가리킵니다
+    const entries = [
+      ...assetInfo.map((asset) => ({ key: `${asset.name}-${asset.extension}`, asset })),
+      ...aliases.map(({ alias, asset }) => ({ key: alias, asset })),
+    ]
+      .map(({ key: uniqueKey, asset }) => {
+        const dimensions =
+          asset.aspectRatio !== undefined
+            ? `,
+    width: ${asset.width},
+    height: ${asset.height},
+    aspectRatio: ${asset.aspectRatio}`
+            : '';
         return `  '${uniqueKey}': {
     name: '${asset.name}',
     filename: '${asset.filename}',
@@ -376,7 +547,7 @@ export const colorMap: Record<ColorType, string> = ${JSON.stringify(
     extension: '${asset.extension}',
     type: '${asset.type}',
     category: '${asset.category}',
-    assetDir: '${asset.assetDir}'
+    assetDir: '${asset.assetDir}'${dimensions}
   }`;
       })
       .join(',\n');
@@ -390,6 +561,22 @@ ${entries}
 }`;
   }
 
+  /**
+   * Asset 별칭 매핑 생성
+   */
+  generateAssetAliases(aliases, assetNameType) {
+    const entries = aliases
+      .map(({ alias, target }) => `  '${alias}': '${target}'`)
+      .join(',\n');
+
+    return `/**
+ * Asset 별칭 매핑 (중복 제거된 기존 이름 → 대표 Asset 이름)
+ */
+export const assetAliases: Partial<Record<${assetNameType}, ${assetNameType}>> = {
+${entries}
+}`;
+  }
+
   /**
    * 유틸리티 타입들 생성
    */
@@ -397,13 +584,40 @@ ${entries}
     return `// 유틸리티 타입들은 필요에 따라 추가할 수 있습니다.`;
   }
 
+  /**
+   * 생성할 타입 파일 내용 계산 (디스크에 쓰지 않음)
+   * @param {object[]} assetInfo - Asset 정보 배열
+   * @returns {{path: string, content: string}[]}
+   */
+  renderFiles(assetInfo) {
+    const typeDefinitions = this.generateTypeDefinitions(assetInfo);
+    return [
+      { path: this.getOutputPath(), content: this.buildTypeFileContent(typeDefinitions) },
+    ];
+  }
+
+  /**
+   * 타입 파일 출력 경로
+   */
+  getOutputPath() {
+    const outputFile = this.config.fileGeneration.outputFile || 'types.ts';
+    return join(this.config.fileGeneration.outputDir, outputFile);
+  }
+
+  /**
+   * 헤더와 타입 정의를 조합한 타입 파일 전체 내용
+   */
+  buildTypeFileContent(typeDefinitions) {
+    return `${this.generateFileHeader()}\n\n${typeDefinitions}\n`;
+  }
+
   /**
    * 타입 파일 작성
    */
   async writeTypeFile(typeDefinitions) {
     const outputDir = this.config.fileGeneration.outputDir;
     const outputFile = this.config.fileGeneration.outputFile || 'types.ts';
-    const outputPath = join(outputDir, outputFile);
+    const outputPath = this.getOutputPath();
 
     // 디렉토리 생성
     await fs.mkdir(outputDir, { recursive: true });
@@ -414,16 +628,13 @@ ${entries}
       return outputPath;
     }
 
-    // 파일 헤더 생성
-    const header = this.generateFileHeader();
-
     // 전체 내용 조합
-    const content = `${header}\n\n${typeDefinitions}\n`;
+    const content = this.buildTypeFileContent(typeDefinitions);
 
     // 파일 작성
     await fs.writeFile(outputPath, content, 'utf8');
 
-    console.log(chalk.green(`  ✓ TypeScript 타입 파일 생성: ${outputPath}`));
+    logger.info(chalk.green(`  ✓ TypeScript 타입 파일 생성: ${outputPath}`));
     return outputPath;
   }
 
@@ -443,7 +654,7 @@ ${entries}
 
       switch (overwriteMode) {
         case 'skip':
-          console.log(
+          logger.info(
             chalk.yellow(`  ⚠️ ${filename} 파일이 이미 존재합니다. 건너뜁니다.`)
           );
           return true;
@@ -451,14 +662,14 @@ ${entries}
         case 'backup':
           const backupPath = `${filepath}.backup`;
           await fs.copyFile(filepath, backupPath);
-          console.log(
+          logger.info(
             chalk.blue(`  📦 ${filename} 백업 생성: ${filename}.backup`)
           );
           return false;
 
         case 'overwrite':
         default:
-          console.log(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`));
+          logger.info(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`));
           return false;
       }
     } catch (error) {
@@ -471,14 +682,14 @@ ${entries}
    * 파일 헤더 생성
    */
   generateFileHeader() {
+    const typeImport = this.getFrameworkTypeImport();
+
     return `/**
  * 🎨 Asset Types
  *
  * Asset CodeGen에 의해 자동 생성된 TypeScript 타입 정의
  *
  * @package ${this.config.projectName || 'asset-codegen'}
- */
-
-import React from 'react'`;
+ */${typeImport ? `\n\n${typeImport}` : ''}`;
   }
 }
@@ -0,0 +1,268 @@
+/**
+ * 📊 Asset 사용 현황 생성기
+ *
+ * 애플리케이션 소스를 스캔하여 Asset 참조를 수집하고
+ * 아무 곳에서도 참조하지 않는 Asset(unused)과 존재하지 않는 Asset 참조(missing)를 보고합니다
+ * - Asset 이름 리터럴: 'icons-home-svg' 처럼 지원 확장자로 끝나는 문자열, <Asset name="...">
+ * - Hook/유틸 호출: getAssetPath('...'), useAssetPath('...'), useAssetInfo('...') 등
+ * - public URL: '/icons/...', url(/icons/...)
+ * 해상도 변형(@2x, @3x)은 기준 Asset과 한 묶음으로 취급합니다 (하나라도 사용 중이면 모두 사용 중, 격리할 때는 함께 이동)
+ * 템플릿 리터럴로 조합한 이름처럼 정적으로 알 수 없는 참조는 감지하지 않으므로 usage.keep으로 보호하세요
+ */
+
+import { promises as fs } from 'fs'
+import { basename, extname, join } from 'path'
+import chalk from 'chalk'
+import { TypesGenerator } from './TypesGenerator.js'
+import { findFiles, createMatcher } from '../utils/GlobUtils.js'
+import { escapeRegex } from '../utils/RegexUtils.js'
+import { resolveAliases } from '../utils/AssetAliases.js'
+import { formatBytes, moveToQuarantine, toPublicUrl } from '../utils/FileUtils.js'
+import { RenameJournal } from '../utils/RenameJournal.js'
+import { logger } from '../utils/Logger.js'
+
+const DEFAULT_SOURCES = ['src/**/*.{ts,tsx,js,jsx,css,scss}']
+const DEFAULT_QUARANTINE_DIR = '.asset-codegen/quarantine'
+
+// 첫 번째 인자로 Asset 이름을 받는 생성 함수/Hook
+const ASSET_NAME_FUNCTIONS = ['getAssetPath', 'getAssetInfo', 'hasAsset', 'useAssetPath', 'useAssetInfo']
+
+export class UsageGenerator {
+	constructor(config, options = {}) {
+		this.config = config
+		this.journal = options.journal || null // 격리 이동 저널 (RenameJournal)
+
+		const usageOptions = config.usage || {}
+		this.sources = options.sources || usageOptions.sources || DEFAULT_SOURCES
+		this.ignore = usageOptions.ignore || []
+		this.isKept = createMatcher(usageOptions.keep || [])
+		this.quarantineDir = config.quarantine?.dir || DEFAULT_QUARANTINE_DIR
+	}
+
+	/**
+	 * 사용 현황 분석 (디스크를 변경하지 않음)
+	 * @returns {Promise<{scannedCount: number, assetCount: number, referenceCount: number, unused: object[], missing: object[]}>}
+	 */
+	async analyze() {
+		const { assets, infos } = await this.collectAssets()
+		const names = new Map()
+		const urls = new Map()
+
+		// 기준 이름과 변형 파일 이름/URL 모두 같은 Asset 묶음을 가리킴
+		for (const asset of assets) {
+			names.set(asset.assetName, asset)
+			for (const file of asset.files) {
+				names.set(file.assetName, asset)
+				if (file.url) urls.set(file.url, asset)
+			}
+		}
+
+		// 별칭 이름도 대표 Asset을 참조하는 것으로 취급
+		for (const { alias, asset } of resolveAliases(infos, this.config)) {
+			names.set(alias, names.get(`${asset.name}-${asset.extension}`))
+		}
+
+		// 생성된 코드 디렉토리는 항상 제외 (모든 Asset을 나열하므로)
+		const files = await findFiles(this.sources, {
+			ignore: [...this.ignore, this.config.fileGeneration.outputDir]
+		})
+
+		const used = new Set()
+		const missing = new Map()
+		let referenceCount = 0
+
+		for (const file of files) {
+			const content = await fs.readFile(file, 'utf8')
+
+			for (const reference of this.findReferences(content, urls)) {
+				referenceCount++
+				const asset = reference.kind === 'url' ? urls.get(reference.value) : names.get(reference.value)
+
+				if (asset) {
+					used.add(asset)
+					continue
+				}
+
+				const key = `${reference.kind}:${reference.value}`
+				if (!missing.has(key)) {
+					missing.set(key, { kind: reference.kind, value: reference.value, locations: [] })
+				}
+				missing.get(key).locations.push({ file, line: reference.line })
+			}
+		}
+
+		// 사용하지 않는 묶음은 변형 파일까지 모두 보고 (격리 시 함께 이동)
+		const unused = assets
+			.filter((asset) => !used.has(asset) && !this.isKeptAsset(asset))
+			.flatMap((asset) => asset.files.map(({ assetName, path, size }) => ({ name: assetName, path, size })))
+
+		return {
+			scannedCount: files.length,
+			assetCount: assets.reduce((count, asset) => count + asset.files.length, 0),
+			referenceCount,
+			unused,
+			missing: [...missing.values()]
+		}
+	}
+
+	/**
+	 * usage.keep으로 보호하는 Asset 묶음인지 확인 (기준 이름 또는 변형 파일 하나라도 일치)
+	 */
+	isKeptAsset(asset) {
+		return (
+			this.isKept(asset.assetName) ||
+			asset.files.some((file) => this.isKept(file.path) || this.isKept(file.assetName))
+		)
+	}
+
+	/**
+	 * 활성화된 디렉토리의 Asset 수집 (해상도 변형은 기준 Asset 하나로 묶음)
+	 * @returns {Promise<{assets: object[], infos: object[]}>} infos는 타입 생성과 같은 Asset 정보 (별칭 계산용)
+	 */
+	async collectAssets() {
+		const typesGenerator = new TypesGenerator(this.config)
+		const enabledDirectories = this.config.assetDirectories.filter((dir) => dir.enabled)
+		const assets = []
+		const infos = []
+
+		for (const assetDir of enabledDirectories) {
+			const directoryInfos = await typesGenerator.collectAssetsFromDirectory(assetDir)
+			infos.push(...directoryInfos)
+
+			for (const info of typesGenerator.groupDensityVariants(directoryInfos, true)) {
+				const files = []
+				for (const filePath of info.variantPaths || [info.fullPath]) {
+					const extension = extname(filePath)
+					const { size } = await fs.stat(filePath)
+					files.push({
+						assetName: `${basename(filePath, extension)}-${extension.toLowerCase().slice(1)}`,
+						path: filePath,
+						url: toPublicUrl(filePath),
+						size
+					})
+				}
+
+				assets.push({ info, assetName: `${info.name}-${info.extension}`, files })
+			}
+		}
+
+		return { assets, infos }
+	}
+
+	/**
+	 * 소스 내용에서 Asset 참조 추출
+	 * @param {string} content - 소스 내용
+	 * @param {Map<string, object>} urls - 알려진 public URL (URL 접두어 계산용)
+	 * @returns {{kind: 'name'|'url', value: string, line: number}[]}
+	 */
+	findReferences(content, urls) {
+		const extensions = this.config.fileGeneration.supportedExtensions.join('|')
+		const componentName = this.config.componentGeneration?.componentName || 'Asset'
+
+		// 지원 확장자로 끝나는 Asset 이름 리터럴 (예: 'icons-home-svg')
+		const literalRegex = new RegExp(`(['"\`])([\\p{L}\\p{N}_@]+(?:-[\\p{L}\\p{N}_@]+)*-(?:${extensions}))\\1`, 'gu')
+		// 함수 호출 / Asset 컴포넌트의 name prop (확장자 형식이 아니어도 Asset 이름으로 취급)
+		const callRegex = new RegExp(`\\b(?:${ASSET_NAME_FUNCTIONS.join('|')})\\(\\s*(['"\`])([^'"\`$]+)\\1`, 'g')
+		const propRegex = new RegExp(`<${componentName}\\b[^>]*?\\bname=(?:\\{\\s*)?(['"\`])([^'"\`$]+)\\1`, 'g')
+		// Asset 디렉토리의 public URL (예: /icons/...)
+		const prefixes = [...new Set([...urls.keys()].map((url) => url.split('/')[1]))]
+		const urlRegex = prefixes.length > 0
+			? new RegExp(`(?<=['"\`(\\s])(/(?:${prefixes.map(escapeRegex).join('|')})/[^'"\`)\\s?#]+)`, 'g')
+			: null
+
+		const references = []
+		const lineStarts = [0]
+		for (let i = 0; i < content.length; i++) {
+			if (content[i] === '\n') lineStarts.push(i + 1)
+		}
+		const lineAt = (index) => {
+			let low = 0
+			let high = lineStarts.length - 1
+			while (low < high) {
+				const mid = (low + high + 1) >> 1
+				if (lineStarts[mid] <= index) low = mid
+				else high = mid - 1
+			}
+			return low + 1
+		}
+
+		// 같은 위치를 여러 패턴이 잡는 경우 한 번만 기록
+		const seen = new Set()
+		const add = (kind, value, index) => {
+			if (seen.has(index)) return
+			seen.add(index)
+			references.push({ kind, value, line: lineAt(index) })
+		}
+
+		for (const regex of [literalRegex, callRegex, propRegex]) {
+			for (const match of content.matchAll(regex)) {
+				add('name', match[2], match.index + match[0].lastIndexOf(match[2]) - 1)
+			}
+		}
+		if (urlRegex) {
+			for (const match of content.matchAll(urlRegex)) {
+				add('url', match[1], match.index)
+			}
+		}
+
+		return references.sort((a, b) => a.line - b.line)
+	}
+
+	/**
+	 * 사용하지 않는 Asset을 격리 디렉토리로 이동
+	 * @param {object[]} unused - analyze 결과의 unused 배열
+	 * @returns {Promise<object[]>} 이동 내역
+	 */
+	async quarantine(unused) {
+		const runDir = join(this.quarantineDir, this.journal?.runId || RenameJournal.createRunId())
+		const moved = []
+
+		for (const asset of unused) {
+			try {
+				const quarantinePath = await moveToQuarantine(asset.path, runDir, this.journal)
+				moved.push({ from: asset.path, to: quarantinePath })
+				logger.info(chalk.green(`  ✓ ${asset.path} → ${quarantinePath}`))
+			} catch (error) {
+				logger.error(chalk.red(`  ✗ 이동 실패: ${asset.path} - ${error.message}`))
+			}
+		}
+
+		return moved
+	}
+
+	/**
+	 * 분석 결과 표 출력
+	 */
+	printReport({ scannedCount, assetCount, referenceCount, unused, missing }) {
+		logger.info(chalk.gray(`📄 소스 ${scannedCount}개 파일 / Asset ${assetCount}개 / 참조 ${referenceCount}곳\n`))
+
+		if (unused.length > 0) {
+			const nameWidth = Math.max(...unused.map((asset) => asset.name.length), 'Asset'.length)
+			const totalSize = unused.reduce((sum, asset) => sum + asset.size, 0)
+
+			logger.info(chalk.yellow.bold(`🗑️ 사용하지 않는 Asset (${unused.length}개, ${formatBytes(totalSize)})`))
+			// 한글 헤더는 글자당 2칸을 차지하므로 패딩을 줄여 정렬
+			logger.info(chalk.gray(`   ${'Asset'.padEnd(nameWidth)}  ${'크기'.padStart(6)}  경로`))
+			unused.forEach((asset) => {
+				logger.info(`   ${asset.name.padEnd(nameWidth)}  ${formatBytes(asset.size).padStart(8)}  ${chalk.gray(asset.path)}`)
+			})
+			logger.info()
+		}
+
+		if (missing.length > 0) {
+			const valueWidth = Math.max(...missing.map((reference) => reference.value.length), 4)
+
+			logger.info(chalk.red.bold(`❓ 존재하지 않는 Asset 참조 (${missing.length}개)`))
+			logger.info(chalk.gray(`   ${'참조'.padEnd(valueWidth - 2)}  종류  위치`))
+			missing.forEach((reference) => {
+				const locations = reference.locations.map(({ file, line }) => `${file}:${line}`).join(', ')
+				logger.info(`   ${reference.value.padEnd(valueWidth)}  ${reference.kind.padEnd(4)}  ${chalk.gray(locations)}`)
+			})
+			logger.info()
+		}
+
+		if (unused.length === 0 && missing.length === 0) {
+			logger.info(chalk.green('✅ 모든 Asset이 사용 중이고 누락된 참조가 없습니다'))
+		}
+	}
+}
@@ -7,6 +7,8 @@
 import { promises as fs } from 'fs'
 import { join } from 'path'
 import chalk from 'chalk'
+import { logger } from '../utils/Logger.js'
+import { getFramework, isReactFramework } from '../utils/Frameworks.js'
 
 export class UtilsGenerator {
 	constructor(config) {
@@ -29,21 +31,41 @@ export class UtilsGenerator {
 		const utilsCode = this.generateUtilsCode()
 
 		await fs.writeFile(filepath, utilsCode, 'utf8')
-		console.log(chalk.green(`  ✓ Utils 파일 생성: ${filename}`))
+		logger.info(chalk.green(`  ✓ Utils 파일 생성: ${filename}`))
 
 		return filepath
 	}
 
+	/**
+	 * 생성할 Utils 파일 내용 계산 (디스크에 쓰지 않음)
+	 * @param {string} outputDir - 출력 디렉토리
+	 * @returns {{path: string, content: string}[]}
+	 */
+	renderFiles(outputDir) {
+		return [{ path: join(outputDir, 'utils.ts'), content: this.generateUtilsCode() }]
+	}
+
 	/**
 	 * Utils 코드 생성
 	 */
 	generateUtilsCode() {
 		const { assetNameType } = this.config.typeGeneration
 		const assetDirectories = this.config.assetDirectories || []
+		const { styleImport, styleType, styleDeclaration, colorProperty = 'color' } = this.getStyleType()
 
-		// assetDir별 basePath 매핑 생성 코드
+		// Vue/Svelte/Web Component 기본 tsconfig(verbatimModuleSyntax)에서는 타입을 type import로 가져와야 합니다
+		const typesImport = isReactFramework(getFramework(this.config))
+			? `import { AssetInfo, ${assetNameType}, AssetSize, AssetColor, assetPathMap, sizeMap, colorMap } from './types'`
+			: `import type { AssetInfo, ${assetNameType}, AssetSize, AssetColor } from './types'\nimport { assetPathMap, sizeMap, colorMap } from './types'`
+
+		// 에러/미발견 엘리먼트는 React(DOM)만 생성 (다른 프레임워크는 컴포넌트에서 직접 렌더링)
+		const errorElementCode = getFramework(this.config) === 'react'
+			? this.generateErrorElementCode()
+			: ''
+
+		// assetDir별 basePath 매핑 생성 코드 (public/, SvelteKit의 static/은 루트 URL로 제공)
 		const basePathMapCode = assetDirectories.map(dir => {
-			const pathWithoutPublic = dir.path.replace(/^public\//, '')
+			const pathWithoutPublic = dir.path.replace(/^(public|static)\//, '')
 			const parts = pathWithoutPublic.split('/').slice(0, -1)
 			const basePath = parts.length > 0 ? `/${parts.join('/')}` : ''
 			return `assetDirBasePathMap.set('${dir.name}', '${basePath}')`
@@ -55,9 +77,8 @@ export class UtilsGenerator {
  * Asset CodeGen에 의해 자동 생성된 유틸리티 함수들
  */
 
-import React from 'react'
-import { AssetInfo, ${assetNameType}, AssetSize, AssetColor, assetPathMap, sizeMap, colorMap } from './types'
-
+${styleImport}${typesImport}
+${styleDeclaration}
 // assetDir별 basePath 매핑 생성
 const assetDirBasePathMap = new Map<string, string>()
 ${basePathMapCode}
@@ -84,8 +105,14 @@ export function getAssetInfo(name: ${assetNameType}): AssetInfo | null {
 
 /**
  * 사이즈 스타일을 계산하는 유틸리티 함수
+ * aspectRatio(Asset 고유 비율)가 있으면 한쪽 크기만 지정해도 나머지를 계산합니다
  */
-export function getSizeStyle(size?: AssetSize, ratio?: number, style?: React.CSSProperties): React.CSSProperties {
+export function getSizeStyle(
+    size?: AssetSize,
+    ratio?: number,
+    style?: ${styleType},
+    aspectRatio?: number
+): ${styleType} {
     // size prop이 명시적으로 없거나 undefined인 경우
     if (size === undefined) {
         // ratio가 1이고 CSS에서 width나 height가 지정된 경우, 정사각형으로 만들기
@@ -136,6 +163,13 @@ export function getSizeStyle(size?: AssetSize, ratio?: number, style?: React.CSS
                     height: normalizedSize.width,
                 }
             }
+            // 고유 비율로 height 계산 (레이아웃 시프트 방지)
+            if (aspectRatio && typeof normalizedSize.width === 'number') {
+                return {
+                    width: normalizedSize.width,
+                    height: Math.round(normalizedSize.width / aspectRatio),
+                }
+            }
             return {
                 width: normalizedSize.width,
                 height: 'auto',
@@ -149,6 +183,13 @@ export function getSizeStyle(size?: AssetSize, ratio?: number, style?: React.CSS
                     height: normalizedSize.height,
                 }
             }
+            // 고유 비율로 width 계산 (레이아웃 시프트 방지)
+            if (aspectRatio && typeof normalizedSize.height === 'number') {
+                return {
+                    width: Math.round(normalizedSize.height * aspectRatio),
+                    height: normalizedSize.height,
+                }
+            }
             return {
                 width: 'auto',
                 height: normalizedSize.height,
@@ -178,18 +219,71 @@ export function getAssetColor(color?: AssetColor): string | undefined {
  * 최종 스타일을 조합하는 유틸리티 함수
  */
 export function createCommonStyle(
-    sizeStyle: React.CSSProperties,
+    sizeStyle: ${styleType},
     color: string | undefined,
-    style?: React.CSSProperties
-): React.CSSProperties {
+    style?: ${styleType}
+): ${styleType} {
     return {
         ...sizeStyle,
-        color,
+        ${colorProperty === 'color' ? 'color' : `${colorProperty}: color`},
         ...style,
     }
 }
 
+${errorElementCode}/**
+ * Asset 존재 여부 확인
+ */
+export function hasAsset(name: string): name is ${assetNameType} {
+    return name in assetPathMap
+}
+
+/**
+ * 모든 Asset 이름 가져오기
+ */
+export function getAllAssetNames(): ${assetNameType}[] {
+    return Object.keys(assetPathMap) as ${assetNameType}[]
+}`
+	}
+
+	/**
+	 * 프레임워크별 스타일 타입 (import 줄, 타입 이름, 직접 정의하는 타입 선언, 색상 스타일 속성)
+	 * @returns {{styleImport: string, styleType: string, styleDeclaration: string, colorProperty?: string}}
+	 */
+	getStyleType() {
+		switch (getFramework(this.config)) {
+			case 'react-native':
+				// Image는 color 대신 tintColor로 단색 아이콘 색상을 바꿉니다
+				return {
+					styleImport: "import type { ImageStyle } from 'react-native'\n",
+					styleType: 'ImageStyle',
+					styleDeclaration: '',
+					colorProperty: 'tintColor'
+				}
+			case 'vue':
+				return { styleImport: "import type { CSSProperties } from 'vue'\n", styleType: 'CSSProperties', styleDeclaration: '' }
+			case 'svelte':
+			case 'web-component':
+				// 프레임워크 스타일 타입이 없으므로 스타일 객체 타입을 직접 정의 (컴포넌트에서 문자열/style 프로퍼티로 변환)
+				return {
+					styleImport: '',
+					styleType: 'AssetStyle',
+					styleDeclaration: `
 /**
+ * 스타일 객체 (숫자 크기는 px)
+ */
+export type AssetStyle = Record<string, string | number | undefined>
+`
+				}
+			default:
+				return { styleImport: "import React from 'react'\n", styleType: 'React.CSSProperties', styleDeclaration: '' }
+		}
+	}
+
+	/**
+	 * 에러/미발견 UI 엘리먼트 유틸리티 코드 (React)
+	 */
+	generateErrorElementCode() {
+		return `/**
  * 에러/미발견 UI 엘리먼트를 생성하는 유틸리티 함수
  */
 export function createErrorElement(
@@ -218,19 +312,7 @@ export function createErrorElement(
     }, isError ? '❌' : \`❓ \${name || ''}\`)
 }
 
-/**
- * Asset 존재 여부 확인
- */
-export function hasAsset(name: string): name is ${assetNameType} {
-    return name in assetPathMap
-}
-
-/**
- * 모든 Asset 이름 가져오기
- */
-export function getAllAssetNames(): ${assetNameType}[] {
-    return Object.keys(assetPathMap) as ${assetNameType}[]
-}`
+`
 	}
 
 	/**
@@ -248,18 +330,18 @@ export function getAllAssetNames(): ${assetNameType}[] {
 
 			switch (overwriteMode) {
 				case 'skip':
-					console.log(chalk.yellow(`  ⚠️ ${filename} 파일이 이미 존재합니다. 건너뜁니다.`))
+					logger.info(chalk.yellow(`  ⚠️ ${filename} 파일이 이미 존재합니다. 건너뜁니다.`))
 					return true
 
 				case 'backup':
 					const backupPath = `${filepath}.backup`
 					await fs.copyFile(filepath, backupPath)
-					console.log(chalk.blue(`  📦 ${filename} 백업 생성: ${filename}.backup`))
+					logger.info(chalk.blue(`  📦 ${filename} 백업 생성: ${filename}.backup`))
 					return false
 
 				case 'overwrite':
 				default:
-					console.log(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`))
+					logger.info(chalk.blue(`  🔄 ${filename} 파일을 덮어씁니다.`))
 					return false
 			}
 		} catch (error) {
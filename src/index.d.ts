@@ -0,0 +1,209 @@
+/**
+ * 📦 Asset CodeGen 프로그래밍 API 타입 정의
+ */
+
+/** 로거 (메시지는 색상 코드 없는 한 줄 문자열) */
+export interface Logger {
+  info?(message: string): void;
+  warn?(message: string): void;
+  error?(message: string): void;
+}
+
+export interface AssetDirectoryConfig {
+  name: string;
+  path: string;
+  enabled: boolean;
+  [key: string]: unknown;
+}
+
+/** 설정 객체 (생략한 필드는 기본 설정으로 채워짐) */
+export interface AssetCodegenConfig {
+  projectName?: string;
+  projectType?: string;
+  assetDirectories: AssetDirectoryConfig[];
+  fileGeneration: {
+    outputDir: string;
+    supportedExtensions?: string[];
+    [key: string]: unknown;
+  };
+  featureFlags?: Record<string, boolean | { enabled: boolean; [key: string]: unknown }>;
+  conventions?: {
+    namingPattern?: string;
+    separatorChar?: string;
+    caseStyle?: 'kebab-case' | 'camelCase' | 'snake_case' | 'PascalCase' | 'preserve';
+    collisionStrategy?: 'fail' | 'skip' | 'suffix';
+    sanitize?: { enabled?: boolean; romanizeHangul?: boolean };
+  };
+  /** 사용자 정의 단계를 제공하는 플러그인 모듈 (상대 경로는 설정 파일 위치 기준) */
+  plugins?: PluginDeclaration[];
+  [key: string]: unknown;
+}
+
+/** 설정 파일에 작성하는 설정 (생략한 필드는 기본 설정으로 채워짐) */
+export type UserConfig = ConfigOverlay & {
+  /** 먼저 병합할 설정 (프리셋 이름, 설정 파일 경로 또는 패키지 이름) */
+  extends?: ConfigPresetName | (string & {}) | Array<ConfigPresetName | (string & {})>;
+  /** 환경별 오버레이 (--env 또는 NODE_ENV로 선택) */
+  env?: Record<string, ConfigOverlay>;
+};
+
+/** extends/env로 병합되는 설정 조각 (assetDirectories는 name 기준으로 병합되므로 path 등 생략 가능) */
+export type ConfigOverlay = {
+  [K in keyof AssetCodegenConfig]?: K extends 'assetDirectories'
+    ? Array<Partial<AssetDirectoryConfig> & { name: string }>
+    : AssetCodegenConfig[K];
+};
+
+export type ConfigPresetName = 'nextjs' | 'react' | 'react-native' | 'vue' | 'svelte';
+
+export type PluginDeclaration = string | { module: string; options?: Record<string, unknown> };
+
+/** 수집된 Asset 정보 */
+export interface AssetInfo {
+  name: string;
+  filename: string;
+  path: string;
+  extension: string;
+  type: 'icon' | 'image' | 'asset';
+  category: string;
+  assetDir: string;
+  width?: number;
+  height?: number;
+  aspectRatio?: number;
+  [key: string]: unknown;
+}
+
+export interface PluginStepContext {
+  assets: AssetInfo[];
+  config: AssetCodegenConfig;
+  /** 플러그인 선언의 options */
+  options: Record<string, unknown>;
+  outputDir: string;
+  dryRun: boolean;
+  logger: Required<Logger>;
+}
+
+export interface PluginStep {
+  /** 단계 id (featureFlags 키, --steps 값) */
+  id: string;
+  name?: string;
+  description?: string;
+  /** 이 단계 바로 앞에 실행 (기본 단계 flagKey 또는 앞서 선언된 플러그인 단계 id) */
+  before?: StepKey;
+  /** 이 단계 바로 뒤에 실행 */
+  after?: StepKey;
+  /** 기본값: true (featureFlags[id]가 있으면 우선) */
+  enabled?: boolean | ((config: AssetCodegenConfig) => boolean);
+  /** 생성한 파일 경로 반환 (포맷팅/결과 보고에 포함) */
+  execute(context: PluginStepContext): string[] | { generatedFiles: string[] } | Promise<string[] | { generatedFiles: string[] }>;
+  /** dry-run/check용 생성 예정 파일 (디스크를 변경하지 않아야 함) */
+  plan?(context: PluginStepContext): PlannedFile[] | Promise<PlannedFile[]>;
+}
+
+export interface PlannedFile {
+  path: string;
+  content: string;
+  overwriteMode?: 'overwrite' | 'skip';
+}
+
+export interface AssetCodegenPlugin {
+  name?: string;
+  steps: PluginStep[];
+}
+
+export interface TaskOptions {
+  /** 설정 객체 또는 설정 파일 경로 (기본값: 현재 디렉토리부터 상위로 탐색) */
+  config?: UserConfig | string;
+  /** 로거 (기본값: console) */
+  logger?: Logger;
+  /** 적용할 환경 오버레이 (기본값: NODE_ENV) */
+  env?: string;
+}
+
+export interface GenerateOptions extends TaskOptions {
+  /** 실행할 단계만 지정 (예: ['types', 'components']) */
+  steps?: string[];
+  /** 실행 계획만 계산 (디스크 변경 없음) */
+  dryRun?: boolean;
+}
+
+export type BuiltinStepKey =
+  | 'cleanupDuplicates'
+  | 'organizeFilenames'
+  | 'optimizeSvg'
+  | 'rewriteReferences'
+  | 'generateTypes'
+  | 'generateUtils'
+  | 'generateComponent';
+
+/** 기본 단계 또는 플러그인 단계 id */
+export type StepKey = BuiltinStepKey | (string & {});
+
+export interface RenameResult {
+  /** 변경한 단계 (generate에서만) */
+  step?: StepKey;
+  assetDir: string;
+  oldPath: string;
+  newPath: string;
+  originalName: string;
+  newName: string;
+  /** 적용된 파일명 정규화 목록 */
+  sanitized: string[];
+}
+
+export interface Timings {
+  totalMs: number;
+  /** 단계별 소요 시간 (generate에서만) */
+  steps?: Array<{ flagKey: StepKey; durationMs: number }>;
+}
+
+export interface TaskResult {
+  dryRun: boolean;
+  /** 파일명 변경 저널 ID (undo용, 변경이 없으면 null) */
+  runId: string | null;
+  renames: RenameResult[];
+  generatedFiles: string[];
+  /** 실행 중 출력된 경고 */
+  warnings: string[];
+  timings: Timings;
+}
+
+export interface GenerateResult extends TaskResult {
+  steps?: Array<{ name: string; flagKey: StepKey; success: boolean }>;
+  /** dryRun일 때의 실행 계획 */
+  plan?: ExecutionPlan;
+}
+
+export interface ExecutionPlan {
+  dryRun: true;
+  steps: Array<{ flagKey: StepKey; name: string }>;
+  /** plan()이 없어 생성 파일을 미리 계산하지 못한 플러그인 단계 (check에서 incomplete로 보고) */
+  unplannedSteps: Array<{ flagKey: StepKey; name: string }>;
+  renames: Array<{ step: StepKey; assetDir: string; oldPath: string; newPath: string; sanitized: string[] }>;
+  netRenames: Array<{ oldPath: string; newPath: string }>;
+  conflicts: Array<{
+    step: StepKey;
+    oldPath: string;
+    newPath: string;
+    reason: 'path' | 'case' | 'name';
+    conflictsWith: string;
+    resolution: 'fail' | 'skip' | 'suffix';
+    resolvedPath?: string;
+  }>;
+  optimizations: Array<{ file: string; bytesBefore: number; bytesAfter: number; bytesSaved: number }>;
+  sourceChanges: Array<{ file: string; count: number; diff: string }>;
+  files: Array<{ path: string; status: 'create' | 'update' | 'unchanged' | 'skip'; diff: string }>;
+  summary: Record<string, number>;
+}
+
+export declare const consoleLogger: Required<Logger>;
+export declare const silentLogger: Required<Logger>;
+
+/** asset-codegen.config.{js,mjs,ts}의 타입 도우미 */
+export declare function defineConfig<T extends UserConfig>(config: T): T;
+export declare function loadConfig(config?: UserConfig | string, options?: { env?: string }): Promise<AssetCodegenConfig>;
+export declare function generate(options?: GenerateOptions): Promise<GenerateResult>;
+export declare function clean(options?: TaskOptions): Promise<TaskResult>;
+export declare function organize(options?: TaskOptions): Promise<TaskResult>;
+export declare function types(options?: TaskOptions): Promise<TaskResult>;
+export declare function components(options?: TaskOptions): Promise<TaskResult>;
@@ -0,0 +1,194 @@
+/**
+ * 📦 Asset CodeGen 프로그래밍 API
+ *
+ * 빌드 스크립트에서 CLI 없이 생성기를 호출하기 위한 진입점
+ * - 설정: 설정 객체 또는 설정 파일 경로 (생략하면 현재 디렉토리부터 상위로 탐색), env로 환경 오버레이 선택
+ * - 로거: { info, warn, error } (색상 코드 없이 한 줄 문자열로 전달, 기본값: console)
+ * - 결과: renames, generatedFiles, warnings, timings를 담은 객체 (실패하면 예외 발생)
+ */
+
+import { join } from 'path'
+import { ConfigManager } from './utils/ConfigManager.js'
+import { CONFIG_FILENAMES, PACKAGE_JSON_KEY, findConfigFile } from './utils/ConfigLoader.js'
+import { RenameJournal } from './utils/RenameJournal.js'
+import { toRenameResult } from './utils/ExecutionPlan.js'
+import { runWithLogger, createPlainLogger, consoleLogger, silentLogger } from './utils/Logger.js'
+import { AssetGenerator } from './generators/AssetGenerator.js'
+import { CleanGenerator } from './generators/CleanGenerator.js'
+import { OrganizeGenerator } from './generators/OrganizeGenerator.js'
+import { TypesGenerator } from './generators/TypesGenerator.js'
+import { ComponentsGenerator } from './generators/ComponentsGenerator.js'
+
+export { consoleLogger, silentLogger }
+
+/**
+ * 설정 파일의 타입 도우미 (asset-codegen.config.{js,mjs,ts}에서 사용)
+ * @param {object} config - 사용자 설정
+ * @returns {object} 전달한 설정 그대로
+ */
+export function defineConfig(config) {
+	return config
+}
+
+/**
+ * 설정 로드 및 검증
+ * CLI와 달리 설정 파일을 찾지 못해도 기본 설정으로 대체하지 않고 예외를 던집니다
+ * @param {object|string} [config] - 설정 객체 또는 설정 파일 경로 (생략하면 탐색)
+ * @param {object} [options] - { env: 적용할 환경 오버레이 (기본값: NODE_ENV) }
+ * @returns {Promise<object>} 기본 설정과 병합된 설정
+ */
+export async function loadConfig(config, options = {}) {
+	return (await resolveTaskConfig(config, options.env)).config
+}
+
+/**
+ * 전체 생성 프로세스 실행 (Clean → Organize → ... → 컴포넌트, 설정의 featureFlags 기준)
+ * @param {object} options - { config, logger, steps, dryRun }
+ * @returns {Promise<object>} 생성 결과 (dryRun이면 plan 포함, 디스크 변경 없음)
+ */
+export async function generate(options = {}) {
+	return runTask(options, async (config, filepath) => {
+		const generator = new AssetGenerator({
+			config,
+			configPath: filepath, // 플러그인 상대 경로 기준
+			steps: options.steps,
+			dryRun: options.dryRun
+		})
+		const result = await generator.generate()
+
+		if (!result.success) {
+			throw new Error(result.error)
+		}
+
+		if (result.dryRun) {
+			return {
+				dryRun: true,
+				runId: null,
+				renames: result.plan.renames.map(toRenameResult),
+				generatedFiles: [],
+				plan: result.plan
+			}
+		}
+
+		return {
+			dryRun: false,
+			runId: result.runId,
+			renames: result.renames.map(toRenameResult),
+			generatedFiles: result.generatedFiles,
+			steps: result.results.map(({ step, flagKey, success }) => ({ name: step, flagKey, success })),
+			stepTimings: result.results.map(({ flagKey, durationMs }) => ({ flagKey, durationMs }))
+		}
+	})
+}
+
+/**
+ * 1단계: 파일명에서 폴더명 제거
+ * @param {object} options - { config, logger }
+ * @returns {Promise<object>} 파일명 변경 결과
+ */
+export async function clean(options = {}) {
+	return runTask(options, async (config) => {
+		const journal = RenameJournal.fromConfig(config, 'clean')
+		const renames = await new CleanGenerator(config, { journal }).generate()
+		return createRenameResult(renames, journal)
+	})
+}
+
+/**
+ * 2단계: 폴더 구조 기반 파일명 재구성
+ * @param {object} options - { config, logger }
+ * @returns {Promise<object>} 파일명 변경 결과
+ */
+export async function organize(options = {}) {
+	return runTask(options, async (config) => {
+		const journal = RenameJournal.fromConfig(config, 'organize')
+		const renames = await new OrganizeGenerator(config, { journal }).generate()
+		return createRenameResult(renames, journal)
+	})
+}
+
+/**
+ * 3단계: TypeScript 타입 생성
+ * @param {object} options - { config, logger }
+ * @returns {Promise<object>} 생성 결과
+ */
+export async function types(options = {}) {
+	return runTask(options, async (config) => {
+		const generatedFiles = await new TypesGenerator(config).generate()
+		return { dryRun: false, runId: null, renames: [], generatedFiles: Array.isArray(generatedFiles) ? generatedFiles : [] }
+	})
+}
+
+/**
+ * 4단계: React 컴포넌트 생성
+ * @param {object} options - { config, logger }
+ * @returns {Promise<object>} 생성 결과
+ */
+export async function components(options = {}) {
+	return runTask(options, async (config) => {
+		const generatedFiles = await new ComponentsGenerator(config).generate()
+		return { dryRun: false, runId: null, renames: [], generatedFiles: Array.isArray(generatedFiles) ? generatedFiles : [] }
+	})
+}
+
+/**
+ * 주입한 로거로 작업 실행 후 경고와 소요 시간을 결과에 추가
+ */
+async function runTask(options, task) {
+	const startedAt = Date.now()
+	const { logger, warnings } = createPlainLogger(options.logger || consoleLogger)
+
+	return runWithLogger(logger, async () => {
+		const { config, filepath } = await resolveTaskConfig(options.config, options.env)
+		const { stepTimings, ...result } = await task(config, filepath)
+
+		return {
+			...result,
+			warnings,
+			timings: {
+				totalMs: Date.now() - startedAt,
+				...(stepTimings && { steps: stepTimings })
+			}
+		}
+	})
+}
+
+/**
+ * 설정 객체 또는 설정 파일 로드 후 검증
+ * 설정 객체의 extends 상대 경로는 현재 디렉토리 기준입니다
+ * @returns {Promise<{config: object, filepath: string|null}>}
+ */
+async function resolveTaskConfig(config, env) {
+	const configManager = new ConfigManager()
+	let resolved
+
+	if (config && typeof config === 'object') {
+		const userConfig = await configManager.applyExtends(config, join(process.cwd(), CONFIG_FILENAMES[0]))
+		resolved = { ...configManager.applyEnvironment(userConfig, env), filepath: null }
+	} else {
+		const filepath = config || findConfigFile()
+		if (!filepath) {
+			throw new Error(`설정 파일을 찾을 수 없습니다 (${CONFIG_FILENAMES.join(', ')} 또는 package.json의 "${PACKAGE_JSON_KEY}")`)
+		}
+		resolved = await configManager.resolveConfig(filepath, { env })
+	}
+
+	const validation = configManager.validateConfigObject(resolved.config)
+	if (!validation.isValid) {
+		throw new Error(`설정 검증 실패: ${validation.errors.join(', ')}`)
+	}
+
+	return resolved
+}
+
+/**
+ * Clean/Organize 결과
+ */
+function createRenameResult(renames, journal) {
+	return {
+		dryRun: false,
+		runId: journal?.entries.length > 0 ? journal.runId : null,
+		renames: renames.map(toRenameResult),
+		generatedFiles: []
+	}
+}
@@ -0,0 +1,81 @@
+/**
+ * 🔗 Asset 별칭 유틸리티
+ *
+ * 중복 제거(duplicates --dedupe)로 정리된 Asset의 기존 이름을 대표 Asset으로 연결합니다
+ * - 별칭 파일: {duplicates.aliasFile} (기본: asset-codegen.aliases.json, 저장소에 커밋)
+ * - 형식: { "aliases": { "기존-이름-svg": "대표-이름-svg" } }
+ * - 타입 생성 시 별칭 이름도 AssetName에 포함되어 기존 코드가 그대로 동작합니다
+ */
+
+import { readFileSync, existsSync, promises as fs } from 'fs'
+import chalk from 'chalk'
+import { logger } from './Logger.js'
+
+export const DEFAULT_ALIAS_FILE = 'asset-codegen.aliases.json'
+
+/**
+ * 별칭 파일 경로
+ */
+export function getAliasFilePath(config) {
+	return config.duplicates?.aliasFile || DEFAULT_ALIAS_FILE
+}
+
+/**
+ * 별칭 로드 (파일이 없으면 빈 객체)
+ * @param {object} config - 설정 객체
+ * @returns {Record<string, string>} 별칭 → 대표 Asset 이름
+ */
+export function loadAliases(config) {
+	const filePath = getAliasFilePath(config)
+	if (!existsSync(filePath)) {
+		return {}
+	}
+
+	try {
+		return JSON.parse(readFileSync(filePath, 'utf8')).aliases || {}
+	} catch (error) {
+		logger.warn(chalk.yellow(`⚠️ 별칭 파일을 읽을 수 없습니다: ${filePath} - ${error.message}`))
+		return {}
+	}
+}
+
+/**
+ * 별칭 저장 (이름순 정렬)
+ * @param {object} config - 설정 객체
+ * @param {Record<string, string>} aliases - 별칭 → 대표 Asset 이름
+ * @returns {Promise<string>} 별칭 파일 경로
+ */
+export async function saveAliases(config, aliases) {
+	const filePath = getAliasFilePath(config)
+	const sorted = Object.fromEntries(Object.entries(aliases).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+
+	await fs.writeFile(filePath, JSON.stringify({ aliases: sorted }, null, '\t') + '\n', 'utf8')
+	return filePath
+}
+
+/**
+ * 현재 Asset 목록 기준으로 유효한 별칭 계산
+ * - 실제 Asset과 이름이 같은 별칭은 무시 (undo로 파일이 복원된 경우 등)
+ * - 대표 Asset이 없는 별칭은 경고 후 무시
+ * @param {object[]} assetInfo - Asset 정보 배열
+ * @param {object} config - 설정 객체
+ * @returns {{alias: string, target: string, asset: object}[]} 별칭 이름순
+ */
+export function resolveAliases(assetInfo, config) {
+	const assetsByKey = new Map(assetInfo.map((asset) => [`${asset.name}-${asset.extension}`, asset]))
+	const resolved = []
+
+	for (const [alias, target] of Object.entries(loadAliases(config)).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+		if (assetsByKey.has(alias)) continue
+
+		const asset = assetsByKey.get(target)
+		if (!asset) {
+			logger.warn(chalk.yellow(`⚠️ 별칭 '${alias}'의 대상 Asset을 찾을 수 없습니다: ${target}`))
+			continue
+		}
+
+		resolved.push({ alias, target, asset })
+	}
+
+	return resolved
+}
@@ -0,0 +1,428 @@
+/**
+ * 👀 Asset 디렉토리 감시자
+ *
+ * Asset 디렉토리의 변경을 감지하여 변경된 디렉토리만 증분 재생성합니다
+ * - 짧은 시간에 몰린 파일 이벤트는 debounce로 묶어서 한 번에 처리
+ * - 변경된 파일만 Clean/Organize 적용, 타입은 변경된 디렉토리만 다시 스캔
+ * - 플러그인 단계는 타입 재생성 후 캐시된 Asset 목록으로 다시 실행
+ * - 감시자 자신이 변경한 파일명의 이벤트는 무시 (재변경 루프 방지)
+ * - options.onEvent(event, data)로 처리 결과를 이벤트로 전달 (ready, change, renamed, generated, error)
+ */
+
+import { watch as fsWatch, watchFile, unwatchFile, promises as fs } from 'fs'
+import { join, basename } from 'path'
+import chalk from 'chalk'
+import { ConfigManager } from './ConfigManager.js'
+import { conditionalFormat } from './FormattingUtils.js'
+import { RenameJournal } from './RenameJournal.js'
+import { listFiles } from './FileUtils.js'
+import { AssetGenerator } from '../generators/AssetGenerator.js'
+import { CleanGenerator } from '../generators/CleanGenerator.js'
+import { OrganizeGenerator } from '../generators/OrganizeGenerator.js'
+import { OptimizeGenerator } from '../generators/OptimizeGenerator.js'
+import { TypesGenerator } from '../generators/TypesGenerator.js'
+import { ComponentsGenerator } from '../generators/ComponentsGenerator.js'
+import { logger } from './Logger.js'
+
+export class AssetWatcher {
+	constructor(config, options = {}) {
+		this.config = config
+		this.configPath = options.configPath || null // 설정 파일이 없으면 설정 변경 감시 안 함
+		this.debounceMs = options.debounceMs ?? 300
+		this.initial = options.initial !== false
+		this.onEvent = options.onEvent || (() => {})
+
+		this.configManager = new ConfigManager()
+		this.watchers = new Map() // 디렉토리 경로 → FSWatcher
+		this.pending = new Map() // assetDir 이름 → 변경된 파일 경로 Set
+		this.assetCache = new Map() // assetDir 이름 → 수집된 Asset 정보
+		this.recentRenames = new Map() // 감시자가 변경한 파일 경로 → 이벤트 무시 만료 시각
+		this.timer = null
+		this.running = false
+		this.pluginSteps = []
+
+		this.createGenerators()
+	}
+
+	/**
+	 * 현재 설정으로 생성기 인스턴스 준비
+	 */
+	createGenerators() {
+		this.cleanGenerator = new CleanGenerator(this.config)
+		this.organizeGenerator = new OrganizeGenerator(this.config)
+		this.optimizeGenerator = new OptimizeGenerator(this.config)
+		this.typesGenerator = new TypesGenerator(this.config)
+		this.componentsGenerator = new ComponentsGenerator(this.config)
+
+		// AssetGenerator의 featureFlags 기준으로 활성 단계 결정
+		this.assetGenerator = new AssetGenerator({ configPath: this.configPath })
+		this.enabledStepKeys = new Set(this.assetGenerator.getEnabledSteps(this.config).map((step) => step.flagKey))
+	}
+
+	/**
+	 * 설정의 plugins에서 활성화된 플러그인 단계 로드
+	 */
+	async loadPlugins() {
+		await this.assetGenerator.loadPlugins(this.config)
+		this.pluginSteps = this.assetGenerator.getEnabledSteps(this.config).filter((step) => step.plugin)
+	}
+
+	/**
+	 * 감시 시작
+	 */
+	async start() {
+		await this.loadPlugins()
+
+		if (this.initial) {
+			await this.runFullGeneration()
+		}
+
+		await this.refreshAssetCache()
+		await this.watchAssetDirectories()
+
+		// 설정 파일이 바뀌면 전체 재생성
+		if (this.configPath) {
+			watchFile(this.configPath, { interval: 1000 }, (curr, prev) => {
+				if (curr.mtimeMs !== prev.mtimeMs) {
+					this.handleConfigChange()
+				}
+			})
+		}
+
+		this.onEvent('ready', { directories: [...this.assetCache.keys()] })
+	}
+
+	/**
+	 * 감시 종료
+	 */
+	close() {
+		clearTimeout(this.timer)
+		this.watchers.forEach((watcher) => watcher.close())
+		this.watchers.clear()
+		if (this.configPath) {
+			unwatchFile(this.configPath)
+		}
+	}
+
+	/**
+	 * 전체 파이프라인 실행
+	 */
+	async runFullGeneration() {
+		const generator = new AssetGenerator({ configPath: this.configPath })
+		const result = await generator.generate()
+
+		if (!result.success) {
+			logger.error(chalk.red(`❌ 전체 생성 실패: ${result.error}`))
+			this.onEvent('error', { message: result.error })
+			return
+		}
+
+		this.onEvent('generated', { full: true, runId: result.runId || null, generatedFiles: result.generatedFiles })
+	}
+
+	/**
+	 * 활성화된 디렉토리의 Asset 정보 캐시 갱신
+	 */
+	async refreshAssetCache() {
+		this.assetCache.clear()
+
+		for (const assetDir of this.getEnabledDirectories()) {
+			this.assetCache.set(assetDir.name, await this.typesGenerator.collectAssetsFromDirectory(assetDir))
+		}
+	}
+
+	/**
+	 * 활성화된 Asset 디렉토리 감시 등록
+	 */
+	async watchAssetDirectories() {
+		for (const assetDir of this.getEnabledDirectories()) {
+			try {
+				await fs.access(assetDir.path)
+			} catch {
+				logger.warn(chalk.yellow(`⚠️ 디렉토리를 찾을 수 없어 감시하지 않습니다: ${assetDir.path}`))
+				continue
+			}
+
+			await this.watchDirectoryTree(assetDir.path, assetDir)
+			logger.info(chalk.gray(`  👀 ${assetDir.name}: ${assetDir.path}`))
+		}
+	}
+
+	/**
+	 * 디렉토리와 하위 디렉토리 감시 등록
+	 * (Node 18은 Linux에서 recursive 감시를 지원하지 않으므로 디렉토리마다 등록)
+	 */
+	async watchDirectoryTree(dirPath, assetDir) {
+		if (this.watchers.has(dirPath)) {
+			return
+		}
+
+		let entries
+		try {
+			entries = await fs.readdir(dirPath, { withFileTypes: true })
+		} catch {
+			return
+		}
+
+		const watcher = fsWatch(dirPath, (eventType, filename) => {
+			if (filename) {
+				this.handleFileEvent(assetDir, join(dirPath, filename.toString()))
+			}
+		})
+		watcher.on('error', () => this.unwatchDirectory(dirPath))
+		this.watchers.set(dirPath, watcher)
+
+		for (const entry of entries) {
+			if (entry.isDirectory()) {
+				await this.watchDirectoryTree(join(dirPath, entry.name), assetDir)
+			}
+		}
+	}
+
+	/**
+	 * 디렉토리 감시 해제
+	 */
+	unwatchDirectory(dirPath) {
+		const watcher = this.watchers.get(dirPath)
+		if (watcher) {
+			watcher.close()
+			this.watchers.delete(dirPath)
+		}
+	}
+
+	/**
+	 * 파일 이벤트 처리 (debounce 대기열에 추가)
+	 */
+	handleFileEvent(assetDir, filePath) {
+		if (!this.pending.has(assetDir.name)) {
+			this.pending.set(assetDir.name, new Set())
+		}
+		this.pending.get(assetDir.name).add(filePath)
+
+		this.scheduleFlush()
+	}
+
+	/**
+	 * debounce 타이머 예약
+	 */
+	scheduleFlush() {
+		clearTimeout(this.timer)
+		this.timer = setTimeout(() => this.flush(), this.debounceMs)
+	}
+
+	/**
+	 * 대기 중인 변경사항 일괄 처리
+	 */
+	async flush() {
+		// 처리 중에 들어온 이벤트는 현재 처리가 끝난 뒤 다시 처리
+		if (this.running) {
+			return
+		}
+
+		this.running = true
+		const pending = this.pending
+		this.pending = new Map()
+
+		try {
+			const changedDirNames = []
+
+			// 한 번의 일괄 처리를 하나의 실행으로 저널에 기록
+			const journal = RenameJournal.fromConfig(this.config, 'watch')
+			this.cleanGenerator.journal = journal
+			this.organizeGenerator.journal = journal
+			this.optimizeGenerator.journal = journal
+
+			for (const [dirName, eventPaths] of pending) {
+				const assetDir = this.getEnabledDirectories().find((dir) => dir.name === dirName)
+				const filePaths = [...eventPaths].filter((filePath) => !this.isRecentlyRenamed(filePath))
+				if (!assetDir || filePaths.length === 0) continue
+
+				logger.info(chalk.blue(`\n🔄 ${dirName}: ${filePaths.length}개 변경 감지`))
+				this.onEvent('change', { assetDir: dirName, files: filePaths })
+				await this.processChangedFiles(assetDir, filePaths)
+				changedDirNames.push(dirName)
+			}
+
+			if (changedDirNames.length > 0) {
+				const generatedFiles = await this.regenerateTypes(changedDirNames)
+				this.onEvent('generated', {
+					full: false,
+					runId: journal?.entries.length > 0 ? journal.runId : null,
+					assetDirs: changedDirNames,
+					generatedFiles
+				})
+			}
+		} catch (error) {
+			logger.error(chalk.red(`❌ 증분 재생성 실패: ${error.message}`))
+			this.onEvent('error', { message: error.message })
+		} finally {
+			this.running = false
+
+			if (this.pending.size > 0) {
+				this.scheduleFlush()
+			}
+		}
+	}
+
+	/**
+	 * 변경된 파일들에 Clean/Organize 단계 적용
+	 */
+	async processChangedFiles(assetDir, filePaths) {
+		for (const filePath of filePaths) {
+			const stats = await fs.stat(filePath).catch(() => null)
+
+			if (!stats) {
+				// 삭제된 파일/디렉토리 - 타입 재생성만 필요
+				this.unwatchDirectory(filePath)
+				continue
+			}
+
+			if (stats.isDirectory()) {
+				// 새 디렉토리 - 감시 등록 후 내부 파일 모두 처리
+				await this.watchDirectoryTree(filePath, assetDir)
+				for (const nestedPath of await listFiles(filePath, (name) => this.cleanGenerator.isAssetFile(name))) {
+					const finalPath = await this.renameChangedFile(nestedPath, assetDir)
+					await this.optimizeChangedFile(finalPath, assetDir)
+				}
+				continue
+			}
+
+			if (this.cleanGenerator.isAssetFile(basename(filePath))) {
+				const finalPath = await this.renameChangedFile(filePath, assetDir)
+				await this.optimizeChangedFile(finalPath, assetDir)
+			}
+		}
+	}
+
+	/**
+	 * 단일 파일에 Clean → Organize 순서로 파일명 변경 적용
+	 * @returns {Promise<string>} 최종 파일 경로
+	 */
+	async renameChangedFile(filePath, assetDir) {
+		let currentPath = filePath
+
+		if (this.enabledStepKeys.has('cleanupDuplicates')) {
+			const result = await this.cleanGenerator.cleanSingleFile(currentPath, assetDir)
+			if (result) {
+				this.markRenamed(result.oldPath, result.newPath)
+				this.onEvent('renamed', { step: 'cleanupDuplicates', oldPath: result.oldPath, newPath: result.newPath })
+				currentPath = result.newPath
+			}
+		}
+
+		if (this.enabledStepKeys.has('organizeFilenames')) {
+			const result = await this.organizeGenerator.organizeSingleFile(currentPath, assetDir)
+			if (result) {
+				this.markRenamed(result.oldPath, result.newPath)
+				this.onEvent('renamed', { step: 'organizeFilenames', oldPath: result.oldPath, newPath: result.newPath })
+				currentPath = result.newPath
+			}
+		}
+
+		return currentPath
+	}
+
+	/**
+	 * 변경된 SVG 파일 최적화 (optimizeSvg 단계가 활성화된 경우)
+	 */
+	async optimizeChangedFile(filePath, assetDir) {
+		if (!this.enabledStepKeys.has('optimizeSvg') || !this.optimizeGenerator.isSvgFile(filePath)) {
+			return
+		}
+
+		const result = await this.optimizeGenerator.optimizeSingleFile(filePath, assetDir)
+		if (result?.written) {
+			this.markRenamed(result.outputPath)
+		}
+	}
+
+	/**
+	 * 감시자가 변경한 파일 경로 기록
+	 * 이 경로들의 이벤트는 잠시 동안 무시하여 같은 파일을 다시 변경하지 않습니다
+	 */
+	markRenamed(...filePaths) {
+		const ignoreUntil = Date.now() + Math.max(1000, this.debounceMs * 4)
+		filePaths.forEach((filePath) => this.recentRenames.set(filePath, ignoreUntil))
+	}
+
+	/**
+	 * 감시자가 방금 변경한 파일인지 확인
+	 * (rename 완료 콜백보다 파일 이벤트가 먼저 도착할 수 있어 처리 시점에 확인)
+	 */
+	isRecentlyRenamed(filePath) {
+		const ignoreUntil = this.recentRenames.get(filePath)
+		if (!ignoreUntil) {
+			return false
+		}
+
+		if (ignoreUntil > Date.now()) {
+			return true
+		}
+
+		this.recentRenames.delete(filePath)
+		return false
+	}
+
+	/**
+	 * 변경된 디렉토리만 다시 스캔하여 타입 재생성
+	 * @returns {Promise<string[]>} 생성된 파일 경로
+	 */
+	async regenerateTypes(changedDirNames) {
+		for (const dirName of changedDirNames) {
+			const assetDir = this.getEnabledDirectories().find((dir) => dir.name === dirName)
+			this.assetCache.set(dirName, await this.typesGenerator.collectAssetsFromDirectory(assetDir))
+		}
+
+		// 설정 순서대로 캐시를 합쳐 전체 타입 생성
+		const assetInfo = this.getEnabledDirectories().flatMap((dir) => this.assetCache.get(dir.name) || [])
+		const generatedFiles = await this.typesGenerator.generateFromAssetInfo(assetInfo)
+
+		// SVG 인라인 컴포넌트, React Native Asset 소스 맵도 Asset 목록에 의존하므로 함께 재생성
+		if (this.enabledStepKeys.has('generateComponent')) {
+			const outputDir = this.config.fileGeneration.outputDir
+			if (this.componentsGenerator.isInlineSvgMode()) {
+				generatedFiles.push(await this.componentsGenerator.generateSvgComponents(outputDir, assetInfo))
+			}
+			if (this.componentsGenerator.getAssetSourcesOutput()) {
+				generatedFiles.push(await this.componentsGenerator.generateAssetSources(outputDir, assetInfo))
+			}
+		}
+
+		for (const step of this.pluginSteps) {
+			generatedFiles.push(...(await this.assetGenerator.executePluginStep(step, this.config, assetInfo)))
+		}
+
+		await conditionalFormat(generatedFiles, this.config)
+		return generatedFiles
+	}
+
+	/**
+	 * 설정 파일 변경 처리
+	 */
+	async handleConfigChange() {
+		logger.info(chalk.blue('\n⚙️ 설정 파일 변경 감지 - 전체 재생성합니다'))
+
+		try {
+			this.config = await this.configManager.loadConfig(this.configPath)
+			this.createGenerators()
+			await this.loadPlugins()
+
+			this.watchers.forEach((watcher) => watcher.close())
+			this.watchers.clear()
+
+			await this.runFullGeneration()
+			await this.refreshAssetCache()
+			await this.watchAssetDirectories()
+		} catch (error) {
+			logger.error(chalk.red(`❌ 설정 재로드 실패: ${error.message}`))
+			this.onEvent('error', { message: error.message })
+		}
+	}
+
+	/**
+	 * 활성화된 Asset 디렉토리 목록
+	 */
+	getEnabledDirectories() {
+		return this.config.assetDirectories.filter((dir) => dir.enabled)
+	}
+}
@@ -0,0 +1,66 @@
+/**
+ * 🔠 케이스 스타일 유틸리티
+ *
+ * conventions.caseStyle을 파일명 세그먼트(베이스 이름, 폴더명, 파일명)마다 적용합니다
+ * - 세그먼트 안의 단어는 케이스 스타일로 연결 (kebab: '-', snake: '_', camel/Pascal: 대문자)
+ * - 세그먼트끼리는 conventions.separatorChar로 연결
+ *   예: camelCase + '-' → icons-navBar-arrowLeft, snake_case + '-' → icons-nav_bar-arrow_left
+ */
+
+import { DENSITY_SUFFIX_REGEX } from './FilenameSanitizer.js'
+import { escapeCharClass } from './RegexUtils.js'
+
+export const CASE_STYLES = ['kebab-case', 'camelCase', 'snake_case', 'PascalCase', 'preserve']
+
+/**
+ * 단어 분리
+ * - 구분자(공백, '-', '_', separatorChar) 기준
+ * - 소문자/숫자 → 대문자 경계 (iconX2 → icon, X2)
+ * - 연속 대문자 약어의 끝 (HTTPError → HTTP, Error)
+ * 숫자는 앞 단어에 붙여 유지합니다 (icon2x → icon2x)
+ * @param {string} text - 분리할 문자열
+ * @param {string} separatorChar - 추가 구분자
+ * @returns {string[]}
+ */
+export function splitWords(text, separatorChar = '-') {
+	const separators = `\\s_\\-${escapeCharClass(separatorChar)}`
+	const boundary = new RegExp(`[${separators}]+|(?<=[\\p{Ll}\\p{N}])(?=\\p{Lu})|(?<=\\p{Lu})(?=\\p{Lu}\\p{Ll})`, 'u')
+
+	return text.split(boundary).filter(Boolean)
+}
+
+/**
+ * 케이스 스타일 적용 (해상도 접미사 @2x 등은 유지)
+ * @param {string} text - 변환할 세그먼트
+ * @param {string} caseStyle - kebab-case | camelCase | snake_case | PascalCase | preserve
+ * @param {string} separatorChar - 세그먼트 구분자 (단어 분리에도 사용)
+ * @returns {string}
+ */
+export function applyCaseStyle(text, caseStyle = 'kebab-case', separatorChar = '-') {
+	if (caseStyle === 'preserve') {
+		return text
+	}
+
+	const densitySuffix = text.match(DENSITY_SUFFIX_REGEX)?.[0] || ''
+	const words = splitWords(densitySuffix ? text.slice(0, -densitySuffix.length) : text, separatorChar)
+	const lower = words.map((word) => word.toLowerCase())
+	const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1)
+
+	let result
+	switch (caseStyle) {
+		case 'camelCase':
+			result = lower.map((word, index) => (index === 0 ? word : capitalize(word))).join('')
+			break
+		case 'snake_case':
+			result = lower.join('_')
+			break
+		case 'PascalCase':
+			result = lower.map(capitalize).join('')
+			break
+		case 'kebab-case':
+		default:
+			result = lower.join('-')
+	}
+
+	return (result || text) + densitySuffix
+}
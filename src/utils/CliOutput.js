@@ -0,0 +1,120 @@
+/**
+ * 🧾 CLI 출력 모드
+ *
+ * 전역 --json / --silent 옵션에 따라 CLI 출력을 나눕니다
+ * - --json: stdout에는 명령어마다 JSON 문서 하나만 출력 (watch는 NDJSON 이벤트), 사람이 읽는 출력은 stderr로
+ * - --silent: 사람이 읽는 출력 생략 (오류는 stderr로 출력)
+ * 명령어는 setResult/addErrors로 결과를 기록하고, 문서는 프로세스 종료 시 종료 코드와 함께 한 번 출력됩니다
+ */
+
+import { writeSync } from 'fs'
+import { format, stripVTControlCharacters } from 'util'
+
+const state = {
+	command: null,
+	json: false,
+	silent: false,
+	streaming: false,
+	startedAt: Date.now(),
+	result: {},
+	errors: [],
+	warnings: []
+}
+
+/**
+ * 출력 모드 설정 (bin/cli.js의 preAction 훅에서 호출)
+ * @param {string} command - 실행할 명령어 이름
+ * @param {object} options - { json, silent }
+ */
+export function configureOutput(command, options = {}) {
+	state.command = command
+	state.json = Boolean(options.json)
+	state.silent = Boolean(options.silent)
+	state.startedAt = Date.now()
+
+	if (!state.json && !state.silent) {
+		return
+	}
+
+	const noop = () => {}
+	const toStderr = (...args) => writeSync(2, format(...args) + '\n')
+
+	console.log = state.silent ? noop : toStderr
+	console.info = state.silent ? noop : toStderr
+	console.error = toStderr
+	console.warn = (...args) => {
+		if (state.json) {
+			state.warnings.push(toPlainText(args))
+		}
+		if (!state.silent) {
+			toStderr(...args)
+		}
+	}
+
+	if (state.json) {
+		process.on('exit', writeDocument)
+	}
+}
+
+/**
+ * JSON 출력 모드인지 확인
+ * @returns {boolean}
+ */
+export function isJsonOutput() {
+	return state.json
+}
+
+/**
+ * JSON 문서에 명령어 결과 기록 (여러 번 호출하면 병합)
+ * @param {object} data - 결과 데이터
+ */
+export function setResult(data) {
+	Object.assign(state.result, data)
+}
+
+/**
+ * JSON 문서에 오류 메시지 기록
+ * @param {...(string|Error)} errors - 오류 또는 메시지
+ */
+export function addErrors(...errors) {
+	state.errors.push(...errors.map((error) => (error instanceof Error ? error.message : String(error))))
+}
+
+/**
+ * NDJSON 이벤트 출력 (watch 같은 장시간 실행용, 이 모드에서는 종료 시 문서를 출력하지 않음)
+ * @param {string} event - 이벤트 이름
+ * @param {object} data - 이벤트 데이터
+ */
+export function emitEvent(event, data = {}) {
+	if (!state.json) return
+
+	state.streaming = true
+	writeSync(1, JSON.stringify({ event, command: state.command, time: new Date().toISOString(), ...data }) + '\n')
+}
+
+/**
+ * 종료 시 JSON 문서 출력
+ */
+function writeDocument(exitCode) {
+	if (state.streaming) return
+
+	const { timings, ...result } = state.result
+	const document = {
+		command: state.command,
+		success: exitCode === 0,
+		exitCode,
+		...result,
+		errors: state.errors,
+		warnings: state.warnings,
+		timings: { totalMs: Date.now() - state.startedAt, ...timings }
+	}
+
+	writeSync(1, JSON.stringify(document, null, 2) + '\n')
+}
+
+/**
+ * console 인자 → 색상 코드 없는 한 줄 문자열
+ */
+function toPlainText(args) {
+	return stripVTControlCharacters(format(...args)).trim()
+}
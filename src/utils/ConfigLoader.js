@@ -0,0 +1,141 @@
+/**
+ * 🔎 설정 파일 탐색 및 로드
+ *
+ * - 파일: asset-codegen.config.{json,js,mjs,cjs,ts} 또는 package.json의 "assetCodegen" 키
+ * - 탐색: 시작 디렉토리부터 상위 디렉토리로 올라가며 처음 발견한 설정 사용
+ * - TS 설정: Node가 타입 제거를 지원하면 바로 import, 아니면 프로젝트의 typescript로 변환 후 import
+ * - 파싱 오류는 기본 설정으로 대체하지 않고 예외를 던집니다
+ */
+
+import { existsSync, readFileSync, promises as fs } from 'fs'
+import { createRequire } from 'module'
+import { basename, dirname, extname, join, resolve } from 'path'
+import { pathToFileURL } from 'url'
+
+export const CONFIG_FILENAMES = [
+	'asset-codegen.config.json',
+	'asset-codegen.config.js',
+	'asset-codegen.config.mjs',
+	'asset-codegen.config.cjs',
+	'asset-codegen.config.ts'
+]
+
+export const PACKAGE_JSON_KEY = 'assetCodegen'
+
+const require = createRequire(import.meta.url)
+
+/**
+ * 시작 디렉토리부터 상위로 올라가며 설정 파일 탐색
+ * @param {string} startDir - 탐색 시작 디렉토리 (기본값: 현재 디렉토리)
+ * @returns {string|null} 설정 파일 절대 경로 (package.json이면 "assetCodegen" 키가 있는 경우만)
+ */
+export function findConfigFile(startDir = process.cwd()) {
+	let dir = resolve(startDir)
+
+	while (true) {
+		const configFile = CONFIG_FILENAMES.map((filename) => join(dir, filename)).find((filePath) => existsSync(filePath))
+		if (configFile) {
+			return configFile
+		}
+
+		const packageJsonPath = join(dir, 'package.json')
+		if (existsSync(packageJsonPath) && hasPackageJsonConfig(packageJsonPath)) {
+			return packageJsonPath
+		}
+
+		const parentDir = dirname(dir)
+		if (parentDir === dir) {
+			return null
+		}
+		dir = parentDir
+	}
+}
+
+/**
+ * 설정 파일 읽기 (기본 설정과 병합하기 전의 사용자 설정)
+ * @param {string} filePath - 설정 파일 경로
+ * @returns {Promise<object>} 사용자 설정
+ */
+export async function readConfigFile(filePath) {
+	const absolutePath = resolve(filePath)
+	let config
+
+	try {
+		if (basename(absolutePath) === 'package.json') {
+			config = JSON.parse(await fs.readFile(absolutePath, 'utf8'))[PACKAGE_JSON_KEY]
+			if (config === undefined) {
+				throw new Error(`"${PACKAGE_JSON_KEY}" 키가 없습니다`)
+			}
+		} else if (extname(absolutePath) === '.json') {
+			config = JSON.parse(await fs.readFile(absolutePath, 'utf8'))
+		} else if (extname(absolutePath) === '.ts') {
+			config = await importTsConfig(absolutePath)
+		} else {
+			config = await importModuleConfig(absolutePath)
+		}
+	} catch (error) {
+		throw new Error(`설정 파일 파싱 오류 (${filePath}): ${error.message}`)
+	}
+
+	if (!config || typeof config !== 'object' || Array.isArray(config)) {
+		throw new Error(`설정 파일은 설정 객체를 내보내야 합니다: ${filePath}`)
+	}
+
+	return config
+}
+
+/**
+ * package.json에 "assetCodegen" 키가 있는지 확인
+ */
+function hasPackageJsonConfig(packageJsonPath) {
+	try {
+		return JSON.parse(readFileSync(packageJsonPath, 'utf8'))[PACKAGE_JSON_KEY] !== undefined
+	} catch {
+		return false
+	}
+}
+
+/**
+ * JS 설정 import (watch 모드에서 다시 읽을 수 있도록 캐시를 사용하지 않음)
+ */
+async function importModuleConfig(absolutePath) {
+	delete require.cache[absolutePath]
+
+	const module = await import(`${pathToFileURL(absolutePath).href}?t=${Date.now()}`)
+	return module.default ?? module
+}
+
+/**
+ * TS 설정 import
+ * Node가 타입 제거를 지원하지 않으면 프로젝트의 typescript로 변환한 임시 .mjs 파일을 설정 파일 옆에 만들어 import합니다
+ * (설정 파일 기준 상대 import가 그대로 동작)
+ */
+async function importTsConfig(absolutePath) {
+	if (process.features?.typescript) {
+		return importModuleConfig(absolutePath)
+	}
+
+	let ts
+	try {
+		const projectRequire = createRequire(absolutePath)
+		ts = await import(pathToFileURL(projectRequire.resolve('typescript')).href)
+		ts = ts.default || ts
+	} catch {
+		throw new Error('TS 설정 파일을 읽으려면 프로젝트에 typescript를 설치하거나 타입 제거를 지원하는 Node를 사용하세요')
+	}
+
+	const source = await fs.readFile(absolutePath, 'utf8')
+	const { outputText } = ts.transpileModule(source, {
+		fileName: absolutePath,
+		compilerOptions: { module: ts.ModuleKind.ESNext, target: ts.ScriptTarget.ES2022 }
+	})
+
+	const tempPath = join(dirname(absolutePath), `.asset-codegen.config.${process.pid}-${Date.now()}.mjs`)
+	await fs.writeFile(tempPath, outputText, 'utf8')
+
+	try {
+		return await importModuleConfig(tempPath)
+	} finally {
+		await fs.rm(tempPath, { force: true })
+	}
+}
@@ -4,73 +4,221 @@
  * Asset CodeGen 설정 파일 로드, 검증, 관리
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs'
+import { writeFileSync, existsSync } from 'fs'
 import path from 'path'
+import { createRequire } from 'module'
+import { validateNamingPattern } from './NamingTemplate.js'
+import { validateConfigSchema, getConfigSchema, findClosestMatch, joinPath } from './ConfigSchema.js'
+import { CONFIG_PRESETS, getConfigPreset } from './ConfigPresets.js'
+import { CONFIG_FILENAMES, PACKAGE_JSON_KEY, findConfigFile, readConfigFile } from './ConfigLoader.js'
+import { logger } from './Logger.js'
 
 export class ConfigManager {
 	/**
 	 * 설정 파일 로드
-	 * @param {string} configPath - 설정 파일 경로
-	 * @returns {object} 설정 객체
+	 * @param {string} [configPath] - 설정 파일 경로 (생략하면 현재 디렉토리부터 상위로 탐색)
+	 * @param {object} [options] - { env: 적용할 환경 오버레이 }
+	 * @returns {Promise<object>} 설정 객체
 	 */
-	loadConfig(configPath = './asset-codegen.config.json') {
-		try {
-			if (!existsSync(configPath)) {
-				console.warn(`⚠️ 설정 파일을 찾을 수 없습니다: ${configPath}`)
-				return this.getDefaultConfig()
-			}
+	async loadConfig(configPath, options = {}) {
+		return (await this.resolveConfig(configPath, options)).config
+	}
 
-			const configContent = readFileSync(configPath, 'utf8')
-			const config = JSON.parse(configContent)
+	/**
+	 * 설정 파일 탐색 및 로드
+	 * 지정한 설정 파일이 없거나 파싱에 실패하면 예외를 던지고,
+	 * 지정하지 않았는데 탐색에도 실패한 경우만 경고 후 기본 설정을 사용합니다
+	 * 병합 순서: 기본 설정 ← extends (선언 순서) ← 설정 파일 ← env 오버레이
+	 * @param {string} [configPath] - 설정 파일 경로
+	 * @param {object} [options] - { env: 적용할 환경 오버레이 (기본값: ASSET_CODEGEN_ENV, 없으면 NODE_ENV) }
+	 * @returns {Promise<{config: object, filepath: string|null, environment: string|null}>} 기본 설정과 병합된 설정, 설정 파일 경로, 적용된 환경
+	 */
+	async resolveConfig(configPath, options = {}) {
+		if (configPath && !existsSync(configPath)) {
+			throw new Error(`설정 파일을 찾을 수 없습니다: ${configPath}`)
+		}
 
-			// 기본 설정과 병합
-			return this.mergeWithDefaults(config)
-		} catch (error) {
-			console.warn(`⚠️ 설정 파일 로드 실패: ${error.message}`)
-			return this.getDefaultConfig()
+		const filepath = configPath || findConfigFile()
+		if (!filepath) {
+			logger.warn(
+				`⚠️ 설정 파일을 찾을 수 없어 기본 설정을 사용합니다 (${CONFIG_FILENAMES.join(', ')} 또는 package.json의 "${PACKAGE_JSON_KEY}")`
+			)
+			return { config: this.getDefaultConfig(), filepath: null, environment: null }
 		}
+
+		const userConfig = await this.readLayeredConfig(filepath)
+		return { ...this.applyEnvironment(userConfig, options.env), filepath }
 	}
 
 	/**
-	 * 설정 파일 검증
-	 * @param {string} configPath - 설정 파일 경로
-	 * @returns {object} 검증 결과
+	 * 설정 파일과 extends 대상을 읽어 하나의 사용자 설정으로 병합
+	 * @param {string} filepath - 설정 파일 경로
+	 * @param {string[]} chain - extends를 따라온 설정 파일 경로 (순환 검사용)
+	 * @returns {Promise<object>} 병합된 사용자 설정 (기본 설정 병합 전, env 포함)
 	 */
-	validateConfig(configPath = './asset-codegen.config.json') {
-		const errors = []
+	async readLayeredConfig(filepath, chain = []) {
+		const absolutePath = path.resolve(filepath)
+		if (chain.includes(absolutePath)) {
+			throw new Error(`설정 extends가 순환합니다: ${[...chain, absolutePath].join(' → ')}`)
+		}
 
-		try {
-			const config = this.loadConfig(configPath)
+		return this.applyExtends(await readConfigFile(absolutePath), absolutePath, [...chain, absolutePath])
+	}
 
-			// 필수 필드 검증
-			if (!config.projectName) {
-				errors.push('projectName이 필요합니다')
-			}
+	/**
+	 * 설정의 extends 대상을 먼저 병합한 뒤 설정 자신을 덮어씀
+	 * - 프리셋 이름 (nextjs, react, react-native)
+	 * - 상대/절대 경로 (extends를 선언한 설정 파일 위치 기준)
+	 * - 패키지 이름 (선언한 설정 파일 위치의 node_modules에서 찾음)
+	 * @param {object} config - 사용자 설정
+	 * @param {string} fromFile - extends를 선언한 설정 파일 경로
+	 * @param {string[]} chain - 순환 검사용 경로
+	 * @returns {Promise<object>} extends가 해석된 사용자 설정
+	 */
+	async applyExtends(config, fromFile, chain = []) {
+		const { extends: parents, ...ownConfig } = config
+		const specifiers = parents === undefined ? [] : [].concat(parents)
+		let merged = {}
 
-			if (!config.assetDirectories || !Array.isArray(config.assetDirectories)) {
-				errors.push('assetDirectories 배열이 필요합니다')
-			} else {
-				config.assetDirectories.forEach((dir, index) => {
-					if (!dir.name) errors.push(`assetDirectories[${index}].name이 필요합니다`)
-					if (!dir.path) errors.push(`assetDirectories[${index}].path가 필요합니다`)
-				})
+		for (const specifier of specifiers) {
+			if (typeof specifier !== 'string' || !specifier) {
+				throw new Error(`extends는 프리셋 이름이나 설정 파일 경로(문자열)여야 합니다 (${fromFile})`)
 			}
 
-			if (!config.fileGeneration?.outputDir) {
-				errors.push('fileGeneration.outputDir이 필요합니다')
+			const preset = getConfigPreset(specifier)
+			const parentConfig = preset || (await this.readLayeredConfig(this.resolveExtendsPath(specifier, fromFile), chain))
+			merged = this.deepMerge(merged, parentConfig)
+		}
+
+		return this.deepMerge(merged, ownConfig)
+	}
+
+	/**
+	 * extends 지정자 → 설정 파일 경로
+	 */
+	resolveExtendsPath(specifier, fromFile) {
+		if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+			const filePath = path.resolve(path.dirname(fromFile), specifier)
+			if (!existsSync(filePath)) {
+				throw new Error(`extends 대상 설정 파일이 없습니다: ${specifier} (${fromFile})`)
 			}
+			return filePath
+		}
 
-			return {
-				isValid: errors.length === 0,
-				errors,
-				config
+		try {
+			return createRequire(fromFile).resolve(specifier)
+		} catch {
+			throw new Error(
+				`extends 대상을 찾을 수 없습니다: ${specifier} (프리셋: ${Object.keys(CONFIG_PRESETS).join(', ')} 또는 설정 파일 경로/패키지)`
+			)
+		}
+	}
+
+	/**
+	 * env 오버레이 적용 후 기본 설정과 병합
+	 * env를 직접 지정했는데 오버레이가 없으면 예외를 던지고, NODE_ENV로 고른 경우는 무시합니다
+	 * @param {object} userConfig - extends가 해석된 사용자 설정
+	 * @param {string} [env] - 적용할 환경 (기본값: ASSET_CODEGEN_ENV)
+	 * @returns {{config: object, environment: string|null}} 병합된 설정, 적용된 환경
+	 */
+	applyEnvironment(userConfig, env = process.env.ASSET_CODEGEN_ENV) {
+		const { env: overlays = {}, ...baseConfig } = userConfig
+		const environment = env || process.env.NODE_ENV
+		const overlay = environment ? overlays[environment] : undefined
+
+		if (overlay === undefined) {
+			if (env) {
+				throw new Error(`설정에 '${env}' 환경 오버레이(env.${env})가 없습니다`)
 			}
+			return { config: this.mergeWithDefaults(baseConfig), environment: null }
+		}
+
+		if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay) || 'extends' in overlay || 'env' in overlay) {
+			throw new Error(`env.${environment}는 extends/env를 제외한 설정 객체여야 합니다`)
+		}
+
+		return { config: this.mergeWithDefaults(this.deepMerge(baseConfig, overlay)), environment }
+	}
+
+	/**
+	 * 설정 파일 검증
+	 * @param {string} [configPath] - 설정 파일 경로 (생략하면 탐색)
+	 * @param {object} [options] - { env: 적용할 환경 오버레이 }
+	 * @returns {Promise<object>} 검증 결과
+	 */
+	async validateConfig(configPath, options = {}) {
+		try {
+			const { config, filepath, environment } = await this.resolveConfig(configPath, options)
+			return { ...this.validateConfigObject(config, { checkPaths: true }), filepath, environment }
 		} catch (error) {
 			return {
 				isValid: false,
-				errors: [`설정 파일 파싱 오류: ${error.message}`],
-				config: null
+				errors: [error.message],
+				issues: [{ path: '$', message: error.message }],
+				config: null,
+				filepath: null,
+				environment: null
+			}
+		}
+	}
+
+	/**
+	 * 설정 객체 검증 (이미 로드/병합된 설정)
+	 * JSON Schema 검증 후 스키마로 표현할 수 없는 규칙(디렉토리 이름 중복, 파일명 템플릿 등)을 검사합니다
+	 * @param {object} config - 설정 객체
+	 * @param {object} options - { checkPaths: Asset 디렉토리 존재 여부까지 검사 }
+	 * @returns {object} 검증 결과 (errors: "JSON 경로: 메시지", issues: { path, message })
+	 */
+	validateConfigObject(config, options = {}) {
+		const issues = validateConfigSchema(config)
+
+		if (Array.isArray(config.assetDirectories)) {
+			const seenNames = new Map()
+
+			config.assetDirectories.forEach((dir, index) => {
+				if (typeof dir?.name === 'string') {
+					if (seenNames.has(dir.name)) {
+						issues.push({
+							path: `$.assetDirectories[${index}].name`,
+							message: `중복된 디렉토리 이름입니다 ($.assetDirectories[${seenNames.get(dir.name)}].name과 같음)`
+						})
+					} else {
+						seenNames.set(dir.name, index)
+					}
+				}
+
+				// path는 extends/env 오버레이에서 생략할 수 있으므로 병합된 설정에서 검사
+				if (dir && typeof dir === 'object' && dir.path === undefined) {
+					issues.push({ path: `$.assetDirectories[${index}].path`, message: '필수 항목입니다' })
+				}
+
+				if (options.checkPaths && dir?.enabled && typeof dir.path === 'string' && !existsSync(dir.path)) {
+					issues.push({ path: `$.assetDirectories[${index}].path`, message: `디렉토리가 존재하지 않습니다: ${dir.path}` })
+				}
+			})
+		}
+
+		const namingPattern = config.conventions?.namingPattern
+		if (typeof namingPattern === 'string') {
+			validateNamingPattern(namingPattern, config.conventions?.separatorChar || '-').forEach(message =>
+				issues.push({ path: '$.conventions.namingPattern', message })
+			)
+		}
+
+		// featureFlags는 플러그인 단계 id도 허용하므로 기본 단계와 비슷한 이름만 오타로 보고
+		const builtinFlags = Object.keys(getConfigSchema().properties.featureFlags.properties)
+		Object.keys(config.featureFlags || {}).forEach(key => {
+			const suggestion = builtinFlags.includes(key) ? null : findClosestMatch(key, builtinFlags)
+			if (suggestion) {
+				issues.push({ path: joinPath('$.featureFlags', key), message: `알 수 없는 단계입니다. 혹시 '${suggestion}'인가요?` })
 			}
+		})
+
+		return {
+			isValid: issues.length === 0,
+			errors: issues.map(issue => `${issue.path}: ${issue.message}`),
+			issues,
+			config
 		}
 	}
 
@@ -129,6 +277,7 @@ export class ConfigManager {
 				componentName: 'Asset',
 				generateHook: true,
 				generateUtils: true,
+				svgMode: 'img',
 				description: 'React Asset 컴포넌트, hooks, utils 생성'
 			},
 			formatting: {
@@ -156,28 +305,81 @@ export class ConfigManager {
 				generateComponent: {
 					enabled: true,
 					description: 'Asset 컴포넌트, hooks, utils 생성'
+				},
+				rewriteReferences: {
+					enabled: false,
+					description: '파일명 변경에 맞춰 소스 코드의 Asset 참조 갱신',
+					options: {
+						sources: ['src/**/*.{ts,tsx,js,jsx}'],
+						ignore: [],
+						apply: false
+					}
+				},
+				optimizeSvg: {
+					enabled: false,
+					description: 'SVG 최적화 (메타데이터 제거, 그룹 병합, 숫자 반올림, path 축약)',
+					options: {
+						outputDir: null,
+						precision: 3,
+						plugins: {
+							removeComments: true,
+							removeMetadata: true,
+							collapseGroups: true,
+							roundNumbers: true,
+							minifyPaths: true
+						}
+					}
 				}
 			},
 			conventions: {
-				namingPattern: '{category}-{subcategory}-{name}',
+				// namingPattern 미지정 시 separatorChar로 기본 템플릿 생성 ({dir}[-{path}]-{name})
 				separatorChar: '-',
-				caseStyle: 'kebab-case'
-			}
+				caseStyle: 'kebab-case',
+				collisionStrategy: 'fail',
+				sanitize: {
+					enabled: true,
+					romanizeHangul: false
+				}
+			},
+			journal: {
+				enabled: true,
+				dir: '.asset-codegen/journal'
+			},
+			duplicates: {
+				normalizeSvg: true,
+				aliasFile: 'asset-codegen.aliases.json'
+			},
+			usage: {
+				sources: ['src/**/*.{ts,tsx,js,jsx,css,scss}'],
+				ignore: [],
+				keep: []
+			},
+			quarantine: {
+				dir: '.asset-codegen/quarantine'
+			},
+			plugins: []
 		}
 	}
 
 	/**
 	 * 기본 설정과 사용자 설정 병합
+	 * 기본 assetDirectories는 사용자가 지정하지 않은 경우의 대체값이므로 이름 기준으로 병합하지 않습니다
 	 * @param {object} userConfig - 사용자 설정
 	 * @returns {object} 병합된 설정
 	 */
 	mergeWithDefaults(userConfig) {
 		const defaultConfig = this.getDefaultConfig()
+		if (userConfig.assetDirectories !== undefined) {
+			delete defaultConfig.assetDirectories
+		}
 		return this.deepMerge(defaultConfig, userConfig)
 	}
 
 	/**
 	 * 깊은 객체 병합
+	 * - 객체: 키별로 재귀 병합
+	 * - 모든 항목이 name을 가진 객체 배열 (assetDirectories 등): 같은 name은 병합, 새 name은 뒤에 추가
+	 * - 빈 배열, 그 외 배열과 값: source로 교체 (`[]`로 상위 설정의 목록을 비울 수 있음)
 	 * @param {object} target - 대상 객체
 	 * @param {object} source - 소스 객체
 	 * @returns {object} 병합된 객체
@@ -188,6 +390,8 @@ export class ConfigManager {
 		Object.keys(source).forEach(key => {
 			if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
 				result[key] = this.deepMerge(target[key] || {}, source[key])
+			} else if (isNamedArray(source[key]) && isNamedArray(target[key])) {
+				result[key] = this.mergeNamedArrays(target[key], source[key])
 			} else {
 				result[key] = source[key]
 			}
@@ -196,6 +400,22 @@ export class ConfigManager {
 		return result
 	}
 
+	/**
+	 * name 기준 배열 병합 (target 순서 유지, 새 항목은 source 순서대로 추가)
+	 */
+	mergeNamedArrays(target, source) {
+		const result = target.map(item => {
+			const override = source.find(sourceItem => sourceItem.name === item.name)
+			return override ? this.deepMerge(item, override) : item
+		})
+
+		source
+			.filter(sourceItem => !target.some(item => item.name === sourceItem.name))
+			.forEach(sourceItem => result.push(sourceItem))
+
+		return result
+	}
+
 	/**
 	 * 설정 파일 생성
 	 * @param {string} configPath - 설정 파일 경로
@@ -212,6 +432,18 @@ export class ConfigManager {
 		const configContent = JSON.stringify(config, null, 2)
 		writeFileSync(configPath, configContent, 'utf8')
 
-		console.log(`✅ 설정 파일 생성: ${configPath}`)
+		logger.info(`✅ 설정 파일 생성: ${configPath}`)
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * 모든 항목이 name 문자열을 가진 객체인 비어 있지 않은 배열인지 확인
+ * 빈 배열은 병합하지 않고 그대로 교체해야 하므로 제외합니다
+ */
+function isNamedArray(value) {
+	return (
+		Array.isArray(value) &&
+		value.length > 0 &&
+		value.every(item => item && typeof item === 'object' && !Array.isArray(item) && typeof item.name === 'string')
+	)
+}
@@ -0,0 +1,119 @@
+/**
+ * 🧱 설정 프리셋
+ *
+ * 프로젝트 타입별 기본 구성 (init 명령어와 설정의 "extends"에서 공유)
+ * - "extends": "nextjs" 처럼 이름으로 참조합니다
+ */
+
+export const CONFIG_PRESETS = {
+	nextjs: {
+		projectType: 'nextjs',
+		assetDirectories: [
+			{
+				name: 'icons',
+				path: 'public/icons',
+				enabled: true,
+				description: '아이콘 에셋'
+			},
+			{
+				name: 'images',
+				path: 'public/images',
+				enabled: true,
+				description: '이미지 에셋'
+			}
+		],
+		fileGeneration: {
+			outputDir: 'src/@shared/components/asset'
+		},
+		componentGeneration: {
+			framework: 'react'
+		}
+	},
+
+	react: {
+		projectType: 'react',
+		assetDirectories: [
+			{
+				name: 'assets',
+				path: 'src/assets',
+				enabled: true,
+				description: '에셋 파일'
+			}
+		],
+		fileGeneration: {
+			outputDir: 'src/@shared/components/asset'
+		},
+		componentGeneration: {
+			framework: 'react'
+		}
+	},
+
+	'react-native': {
+		projectType: 'react-native',
+		assetDirectories: [
+			{
+				name: 'assets',
+				path: 'assets',
+				enabled: true,
+				description: '에셋 파일'
+			}
+		],
+		fileGeneration: {
+			outputDir: 'src/@shared/components/asset'
+		},
+		componentGeneration: {
+			framework: 'react-native'
+		}
+	},
+
+	vue: {
+		projectType: 'vue',
+		assetDirectories: [
+			{
+				name: 'assets',
+				path: 'src/assets',
+				enabled: true,
+				description: '에셋 파일'
+			}
+		],
+		fileGeneration: {
+			outputDir: 'src/components/asset'
+		},
+		componentGeneration: {
+			framework: 'vue'
+		}
+	},
+
+	svelte: {
+		projectType: 'svelte',
+		assetDirectories: [
+			{
+				name: 'icons',
+				path: 'static/icons',
+				enabled: true,
+				description: '아이콘 에셋'
+			},
+			{
+				name: 'images',
+				path: 'static/images',
+				enabled: true,
+				description: '이미지 에셋'
+			}
+		],
+		fileGeneration: {
+			outputDir: 'src/lib/components/asset'
+		},
+		componentGeneration: {
+			framework: 'svelte'
+		}
+	}
+}
+
+/**
+ * 프리셋 조회
+ * @param {string} name - 프리셋 이름 (nextjs, react, react-native, vue, svelte)
+ * @returns {object|null} 프리셋 설정 (복사본)
+ */
+export function getConfigPreset(name) {
+	return Object.hasOwn(CONFIG_PRESETS, name) ? structuredClone(CONFIG_PRESETS[name]) : null
+}
@@ -0,0 +1,182 @@
+/**
+ * 📐 설정 스키마 검증
+ *
+ * 패키지에 포함된 JSON Schema(schema/asset-codegen.config.schema.json)로 설정 객체를 검증합니다
+ * - 에디터 자동완성과 같은 스키마를 사용하므로 검증 규칙이 한 곳에서 관리됩니다
+ * - 지원 키워드: type, enum, properties, required, additionalProperties, items, minimum, minLength, $ref
+ * - 알 수 없는 키는 가장 비슷한 키를 함께 안내합니다
+ */
+
+import { readFileSync } from 'fs'
+
+export const CONFIG_SCHEMA_PATH = new URL('../../schema/asset-codegen.config.schema.json', import.meta.url)
+
+let configSchema
+
+/**
+ * 설정 스키마 (처음 호출할 때 한 번 로드)
+ * @returns {object} JSON Schema
+ */
+export function getConfigSchema() {
+	if (!configSchema) {
+		configSchema = JSON.parse(readFileSync(CONFIG_SCHEMA_PATH, 'utf8'))
+	}
+	return configSchema
+}
+
+/**
+ * 설정 객체를 스키마로 검증
+ * @param {object} config - 설정 객체
+ * @returns {{path: string, message: string}[]} 오류 목록 (path: $.a.b[0] 형식)
+ */
+export function validateConfigSchema(config) {
+	const schema = getConfigSchema()
+	const issues = []
+	validateValue(config, schema, '$', schema, issues)
+	return issues
+}
+
+/**
+ * 후보 중 가장 비슷한 문자열 (편집 거리 기준, 충분히 비슷할 때만)
+ * @param {string} value - 입력값
+ * @param {string[]} candidates - 후보 목록
+ * @returns {string|null}
+ */
+export function findClosestMatch(value, candidates) {
+	const maxDistance = Math.max(2, Math.floor(value.length / 3))
+	let closest = null
+	let closestDistance = Infinity
+
+	for (const candidate of candidates) {
+		const distance = levenshtein(value.toLowerCase(), candidate.toLowerCase())
+		if (distance < closestDistance && distance <= maxDistance) {
+			closest = candidate
+			closestDistance = distance
+		}
+	}
+
+	return closest
+}
+
+/**
+ * JSON 경로 + 키
+ */
+export function joinPath(path, key) {
+	return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * 값 하나를 스키마 노드로 검증
+ */
+function validateValue(value, node, path, root, issues) {
+	if (node.$ref) {
+		node = resolveRef(node.$ref, root)
+	}
+
+	if (node.enum && !node.enum.includes(value)) {
+		issues.push({
+			path,
+			message: `${node.enum.map(formatValue).join(', ')} 중 하나여야 합니다 (현재: ${formatValue(value)})`
+		})
+		return
+	}
+
+	if (node.type) {
+		const types = [].concat(node.type)
+		if (!types.some((type) => matchesType(value, type))) {
+			issues.push({ path, message: `${types.join(' 또는 ')} 타입이어야 합니다 (현재: ${typeOf(value)})` })
+			return
+		}
+	}
+
+	if (typeof value === 'string' && node.minLength !== undefined && value.length < node.minLength) {
+		issues.push({ path, message: '빈 문자열일 수 없습니다' })
+	}
+
+	if (typeof value === 'number' && node.minimum !== undefined && value < node.minimum) {
+		issues.push({ path, message: `${node.minimum} 이상이어야 합니다 (현재: ${value})` })
+	}
+
+	if (Array.isArray(value) && node.items) {
+		value.forEach((item, index) => validateValue(item, node.items, `${path}[${index}]`, root, issues))
+	}
+
+	if (typeOf(value) === 'object') {
+		validateObject(value, node, path, root, issues)
+	}
+}
+
+/**
+ * 객체 속성 검증 (required, properties, additionalProperties)
+ */
+function validateObject(value, node, path, root, issues) {
+	const properties = node.properties || {}
+
+	for (const key of node.required || []) {
+		if (value[key] === undefined) {
+			issues.push({ path: joinPath(path, key), message: '필수 항목입니다' })
+		}
+	}
+
+	for (const [key, propertyValue] of Object.entries(value)) {
+		const propertyPath = joinPath(path, key)
+
+		if (properties[key]) {
+			validateValue(propertyValue, properties[key], propertyPath, root, issues)
+		} else if (node.additionalProperties === false) {
+			const suggestion = findClosestMatch(key, Object.keys(properties))
+			issues.push({
+				path: propertyPath,
+				message: `알 수 없는 키입니다${suggestion ? `. 혹시 '${suggestion}'인가요?` : ''}`
+			})
+		} else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+			validateValue(propertyValue, node.additionalProperties, propertyPath, root, issues)
+		}
+	}
+}
+
+/**
+ * "#/definitions/name" 참조 해석
+ */
+function resolveRef(ref, root) {
+	return ref
+		.replace(/^#\//, '')
+		.split('/')
+		.reduce((node, segment) => node[segment], root)
+}
+
+function matchesType(value, type) {
+	if (type === 'integer') return Number.isInteger(value)
+	return typeOf(value) === type
+}
+
+function typeOf(value) {
+	if (value === null) return 'null'
+	if (Array.isArray(value)) return 'array'
+	return typeof value
+}
+
+function formatValue(value) {
+	return typeof value === 'string' ? `'${value}'` : JSON.stringify(value)
+}
+
+/**
+ * 편집 거리
+ */
+function levenshtein(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i]
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			)
+		}
+		previous = current
+	}
+
+	return previous[b.length]
+}
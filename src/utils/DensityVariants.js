@@ -0,0 +1,84 @@
+/**
+ * 📱 해상도(density) 변형 파일
+ *
+ * React Native(Metro)는 icon.png, icon@2x.png, icon@3x.png를 require('./icon.png') 하나로 묶어
+ * 기기 해상도에 맞는 파일을 고릅니다. 수집한 Asset도 같은 규칙으로 하나의 Asset으로 합칩니다
+ */
+
+import { dirname, join } from 'path'
+
+const DENSITY_SUFFIX_PATTERN = /@(\d+(?:\.\d+)?)x$/
+
+/**
+ * 파일명(확장자 제외)의 해상도 접미사 분리
+ * @param {string} name - 확장자를 뺀 파일명 (예: icon@2x)
+ * @returns {{baseName: string, scale: number}} 접미사가 없으면 scale 1
+ */
+export function parseDensitySuffix(name) {
+	const match = name.match(DENSITY_SUFFIX_PATTERN)
+	if (!match) {
+		return { baseName: name, scale: 1 }
+	}
+	return { baseName: name.slice(0, match.index), scale: Number(match[1]) }
+}
+
+/**
+ * 같은 디렉토리의 해상도 변형을 하나의 Asset으로 합치기
+ * - name/filename/path는 접미사를 뺀 기준 파일 (require 대상, 실제로 없어도 Metro가 변형을 찾음)
+ * - fullPath/sourcePath/content는 가장 낮은 해상도 파일 (크기 읽기, 중복 검사 등)
+ * - 고유 크기는 논리 크기(px / scale)로 환산
+ * @param {object[]} assets - createAssetInfo 결과 목록 (수집 순서 유지)
+ * @returns {object[]} 합친 Asset 목록 (scales: 발견한 해상도 목록, variantPaths: 변형 파일 경로 목록)
+ */
+export function mergeDensityVariants(assets) {
+	const groups = new Map()
+
+	for (const asset of assets) {
+		const { baseName, scale } = parseDensitySuffix(asset.name)
+		const key = join(dirname(asset.path), `${baseName}.${asset.extension}`)
+
+		if (!groups.has(key)) {
+			groups.set(key, { baseName, variants: [] })
+		}
+		groups.get(key).variants.push({ asset, scale })
+	}
+
+	return [...groups.values()].map(({ baseName, variants }) => {
+		variants.sort((a, b) => a.scale - b.scale)
+		const { asset, scale } = variants[0]
+		if (variants.length === 1 && scale === 1) {
+			return asset
+		}
+
+		const filename = `${baseName}.${asset.extension}`
+		return {
+			...asset,
+			...toLogicalDimensions(asset, scale),
+			name: baseName,
+			filename,
+			path: join(dirname(asset.path), filename),
+			scales: variants.map((variant) => variant.scale),
+			variantPaths: variants.map((variant) => variant.asset.fullPath)
+		}
+	})
+}
+
+/**
+ * Metro require 대상 파일 경로 (해상도 접미사를 뺀 기준 파일)
+ * @param {object} asset - Asset 정보
+ * @returns {string}
+ */
+export function getDensityBasePath(asset) {
+	return join(dirname(asset.fullPath), asset.filename)
+}
+
+/**
+ * 고해상도 파일의 픽셀 크기 → 논리 크기
+ */
+function toLogicalDimensions(asset, scale) {
+	if (asset.width === undefined || scale === 1) {
+		return {}
+	}
+	const round = (value) => Number(value.toFixed(2))
+	return { width: round(asset.width / scale), height: round(asset.height / scale) }
+}
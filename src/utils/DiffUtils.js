@@ -0,0 +1,133 @@
+/**
+ * 🧾 Diff 유틸리티
+ *
+ * 생성 예정 파일과 디스크의 파일을 비교하여 unified diff를 만듭니다
+ */
+
+// LCS 테이블 최대 크기 (초과 시 변경 구간 전체를 교체로 처리)
+const MAX_LCS_CELLS = 4_000_000
+
+/**
+ * 줄 단위 편집 스크립트 계산
+ * @returns {{type: ' '|'-'|'+', line: string}[]}
+ */
+function diffLines(oldLines, newLines) {
+	// 공통 접두/접미 구간은 LCS 계산에서 제외
+	let start = 0
+	while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+		start++
+	}
+
+	let oldEnd = oldLines.length
+	let newEnd = newLines.length
+	while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+		oldEnd--
+		newEnd--
+	}
+
+	const oldMiddle = oldLines.slice(start, oldEnd)
+	const newMiddle = newLines.slice(start, newEnd)
+	const ops = oldLines.slice(0, start).map((line) => ({ type: ' ', line }))
+
+	if (oldMiddle.length * newMiddle.length > MAX_LCS_CELLS) {
+		ops.push(...oldMiddle.map((line) => ({ type: '-', line })))
+		ops.push(...newMiddle.map((line) => ({ type: '+', line })))
+	} else {
+		ops.push(...lcsOps(oldMiddle, newMiddle))
+	}
+
+	ops.push(...oldLines.slice(oldEnd).map((line) => ({ type: ' ', line })))
+	return ops
+}
+
+/**
+ * LCS 기반 편집 스크립트
+ */
+function lcsOps(a, b) {
+	const rows = a.length + 1
+	const cols = b.length + 1
+	const table = new Uint32Array(rows * cols)
+
+	for (let i = a.length - 1; i >= 0; i--) {
+		for (let j = b.length - 1; j >= 0; j--) {
+			table[i * cols + j] =
+				a[i] === b[j]
+					? table[(i + 1) * cols + j + 1] + 1
+					: Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1])
+		}
+	}
+
+	const ops = []
+	let i = 0
+	let j = 0
+	while (i < a.length && j < b.length) {
+		if (a[i] === b[j]) {
+			ops.push({ type: ' ', line: a[i] })
+			i++
+			j++
+		} else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+			ops.push({ type: '-', line: a[i++] })
+		} else {
+			ops.push({ type: '+', line: b[j++] })
+		}
+	}
+	while (i < a.length) ops.push({ type: '-', line: a[i++] })
+	while (j < b.length) ops.push({ type: '+', line: b[j++] })
+
+	return ops
+}
+
+/**
+ * unified diff 생성
+ * @param {string|null} oldContent - 기존 내용 (파일이 없으면 null)
+ * @param {string} newContent - 새 내용
+ * @param {object} options - { fromFile, toFile, context }
+ * @returns {string} unified diff (변경 없으면 빈 문자열)
+ */
+export function createUnifiedDiff(oldContent, newContent, options = {}) {
+	const { fromFile = 'a', toFile = 'b', context = 3 } = options
+
+	if (oldContent === newContent) {
+		return ''
+	}
+
+	const splitLines = (content) => (content ? content.replace(/\n$/, '').split('\n') : [])
+	const ops = diffLines(splitLines(oldContent), splitLines(newContent))
+
+	// 변경 줄 주변 context 줄을 묶어 hunk 구성
+	const hunks = []
+	let current = null
+	let oldLine = 1
+	let newLine = 1
+
+	ops.forEach((op, index) => {
+		const isChange = op.type !== ' '
+		const nearChange = ops
+			.slice(Math.max(0, index - context), index + context + 1)
+			.some((nearby) => nearby.type !== ' ')
+
+		if (isChange || nearChange) {
+			if (!current) {
+				current = { oldStart: oldLine, newStart: newLine, oldCount: 0, newCount: 0, lines: [] }
+				hunks.push(current)
+			}
+			current.lines.push(`${op.type}${op.line}`)
+			if (op.type !== '+') current.oldCount++
+			if (op.type !== '-') current.newCount++
+		} else {
+			current = null
+		}
+
+		if (op.type !== '+') oldLine++
+		if (op.type !== '-') newLine++
+	})
+
+	const header = [`--- ${oldContent === null ? '/dev/null' : fromFile}`, `+++ ${toFile}`]
+	const body = hunks.map((hunk) => {
+		const oldStart = hunk.oldCount === 0 ? hunk.oldStart - 1 : hunk.oldStart
+		const newStart = hunk.newCount === 0 ? hunk.newStart - 1 : hunk.newStart
+		return [`@@ -${oldStart},${hunk.oldCount} +${newStart},${hunk.newCount} @@`, ...hunk.lines].join('\n')
+	})
+
+	return [...header, ...body].join('\n')
+}
@@ -0,0 +1,266 @@
+/**
+ * 📋 실행 계획 출력 유틸리티
+ *
+ * AssetGenerator.plan() 결과를 사람이 읽는 텍스트 또는 JSON으로 변환합니다
+ */
+
+import { basename } from 'path'
+import chalk from 'chalk'
+import { formatBytes } from './FileUtils.js'
+import { formatCollisionReport } from './RenameCollisions.js'
+
+const STATUS_LABELS = {
+	create: { symbol: '+', label: '생성', color: chalk.green },
+	update: { symbol: '~', label: '변경', color: chalk.yellow },
+	unchanged: { symbol: '=', label: '변경 없음', color: chalk.gray },
+	skip: { symbol: '-', label: '건너뜀 (overwriteMode: skip)', color: chalk.gray }
+}
+
+/**
+ * 실행 계획을 JSON 문자열로 변환
+ * @param {object} plan - 실행 계획
+ * @returns {string}
+ */
+export function formatPlanAsJson(plan) {
+	return JSON.stringify(plan, null, 2)
+}
+
+/**
+ * 실행 계획을 사람이 읽는 텍스트로 변환
+ * @param {object} plan - 실행 계획
+ * @param {object} options - { showDiff }
+ * @returns {string}
+ */
+export function formatPlanAsText(plan, options = {}) {
+	const { showDiff = true } = options
+	const lines = []
+	const stepNames = new Map(plan.steps.map((step) => [step.flagKey, step.name]))
+
+	lines.push(chalk.blue.bold('📋 실행 계획 (dry-run) - 디스크는 변경되지 않았습니다'))
+	lines.push('')
+	lines.push(chalk.blue(`🧭 실행 단계: ${plan.steps.map((step) => step.name).join(' → ')}`))
+	lines.push(...formatUnplannedSteps(plan.unplannedSteps))
+
+	// 1. 파일명 변경 (단계별 변경을 합친 최종 변경, 단계별 목록은 상세 내역으로 표시)
+	const netRenames = plan.netRenames || plan.renames
+	lines.push('')
+	lines.push(chalk.blue(`🔤 파일명 변경 예정: ${netRenames.length}개`))
+	netRenames.forEach((rename) => {
+		lines.push(chalk.gray(`   ${rename.oldPath} → ${rename.newPath}`))
+	})
+
+	if (plan.netRenames && plan.renames.length > 0) {
+		lines.push(chalk.gray(`   단계별 변경 내역: ${plan.renames.length}건 (Clean → Organize처럼 원래 이름으로 돌아오는 변경 포함)`))
+		plan.renames.forEach((rename) => {
+			const reasons = rename.sanitized?.length > 0 ? ` (${rename.sanitized.join(', ')})` : ''
+			lines.push(chalk.gray(`     [${stepNames.get(rename.step) || rename.step}] ${rename.oldPath} → ${rename.newPath}${reasons}`))
+		})
+	}
+
+	// 파일명 변경 충돌
+	if (plan.conflicts?.length > 0) {
+		const failed = plan.conflicts.some((conflict) => conflict.resolution === 'fail')
+		lines.push('')
+		lines.push(chalk.red(`🚧 파일명 변경 충돌: ${plan.conflicts.length}개${failed ? ' (collisionStrategy: fail → 실행 시 중단)' : ''}`))
+		formatCollisionReport(plan.conflicts).forEach((line, index) => {
+			lines.push(chalk.red(`   [${stepNames.get(plan.conflicts[index].step) || plan.conflicts[index].step}] ${line}`))
+		})
+	}
+
+	// 2. SVG 최적화
+	if (plan.optimizations?.length > 0) {
+		lines.push('')
+		lines.push(chalk.blue(`🪶 SVG 최적화 예정: ${plan.optimizations.length}개 파일 (${formatBytes(plan.summary.bytesSaved)} 절약)`))
+		plan.optimizations.forEach((optimization) => {
+			lines.push(
+				chalk.gray(
+					`   ${optimization.file}: ${formatBytes(optimization.bytesBefore)} → ${formatBytes(optimization.bytesAfter)}`
+				)
+			)
+		})
+	}
+
+	// 3. 소스 참조 변경
+	if (plan.sourceChanges.length > 0) {
+		lines.push('')
+		lines.push(chalk.blue(`🔁 소스 참조 변경 예정: ${plan.sourceChanges.length}개 파일`))
+		plan.sourceChanges.forEach((change) => {
+			lines.push(chalk.gray(`   ${change.file} (${change.count}곳)`))
+		})
+	}
+
+	// 4. 생성 파일
+	lines.push('')
+	lines.push(chalk.blue('📁 생성 파일:'))
+	plan.files.forEach((file) => {
+		const { symbol, label, color } = STATUS_LABELS[file.status]
+		lines.push(color(`   ${symbol} ${file.path} (${label})`))
+	})
+
+	// 5. 요약
+	const { summary } = plan
+	lines.push('')
+	lines.push(
+		chalk.blue(
+			`📊 요약: 파일명 변경 ${summary.renames} · 충돌 ${summary.conflicts ?? 0} · SVG 최적화 ${summary.optimized} · 소스 변경 ${summary.sourceChanges} · ` +
+				`생성 ${summary.create} · 변경 ${summary.update} · 변경 없음 ${summary.unchanged} · 건너뜀 ${summary.skip}`
+		)
+	)
+
+	// 6. diff
+	if (showDiff) {
+		const diffs = [...plan.sourceChanges, ...plan.files].map((item) => item.diff).filter(Boolean)
+		diffs.forEach((diff) => {
+			lines.push('')
+			lines.push(colorizeDiff(diff))
+		})
+	}
+
+	return lines.join('\n')
+}
+
+/**
+ * 생성기의 파일명 변경 계획 → 구조화된 결과 (프로그래밍 API, --json 출력용)
+ * @param {object} rename - planSingleFile 결과 또는 실행 계획의 renames 항목
+ * @returns {{step?: string, assetDir: string, oldPath: string, newPath: string, originalName: string, newName: string, sanitized: string[]}}
+ */
+export function toRenameResult(rename) {
+	return {
+		...(rename.step && { step: rename.step }),
+		assetDir: rename.assetDir,
+		oldPath: rename.oldPath,
+		newPath: rename.newPath,
+		originalName: rename.originalName || basename(rename.oldPath),
+		newName: rename.newName || basename(rename.newPath),
+		sanitized: rename.sanitized || []
+	}
+}
+
+/**
+ * 실행 계획에서 디스크와 다른 항목만 추출 (check 명령어용)
+ * 파일명 변경은 단계별 변경을 합친 최종 변경(netRenames)만 사용하고, overwriteMode: skip 파일은 제외합니다
+ * plan()이 없는 플러그인 단계는 검사하지 못했으므로 incomplete로 표시합니다 (최신 여부와는 별개)
+ * @param {object} plan - 실행 계획
+ * @returns {{renames: object[], optimizations: object[], sourceChanges: object[], files: object[], unplannedSteps: object[], isStale: boolean, incomplete: boolean}}
+ */
+export function collectStaleChanges(plan) {
+	const stale = {
+		renames: plan.netRenames || plan.renames,
+		conflicts: plan.conflicts || [],
+		optimizations: plan.optimizations || [],
+		sourceChanges: plan.sourceChanges,
+		files: plan.files.filter((file) => file.status === 'create' || file.status === 'update')
+	}
+
+	const unplannedSteps = plan.unplannedSteps || []
+
+	return {
+		...stale,
+		unplannedSteps,
+		isStale: Object.values(stale).some((items) => items.length > 0),
+		incomplete: unplannedSteps.length > 0
+	}
+}
+
+/**
+ * check 결과를 간결한 텍스트로 변환
+ * @param {object} stale - collectStaleChanges 결과
+ * @param {object} options - { maxDiffLines: 파일별 diff 최대 줄 수 }
+ * @returns {string}
+ */
+export function formatCheckAsText(stale, options = {}) {
+	const { maxDiffLines = 40 } = options
+	const lines = []
+
+	if (!stale.isStale) {
+		if (!stale.incomplete) {
+			return chalk.green('✅ 생성 코드가 최신 상태입니다')
+		}
+		return [
+			chalk.yellow('⚠️ 검사한 단계의 생성 코드는 최신 상태이지만, 일부 단계는 검사하지 못했습니다'),
+			...formatUnplannedSteps(stale.unplannedSteps)
+		].join('\n')
+	}
+
+	lines.push(chalk.red.bold('❌ 생성 코드가 최신 상태가 아닙니다'))
+	lines.push(...formatUnplannedSteps(stale.unplannedSteps || []))
+
+	if (stale.conflicts.length > 0) {
+		lines.push('')
+		lines.push(chalk.red(`🚧 파일명 변경 충돌: ${stale.conflicts.length}개`))
+		formatCollisionReport(stale.conflicts).forEach((line) => lines.push(chalk.red(`   ${line}`)))
+	}
+
+	if (stale.renames.length > 0) {
+		lines.push('')
+		lines.push(chalk.yellow(`🔤 적용되지 않은 파일명 변경: ${stale.renames.length}개`))
+		stale.renames.forEach((rename) => lines.push(chalk.gray(`   ${rename.oldPath} → ${rename.newPath}`)))
+	}
+
+	if (stale.optimizations.length > 0) {
+		lines.push('')
+		lines.push(chalk.yellow(`🪶 최적화되지 않은 SVG: ${stale.optimizations.length}개`))
+		stale.optimizations.forEach((optimization) => lines.push(chalk.gray(`   ${optimization.file}`)))
+	}
+
+	if (stale.sourceChanges.length > 0) {
+		lines.push('')
+		lines.push(chalk.yellow(`🔁 갱신되지 않은 소스 참조: ${stale.sourceChanges.length}개 파일`))
+		stale.sourceChanges.forEach((change) => lines.push(chalk.gray(`   ${change.file} (${change.count}곳)`)))
+	}
+
+	if (stale.files.length > 0) {
+		lines.push('')
+		lines.push(chalk.yellow(`📁 최신이 아닌 생성 파일: ${stale.files.length}개`))
+		stale.files.forEach((file) => {
+			const { symbol, label, color } = STATUS_LABELS[file.status]
+			lines.push(color(`   ${symbol} ${file.path} (${label})`))
+		})
+
+		// 새로 생성될 파일은 전체 내용이므로 diff 생략
+		stale.files.filter((file) => file.status === 'update').forEach((file) => {
+			const diffLines = file.diff.split('\n')
+			lines.push('')
+			lines.push(colorizeDiff(diffLines.slice(0, maxDiffLines).join('\n')))
+			if (diffLines.length > maxDiffLines) {
+				lines.push(chalk.gray(`... ${diffLines.length - maxDiffLines}줄 생략`))
+			}
+		})
+	}
+
+	lines.push('')
+	lines.push(chalk.blue('💡 asset-codegen generate 를 실행한 뒤 변경 사항을 커밋하세요 (전체 diff: generate --dry-run)'))
+
+	return lines.join('\n')
+}
+
+/**
+ * plan()이 없어 계산하지 못한 플러그인 단계 안내
+ * @param {object[]} unplannedSteps - { flagKey, name }
+ * @returns {string[]}
+ */
+function formatUnplannedSteps(unplannedSteps = []) {
+	if (unplannedSteps.length === 0) return []
+
+	return [
+		'',
+		chalk.yellow(`⚠️ 미리 계산하지 못한 플러그인 단계: ${unplannedSteps.length}개 (plan() 없음 → 생성 파일 비교에서 제외)`),
+		...unplannedSteps.map((step) => chalk.gray(`   ${step.flagKey}${step.name && step.name !== step.flagKey ? ` (${step.name})` : ''}`))
+	]
+}
+
+/**
+ * unified diff 색상 적용
+ */
+export function colorizeDiff(diff) {
+	return diff
+		.split('\n')
+		.map((line) => {
+			if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line)
+			if (line.startsWith('@@')) return chalk.cyan(line)
+			if (line.startsWith('+')) return chalk.green(line)
+			if (line.startsWith('-')) return chalk.red(line)
+			return line
+		})
+		.join('\n')
+}
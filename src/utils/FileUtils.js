@@ -0,0 +1,106 @@
+/**
+ * 📁 파일 유틸리티
+ *
+ * 여러 생성기/명령어에서 공통으로 사용하는 파일 관련 헬퍼
+ */
+
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import { join, dirname, relative, isAbsolute } from 'path'
+
+/**
+ * 파일 내용 해시 계산 (sha256)
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<string>} hex 해시
+ */
+export async function hashFile(filePath) {
+	const content = await fs.readFile(filePath)
+	return createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * 경로 존재 여부 확인
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<boolean>}
+ */
+export async function pathExists(filePath) {
+	try {
+		await fs.access(filePath)
+		return true
+	} catch {
+		return false
+	}
+}
+
+/**
+ * 디렉토리 내 파일 목록 (재귀, 이름순 정렬)
+ * 디렉토리 읽기 순서는 파일 시스템마다 다르므로 생성 결과가 항상 같도록 정렬합니다
+ * @param {string} dirPath - 디렉토리 경로
+ * @param {(filename: string) => boolean} filter - 포함할 파일명 필터
+ * @returns {Promise<string[]>} 파일 경로 배열
+ */
+export async function listFiles(dirPath, filter = () => true) {
+	const files = []
+	const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => [])
+
+	for (const entry of sortEntries(entries)) {
+		const fullPath = join(dirPath, entry.name)
+		if (entry.isDirectory()) {
+			files.push(...(await listFiles(fullPath, filter)))
+		} else if (filter(entry.name)) {
+			files.push(fullPath)
+		}
+	}
+
+	return files
+}
+
+/**
+ * 파일 경로 → public URL (public 디렉토리 밖의 파일은 null)
+ * @param {string} filePath - 프로젝트 루트 기준 파일 경로
+ * @returns {string|null} /로 시작하는 URL
+ */
+export function toPublicUrl(filePath) {
+	const posixPath = filePath.split('\\').join('/').replace(/^\.\//, '')
+	return posixPath.startsWith('public/') ? posixPath.slice('public'.length) : null
+}
+
+/**
+ * 디렉토리 엔트리 이름순 정렬 (로케일과 무관한 코드 포인트 순서)
+ * @param {import('fs').Dirent[]} entries - readdir 결과
+ * @returns {import('fs').Dirent[]}
+ */
+export function sortEntries(entries) {
+	return [...entries].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+}
+
+/**
+ * 바이트 크기 표시 (B, KB, MB)
+ * @param {number} bytes - 바이트 수
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+	const absolute = Math.abs(bytes)
+	if (absolute < 1024) return `${bytes}B`
+	if (absolute < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`
+	return `${(bytes / 1024 / 1024).toFixed(1)}MB`
+}
+
+/**
+ * 파일을 격리 디렉토리로 이동 ({quarantineDir}/{runId}/{원래 상대 경로})
+ * 저널에 파일명 변경으로 기록되므로 undo로 복원할 수 있습니다
+ * @param {string} filePath - 이동할 파일 경로
+ * @param {string} runDir - 실행별 격리 디렉토리
+ * @param {object|null} journal - 파일명 변경 저널 (RenameJournal)
+ * @returns {Promise<string>} 격리된 파일 경로
+ */
+export async function moveToQuarantine(filePath, runDir, journal = null) {
+	const relativePath = isAbsolute(filePath) ? relative(process.cwd(), filePath) : filePath
+	const quarantinePath = join(runDir, relativePath)
+
+	await fs.mkdir(dirname(quarantinePath), { recursive: true })
+	await fs.rename(filePath, quarantinePath)
+	await journal?.record(filePath, quarantinePath)
+
+	return quarantinePath
+}
@@ -0,0 +1,121 @@
+/**
+ * 🧼 파일명 정규화 유틸리티
+ *
+ * Clean/Organize 단계에서 Asset 파일명을 AssetName 키로 쓰기 좋은 형태로 정리합니다
+ * - NFC 정규화: macOS에서 만든 NFD(자모 분리) 한글 파일명을 조합형으로 변환
+ * - 한글 로마자 변환 (선택): 국어의 로마자 표기법 기준 음절 단위 변환 (연음/자음동화 미적용)
+ * - 공백/괄호/특수문자 → conventions.separatorChar, 연속 구분자 축약, 앞뒤 구분자 제거
+ * - 해상도 접미사(@2x, @3x)는 유지
+ */
+
+import { escapeCharClass, escapeRegex } from './RegexUtils.js'
+
+// 국어의 로마자 표기법 (초성 19, 중성 21, 종성 28)
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h']
+const MEDIALS = [
+	'a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae',
+	'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'
+]
+const FINALS = [
+	'', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l',
+	'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'
+]
+
+const HANGUL_START = 0xac00
+const HANGUL_END = 0xd7a3
+
+// 해상도 접미사 (예: icon@2x, icon@1.5x)
+export const DENSITY_SUFFIX_REGEX = /@\d+(?:\.\d+)?x$/
+
+/**
+ * 한글 음절 → 로마자
+ * @param {string} text - 변환할 문자열 (NFC)
+ * @returns {string}
+ */
+export function romanizeHangul(text) {
+	return [...text]
+		.map((char) => {
+			const code = char.codePointAt(0)
+			if (code < HANGUL_START || code > HANGUL_END) return char
+
+			const offset = code - HANGUL_START
+			return INITIALS[Math.floor(offset / 588)] + MEDIALS[Math.floor((offset % 588) / 28)] + FINALS[offset % 28]
+		})
+		.join('')
+}
+
+/**
+ * 설정의 정규화 옵션
+ * @param {object} config - 설정 객체
+ * @returns {{enabled: boolean, romanizeHangul: boolean, separatorChar: string}}
+ */
+export function getSanitizeOptions(config) {
+	const sanitize = config.conventions?.sanitize || {}
+	return {
+		enabled: sanitize.enabled !== false,
+		romanizeHangul: sanitize.romanizeHangul === true,
+		separatorChar: config.conventions?.separatorChar || '-'
+	}
+}
+
+/**
+ * 파일명(확장자 제외) 정규화
+ * @param {string} name - 원래 이름
+ * @param {object} options - getSanitizeOptions 결과
+ * @returns {{name: string, changes: string[]}} 정리된 이름과 적용된 변환 목록
+ */
+export function sanitizeName(name, options = {}) {
+	const { enabled = true, romanizeHangul: romanize = false, separatorChar = '-' } = options
+	const changes = []
+
+	if (!enabled) {
+		return { name, changes }
+	}
+
+	let result = name
+
+	// 1. 유니코드 정규화
+	const normalized = result.normalize('NFC')
+	if (normalized !== result) {
+		changes.push('NFC 정규화')
+		result = normalized
+	}
+
+	// 2. 한글 로마자 변환
+	if (romanize && /[가-힣]/.test(result)) {
+		changes.push('한글 로마자 변환')
+		result = romanizeHangul(result)
+	}
+
+	// 해상도 접미사는 정리 대상에서 제외
+	const densitySuffix = result.match(DENSITY_SUFFIX_REGEX)?.[0] || ''
+	const base = densitySuffix ? result.slice(0, -densitySuffix.length) : result
+
+	// 3. 공백 → 구분자
+	let cleaned = base
+	if (/\s/.test(cleaned)) {
+		changes.push('공백 치환')
+		cleaned = cleaned.replace(/\s+/g, separatorChar)
+	}
+
+	// 4. 안전하지 않은 문자(괄호, 따옴표, 점 등) → 구분자
+	const unsafeRegex = new RegExp(`[^\\p{L}\\p{N}_${escapeCharClass(separatorChar)}-]+`, 'gu')
+	if (unsafeRegex.test(cleaned)) {
+		changes.push('특수문자 치환')
+		cleaned = cleaned.replace(unsafeRegex, separatorChar)
+	}
+
+	// 5. 연속/앞뒤 구분자 정리
+	if (separatorChar) {
+		const separator = escapeRegex(separatorChar)
+		const collapsed = cleaned
+			.replace(new RegExp(`(?:${separator}){2,}`, 'g'), separatorChar)
+			.replace(new RegExp(`^(?:${separator})+|(?:${separator})+$`, 'g'), '')
+		if (collapsed !== cleaned && !changes.includes('공백 치환') && !changes.includes('특수문자 치환')) {
+			changes.push('구분자 정리')
+		}
+		cleaned = collapsed
+	}
+
+	return { name: (cleaned || 'asset') + densitySuffix, changes }
+}
@@ -4,24 +4,32 @@
  * openapi-codegen 툴킷 패턴 기반 하이브리드 포맷팅
  */
 
-import { execSync } from 'child_process'
 import { readFileSync, existsSync } from 'fs'
+import { readFile, writeFile } from 'fs/promises'
+import { createRequire } from 'module'
+import { isAbsolute, join, relative, resolve } from 'path'
+import { pathToFileURL } from 'url'
+import { logger } from './Logger.js'
+
+// 프로젝트 prettier 모듈 캐시 (undefined: 아직 로드하지 않음, null: 없음)
+let projectPrettier
 
 /**
- * 조건부 포맷팅 함수 - outputDir 폴더만 prettier로 자동 포맷
+ * 조건부 포맷팅 함수 - outputDir 폴더의 생성 파일만 프로젝트 prettier로 자동 포맷
+ * check/dry-run의 formatContent와 같은 prettier 모듈을 사용하므로 비교 결과가 디스크 내용과 일치합니다
  * @param {string[]} generatedFiles - 생성된 파일 경로 배열
- * @param {string} configPath - 설정 파일 경로
+ * @param {string|object} configPath - 설정 파일 경로 또는 설정 객체
  */
 export async function conditionalFormat(generatedFiles = [], configPath = './asset-codegen.config.json') {
 	try {
 		// 1. 설정 로드
-		let config = null
+		let config = typeof configPath === 'object' ? configPath : null
 		try {
-			if (existsSync(configPath)) {
+			if (!config && existsSync(configPath)) {
 				config = JSON.parse(readFileSync(configPath, 'utf-8'))
 			}
 		} catch (e) {
-			console.warn('⚠️  설정 파일을 읽을 수 없습니다.')
+			logger.warn('⚠️  설정 파일을 읽을 수 없습니다.')
 			return false
 		}
 
@@ -32,40 +40,118 @@ export async function conditionalFormat(generatedFiles = [], configPath = './ass
 		// 2. autoFormat 옵션 확인
 		const autoFormatEnabled = config.formatting?.autoFormat !== false
 		if (!autoFormatEnabled) {
-			console.log('⚙️  autoFormat이 비활성화되어 포맷팅을 스킵합니다.')
+			logger.info('⚙️  autoFormat이 비활성화되어 포맷팅을 스킵합니다.')
 			return false
 		}
 
 		if (!generatedFiles || generatedFiles.length === 0) {
-			console.log('⚠️  포맷할 생성된 파일이 없습니다.')
+			logger.info('⚠️  포맷할 생성된 파일이 없습니다.')
 			return false
 		}
 
 		// 3. outputDir 추출
 		const outputDir = config.fileGeneration?.outputDir
 		if (!outputDir) {
-			console.warn('⚠️  outputDir이 설정되지 않았습니다.')
+			logger.warn('⚠️  outputDir이 설정되지 않았습니다.')
 			return false
 		}
 
-		// 4. outputDir 폴더만 prettier로 포맷팅
-		try {
-			console.log(`🎨 ${outputDir} 폴더 포맷팅 실행 중...`)
-			execSync(`npx prettier --write "${outputDir}/**/*"`, {
-				stdio: 'pipe',
-				cwd: process.cwd(),
-			})
-			console.log('   ✅ 포맷팅 완료')
-			return true
-		} catch (error) {
-			// prettier가 없거나 실패해도 조용히 스킵
-			console.log('   ⚠️ 포맷팅 스킵 (prettier 없음 또는 실패)')
+		// 4. 프로젝트 prettier 로드 (없으면 조용히 스킵)
+		const prettier = await loadProjectPrettier()
+		if (!prettier) {
+			logger.info('   ⚠️ 포맷팅 스킵 (프로젝트에 prettier 없음)')
 			return false
 		}
+
+		// 5. outputDir 폴더의 생성 파일만 포맷팅
+		logger.info(`🎨 ${outputDir} 폴더 포맷팅 실행 중...`)
+		const targetFiles = [...new Set(generatedFiles)].filter((file) => isInOutputDir(file, config))
+		for (const file of targetFiles) {
+			const content = await readFile(file, 'utf8').catch(() => null)
+			if (content === null) continue
+
+			const formatted = await formatWithPrettier(prettier, content, file)
+			if (formatted !== content) {
+				await writeFile(file, formatted, 'utf8')
+			}
+		}
+		logger.info('   ✅ 포맷팅 완료')
+		return true
 	} catch (error) {
-		console.warn('   ⚠️ 포맷팅 스킵:', error.message)
+		logger.warn('   ⚠️ 포맷팅 스킵:', error.message)
+		return false
+	}
+}
+
+/**
+ * 생성 코드를 메모리에서 포맷팅 (dry-run 비교용)
+ * 디스크에 쓸 때의 conditionalFormat과 같은 결과가 되도록 같은 prettier 모듈과 대상(outputDir) 규칙을 사용하며,
+ * prettier가 없거나 autoFormat이 꺼져 있으면 내용을 그대로 반환합니다
+ * @param {string} content - 파일 내용
+ * @param {string} filePath - 파일 경로 (파서/설정 결정용)
+ * @param {object} config - 설정 객체
+ * @returns {Promise<string>} 포맷된 내용
+ */
+export async function formatContent(content, filePath, config) {
+	if (config?.formatting?.autoFormat === false || !isInOutputDir(filePath, config)) {
+		return content
+	}
+
+	const prettier = await loadProjectPrettier()
+	if (!prettier) {
+		return content
+	}
+
+	return formatWithPrettier(prettier, content, filePath)
+}
+
+/**
+ * prettier로 한 파일 내용 포맷 (.prettierignore 대상이거나 지원하지 않는 파일, 실패 시 원본 반환)
+ */
+async function formatWithPrettier(prettier, content, filePath) {
+	try {
+		const fileInfo = await prettier.getFileInfo(filePath, { ignorePath: '.prettierignore' })
+		if (fileInfo.ignored || !fileInfo.inferredParser) {
+			return content
+		}
+
+		const options = (await prettier.resolveConfig(filePath)) || {}
+		return await prettier.format(content, { ...options, filepath: filePath })
+	} catch {
+		return content
+	}
+}
+
+/**
+ * 파일이 설정의 outputDir 안에 있는지 확인
+ */
+function isInOutputDir(filePath, config) {
+	const outputDir = config?.fileGeneration?.outputDir
+	if (!outputDir) {
 		return false
 	}
+
+	const relativePath = relative(resolve(outputDir), resolve(filePath))
+	return relativePath !== '' && !relativePath.startsWith('..') && !isAbsolute(relativePath)
+}
+
+/**
+ * 프로젝트에 설치된 prettier 로드
+ */
+async function loadProjectPrettier() {
+	if (projectPrettier !== undefined) {
+		return projectPrettier
+	}
+
+	try {
+		const require = createRequire(join(process.cwd(), 'package.json'))
+		const module = await import(pathToFileURL(require.resolve('prettier')).href)
+		projectPrettier = module.default || module
+	} catch {
+		projectPrettier = null
+	}
+
+	return projectPrettier
 }
 
 /**
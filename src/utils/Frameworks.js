@@ -0,0 +1,34 @@
+/**
+ * 🧭 컴포넌트 프레임워크
+ *
+ * 생성기들이 공유하는 componentGeneration.framework 판별 함수
+ */
+
+/**
+ * 설정의 컴포넌트 프레임워크 (기본값: react)
+ * @param {object} config - 설정 객체
+ * @returns {string}
+ */
+export function getFramework(config) {
+	return config.componentGeneration?.framework || 'react'
+}
+
+/**
+ * React 계열 프레임워크 여부 (생성 코드가 React 타입을 사용)
+ * @param {string} framework - 프레임워크 이름
+ * @returns {boolean}
+ */
+export function isReactFramework(framework) {
+	return framework === 'react' || framework === 'react-native'
+}
+
+/**
+ * React Native SVG 렌더링 방식
+ * svgMode: 'inline'이면 react-native-svg 컴포넌트, 'xml'이면 SvgXml 문자열 (그 외에는 SVG를 렌더링하지 않음)
+ * @param {object} config - 설정 객체
+ * @returns {'inline'|'xml'|null}
+ */
+export function getNativeSvgMode(config) {
+	const svgMode = config.componentGeneration?.svgMode
+	return getFramework(config) === 'react-native' && ['inline', 'xml'].includes(svgMode) ? svgMode : null
+}
@@ -0,0 +1,134 @@
+/**
+ * 🔎 Glob 유틸리티
+ *
+ * 소스 파일 스캔용 최소 glob 구현 (외부 의존성 없음)
+ * 지원 문법: `**`, `*`, `?`, `{a,b}`
+ */
+
+import { promises as fs } from 'fs'
+import { join } from 'path'
+import { escapeRegex } from './RegexUtils.js'
+
+// 항상 스캔에서 제외하는 디렉토리
+const ALWAYS_IGNORED_DIRS = new Set(['node_modules', '.git'])
+
+/**
+ * glob 패턴이 포함되어 있는지 확인
+ */
+function hasGlobChars(pattern) {
+	return /[*?{]/.test(pattern)
+}
+
+/**
+ * glob 패턴을 정규식으로 변환
+ * @param {string} pattern - glob 패턴 (posix 구분자)
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+	let regex = ''
+
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i]
+
+		if (char === '*') {
+			if (pattern[i + 1] === '*') {
+				// '**/' → 0개 이상의 디렉토리, 끝의 '**' → 모든 하위 경로
+				if (pattern[i + 2] === '/') {
+					regex += '(?:.*/)?'
+					i += 2
+				} else {
+					regex += '.*'
+					i += 1
+				}
+			} else {
+				regex += '[^/]*'
+			}
+		} else if (char === '?') {
+			regex += '[^/]'
+		} else if (char === '{' && pattern.indexOf('}', i) > i) {
+			const end = pattern.indexOf('}', i)
+			const alternatives = pattern.slice(i + 1, end).split(',').map(escapeRegex)
+			regex += `(?:${alternatives.join('|')})`
+			i = end
+		} else {
+			regex += escapeRegex(char)
+		}
+	}
+
+	return new RegExp(`^${regex}$`)
+}
+
+/**
+ * 경로 매처 생성
+ * glob 문자가 없는 패턴은 해당 경로와 그 하위 전체로 취급합니다 (예: 'dist' → 'dist/**')
+ * @param {string[]} patterns - glob 패턴 배열
+ * @returns {(path: string) => boolean}
+ */
+export function createMatcher(patterns = []) {
+	const regexes = patterns.map((pattern) => {
+		const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '')
+		return hasGlobChars(normalized) ? globToRegExp(normalized) : new RegExp(`^${escapeRegex(normalized)}(?:/.*)?$`)
+	})
+
+	return (path) => regexes.some((regex) => regex.test(path))
+}
+
+/**
+ * glob 패턴과 일치하는 파일 찾기
+ * @param {string[]} patterns - 포함할 glob 패턴 배열
+ * @param {object} options - { cwd, ignore }
+ * @returns {Promise<string[]>} cwd 기준 상대 경로 배열 (정렬됨)
+ */
+export async function findFiles(patterns, options = {}) {
+	const { cwd = '.', ignore = [] } = options
+	const isIncluded = createMatcher(patterns)
+	const isIgnored = createMatcher(ignore)
+	const files = []
+
+	// 패턴의 고정 접두 디렉토리부터만 탐색
+	const baseDirs = new Set(
+		patterns.map((pattern) => {
+			const segments = pattern.replace(/^\.\//, '').split('/')
+			const staticSegments = []
+			for (const segment of segments.slice(0, -1)) {
+				if (hasGlobChars(segment)) break
+				staticSegments.push(segment)
+			}
+			return staticSegments.join('/')
+		})
+	)
+
+	const walk = async (relativeDir) => {
+		let entries
+		try {
+			entries = await fs.readdir(join(cwd, relativeDir), { withFileTypes: true })
+		} catch {
+			return
+		}
+
+		for (const entry of entries) {
+			const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name
+			if (isIgnored(relativePath)) continue
+
+			if (entry.isDirectory()) {
+				if (!ALWAYS_IGNORED_DIRS.has(entry.name)) {
+					await walk(relativePath)
+				}
+			} else if (isIncluded(relativePath)) {
+				files.push(relativePath)
+			}
+		}
+	}
+
+	// 접두 디렉토리가 겹치면 상위 디렉토리만 탐색
+	const sortedBaseDirs = [...baseDirs].sort((a, b) => a.length - b.length)
+	const rootDirs = sortedBaseDirs.filter(
+		(dir, index) => !sortedBaseDirs.slice(0, index).some((parent) => parent === '' || dir.startsWith(`${parent}/`))
+	)
+
+	for (const dir of rootDirs) {
+		await walk(dir)
+	}
+
+	return [...new Set(files)].sort()
+}
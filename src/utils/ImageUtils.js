@@ -0,0 +1,183 @@
+/**
+ * 📐 이미지 크기 유틸리티
+ *
+ * 이미지 파일 헤더에서 고유 크기(intrinsic width/height)를 읽습니다
+ * - PNG: IHDR 청크
+ * - GIF: Logical Screen Descriptor
+ * - JPEG: SOF 마커 (EXIF 방향 태그는 반영하지 않음)
+ * - WebP: VP8 / VP8L / VP8X 청크
+ * - SVG: width/height 속성 (절대 단위), 없으면 viewBox
+ */
+
+import { promises as fs } from 'fs'
+import { extname } from 'path'
+import { parseSvg, getAttribute } from './SvgUtils.js'
+
+// 대부분의 형식은 앞부분만 읽으면 충분
+const HEADER_BYTES = 64 * 1024
+
+// SOF 마커 (DHT C4, JPG C8, DAC CC 제외)
+const JPEG_SOF_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf])
+
+/**
+ * 파일에서 이미지 크기 읽기
+ * @param {string} filePath - 이미지 파일 경로
+ * @param {string|Buffer} content - 이미 읽은 파일 내용 (선택)
+ * @returns {Promise<{width: number, height: number}|null>} 읽을 수 없으면 null
+ */
+export async function readImageDimensions(filePath, content = null) {
+	const extension = extname(filePath).toLowerCase().slice(1)
+
+	try {
+		if (content !== null) {
+			return getImageDimensions(Buffer.from(content), extension)
+		}
+
+		const header = await readHeader(filePath)
+		const dimensions = getImageDimensions(header, extension)
+		if (dimensions || header.length < HEADER_BYTES) {
+			return dimensions
+		}
+
+		// 앞부분에서 찾지 못한 경우 (큰 EXIF 뒤의 JPEG SOF 등) 전체 파일에서 다시 시도
+		return getImageDimensions(await fs.readFile(filePath), extension)
+	} catch {
+		return null
+	}
+}
+
+/**
+ * 파일 앞부분 읽기
+ */
+async function readHeader(filePath) {
+	const handle = await fs.open(filePath, 'r')
+	try {
+		const buffer = Buffer.alloc(HEADER_BYTES)
+		const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0)
+		return buffer.subarray(0, bytesRead)
+	} finally {
+		await handle.close()
+	}
+}
+
+/**
+ * 버퍼에서 이미지 크기 읽기
+ * @param {Buffer} buffer - 파일 내용 (또는 앞부분)
+ * @param {string} extension - 파일 확장자 (소문자, 점 제외)
+ * @returns {{width: number, height: number}|null}
+ */
+export function getImageDimensions(buffer, extension) {
+	if (extension === 'svg') {
+		return getSvgDimensions(buffer.toString('utf8'))
+	}
+
+	// 확장자와 실제 형식이 다를 수 있으므로 시그니처로 판단
+	if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+		return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+	}
+	if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+		return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+	}
+	if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+		return getJpegDimensions(buffer)
+	}
+	if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+		return getWebpDimensions(buffer)
+	}
+
+	return null
+}
+
+/**
+ * JPEG: 세그먼트를 따라가며 SOF 마커 탐색
+ */
+function getJpegDimensions(buffer) {
+	let offset = 2
+
+	while (offset + 9 < buffer.length) {
+		if (buffer[offset] !== 0xff) return null
+
+		const marker = buffer[offset + 1]
+		if (marker === 0xff) {
+			// 채움 바이트
+			offset++
+			continue
+		}
+
+		if (JPEG_SOF_MARKERS.has(marker)) {
+			return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) }
+		}
+
+		offset += 2 + buffer.readUInt16BE(offset + 2)
+	}
+
+	return null
+}
+
+/**
+ * WebP: 첫 번째 청크 형식별 크기 필드
+ */
+function getWebpDimensions(buffer) {
+	const chunk = buffer.toString('ascii', 12, 16)
+
+	if (chunk === 'VP8 ') {
+		// 손실 압축: 프레임 헤더의 14비트 크기
+		return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff }
+	}
+	if (chunk === 'VP8L') {
+		// 무손실 압축: 14비트씩 (크기 - 1)
+		const bits = buffer.readUInt32LE(21)
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+	}
+	if (chunk === 'VP8X') {
+		// 확장 형식: 24비트 (캔버스 크기 - 1)
+		return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 }
+	}
+
+	return null
+}
+
+/**
+ * SVG: 절대 단위의 width/height 우선, 없으면 viewBox 크기
+ */
+function getSvgDimensions(content) {
+	const svg = parseSvg(content)
+	const parseLength = (value) => {
+		const match = /^\s*(\d*\.?\d+)\s*(px)?\s*$/.exec(value || '')
+		return match ? Number(match[1]) : null
+	}
+
+	const viewBox = (getAttribute(svg, 'viewBox') || '').trim().split(/[\s,]+/).map(Number)
+	const viewBoxWidth = viewBox.length === 4 && viewBox[2] > 0 ? viewBox[2] : null
+	const viewBoxHeight = viewBox.length === 4 && viewBox[3] > 0 ? viewBox[3] : null
+
+	let width = parseLength(getAttribute(svg, 'width'))
+	let height = parseLength(getAttribute(svg, 'height'))
+
+	// 한쪽만 지정된 경우 viewBox 비율로 나머지 계산
+	if (width && !height && viewBoxWidth && viewBoxHeight) height = (width * viewBoxHeight) / viewBoxWidth
+	if (height && !width && viewBoxWidth && viewBoxHeight) width = (height * viewBoxWidth) / viewBoxHeight
+
+	width ??= viewBoxWidth
+	height ??= viewBoxHeight
+
+	return width && height ? { width, height } : null
+}
+
+/**
+ * 크기 정보 → AssetInfo 필드 (width, height, aspectRatio)
+ * @param {{width: number, height: number}|null} dimensions
+ * @returns {object} 크기를 모르면 빈 객체
+ */
+export function toDimensionFields(dimensions) {
+	if (!dimensions || !(dimensions.width > 0) || !(dimensions.height > 0)) {
+		return {}
+	}
+
+	const round = (value, digits) => Number(value.toFixed(digits))
+	return {
+		width: round(dimensions.width, 2),
+		height: round(dimensions.height, 2),
+		aspectRatio: round(dimensions.width / dimensions.height, 4)
+	}
+}
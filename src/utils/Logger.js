@@ -0,0 +1,81 @@
+/**
+ * 📣 로거 유틸리티
+ *
+ * 생성기와 유틸리티의 출력을 한 곳으로 모읍니다
+ * - CLI: 기본값인 console로 출력 (chalk 색상 유지)
+ * - 프로그래밍 API: runWithLogger로 호출마다 다른 로거를 주입 (동시에 실행되는 호출끼리 섞이지 않음)
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { format, stripVTControlCharacters } from 'util'
+
+const storage = new AsyncLocalStorage()
+
+/**
+ * console 로거 (CLI 기본값)
+ */
+export const consoleLogger = {
+	info: (...args) => console.log(...args),
+	warn: (...args) => console.warn(...args),
+	error: (...args) => console.error(...args)
+}
+
+/**
+ * 아무것도 출력하지 않는 로거
+ */
+export const silentLogger = {
+	info: () => {},
+	warn: () => {},
+	error: () => {}
+}
+
+/**
+ * 생성기/유틸리티가 사용하는 로거 (현재 실행 컨텍스트의 로거로 전달)
+ */
+export const logger = {
+	info: (...args) => getLogger().info(...args),
+	warn: (...args) => getLogger().warn(...args),
+	error: (...args) => getLogger().error(...args)
+}
+
+/**
+ * 현재 실행 컨텍스트의 로거
+ * @returns {{info: Function, warn: Function, error: Function}}
+ */
+export function getLogger() {
+	return storage.getStore() || consoleLogger
+}
+
+/**
+ * 주입한 로거로 함수 실행
+ * @param {object} activeLogger - { info, warn, error } (일부만 있으면 나머지는 출력하지 않음)
+ * @param {Function} fn - 실행할 (비동기) 함수
+ * @returns {Promise<*>} fn의 결과
+ */
+export function runWithLogger(activeLogger, fn) {
+	return storage.run({ ...silentLogger, ...activeLogger }, fn)
+}
+
+/**
+ * 메시지를 한 줄 문자열로 변환하고 색상 코드를 제거하는 로거
+ * 경고는 warnings 배열에도 모읍니다 (API 결과의 warnings)
+ * @param {object} target - 메시지를 받을 로거
+ * @returns {{logger: object, warnings: string[]}}
+ */
+export function createPlainLogger(target = consoleLogger) {
+	const warnings = []
+	const toMessage = (args) => stripVTControlCharacters(format(...args))
+
+	return {
+		warnings,
+		logger: {
+			info: (...args) => target.info?.(toMessage(args)),
+			warn: (...args) => {
+				const message = toMessage(args)
+				warnings.push(message.trim())
+				target.warn?.(message)
+			},
+			error: (...args) => target.error?.(toMessage(args))
+		}
+	}
+}
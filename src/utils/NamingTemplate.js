@@ -0,0 +1,261 @@
+/**
+ * 🏷️ 파일명 템플릿 유틸리티
+ *
+ * conventions.namingPattern으로 Organize 단계의 파일명을 만들고, Clean 단계에서 같은 템플릿을 역으로 적용해 원래 이름을 찾습니다
+ * - 플레이스홀더: {dir}, {path}, {path1}, {path2}…, {name}, {ext}, {width}, {height}, {hash}
+ * - 선택 세그먼트: [-{path}] 처럼 대괄호로 감싼 부분은 안의 플레이스홀더 값이 비어 있으면 통째로 생략
+ * - 해상도 접미사(@2x, @3x)는 템플릿과 관계없이 항상 파일명 끝에 유지
+ */
+
+import { DENSITY_SUFFIX_REGEX } from './FilenameSanitizer.js'
+import { escapeRegex } from './RegexUtils.js'
+
+export const NAMING_PLACEHOLDERS = ['dir', 'path', 'pathN', 'name', 'ext', 'width', 'height', 'hash']
+
+// 이전 템플릿 파일의 기본값 (실제로 적용된 적이 없으므로 기본 템플릿과 같게 취급)
+const LEGACY_PATTERN = '{category}-{subcategory}-{name}'
+
+// 역적용 시 파일 내용에서 얻는 값의 형식
+const VALUE_PATTERNS = {
+	width: '\\d+',
+	height: '\\d+',
+	hash: '[0-9a-f]{8}'
+}
+
+const LEGACY_HINTS = {
+	category: '{dir}',
+	subcategory: '[-{path}]'
+}
+
+/**
+ * 설정의 파일명 템플릿 (없으면 separatorChar로 만든 기본 템플릿)
+ * @param {object} config - 설정 객체
+ * @returns {string}
+ */
+export function getNamingPattern(config) {
+	const separatorChar = config.conventions?.separatorChar || '-'
+	const pattern = config.conventions?.namingPattern
+
+	if (!pattern || pattern === LEGACY_PATTERN) {
+		return `{dir}[${separatorChar}{path}]${separatorChar}{name}`
+	}
+
+	return pattern
+}
+
+/**
+ * 템플릿 파싱
+ * @param {string} pattern - 파일명 템플릿
+ * @returns {{optional: boolean, parts: object[]}[]} 세그먼트 배열 (parts: { text } 또는 { placeholder })
+ * @throws {Error} 템플릿 문법 오류
+ */
+export function parseNamingPattern(pattern) {
+	const segments = []
+	let current = { optional: false, parts: [] }
+	let index = 0
+
+	const pushSegment = () => {
+		if (current.parts.length > 0) segments.push(current)
+	}
+
+	while (index < pattern.length) {
+		const char = pattern[index]
+
+		if (char === '{') {
+			const end = pattern.indexOf('}', index)
+			if (end === -1) throw new Error(`닫히지 않은 '{'가 있습니다 (위치 ${index})`)
+			current.parts.push({ placeholder: pattern.slice(index + 1, end).trim() })
+			index = end + 1
+		} else if (char === '[') {
+			if (current.optional) throw new Error(`선택 세그먼트 '[...]'는 중첩할 수 없습니다 (위치 ${index})`)
+			pushSegment()
+			current = { optional: true, parts: [] }
+			index++
+		} else if (char === ']') {
+			if (!current.optional) throw new Error(`짝이 맞지 않는 ']'가 있습니다 (위치 ${index})`)
+			if (!current.parts.some((part) => part.placeholder)) {
+				throw new Error(`선택 세그먼트 '[...]'에는 플레이스홀더가 하나 이상 있어야 합니다 (위치 ${index})`)
+			}
+			pushSegment()
+			current = { optional: false, parts: [] }
+			index++
+		} else if (char === '}') {
+			throw new Error(`짝이 맞지 않는 '}'가 있습니다 (위치 ${index})`)
+		} else {
+			const last = current.parts[current.parts.length - 1]
+			if (last && last.text !== undefined) {
+				last.text += char
+			} else {
+				current.parts.push({ text: char })
+			}
+			index++
+		}
+	}
+
+	if (current.optional) throw new Error("닫히지 않은 '['가 있습니다")
+	pushSegment()
+
+	return segments
+}
+
+/**
+ * 템플릿 검증
+ * @param {string} pattern - 파일명 템플릿
+ * @param {string} separatorChar - conventions.separatorChar
+ * @returns {string[]} 오류 메시지 배열 (비어 있으면 유효)
+ */
+export function validateNamingPattern(pattern, separatorChar = '-') {
+	if (typeof pattern !== 'string' || pattern.trim() === '') {
+		return ['파일명 템플릿이 비어 있습니다']
+	}
+
+	if (pattern === LEGACY_PATTERN) {
+		return []
+	}
+
+	let segments
+	try {
+		segments = parseNamingPattern(pattern)
+	} catch (error) {
+		return [error.message]
+	}
+
+	const errors = []
+	const placeholders = segments.flatMap((segment) =>
+		segment.parts.filter((part) => part.placeholder !== undefined).map((part) => ({ ...part, optional: segment.optional }))
+	)
+
+	for (const { placeholder } of placeholders) {
+		if (!isKnownPlaceholder(placeholder)) {
+			const hint = LEGACY_HINTS[placeholder] ? ` (대신 ${LEGACY_HINTS[placeholder]} 사용)` : ''
+			errors.push(`알 수 없는 플레이스홀더 {${placeholder}}${hint}`)
+		}
+	}
+
+	const names = placeholders.filter((part) => part.placeholder === 'name')
+	if (names.length !== 1) {
+		errors.push('{name} 플레이스홀더가 정확히 한 번 있어야 합니다')
+	} else if (names[0].optional) {
+		errors.push('{name} 플레이스홀더는 선택 세그먼트 안에 둘 수 없습니다')
+	}
+
+	// 정규화 단계에서 바뀌는 문자를 쓰면 다음 실행에서 파일명이 다시 바뀜
+	const literal = segments.flatMap((segment) => segment.parts.map((part) => part.text || '')).join('')
+	const invalidChars = [...new Set(literal.replace(/[\p{L}\p{N}_-]/gu, '').split(separatorChar).join(''))]
+	if (invalidChars.length > 0) {
+		errors.push(
+			`파일명 템플릿의 고정 문자는 문자, 숫자, '-', '_', separatorChar만 쓸 수 있습니다 (사용됨: ${invalidChars.map((char) => `'${char}'`).join(', ')})`
+		)
+	}
+
+	return errors
+}
+
+/**
+ * 템플릿이 파일 내용에서 얻는 값을 사용하는지 확인
+ * @param {string} pattern - 파일명 템플릿
+ * @returns {{size: boolean, hash: boolean}}
+ */
+export function getPatternRequirements(pattern) {
+	const placeholders = new Set(
+		parseNamingPattern(pattern).flatMap((segment) => segment.parts.map((part) => part.placeholder).filter(Boolean))
+	)
+
+	return {
+		size: placeholders.has('width') || placeholders.has('height'),
+		hash: placeholders.has('hash')
+	}
+}
+
+/**
+ * 템플릿으로 파일명(확장자 제외) 생성
+ * @param {string} pattern - 파일명 템플릿
+ * @param {object} values - { dir, path: string[], name, ext, width, height, hash }
+ * @param {string} separatorChar - {path}의 폴더명 구분자
+ * @returns {string}
+ */
+export function renderNamingPattern(pattern, values, separatorChar = '-') {
+	const densitySuffix = values.name.match(DENSITY_SUFFIX_REGEX)?.[0] || ''
+	const resolveValue = createValueResolver(
+		{ ...values, name: densitySuffix ? values.name.slice(0, -densitySuffix.length) : values.name },
+		separatorChar
+	)
+
+	const rendered = parseNamingPattern(pattern)
+		.map((segment) => {
+			const parts = segment.parts.map((part) => (part.text !== undefined ? part.text : resolveValue(part.placeholder)))
+			const isEmpty = segment.parts.some((part, index) => part.placeholder && parts[index] === '')
+			return segment.optional && isEmpty ? '' : parts.join('')
+		})
+		.join('')
+
+	// 비어 있는 필수 플레이스홀더 때문에 앞뒤에 남은 구분자 제거
+	const separator = escapeRegex(separatorChar)
+	const trimmed = separatorChar ? rendered.replace(new RegExp(`^(?:${separator})+|(?:${separator})+$`, 'g'), '') : rendered
+
+	return (trimmed || resolveValue('name')) + densitySuffix
+}
+
+/**
+ * 템플릿 역적용: 템플릿으로 만든 파일명에서 {name} 값 추출
+ * 파일 내용에서 얻는 값({width}, {height}, {hash})은 형식만 맞으면 일치로 봅니다
+ * @param {string} pattern - 파일명 템플릿
+ * @param {string} filename - 파일명 (확장자 제외)
+ * @param {object} values - 경로에서 얻는 값 { dir, path: string[], ext }
+ * @param {string} separatorChar - {path}의 폴더명 구분자
+ * @returns {string|null} 템플릿과 일치하지 않으면 null
+ */
+export function extractNameFromPattern(pattern, filename, values, separatorChar = '-') {
+	const densitySuffix = filename.match(DENSITY_SUFFIX_REGEX)?.[0] || ''
+	const target = densitySuffix ? filename.slice(0, -densitySuffix.length) : filename
+	const resolveValue = createValueResolver(values, separatorChar)
+
+	const source = parseNamingPattern(pattern)
+		.map((segment) => {
+			const parts = segment.parts.map((part) => {
+				if (part.text !== undefined) return escapeRegex(part.text)
+				if (part.placeholder === 'name') return '(?<name>.+?)'
+				if (VALUE_PATTERNS[part.placeholder]) return VALUE_PATTERNS[part.placeholder]
+				return escapeRegex(resolveValue(part.placeholder))
+			})
+
+			if (!segment.optional) return parts.join('')
+
+			// 경로 값이 비어 있는 선택 세그먼트는 생성 시에도 생략되고,
+			// 파일 내용에서 얻는 값이 있는 세그먼트는 값이 없어 생략되었을 수 있음
+			const isEmpty = segment.parts.some(
+				(part) => part.placeholder && !VALUE_PATTERNS[part.placeholder] && resolveValue(part.placeholder) === ''
+			)
+			if (isEmpty) return ''
+			const dependsOnContent = segment.parts.some((part) => VALUE_PATTERNS[part.placeholder])
+			return dependsOnContent ? `(?:${parts.join('')})?` : parts.join('')
+		})
+		.join('')
+
+	const name = target.match(new RegExp(`^${source}$`, 'u'))?.groups?.name
+	return name ? name + densitySuffix : null
+}
+
+/**
+ * 플레이스홀더 이름 확인
+ */
+function isKnownPlaceholder(placeholder) {
+	return /^path[1-9]\d*$/.test(placeholder) || (placeholder !== 'pathN' && NAMING_PLACEHOLDERS.includes(placeholder))
+}
+
+/**
+ * 플레이스홀더 → 값 (없으면 빈 문자열)
+ */
+function createValueResolver(values, separatorChar) {
+	const pathParts = values.path || []
+
+	return (placeholder) => {
+		if (placeholder === 'path') return pathParts.join(separatorChar)
+
+		const depth = placeholder.match(/^path(\d+)$/)?.[1]
+		if (depth) return pathParts[Number(depth) - 1] || ''
+
+		const value = values[placeholder]
+		return value === undefined || value === null ? '' : String(value)
+	}
+}
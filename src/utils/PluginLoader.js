@@ -0,0 +1,179 @@
+/**
+ * 🧩 플러그인 로더
+ *
+ * 설정의 plugins에 선언된 모듈에서 사용자 정의 파이프라인 단계를 불러옵니다
+ * - 선언: "./plugins/docs-index.js" 또는 { "module": "...", "options": { ... } } (상대 경로는 설정 파일 위치 기준)
+ * - 모듈: export default { name, steps } / export default (options) => ({ name, steps }) / export const steps = [...]
+ * - 단계: { id, name, description, before | after, enabled, execute(context), plan?(context) }
+ */
+
+import { existsSync } from 'fs'
+import { createRequire } from 'module'
+import { isAbsolute, join, resolve } from 'path'
+import { pathToFileURL } from 'url'
+
+const STEP_ID_PATTERN = /^[A-Za-z][\w-]*$/
+
+/**
+ * 설정에 선언된 플러그인의 단계 로드
+ * @param {object} config - 설정 객체
+ * @param {string} baseDir - 상대 경로 기준 디렉토리 (설정 파일 위치)
+ * @param {string[]} builtinKeys - 기본 단계 flagKey 목록 (id 중복 검사용)
+ * @returns {Promise<object[]>} 플러그인 단계 (flagKey = id, plugin = 플러그인 이름)
+ */
+export async function loadPluginSteps(config, baseDir, builtinKeys = []) {
+	const steps = []
+
+	for (const declaration of config.plugins || []) {
+		const specifier = typeof declaration === 'string' ? declaration : declaration.module
+		const options = (typeof declaration === 'object' && declaration.options) || {}
+
+		let module
+		try {
+			module = await import(resolvePluginUrl(specifier, baseDir))
+		} catch (error) {
+			throw new Error(`플러그인을 불러올 수 없습니다: ${specifier} - ${error.message}`)
+		}
+
+		const plugin = await instantiatePlugin(module, options)
+		const pluginName = plugin.name || specifier
+
+		if (!Array.isArray(plugin.steps)) {
+			throw new Error(`플러그인 ${pluginName}: steps 배열을 export해야 합니다`)
+		}
+
+		plugin.steps.forEach((step) => {
+			validateStep(step, pluginName, [...builtinKeys, ...steps.map((s) => s.flagKey)])
+			steps.push({
+				...step,
+				flagKey: step.id,
+				name: step.name || step.id,
+				description: step.description || `플러그인 단계 (${pluginName})`,
+				required: false,
+				plugin: pluginName,
+				options
+			})
+		})
+	}
+
+	return steps
+}
+
+/**
+ * 기본 단계 사이에 플러그인 단계 배치
+ * before/after가 가리키는 단계 바로 앞/뒤에 선언 순서대로 넣고, 지정하지 않으면 마지막에 추가합니다
+ * @param {object[]} builtinSteps - 기본 단계 (비활성 단계 포함)
+ * @param {object[]} pluginSteps - 플러그인 단계
+ * @returns {object[]} 정렬된 전체 단계
+ */
+export function orderSteps(builtinSteps, pluginSteps) {
+	const ordered = [...builtinSteps]
+
+	for (const step of pluginSteps) {
+		const anchor = step.before || step.after
+		if (!anchor) {
+			ordered.push(step)
+			continue
+		}
+
+		const anchorIndex = ordered.findIndex((s) => s.flagKey === anchor)
+		if (anchorIndex === -1) {
+			throw new Error(`플러그인 단계 ${step.id}: 알 수 없는 기준 단계입니다 (${anchor})`)
+		}
+
+		if (step.before) {
+			ordered.splice(anchorIndex, 0, step)
+		} else {
+			// 같은 단계 뒤에 먼저 배치된 플러그인 단계 다음에 추가 (선언 순서 유지)
+			let insertIndex = anchorIndex + 1
+			while (ordered[insertIndex]?.plugin && ordered[insertIndex].after === anchor) {
+				insertIndex++
+			}
+			ordered.splice(insertIndex, 0, step)
+		}
+	}
+
+	return ordered
+}
+
+/**
+ * 플러그인 단계 활성화 여부 (featureFlags[id]가 있으면 우선, 없으면 단계의 enabled)
+ */
+export function isPluginStepEnabled(step, config) {
+	const flag = config.featureFlags?.[step.id]
+	if (flag !== undefined) {
+		return flag && typeof flag === 'object' && 'enabled' in flag ? Boolean(flag.enabled) : Boolean(flag)
+	}
+
+	if (typeof step.enabled === 'function') {
+		return Boolean(step.enabled(config))
+	}
+	return step.enabled !== false
+}
+
+/**
+ * execute 결과 → 생성 파일 경로 배열
+ * @param {*} result - 파일 경로 배열 또는 { generatedFiles }
+ */
+export function normalizeStepResult(result, step) {
+	const generatedFiles = Array.isArray(result) ? result : result?.generatedFiles ?? []
+
+	if (!Array.isArray(generatedFiles) || generatedFiles.some((file) => typeof file !== 'string')) {
+		throw new Error(`플러그인 단계 ${step.id}: execute는 생성한 파일 경로 배열 또는 { generatedFiles }를 반환해야 합니다`)
+	}
+	return generatedFiles
+}
+
+/**
+ * 모듈 지정자 → import URL (상대/절대 경로는 baseDir 기준, 패키지 이름은 baseDir의 node_modules에서 찾음)
+ */
+function resolvePluginUrl(specifier, baseDir) {
+	if (specifier.startsWith('.') || isAbsolute(specifier)) {
+		const filePath = resolve(baseDir, specifier)
+		if (!existsSync(filePath)) {
+			throw new Error(`파일이 없습니다: ${filePath}`)
+		}
+		return pathToFileURL(filePath).href
+	}
+
+	const require = createRequire(join(resolve(baseDir), 'noop.js'))
+	return pathToFileURL(require.resolve(specifier)).href
+}
+
+/**
+ * 모듈 export → 플러그인 객체
+ */
+async function instantiatePlugin(module, options) {
+	const exported = module.default ?? module
+
+	if (typeof exported === 'function') {
+		return (await exported(options)) || {}
+	}
+	if (exported && Array.isArray(exported.steps)) {
+		return exported
+	}
+	return { name: module.name, steps: module.steps }
+}
+
+/**
+ * 단계 정의 검증
+ */
+function validateStep(step, pluginName, takenKeys) {
+	const label = `플러그인 ${pluginName}`
+
+	if (!step || typeof step.id !== 'string' || !STEP_ID_PATTERN.test(step.id)) {
+		throw new Error(`${label}: 단계 id는 영문자로 시작하는 문자열이어야 합니다 (현재: ${step?.id})`)
+	}
+	if (takenKeys.includes(step.id)) {
+		throw new Error(`${label}: 이미 사용 중인 단계 id입니다 (${step.id})`)
+	}
+	if (typeof step.execute !== 'function') {
+		throw new Error(`${label}: 단계 ${step.id}에 execute 함수가 필요합니다`)
+	}
+	if (step.plan !== undefined && typeof step.plan !== 'function') {
+		throw new Error(`${label}: 단계 ${step.id}의 plan은 함수여야 합니다`)
+	}
+	if (step.before && step.after) {
+		throw new Error(`${label}: 단계 ${step.id}에는 before와 after 중 하나만 지정할 수 있습니다`)
+	}
+}
@@ -5,6 +5,7 @@
  */
 
 import chalk from 'chalk'
+import { logger } from './Logger.js'
 
 export class ProgressTracker {
 	constructor(total, label = 'Processing') {
@@ -48,7 +49,7 @@ export class ProgressTracker {
 		const statusIcon = isError ? '✗' : '✓'
 		const statusColor = isError ? chalk.red : chalk.gray
 
-		console.log(
+		logger.info(
 			statusColor(
 				`  [${bar}] ${percent}% (${this.current}/${this.total}) ${statusIcon} ${message} - ${elapsed}s, ${etaStr}`
 			)
@@ -63,13 +64,13 @@ export class ProgressTracker {
 		const successCount = this.current - this.errors
 
 		if (this.errors > 0) {
-			console.log(
+			logger.info(
 				chalk.yellow(
 					`⚠️ ${this.label} 완료: ${successCount}/${this.total} 성공 (${this.errors}개 실패, ${totalTime}s)`
 				)
 			)
 		} else {
-			console.log(chalk.green(`✅ ${this.label} 완료: ${this.current}/${this.total} (${totalTime}s)`))
+			logger.info(chalk.green(`✅ ${this.label} 완료: ${this.current}/${this.total} (${totalTime}s)`))
 		}
 	}
 
@@ -0,0 +1,23 @@
+/**
+ * 🧵 정규식 유틸리티
+ *
+ * 사용자 입력(구분자, 폴더명, 템플릿 텍스트, URL 등)을 정규식에 끼워 넣을 때 쓰는 이스케이프 함수
+ */
+
+/**
+ * 정규식 특수문자 이스케이프
+ * @param {string} string - 원본 문자열
+ * @returns {string}
+ */
+export function escapeRegex(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * 문자 클래스([...]) 안에서 쓸 문자 이스케이프
+ * @param {string} string - 원본 문자열
+ * @returns {string}
+ */
+export function escapeCharClass(string) {
+	return string.replace(/[\]\\^-]/g, '\\$&')
+}
@@ -0,0 +1,202 @@
+/**
+ * 🚧 파일명 변경 충돌 검사 유틸리티
+ *
+ * Clean/Organize 단계가 디스크를 변경하기 전에 모든 변경 대상 경로를 계산하고 충돌을 찾습니다
+ * - path: 다른 파일과 같은 경로로 변경되거나 이미 존재하는 파일 경로로 변경
+ * - case: 대소문자만 다른 경로 (대소문자를 구분하지 않는 파일 시스템에서 덮어쓰기)
+ * - name: 다른 디렉토리의 파일과 같은 AssetName 키 (Organize 단계만 검사)
+ *
+ * 해결 전략 (conventions.collisionStrategy)
+ * - fail: 아무 파일도 변경하지 않고 충돌 목록과 함께 중단 (기본값)
+ * - skip: 충돌한 파일은 변경하지 않음
+ * - suffix: 충돌한 파일명 뒤에 구분자와 번호 추가 (예: home-2.svg)
+ */
+
+import { basename, extname, join, dirname } from 'path'
+import chalk from 'chalk'
+import { listFiles } from './FileUtils.js'
+import { logger } from './Logger.js'
+
+const REASON_LABELS = {
+	path: '같은 경로',
+	case: '대소문자만 다른 경로',
+	name: '같은 Asset 이름'
+}
+
+/**
+ * 파일 경로 → AssetName 키 (TypesGenerator와 동일한 name-extension 형식)
+ */
+function toAssetKey(filePath) {
+	const extension = extname(filePath)
+	return `${basename(filePath, extension)}-${extension.toLowerCase().slice(1)}`
+}
+
+/**
+ * 파일명 변경 계획의 충돌 검사 및 해결 (디스크를 변경하지 않음)
+ * 이동 예정인 파일의 현재 경로도 점유된 것으로 보므로 연쇄 변경(a → b, b → c)도 충돌로 처리합니다
+ * @param {object[]} renames - planRenames 결과 ({ oldPath, newPath, newName, ... })
+ * @param {string[]} currentFiles - 현재 모든 Asset 파일 경로 (활성화된 모든 디렉토리)
+ * @param {object} options - { strategy, separatorChar, checkAssetNames }
+ * @returns {{renames: object[], conflicts: object[]}} 적용할 변경 목록과 충돌 목록
+ */
+export function resolveRenameCollisions(renames, currentFiles, options = {}) {
+	const { strategy = 'fail', separatorChar = '-', checkAssetNames = false } = options
+	const movingPaths = new Set(renames.map((rename) => rename.oldPath))
+
+	// 현재 경로는 모두 점유 (소문자 기준)
+	const claimedPaths = new Map(currentFiles.map((filePath) => [filePath.toLowerCase(), filePath]))
+	// 이동하지 않는 파일의 AssetName 키
+	const claimedKeys = new Map(
+		currentFiles.filter((filePath) => !movingPaths.has(filePath)).map((filePath) => [toAssetKey(filePath), filePath])
+	)
+
+	const findConflict = (rename, targetPath) => {
+		const owner = claimedPaths.get(targetPath.toLowerCase())
+		if (owner && owner !== rename.oldPath) {
+			return { reason: owner === targetPath ? 'path' : 'case', conflictsWith: owner }
+		}
+
+		const keyOwner = checkAssetNames ? claimedKeys.get(toAssetKey(targetPath)) : null
+		if (keyOwner && keyOwner !== rename.oldPath) {
+			return { reason: 'name', conflictsWith: keyOwner }
+		}
+
+		return null
+	}
+
+	const claim = (targetPath) => {
+		claimedPaths.set(targetPath.toLowerCase(), targetPath)
+		claimedKeys.set(toAssetKey(targetPath), targetPath)
+	}
+
+	const resolved = []
+	const conflicts = []
+	const sortedRenames = [...renames].sort((a, b) => (a.oldPath < b.oldPath ? -1 : a.oldPath > b.oldPath ? 1 : 0))
+
+	for (const rename of sortedRenames) {
+		const conflict = findConflict(rename, rename.newPath)
+
+		if (!conflict) {
+			claim(rename.newPath)
+			resolved.push(rename)
+			continue
+		}
+
+		const record = { oldPath: rename.oldPath, newPath: rename.newPath, ...conflict, resolution: strategy }
+
+		if (strategy === 'suffix') {
+			const extension = extname(rename.newName)
+			const stem = basename(rename.newName, extension)
+			let candidate
+			for (let index = 2; ; index++) {
+				const newName = `${stem}${separatorChar}${index}${extension}`
+				candidate = { ...rename, newName, newPath: join(dirname(rename.newPath), newName) }
+				if (!findConflict(rename, candidate.newPath)) break
+			}
+
+			claim(candidate.newPath)
+			resolved.push(candidate)
+			record.resolvedPath = candidate.newPath
+		} else {
+			// skip / fail: 원래 경로와 키를 그대로 유지
+			claimedKeys.set(toAssetKey(rename.oldPath), rename.oldPath)
+		}
+
+		conflicts.push(record)
+	}
+
+	// 원래 순서 유지
+	const order = new Map(renames.map((rename, index) => [rename.oldPath, index]))
+	resolved.sort((a, b) => order.get(a.oldPath) - order.get(b.oldPath))
+
+	return { renames: strategy === 'fail' && conflicts.length > 0 ? [] : resolved, conflicts }
+}
+
+/**
+ * 충돌 목록을 사람이 읽는 문자열로 변환
+ * @param {object[]} conflicts - resolveRenameCollisions 결과의 conflicts
+ * @returns {string[]} 출력 줄 배열
+ */
+export function formatCollisionReport(conflicts) {
+	return conflicts.map((conflict) => {
+		const base = `${conflict.oldPath} → ${conflict.newPath} (${REASON_LABELS[conflict.reason]}: ${conflict.conflictsWith})`
+		if (conflict.resolution === 'suffix') return `${base} ⇒ ${conflict.resolvedPath}`
+		if (conflict.resolution === 'skip') return `${base} ⇒ 건너뜀`
+		return base
+	})
+}
+
+/**
+ * 충돌 보고 출력 (fail 전략이면 예외 발생)
+ * @param {object[]} conflicts - 충돌 목록
+ * @param {string} strategy - 해결 전략
+ */
+export function reportCollisions(conflicts, strategy) {
+	if (conflicts.length === 0) return
+
+	const lines = formatCollisionReport(conflicts)
+
+	if (strategy === 'fail') {
+		throw new Error(
+			`파일명 변경 충돌 ${conflicts.length}개 - 아무 파일도 변경하지 않았습니다\n` +
+				lines.map((line) => `   • ${line}`).join('\n') +
+				'\n   💡 파일명을 정리하거나 conventions.collisionStrategy를 "suffix" 또는 "skip"으로 설정하세요'
+		)
+	}
+
+	logger.info(chalk.yellow(`⚠️ 파일명 변경 충돌 ${conflicts.length}개 (collisionStrategy: ${strategy})`))
+	lines.forEach((line) => logger.info(chalk.yellow(`   • ${line}`)))
+}
+
+/**
+ * 설정의 충돌 해결 전략과 구분자
+ * @param {object} config - 설정 객체
+ * @returns {{strategy: string, separatorChar: string}}
+ */
+export function getCollisionOptions(config) {
+	return {
+		strategy: config.conventions?.collisionStrategy || 'fail',
+		separatorChar: config.conventions?.separatorChar || '-'
+	}
+}
+
+/**
+ * 활성화된 Asset 디렉토리별 현재 파일 목록
+ * @param {object} config - 설정 객체
+ * @returns {Promise<Map<string, string[]>>} 디렉토리 이름 → 파일 경로 배열
+ */
+export async function listAssetFilesByDirectory(config) {
+	const { supportedExtensions } = config.fileGeneration
+	const isAssetFile = (filename) => supportedExtensions.includes(extname(filename).toLowerCase().slice(1))
+	const filesByDirectory = new Map()
+
+	for (const assetDir of config.assetDirectories.filter((dir) => dir.enabled)) {
+		filesByDirectory.set(assetDir.name, await listFiles(assetDir.path, isAssetFile))
+	}
+
+	return filesByDirectory
+}
+
+/**
+ * 단일 파일 변경의 충돌 검사 (watch 모드용)
+ * 충돌하면 전략에 따라 번호를 붙인 계획을 반환하거나, 경고 후 null을 반환합니다 (fail도 해당 파일만 건너뜀)
+ * @param {object} plan - planSingleFile 결과
+ * @param {object} config - 설정 객체
+ * @param {object} options - { checkAssetNames }
+ * @returns {Promise<object|null>} 적용할 계획
+ */
+export async function resolveSingleRename(plan, config, options = {}) {
+	const collisionOptions = { ...getCollisionOptions(config), ...options }
+	const { renames, conflicts } = resolveRenameCollisions(
+		[plan],
+		[...(await listAssetFilesByDirectory(config)).values()].flat(),
+		collisionOptions
+	)
+
+	if (conflicts.length > 0) {
+		const color = collisionOptions.strategy === 'fail' ? chalk.red : chalk.yellow
+		formatCollisionReport(conflicts).forEach((line) => logger.info(color(`  ⚠️ 파일명 변경 충돌: ${line}`)))
+	}
+
+	return renames[0] || null
+}
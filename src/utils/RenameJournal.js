@@ -0,0 +1,251 @@
+/**
+ * 📒 파일명 변경 저널
+ *
+ * Clean/Organize 단계의 파일명 변경을 실행(run) 단위로 디스크에 기록합니다
+ * - 저널 파일: {journal.dir}/{runId}.jsonl (한 줄에 하나의 레코드)
+ * - 레코드: run(헤더) → rename(변경 내역) / update(내용 변경) → undo(되돌림 완료 표시)
+ * - undo 명령어가 저널을 역순으로 재생하여 파일명 변경을 되돌립니다
+ *   (update는 되돌리지 않고, 같은 실행에서 바뀐 내용을 충돌로 보지 않기 위해 사용)
+ */
+
+import { promises as fs } from 'fs'
+import { join, resolve } from 'path'
+import { randomBytes } from 'crypto'
+import { hashFile, pathExists } from './FileUtils.js'
+
+const DEFAULT_JOURNAL_DIR = '.asset-codegen/journal'
+
+export class RenameJournal {
+	constructor(options = {}) {
+		this.dir = options.dir || DEFAULT_JOURNAL_DIR
+		this.command = options.command || 'generate'
+		this.runId = options.runId || RenameJournal.createRunId()
+		this.entries = []
+		this.headerPromise = null
+	}
+
+	/**
+	 * 설정 기반 저널 생성 (journal.enabled가 false이면 null)
+	 * @param {object} config - 설정 객체
+	 * @param {string} command - 실행 명령어 이름
+	 * @returns {RenameJournal|null}
+	 */
+	static fromConfig(config, command) {
+		if (config.journal?.enabled === false) {
+			return null
+		}
+		return new RenameJournal({ dir: config.journal?.dir, command })
+	}
+
+	/**
+	 * 실행 ID 생성 (시간순 정렬 가능한 형식)
+	 * 예: 20241019-153012-a1b2c3
+	 */
+	static createRunId() {
+		const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)
+		return `${timestamp}-${randomBytes(3).toString('hex')}`
+	}
+
+	/**
+	 * 저널 파일 경로
+	 */
+	get filePath() {
+		return join(this.dir, `${this.runId}.jsonl`)
+	}
+
+	/**
+	 * 파일명 변경 기록 (fs.rename 직후 호출)
+	 * @param {string} oldPath - 변경 전 경로
+	 * @param {string} newPath - 변경 후 경로
+	 */
+	async record(oldPath, newPath) {
+		const entry = {
+			type: 'rename',
+			oldPath,
+			newPath,
+			hash: await hashFile(newPath),
+			renamedAt: new Date().toISOString()
+		}
+
+		// 도중에 실패해도 그때까지의 기록이 남도록 매번 추가 기록
+		await this.append(entry)
+		this.entries.push(entry)
+	}
+
+	/**
+	 * 파일 내용 변경 기록 (SVG 최적화 등 제자리 수정 직후 호출)
+	 * @param {string} filePath - 파일 경로
+	 * @param {string} previousHash - 변경 전 내용 해시
+	 */
+	async recordUpdate(filePath, previousHash) {
+		const entry = {
+			type: 'update',
+			path: filePath,
+			previousHash,
+			hash: await hashFile(filePath),
+			updatedAt: new Date().toISOString()
+		}
+
+		await this.append(entry)
+	}
+
+	/**
+	 * 저널 파일에 레코드 추가 (첫 기록 시 헤더 작성)
+	 */
+	async append(record) {
+		// 디렉토리별 병렬 처리에서 동시에 호출되어도 헤더는 한 번만 기록
+		this.headerPromise ??= (async () => {
+			await fs.mkdir(this.dir, { recursive: true })
+			const header = {
+				type: 'run',
+				runId: this.runId,
+				command: this.command,
+				cwd: process.cwd(),
+				createdAt: new Date().toISOString()
+			}
+			await fs.appendFile(this.filePath, JSON.stringify(header) + '\n', 'utf8')
+		})()
+		await this.headerPromise
+
+		await fs.appendFile(this.filePath, JSON.stringify(record) + '\n', 'utf8')
+	}
+
+	/**
+	 * 저널 디렉토리의 모든 실행 기록 (오래된 순)
+	 * @param {string} dir - 저널 디렉토리
+	 * @returns {Promise<object[]>} 실행 기록 배열
+	 */
+	static async list(dir = DEFAULT_JOURNAL_DIR) {
+		let filenames
+		try {
+			filenames = await fs.readdir(dir)
+		} catch {
+			return []
+		}
+
+		const runs = []
+		for (const filename of filenames.filter((name) => name.endsWith('.jsonl')).sort()) {
+			const run = await RenameJournal.read(join(dir, filename))
+			if (run) runs.push(run)
+		}
+
+		return runs
+	}
+
+	/**
+	 * 특정 실행 기록 로드
+	 * @param {string} dir - 저널 디렉토리
+	 * @param {string} runId - 실행 ID
+	 * @returns {Promise<object|null>}
+	 */
+	static async load(dir = DEFAULT_JOURNAL_DIR, runId) {
+		const filePath = join(dir, `${runId}.jsonl`)
+		if (!(await pathExists(filePath))) {
+			return null
+		}
+		return RenameJournal.read(filePath)
+	}
+
+	/**
+	 * 저널 파일 파싱
+	 */
+	static async read(filePath) {
+		const content = await fs.readFile(filePath, 'utf8')
+		const records = content
+			.split('\n')
+			.filter((line) => line.trim())
+			.map((line) => JSON.parse(line))
+
+		const header = records.find((record) => record.type === 'run')
+		if (!header) {
+			return null
+		}
+
+		const undoRecord = records.find((record) => record.type === 'undo')
+
+		return {
+			...header,
+			filePath,
+			entries: records.filter((record) => record.type === 'rename'),
+			changes: records.filter((record) => record.type === 'rename' || record.type === 'update'),
+			undoneAt: undoRecord?.undoneAt || null
+		}
+	}
+
+	/**
+	 * 실행 기록 되돌리기 계획 수립
+	 * 변경 내역을 역순으로 가상 재생하여, 실행 이후 수정/삭제되었거나
+	 * 원래 경로가 이미 점유된 파일을 충돌로 보고합니다
+	 * @param {object} run - RenameJournal.load 결과
+	 * @returns {Promise<{operations: object[], conflicts: object[]}>}
+	 */
+	static async planUndo(run) {
+		const operations = []
+		const conflicts = []
+		const virtualFiles = new Map() // 경로 → 해시 (없으면 null) - 역재생 중 가상 상태
+
+		const resolvePath = (filePath) => resolve(run.cwd, filePath)
+		const getHash = async (filePath) => {
+			if (virtualFiles.has(filePath)) return virtualFiles.get(filePath)
+			return (await pathExists(filePath)) ? hashFile(filePath) : null
+		}
+
+		// 같은 실행에서 내용이 바뀐 파일은 최종 해시를 기준으로 검사 (경로 → { previousHash, hash })
+		const updates = new Map()
+
+		for (const entry of [...(run.changes || run.entries)].reverse()) {
+			if (entry.type === 'update') {
+				const filePath = resolvePath(entry.path)
+				updates.set(filePath, { previousHash: entry.previousHash, hash: updates.get(filePath)?.hash ?? entry.hash })
+				continue
+			}
+
+			const from = resolvePath(entry.newPath)
+			const to = resolvePath(entry.oldPath)
+			const currentHash = await getHash(from)
+			const update = updates.get(from)
+			const expectedHash = update?.previousHash === entry.hash ? update.hash : entry.hash
+
+			if (currentHash === null) {
+				conflicts.push({ entry, reason: 'missing', message: `파일이 없습니다: ${entry.newPath}` })
+				continue
+			}
+
+			if (currentHash !== expectedHash) {
+				conflicts.push({ entry, reason: 'modified', message: `실행 이후 내용이 변경되었습니다: ${entry.newPath}` })
+				continue
+			}
+
+			// 대소문자만 다른 변경은 같은 파일이므로 점유 검사 제외
+			const isCaseOnly = from.toLowerCase() === to.toLowerCase()
+			if (!isCaseOnly && (await getHash(to)) !== null) {
+				conflicts.push({ entry, reason: 'occupied', message: `원래 경로에 다른 파일이 있습니다: ${entry.oldPath}` })
+				continue
+			}
+
+			virtualFiles.set(from, null)
+			virtualFiles.set(to, currentHash)
+			if (update) {
+				updates.delete(from)
+				updates.set(to, update)
+			}
+			operations.push({ from, to, entry })
+		}
+
+		return { operations, conflicts }
+	}
+
+	/**
+	 * 되돌리기 실행 후 저널에 완료 표시
+	 * @param {object} run - RenameJournal.load 결과
+	 * @param {object[]} operations - planUndo가 반환한 작업 목록
+	 */
+	static async applyUndo(run, operations) {
+		for (const { from, to } of operations) {
+			await fs.rename(from, to)
+		}
+
+		const record = { type: 'undo', undoneAt: new Date().toISOString() }
+		await fs.appendFile(run.filePath, JSON.stringify(record) + '\n', 'utf8')
+	}
+}
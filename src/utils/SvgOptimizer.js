@@ -0,0 +1,259 @@
+/**
+ * 🪶 SVG 최적화
+ *
+ * 디자인 툴이 내보낸 SVG에서 불필요한 정보를 제거합니다
+ * 모든 플러그인은 멱등적입니다 (최적화 결과를 다시 최적화해도 같은 결과)
+ * - removeComments: 주석 제거
+ * - removeMetadata: <metadata>, 편집기 전용 요소/속성/네임스페이스 제거
+ * - collapseGroups: 빈 그룹 제거, 속성 없는 그룹 펼치기, 단일 자식 그룹 병합
+ * - roundNumbers: 좌표/크기 숫자를 precision 자리로 반올림
+ * - minifyPaths: path 데이터의 공백/반복 명령어 축약
+ */
+
+import { parseSvg, stringifySvg } from './SvgUtils.js'
+
+export const DEFAULT_SVG_PLUGINS = {
+	removeComments: true,
+	removeMetadata: true,
+	collapseGroups: true,
+	roundNumbers: true,
+	minifyPaths: true
+}
+
+export const DEFAULT_PRECISION = 3
+
+// 유지하는 네임스페이스 접두사
+const PRESERVED_PREFIXES = new Set(['xlink', 'xml'])
+
+// 그룹 속성을 자식으로 옮기면 의미가 달라지는 속성
+const NON_MERGEABLE_GROUP_ATTRIBUTES = new Set(['id', 'class', 'style', 'clip-path', 'mask', 'filter'])
+
+// 숫자 반올림 대상 속성
+const NUMERIC_ATTRIBUTES = new Set([
+	'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy',
+	'width', 'height', 'viewBox', 'points', 'transform', 'offset', 'opacity',
+	'fill-opacity', 'stroke-opacity', 'stroke-width', 'stroke-dasharray',
+	'stroke-dashoffset', 'stroke-miterlimit', 'font-size'
+])
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g
+
+// path 명령어별 인자 개수
+const PATH_ARG_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 }
+
+/**
+ * SVG 최적화
+ * @param {string} content - SVG 파일 내용
+ * @param {object} options - { plugins, precision }
+ * @returns {string} 최적화된 SVG
+ */
+export function optimizeSvg(content, options = {}) {
+	const plugins = { ...DEFAULT_SVG_PLUGINS, ...options.plugins }
+	const precision = options.precision ?? DEFAULT_PRECISION
+	const svg = parseSvg(content)
+
+	if (plugins.removeComments) removeComments(svg)
+	if (plugins.removeMetadata) removeMetadata(svg)
+	if (plugins.collapseGroups) collapseGroups(svg)
+	if (plugins.roundNumbers || plugins.minifyPaths) {
+		transformNumbers(svg, {
+			precision: plugins.roundNumbers ? precision : null,
+			minify: plugins.minifyPaths
+		})
+	}
+
+	return stringifySvg(svg) + '\n'
+}
+
+/**
+ * 주석 제거
+ */
+function removeComments(element) {
+	element.children = element.children.filter((child) => child.comment === undefined)
+	element.children.filter((child) => child.children).forEach(removeComments)
+}
+
+/**
+ * 메타데이터/편집기 전용 정보 제거
+ */
+function removeMetadata(element) {
+	element.attributes = element.attributes.filter(({ name }) => {
+		const [prefix, localName] = name.split(':')
+		if (!localName) return true
+		if (prefix === 'xmlns') return PRESERVED_PREFIXES.has(localName)
+		return PRESERVED_PREFIXES.has(prefix)
+	})
+
+	element.children = element.children.filter(
+		(child) => !child.name || (child.name !== 'metadata' && !child.name.includes(':'))
+	)
+	element.children.filter((child) => child.children).forEach(removeMetadata)
+}
+
+/**
+ * 그룹 정리 (자식부터 처리)
+ */
+function collapseGroups(element) {
+	element.children.filter((child) => child.children).forEach(collapseGroups)
+
+	element.children = element.children.flatMap((child) => {
+		if (child.name !== 'g') {
+			return [child]
+		}
+
+		// 빈 그룹 제거
+		if (child.children.length === 0) {
+			return []
+		}
+
+		// 속성 없는 그룹은 자식으로 대체
+		if (child.attributes.length === 0) {
+			return child.children
+		}
+
+		// 자식이 하나뿐이고 속성이 겹치지 않으면 그룹 속성을 자식으로 이동
+		const [onlyChild] = child.children
+		const canMerge =
+			child.children.length === 1 &&
+			onlyChild.attributes &&
+			child.attributes.every(
+				({ name }) =>
+					!NON_MERGEABLE_GROUP_ATTRIBUTES.has(name) &&
+					!onlyChild.attributes.some((attribute) => attribute.name === name)
+			)
+
+		if (canMerge) {
+			return [{ ...onlyChild, attributes: [...child.attributes, ...onlyChild.attributes] }]
+		}
+
+		return [child]
+	})
+}
+
+/**
+ * 숫자 반올림 및 path 데이터 축약
+ */
+function transformNumbers(element, options) {
+	element.attributes = element.attributes.map((attribute) => {
+		if (attribute.name === 'd') {
+			return { ...attribute, value: transformPathData(attribute.value, options) }
+		}
+		if (options.precision !== null && NUMERIC_ATTRIBUTES.has(attribute.name)) {
+			const value = attribute.value.replace(NUMBER_PATTERN, (number) =>
+				formatNumber(Number(number), options.precision)
+			)
+			return { ...attribute, value }
+		}
+		return attribute
+	})
+
+	element.children.filter((child) => child.children).forEach((child) => transformNumbers(child, options))
+}
+
+/**
+ * 숫자 포맷 (반올림, -0 정리)
+ */
+function formatNumber(value, precision) {
+	const rounded = precision === null ? value : Number(value.toFixed(precision))
+	return String(rounded === 0 ? 0 : rounded)
+}
+
+/**
+ * path 데이터 변환 (파싱할 수 없는 데이터는 그대로 유지)
+ */
+function transformPathData(pathData, { precision, minify }) {
+	let segments
+	try {
+		segments = parsePathData(pathData)
+	} catch {
+		return pathData
+	}
+
+	const formatArgument = (value) => {
+		const formatted = formatNumber(value, precision)
+		return minify ? formatted.replace(/^(-?)0\./, '$1.') : formatted
+	}
+
+	let output = ''
+	let implicitCommand = null
+
+	for (const { command, args } of segments) {
+		const formattedArgs = args.map(formatArgument)
+
+		if (!minify) {
+			output += `${output ? ' ' : ''}${[command, ...formattedArgs].join(' ')}`
+			continue
+		}
+
+		// 직전 명령어가 반복되는 경우 명령어 문자 생략 (M 뒤의 암시적 L 포함)
+		if (command !== implicitCommand || args.length === 0) {
+			output += command
+		} else {
+			output += ' '
+		}
+
+		formattedArgs.forEach((arg, index) => {
+			output += index === 0 || arg.startsWith('-') ? arg : ` ${arg}`
+		})
+
+		implicitCommand = command === 'M' ? 'L' : command === 'm' ? 'l' : command
+	}
+
+	return output.replace(/^ /, '')
+}
+
+/**
+ * path 데이터 파싱
+ * @returns {{command: string, args: number[]}[]} 반복 인자는 명령어별로 분리된 세그먼트
+ */
+function parsePathData(pathData) {
+	const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y
+	const segments = []
+	let index = 0
+
+	const skipSeparators = () => {
+		while (index < pathData.length && /[\s,]/.test(pathData[index])) index++
+	}
+
+	const readNumber = () => {
+		skipSeparators()
+		numberPattern.lastIndex = index
+		const match = numberPattern.exec(pathData)
+		if (!match) throw new Error(`잘못된 path 데이터: ${pathData.slice(index, index + 10)}`)
+		index = numberPattern.lastIndex
+		return Number(match[0])
+	}
+
+	// arc 플래그는 구분자 없이 붙어 있을 수 있음 (예: a1 1 0 001 1)
+	const readFlag = () => {
+		skipSeparators()
+		const flag = pathData[index]
+		if (flag !== '0' && flag !== '1') throw new Error(`잘못된 arc 플래그: ${flag}`)
+		index++
+		return Number(flag)
+	}
+
+	skipSeparators()
+	while (index < pathData.length) {
+		const command = pathData[index]
+		const argCount = PATH_ARG_COUNTS[command.toLowerCase()]
+		if (argCount === undefined) throw new Error(`알 수 없는 path 명령어: ${command}`)
+		index++
+
+		let currentCommand = command
+		do {
+			const args = []
+			for (let i = 0; i < argCount; i++) {
+				const isArcFlag = command.toLowerCase() === 'a' && (i === 3 || i === 4)
+				args.push(isArcFlag ? readFlag() : readNumber())
+			}
+			segments.push({ command: currentCommand, args })
+
+			// 추가 인자 묶음은 같은 명령어 반복 (M/m 뒤는 L/l)
+			currentCommand = command === 'M' ? 'L' : command === 'm' ? 'l' : command
+			skipSeparators()
+		} while (argCount > 0 && index < pathData.length && !/[a-zA-Z]/.test(pathData[index]))
+	}
+
+	return segments
+}
@@ -0,0 +1,538 @@
+/**
+ * 🖌️ SVG 유틸리티
+ *
+ * SVG 파일을 가벼운 요소 트리로 파싱하고 JSX 코드로 변환합니다 (React DOM, react-native-svg)
+ * (외부 XML 파서 없이 디자인 툴이 내보내는 일반적인 SVG를 대상으로 합니다)
+ */
+
+// 주석, XML 선언, DOCTYPE, CDATA, 닫는 태그, 여는 태그, 텍스트
+const TOKEN_PATTERN =
+	/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|([^<]+)/g
+
+const ATTRIBUTE_PATTERN = /([\w:.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g
+
+// 색상을 currentColor로 바꾸지 않는 값
+const PRESERVED_COLOR_VALUES = new Set(['none', 'currentcolor', 'inherit', 'transparent'])
+
+// 색상 속성
+const COLOR_ATTRIBUTES = new Set(['fill', 'stroke'])
+
+// CSS 선언의 fill/stroke 색상 (style 속성, <style> 규칙)
+const CSS_COLOR_DECLARATION_PATTERN = /(^|[{;\s])(fill|stroke)(\s*:\s*)([^;{}]+?)(\s*(?:!important\s*)?)(?=;|}|$)/gi
+
+// 인라인 컴포넌트에서 제거하는 편집기/메타데이터 요소
+const REMOVED_ELEMENTS = new Set(['desc', 'metadata'])
+
+// <title>은 인라인 SVG의 접근성 이름이므로 유지 (react-native-svg는 지원하지 않아 제거, accessibilityLabel 사용)
+const TITLE_ELEMENT = 'title'
+
+// CSS 선택자의 클래스/id (.name, #name)
+const CSS_SELECTOR_NAME_PATTERN = /([.#])(-?[_a-zA-Z\u00A0-\uFFFF][\w\u00A0-\uFFFF-]*)/g
+
+// url(#id) 참조
+const URL_REFERENCE_PATTERN = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }
+
+// SVG 요소 → react-native-svg 컴포넌트 (목록에 없는 요소는 렌더링할 수 없어 제거)
+export const NATIVE_SVG_ELEMENTS = {
+	svg: 'Svg',
+	g: 'G',
+	path: 'Path',
+	circle: 'Circle',
+	ellipse: 'Ellipse',
+	line: 'Line',
+	polygon: 'Polygon',
+	polyline: 'Polyline',
+	rect: 'Rect',
+	text: 'Text',
+	tspan: 'TSpan',
+	textPath: 'TextPath',
+	use: 'Use',
+	symbol: 'Symbol',
+	defs: 'Defs',
+	linearGradient: 'LinearGradient',
+	radialGradient: 'RadialGradient',
+	stop: 'Stop',
+	clipPath: 'ClipPath',
+	mask: 'Mask',
+	pattern: 'Pattern',
+	image: 'Image',
+	marker: 'Marker'
+}
+
+// react-native-svg가 지원하는 속성 (JSX prop 이름, 그 외 속성은 타입 오류가 나므로 제거)
+const NATIVE_SVG_PROPS = new Set([
+	'id', 'd', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'dx', 'dy',
+	'width', 'height', 'points', 'transform', 'opacity', 'offset', 'href', 'viewBox', 'preserveAspectRatio',
+	'fill', 'fillOpacity', 'fillRule', 'stroke', 'strokeWidth', 'strokeOpacity', 'strokeLinecap', 'strokeLinejoin',
+	'strokeDasharray', 'strokeDashoffset', 'strokeMiterlimit', 'vectorEffect', 'clipPath', 'clipRule', 'mask',
+	'stopColor', 'stopOpacity', 'gradientUnits', 'gradientTransform', 'patternUnits', 'patternContentUnits',
+	'patternTransform', 'maskUnits', 'maskContentUnits', 'clipPathUnits', 'markerStart', 'markerMid', 'markerEnd',
+	'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+	'fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'textAnchor', 'letterSpacing', 'rotate'
+])
+
+// children 타입이 ReactElement[]인 react-native-svg 컴포넌트 (자식 하나도 배열로 전달해야 타입 검사 통과)
+const NATIVE_ARRAY_CHILDREN_ELEMENTS = new Set(['LinearGradient', 'RadialGradient'])
+
+/**
+ * XML 엔티티 디코딩 (&lt;, &#38;, &#x26; 등)
+ */
+function decodeEntities(value) {
+	return value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+		if (code[0] === '#') {
+			const isHex = code[1].toLowerCase() === 'x'
+			return String.fromCodePoint(parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10))
+		}
+		return XML_ENTITIES[code] ?? entity
+	})
+}
+
+/**
+ * SVG 문자열 파싱
+ * XML 선언/DOCTYPE은 버리고, 요소 내부의 텍스트/CDATA/주석은 자식 노드로 유지합니다
+ * @param {string} content - SVG 파일 내용
+ * @returns {object} 루트 svg 요소 { name, attributes: [{name, value}], children }
+ */
+export function parseSvg(content) {
+	const root = { name: '#root', attributes: [], children: [] }
+	const stack = [root]
+
+	for (const match of content.matchAll(TOKEN_PATTERN)) {
+		const [token, cdata, closingName, openingName, rawAttributes, selfClosing, text] = match
+		const parent = stack[stack.length - 1]
+
+		if (token.startsWith('<!--')) {
+			parent.children.push({ comment: token.slice(4, -3) })
+		} else if (cdata !== undefined) {
+			parent.children.push({ text: cdata, cdata: true })
+		} else if (closingName) {
+			// 짝이 맞는 여는 태그까지 닫기
+			const index = stack.map((node) => node.name).lastIndexOf(closingName)
+			if (index > 0) stack.length = index
+		} else if (openingName) {
+			const element = { name: openingName, attributes: parseAttributes(rawAttributes), children: [] }
+			parent.children.push(element)
+			if (!selfClosing) stack.push(element)
+		} else if (text !== undefined && text.trim()) {
+			parent.children.push({ text: decodeEntities(text) })
+		} else if (token.startsWith('<') && !/^<(!--|\?|!DOCTYPE)/.test(token)) {
+			throw new Error(`SVG 파싱 실패: ${token.slice(0, 40)}`)
+		}
+	}
+
+	const svg = root.children.find((node) => node.name === 'svg')
+	if (!svg) {
+		throw new Error('SVG 루트 요소를 찾을 수 없습니다')
+	}
+	return svg
+}
+
+/**
+ * 속성 문자열 파싱
+ */
+function parseAttributes(rawAttributes = '') {
+	const attributes = []
+	for (const [, name, doubleQuoted, singleQuoted] of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+		attributes.push({ name, value: decodeEntities(doubleQuoted ?? singleQuoted ?? '') })
+	}
+	return attributes
+}
+
+/**
+ * 요소 속성 값 조회
+ */
+export function getAttribute(element, name) {
+	return element.attributes.find((attribute) => attribute.name === name)?.value
+}
+
+/**
+ * 루트 svg의 viewBox (없으면 width/height로 계산)
+ * @returns {string|null}
+ */
+export function getViewBox(svg) {
+	const viewBox = getAttribute(svg, 'viewBox')
+	if (viewBox) {
+		return viewBox.trim().replace(/[\s,]+/g, ' ')
+	}
+
+	const width = parseFloat(getAttribute(svg, 'width'))
+	const height = parseFloat(getAttribute(svg, 'height'))
+	return width > 0 && height > 0 ? `0 0 ${width} ${height}` : null
+}
+
+/**
+ * 하드코딩된 색상을 currentColor로 변환
+ */
+export function toCurrentColor(value) {
+	const normalized = value.trim().toLowerCase()
+	if (PRESERVED_COLOR_VALUES.has(normalized) || normalized.startsWith('url(')) {
+		return value
+	}
+	return 'currentColor'
+}
+
+/**
+ * CSS 텍스트(style 속성 값, <style> 내용)의 fill/stroke 색상 → currentColor
+ */
+function toCurrentColorCss(css) {
+	return css.replace(
+		CSS_COLOR_DECLARATION_PATTERN,
+		(_, prefix, property, colon, value, suffix) => `${prefix}${property}${colon}${toCurrentColor(value)}${suffix}`
+	)
+}
+
+/**
+ * <style> 요소의 텍스트 자식 색상 변환 (다른 요소는 그대로)
+ */
+function getRenderedChildren(element, useCurrentColor) {
+	if (!useCurrentColor || element.name !== 'style') {
+		return element.children
+	}
+	return element.children.map((child) => (child.text !== undefined ? { ...child, text: toCurrentColorCss(child.text) } : child))
+}
+
+/**
+ * SVG 속성명 → JSX prop 이름
+ * @returns {string|null} 제거해야 하는 속성이면 null
+ */
+function toJsxAttributeName(name) {
+	if (name === 'class') return 'className'
+	if (name === 'xlink:href') return 'xlinkHref'
+	if (name === 'xml:space') return 'xmlSpace'
+	if (name === 'xmlns:xlink') return 'xmlnsXlink'
+	if (name.startsWith('aria-') || name.startsWith('data-')) return name
+
+	// 편집기 전용 네임스페이스 속성 (sketch:type, inkscape:label 등) 제거
+	if (name.includes(':')) return null
+
+	return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase())
+}
+
+/**
+ * style 속성 문자열 → [camelCase 속성명, 값] 목록
+ */
+function parseStyleDeclarations(style, useCurrentColor) {
+	return style
+		.split(';')
+		.map((declaration) => declaration.split(':'))
+		.filter(([property, value]) => property?.trim() && value?.trim())
+		.map(([property, ...valueParts]) => {
+			const name = property.trim()
+			let value = valueParts.join(':').trim()
+			if (useCurrentColor && COLOR_ATTRIBUTES.has(name)) {
+				value = toCurrentColor(value)
+			}
+			return [name.replace(/-([a-z])/g, (_, char) => char.toUpperCase()), value]
+		})
+}
+
+/**
+ * style 속성 문자열 → JSX style 객체 코드
+ */
+function toJsxStyle(style, useCurrentColor) {
+	const entries = parseStyleDeclarations(style, useCurrentColor).map(
+		([key, value]) => `${key}: ${JSON.stringify(value)}`
+	)
+
+	return `{{ ${entries.join(', ')} }}`
+}
+
+/**
+ * 인라인 컴포넌트에 포함하는 노드인지 확인 (주석, 메타데이터 요소, react-native-svg가 지원하지 않는 요소 제외)
+ */
+function isRenderedNode(node, native = false) {
+	if (node.comment !== undefined || REMOVED_ELEMENTS.has(node.name) || (native && node.name === TITLE_ELEMENT)) {
+		return false
+	}
+	return !native || node.text !== undefined || Object.hasOwn(NATIVE_SVG_ELEMENTS, node.name)
+}
+
+/**
+ * JSX 속성 값 코드
+ */
+function toJsxAttributeValue(value) {
+	return /["{}<>&]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`
+}
+
+/**
+ * SVG 요소 트리 → JSX 코드
+ * @param {object} element - parseSvg 결과 요소
+ * @param {object} options - { useCurrentColor, indent, native }
+ * @param {number} depth - 들여쓰기 깊이
+ * @returns {string}
+ */
+function elementToJsx(element, options, depth) {
+	const { useCurrentColor, indent, native } = options
+	const padding = indent.repeat(depth)
+
+	if (element.text !== undefined) {
+		return `${padding}{${JSON.stringify(element.text.trim())}}`
+	}
+
+	const elementName = native ? NATIVE_SVG_ELEMENTS[element.name] : element.name
+	const attributes = []
+	for (const { name, value } of element.attributes) {
+		// react-native-svg는 xlink:href 대신 href를 받음 (둘 다 있으면 href 우선)
+		const jsxName = native && name === 'xlink:href' ? 'href' : toJsxAttributeName(name)
+		if (!jsxName) continue
+		if (native && name === 'xlink:href' && getAttribute(element, 'href') !== undefined) continue
+
+		if (native && name === 'style') {
+			// react-native-svg는 style 대신 개별 속성으로 전달
+			for (const [key, declarationValue] of parseStyleDeclarations(value, useCurrentColor)) {
+				if (NATIVE_SVG_PROPS.has(key)) {
+					attributes.push(`${key}=${toJsxAttributeValue(declarationValue)}`)
+				}
+			}
+		} else if (native && !NATIVE_SVG_PROPS.has(jsxName)) {
+			continue
+		} else if (name === 'style') {
+			attributes.push(`style=${toJsxStyle(value, useCurrentColor)}`)
+		} else if (useCurrentColor && COLOR_ATTRIBUTES.has(name)) {
+			attributes.push(`${jsxName}=${toJsxAttributeValue(toCurrentColor(value))}`)
+		} else {
+			attributes.push(`${jsxName}=${toJsxAttributeValue(value)}`)
+		}
+	}
+
+	const opening = [elementName, ...attributes].join(' ')
+	const children = getRenderedChildren(element, useCurrentColor).filter((child) => isRenderedNode(child, native))
+
+	if (children.length === 0) {
+		return `${padding}<${opening} />`
+	}
+
+	if (native && NATIVE_ARRAY_CHILDREN_ELEMENTS.has(elementName)) {
+		const childLines = children
+			.filter((child) => child.text === undefined)
+			.map((child, index) => `${elementToJsx(child, options, depth + 2).replace(/^(\s*<\w+)/, `$1 key="${index}"`)},`)
+		const arrayPadding = indent.repeat(depth + 1)
+		return `${padding}<${opening}>\n${arrayPadding}{[\n${childLines.join('\n')}\n${arrayPadding}]}\n${padding}</${elementName}>`
+	}
+
+	const childLines = children.map((child) => elementToJsx(child, options, depth + 1))
+	return `${padding}<${opening}>\n${childLines.join('\n')}\n${padding}</${elementName}>`
+}
+
+/**
+ * react-native-svg가 지원하지 않아 제외되는 요소 이름 (제외된 요소의 자식은 검사하지 않음)
+ */
+function collectUnsupportedNativeElements(element, names = new Set()) {
+	for (const child of element.children || []) {
+		if (child.name === undefined || !isRenderedNode(child) || child.name === TITLE_ELEMENT) continue
+
+		if (Object.hasOwn(NATIVE_SVG_ELEMENTS, child.name)) {
+			collectUnsupportedNativeElements(child, names)
+		} else {
+			names.add(child.name)
+		}
+	}
+	return names
+}
+
+/**
+ * id/class 이름에 접두어 추가 (인라인 SVG는 문서 전역을 공유하므로 아이콘끼리 .a, #a 같은 이름이 충돌하지 않도록)
+ * id/class 속성과 함께 url(#id), href="#id", aria-labelledby 참조와 <style> 선택자도 바꿉니다
+ * @param {object} svg - parseSvg 결과 요소
+ * @param {string} prefix - 접두어 (컴포넌트마다 고유한 값)
+ * @returns {object} 새 요소 트리
+ */
+function scopeSvgIdentifiers(svg, prefix) {
+	const ids = new Set()
+	const classes = new Set()
+	const collect = (element) => {
+		for (const { name, value } of element.attributes || []) {
+			if (name === 'id') ids.add(value)
+			if (name === 'class') value.split(/\s+/).filter(Boolean).forEach((className) => classes.add(className))
+		}
+		for (const child of element.children || []) collect(child)
+	}
+	collect(svg)
+
+	if (ids.size === 0 && classes.size === 0) {
+		return svg
+	}
+
+	const scopeName = (names, name) => (names.has(name) ? `${prefix}-${name}` : name)
+	const scopeUrls = (value) =>
+		value.replace(URL_REFERENCE_PATTERN, (match, quote, id) => (ids.has(id) ? `url(${quote}#${scopeName(ids, id)}${quote})` : match))
+
+	// '{' 앞 조각은 선택자, 나머지는 선언 (@media 등 at-rule 조건은 그대로)
+	const scopeCss = (css) => {
+		const parts = css.split(/([{}])/)
+		return parts
+			.map((part, index) => {
+				if (part === '{' || part === '}') return part
+				if (parts[index + 1] === '{' && !part.trim().startsWith('@')) {
+					return part.replace(CSS_SELECTOR_NAME_PATTERN, (match, sigil, name) =>
+						sigil === '.' ? `.${scopeName(classes, name)}` : `#${scopeName(ids, name)}`
+					)
+				}
+				return scopeUrls(part)
+			})
+			.join('')
+	}
+
+	const scopeAttribute = ({ name, value }) => {
+		if (name === 'id') return { name, value: scopeName(ids, value) }
+		if (name === 'class') return { name, value: value.split(/(\s+)/).map((token) => scopeName(classes, token)).join('') }
+		if ((name === 'href' || name === 'xlink:href') && value.startsWith('#')) {
+			return { name, value: `#${scopeName(ids, value.slice(1))}` }
+		}
+		if (name === 'aria-labelledby' || name === 'aria-describedby') {
+			return { name, value: value.split(/(\s+)/).map((token) => scopeName(ids, token)).join('') }
+		}
+		return { name, value: scopeUrls(value) }
+	}
+
+	const scopeElement = (element, parent) => {
+		if (element.text !== undefined) {
+			return parent?.name === 'style' ? { ...element, text: scopeCss(element.text) } : element
+		}
+		if (element.comment !== undefined) {
+			return element
+		}
+		return {
+			...element,
+			attributes: element.attributes.map(scopeAttribute),
+			children: element.children.map((child) => scopeElement(child, element))
+		}
+	}
+
+	return scopeElement(svg, null)
+}
+
+/**
+ * SVG 파일 내용 → 인라인 React 컴포넌트용 JSX
+ * - viewBox 유지, width/height 제거 (크기는 Asset 컴포넌트가 결정)
+ * - fill/stroke 하드코딩 색상 (속성, style 속성, <style> 규칙) → currentColor (color prop으로 테마 색상 적용)
+ * - 편집기 메타데이터(desc, metadata, 네임스페이스 속성) 제거, <title>은 접근성 이름으로 유지
+ * - idPrefix를 지정하면 id/class 이름과 참조에 접두어 추가 (scopeSvgIdentifiers)
+ * - native: true이면 react-native-svg 컴포넌트(Path, G 등)와 지원 속성만 사용 (xlink:href → href, <title> 제거)
+ * @param {string} content - SVG 파일 내용
+ * @param {object} options - { useCurrentColor, indent, depth, native, idPrefix }
+ * @returns {{viewBox: string|null, attributes: string, children: string, unsupportedElements: string[]}}
+ *   attributes는 루트 svg의 JSX 속성 코드, unsupportedElements는 native에서 제외한 요소 이름 (<style> 등)
+ */
+export function svgToJsx(content, options = {}) {
+	const { useCurrentColor = true, indent = '    ', depth = 0, native = false, idPrefix } = options
+	const svg = idPrefix ? scopeSvgIdentifiers(parseSvg(content), idPrefix) : parseSvg(content)
+	const viewBox = getViewBox(svg)
+
+	// 루트 속성: 크기 관련 속성 제거, fill이 없으면 기본 검정 대신 currentColor 사용
+	const rootAttributes = svg.attributes.filter(
+		({ name }) => !['width', 'height', 'viewBox', 'xmlns'].includes(name)
+	)
+	if (useCurrentColor && !getAttribute(svg, 'fill')) {
+		rootAttributes.unshift({ name: 'fill', value: 'currentColor' })
+	}
+
+	const rootElement = { name: 'svg', attributes: rootAttributes, children: [] }
+	const attributes = elementToJsx(rootElement, { useCurrentColor, indent, native }, 0)
+		.replace(/^<\w+\s*/, '')
+		.replace(/\s*\/>$/, '')
+
+	const children = svg.children
+		.filter((child) => isRenderedNode(child, native))
+		.map((child) => elementToJsx(child, { useCurrentColor, indent, native }, depth))
+		.join('\n')
+
+	const unsupportedElements = native ? [...collectUnsupportedNativeElements(svg)] : []
+	return { viewBox, attributes, children, unsupportedElements }
+}
+
+/**
+ * XML 특수문자 이스케이프
+ */
+function escapeXml(value, pattern) {
+	return value.replace(pattern, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char])
+}
+
+/**
+ * 요소 트리 → SVG 문자열 (들여쓰기 없는 최소 출력)
+ * parseSvg 결과를 다시 직렬화하며, parseSvg(stringifySvg(tree))는 같은 트리를 반환합니다
+ * @param {object} element - parseSvg 결과 요소
+ * @returns {string}
+ */
+export function stringifySvg(element) {
+	if (element.comment !== undefined) {
+		return `<!--${element.comment}-->`
+	}
+	if (element.cdata) {
+		return `<![CDATA[${element.text}]]>`
+	}
+	if (element.text !== undefined) {
+		return escapeXml(element.text, /[&<>]/g)
+	}
+
+	const attributes = element.attributes
+		.map(({ name, value }) => ` ${name}="${escapeXml(value, /[&<"]/g)}"`)
+		.join('')
+
+	if (element.children.length === 0) {
+		return `<${element.name}${attributes}/>`
+	}
+
+	return `<${element.name}${attributes}>${element.children.map(stringifySvg).join('')}</${element.name}>`
+}
+
+/**
+ * SVG 파일 내용 → 인라인 삽입용 SVG 마크업 (innerHTML/템플릿용 최소 출력)
+ * svgToJsx와 같은 규칙으로 정리합니다
+ * - viewBox 유지, width/height 제거 (크기는 Asset 엘리먼트가 결정)
+ * - fill/stroke 하드코딩 색상 (속성, style 속성, <style> 규칙) → currentColor (color 속성으로 테마 색상 적용)
+ * - 편집기 메타데이터(desc, metadata, 주석, 네임스페이스 속성) 제거, <title>은 keepTitle이 false일 때만 제거
+ * - idPrefix를 지정하면 id/class 이름과 참조에 접두어 추가 (scopeSvgIdentifiers)
+ * @param {string} content - SVG 파일 내용
+ * @param {object} options - { useCurrentColor, idPrefix, keepTitle }
+ * @returns {string}
+ */
+export function svgToMarkup(content, options = {}) {
+	const { useCurrentColor = true, idPrefix, keepTitle = true } = options
+	const svg = idPrefix ? scopeSvgIdentifiers(parseSvg(content), idPrefix) : parseSvg(content)
+	const viewBox = getViewBox(svg)
+
+	const rootAttributes = svg.attributes.filter(
+		({ name }) => !['width', 'height', 'viewBox', 'xmlns'].includes(name)
+	)
+	if (useCurrentColor && !getAttribute(svg, 'fill')) {
+		rootAttributes.unshift({ name: 'fill', value: 'currentColor' })
+	}
+	if (viewBox) {
+		rootAttributes.unshift({ name: 'viewBox', value: viewBox })
+	}
+	rootAttributes.unshift({ name: 'xmlns', value: 'http://www.w3.org/2000/svg' })
+
+	return stringifySvg(toMarkupElement({ ...svg, attributes: rootAttributes }, useCurrentColor, keepTitle))
+}
+
+/**
+ * 인라인 마크업용 요소 정리 (렌더링하지 않는 노드, 편집기 속성 제거 + currentColor 변환)
+ */
+function toMarkupElement(element, useCurrentColor, keepTitle) {
+	if (element.text !== undefined) {
+		return element
+	}
+
+	const attributes = element.attributes
+		.filter(({ name }) => toJsxAttributeName(name) !== null)
+		.map(({ name, value }) => {
+			if (useCurrentColor && COLOR_ATTRIBUTES.has(name)) {
+				return { name, value: toCurrentColor(value) }
+			}
+			if (useCurrentColor && name === 'style') {
+				return { name, value: toCurrentColorCss(value) }
+			}
+			return { name, value }
+		})
+
+	return {
+		name: element.name,
+		attributes,
+		children: getRenderedChildren(element, useCurrentColor)
+			.filter((child) => isRenderedNode(child) && (keepTitle || child.name !== TITLE_ELEMENT))
+			.map((child) => toMarkupElement(child, useCurrentColor, keepTitle))
+	}
+}
@@ -0,0 +1,157 @@
+/**
+ * 🛠️ 설정 병합 테스트 (extends / env 오버레이)
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { ConfigManager } from '../src/utils/ConfigManager.js'
+
+const configManager = new ConfigManager()
+
+const BASE_DIRECTORIES = [
+	{ name: 'icons', path: 'public/icons', enabled: true },
+	{ name: 'images', path: 'public/images', enabled: true }
+]
+
+describe('deepMerge', () => {
+	it('객체는 키별로 재귀 병합', () => {
+		const merged = configManager.deepMerge(
+			{ conventions: { separatorChar: '-', sanitize: { enabled: true, romanizeHangul: false } } },
+			{ conventions: { sanitize: { romanizeHangul: true } } }
+		)
+
+		assert.deepEqual(merged, {
+			conventions: { separatorChar: '-', sanitize: { enabled: true, romanizeHangul: true } }
+		})
+	})
+
+	it('name을 가진 객체 배열은 같은 name끼리 병합하고 새 name은 뒤에 추가', () => {
+		const merged = configManager.deepMerge(
+			{ assetDirectories: BASE_DIRECTORIES },
+			{
+				assetDirectories: [
+					{ name: 'logos', path: 'public/logos', enabled: true },
+					{ name: 'images', enabled: false }
+				]
+			}
+		)
+
+		assert.deepEqual(merged.assetDirectories, [
+			{ name: 'icons', path: 'public/icons', enabled: true },
+			{ name: 'images', path: 'public/images', enabled: false },
+			{ name: 'logos', path: 'public/logos', enabled: true }
+		])
+	})
+
+	it('빈 배열은 상위 설정의 목록을 비움', () => {
+		const merged = configManager.deepMerge(
+			{ assetDirectories: BASE_DIRECTORIES, plugins: ['./plugin.js'] },
+			{ assetDirectories: [], plugins: [] }
+		)
+
+		assert.deepEqual(merged, { assetDirectories: [], plugins: [] })
+	})
+
+	it('그 외 배열과 값은 교체', () => {
+		const merged = configManager.deepMerge(
+			{ usage: { sources: ['src/**/*.ts'], keep: ['icons-*'] }, plugins: ['./a.js'] },
+			{ usage: { sources: ['app/**/*.tsx'] }, plugins: ['./b.js'] }
+		)
+
+		assert.deepEqual(merged, { usage: { sources: ['app/**/*.tsx'], keep: ['icons-*'] }, plugins: ['./b.js'] })
+	})
+
+	it('원본 객체는 변경하지 않음', () => {
+		const target = { assetDirectories: BASE_DIRECTORIES.map((dir) => ({ ...dir })) }
+		configManager.deepMerge(target, { assetDirectories: [{ name: 'icons', enabled: false }] })
+
+		assert.deepEqual(target.assetDirectories, BASE_DIRECTORIES)
+	})
+})
+
+describe('mergeWithDefaults', () => {
+	it('기본 assetDirectories는 사용자가 지정하지 않았을 때만 사용', () => {
+		const defaults = configManager.getDefaultConfig()
+		const userDirectories = [{ name: 'logos', path: 'public/logos', enabled: true }]
+
+		assert.deepEqual(configManager.mergeWithDefaults({}).assetDirectories, defaults.assetDirectories)
+		assert.deepEqual(configManager.mergeWithDefaults({ assetDirectories: userDirectories }).assetDirectories, userDirectories)
+	})
+})
+
+describe('applyEnvironment', () => {
+	const userConfig = {
+		assetDirectories: BASE_DIRECTORIES,
+		env: {
+			ci: { assetDirectories: [{ name: 'images', enabled: false }] },
+			empty: { assetDirectories: [] }
+		}
+	}
+
+	it('지정한 환경의 오버레이를 병합', () => {
+		const { config, environment } = configManager.applyEnvironment(userConfig, 'ci')
+
+		assert.equal(environment, 'ci')
+		assert.deepEqual(
+			config.assetDirectories.map((dir) => [dir.name, dir.enabled]),
+			[
+				['icons', true],
+				['images', false]
+			]
+		)
+		assert.equal(config.env, undefined)
+	})
+
+	it('오버레이의 빈 배열은 목록을 비움', () => {
+		assert.deepEqual(configManager.applyEnvironment(userConfig, 'empty').config.assetDirectories, [])
+	})
+
+	it('지정한 환경이 없으면 예외', () => {
+		assert.throws(() => configManager.applyEnvironment(userConfig, 'staging'), /env\.staging/)
+	})
+})
+
+describe('readLayeredConfig (extends)', () => {
+	let dir
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'asset-codegen-config-'))
+		await writeFile(
+			join(dir, 'base.json'),
+			JSON.stringify({ assetDirectories: BASE_DIRECTORIES, conventions: { caseStyle: 'snake_case' } })
+		)
+		await writeFile(
+			join(dir, 'asset-codegen.config.json'),
+			JSON.stringify({
+				extends: './base.json',
+				assetDirectories: [{ name: 'images', enabled: false }],
+				conventions: { separatorChar: '_' }
+			})
+		)
+		await writeFile(join(dir, 'loop-a.json'), JSON.stringify({ extends: './loop-b.json' }))
+		await writeFile(join(dir, 'loop-b.json'), JSON.stringify({ extends: './loop-a.json' }))
+	})
+
+	after(async () => {
+		await rm(dir, { recursive: true, force: true })
+	})
+
+	it('extends 대상을 먼저 병합한 뒤 설정 자신을 덮어씀', async () => {
+		const config = await configManager.readLayeredConfig(join(dir, 'asset-codegen.config.json'))
+
+		assert.deepEqual(config, {
+			assetDirectories: [
+				{ name: 'icons', path: 'public/icons', enabled: true },
+				{ name: 'images', path: 'public/images', enabled: false }
+			],
+			conventions: { caseStyle: 'snake_case', separatorChar: '_' }
+		})
+	})
+
+	it('순환하는 extends는 예외', async () => {
+		await assert.rejects(configManager.readLayeredConfig(join(dir, 'loop-a.json')), /순환/)
+	})
+})
@@ -0,0 +1,215 @@
+/**
+ * 🧪 생성 코드 타입 검사 테스트
+ *
+ * 프레임워크별로 fixture 프로젝트에 코드를 생성하고 tsc로 검사합니다
+ * - 올바른 사용은 통과하고, 없는 Asset 이름 등은 @ts-expect-error로 타입 오류를 확인
+ * - fixture는 node_modules/.cache 아래에 만들어 저장소의 typescript, @types/react를 그대로 사용
+ * - React Native는 react-native, react-native-svg가 설치된 경우에만 검사 (용량이 커서 devDependencies에 없음)
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'child_process'
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises'
+import { createRequire } from 'module'
+import { dirname, join } from 'path'
+import { fileURLToPath } from 'url'
+import { promisify } from 'util'
+import { generate, silentLogger } from '../src/index.js'
+
+const execFileAsync = promisify(execFile)
+const repoRoot = fileURLToPath(new URL('..', import.meta.url))
+const require = createRequire(import.meta.url)
+
+// 1x1 투명 PNG
+const PNG = Buffer.from(
+	'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+	'base64'
+)
+
+// id/class/<style>/그라디언트/<title>을 모두 포함 (인라인 변환 경로 검사용)
+const ICON_SVG = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="24" height="24" viewBox="0 0 24 24">
+  <title>Home</title>
+  <style>.a { fill: url(#grad); }</style>
+  <defs>
+    <linearGradient id="grad"><stop offset="0" stop-color="#000"/></linearGradient>
+    <path id="shape" d="M2 2h20v20H2z"/>
+  </defs>
+  <use xlink:href="#shape" class="a"/>
+  <path d="M4 4h16v16H4z" fill="#1A1A20" stroke-width="2"/>
+</svg>`
+
+const ARROW_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24"><path d="M4 12h16" stroke="#1A1A20"/></svg>`
+
+const BASE_TSCONFIG = {
+	target: 'ES2022',
+	module: 'ESNext',
+	moduleResolution: 'bundler',
+	strict: true,
+	noEmit: true,
+	skipLibCheck: true
+}
+
+const REACT_USAGE = `import { Asset } from './asset'
+
+export const valid = [
+  <Asset type="icon" name="icons-home-svg" size="md" color="primary" />,
+  <Asset type="icon" name="icons-nav-arrow-svg" size={20} />,
+  <Asset type="icon" name="images-logo-png" alt="logo" />,
+]
+
+// @ts-expect-error 없는 Asset 이름
+export const missing = <Asset type="icon" name="icons-missing-svg" />
+`
+
+const CASES = [
+	{
+		name: 'React (svgMode: img)',
+		componentGeneration: { framework: 'react', svgMode: 'img' },
+		compilerOptions: { jsx: 'react-jsx', lib: ['ES2022', 'DOM'], types: [] },
+		usage: { 'usage.tsx': REACT_USAGE }
+	},
+	{
+		name: 'React (svgMode: inline)',
+		componentGeneration: { framework: 'react', svgMode: 'inline' },
+		compilerOptions: { jsx: 'react-jsx', lib: ['ES2022', 'DOM'], types: [] },
+		usage: { 'usage.tsx': REACT_USAGE }
+	},
+	{
+		name: 'Web Component (svgMode: inline)',
+		componentGeneration: { framework: 'web-component', svgMode: 'inline' },
+		compilerOptions: { lib: ['ES2022', 'DOM'], types: [], verbatimModuleSyntax: true },
+		usage: {
+			'usage.ts': `import './asset'
+
+const element = document.createElement('asset-icon')
+element.name = 'icons-home-svg'
+
+// @ts-expect-error 없는 Asset 이름
+element.name = 'icons-missing-svg'
+`
+		}
+	},
+	...['inline', 'xml'].map((svgMode) => ({
+		name: `React Native (svgMode: ${svgMode})`,
+		requires: ['react-native', 'react-native-svg'],
+		componentGeneration: { framework: 'react-native', svgMode },
+		compilerOptions: {
+			jsx: 'react-native',
+			lib: ['ES2022'],
+			types: ['react-native'],
+			customConditions: ['react-native'],
+			isolatedModules: true,
+			esModuleInterop: true
+		},
+		usage: {
+			'usage.tsx': `import { Asset } from './asset'
+
+export const valid = [
+  <Asset type="icon" name="icons-home-svg" size="md" color="primary" />,
+  <Asset type="icon" name="icons-star-png" size="md" />,
+]
+
+// @ts-expect-error 없는 Asset 이름
+export const missing = <Asset type="icon" name="icons-missing-svg" />
+`
+		}
+	}))
+]
+
+/**
+ * 설치되지 않은 패키지 이름 목록
+ */
+function findMissingPackages(packageNames = []) {
+	return packageNames.filter((packageName) => {
+		try {
+			require.resolve(`${packageName}/package.json`)
+			return false
+		} catch {
+			return true
+		}
+	})
+}
+
+/**
+ * fixture 프로젝트 생성 (Asset 파일, 설정, 사용 예시, tsconfig)
+ */
+async function createFixture(projectDir, testCase) {
+	const isReactNative = testCase.componentGeneration.framework === 'react-native'
+	const assetRoot = isReactNative ? 'assets' : 'public'
+	const files = {
+		[`${assetRoot}/icons/icons-home.svg`]: ICON_SVG,
+		[`${assetRoot}/icons/nav/icons-nav-arrow.svg`]: ARROW_SVG,
+		[`${assetRoot}/images/images-logo.png`]: PNG,
+		...(isReactNative && {
+			[`${assetRoot}/icons/icons-star.png`]: PNG,
+			[`${assetRoot}/icons/icons-star@2x.png`]: PNG,
+			[`${assetRoot}/icons/icons-star@3x.png`]: PNG
+		}),
+		...Object.fromEntries(Object.entries(testCase.usage).map(([filename, content]) => [`src/${filename}`, content])),
+		'tsconfig.json': JSON.stringify({
+			compilerOptions: { ...BASE_TSCONFIG, ...testCase.compilerOptions },
+			include: ['src']
+		})
+	}
+
+	for (const [filePath, content] of Object.entries(files)) {
+		await mkdir(dirname(join(projectDir, filePath)), { recursive: true })
+		await writeFile(join(projectDir, filePath), content)
+	}
+
+	return {
+		assetDirectories: [
+			{ name: 'icons', path: `${assetRoot}/icons`, enabled: true },
+			{ name: 'images', path: `${assetRoot}/images`, enabled: true }
+		],
+		fileGeneration: { outputDir: 'src/asset' },
+		componentGeneration: { enabled: true, ...testCase.componentGeneration },
+		formatting: { autoFormat: false },
+		journal: { enabled: false }
+	}
+}
+
+describe('생성 코드 타입 검사', () => {
+	const originalCwd = process.cwd()
+	const tscPath = join(dirname(require.resolve('typescript/package.json')), 'bin/tsc')
+	let workDir
+
+	before(async () => {
+		await mkdir(join(repoRoot, 'node_modules/.cache'), { recursive: true })
+		workDir = await mkdtemp(join(repoRoot, 'node_modules/.cache/asset-codegen-typecheck-'))
+	})
+
+	after(async () => {
+		process.chdir(originalCwd)
+		await rm(workDir, { recursive: true, force: true })
+	})
+
+	for (const testCase of CASES) {
+		const missingPackages = findMissingPackages(testCase.requires)
+		const skip = missingPackages.length > 0 && `${missingPackages.join(', ')} 미설치`
+
+		it(testCase.name, { skip }, async () => {
+			const projectDir = join(workDir, testCase.name.replace(/\W+/g, '-'))
+			await mkdir(projectDir, { recursive: true })
+			const config = await createFixture(projectDir, testCase)
+
+			process.chdir(projectDir)
+			try {
+				await generate({
+					config,
+					logger: silentLogger,
+					steps: ['generateTypes', 'generateUtils', 'generateComponent']
+				})
+			} finally {
+				process.chdir(originalCwd)
+			}
+
+			try {
+				await execFileAsync(process.execPath, [tscPath, '-p', projectDir], { encoding: 'utf8' })
+			} catch (error) {
+				assert.fail(`tsc 타입 오류:\n${error.stdout || error.message}`)
+			}
+		})
+	}
+})
@@ -0,0 +1,97 @@
+/**
+ * 🏷️ 파일명 템플릿 테스트
+ *
+ * renderNamingPattern으로 만든 파일명을 extractNameFromPattern으로 되돌리면 원래 {name}이 나와야
+ * Clean → Organize를 반복해도 파일명이 바뀌지 않습니다
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+	getNamingPattern,
+	validateNamingPattern,
+	renderNamingPattern,
+	extractNameFromPattern
+} from '../src/utils/NamingTemplate.js'
+
+const DEFAULT_PATTERN = getNamingPattern({})
+
+const ROUND_TRIP_CASES = [
+	{ pattern: DEFAULT_PATTERN, values: { dir: 'icons', path: [], name: 'home' }, expected: 'icons-home' },
+	{ pattern: DEFAULT_PATTERN, values: { dir: 'icons', path: ['nav', 'top'], name: 'arrow' }, expected: 'icons-nav-top-arrow' },
+	{ pattern: DEFAULT_PATTERN, values: { dir: 'icons', path: [], name: 'star@2x' }, expected: 'icons-star@2x' },
+	{ pattern: DEFAULT_PATTERN, values: { dir: 'icons', path: ['메뉴'], name: '홈' }, expected: 'icons-메뉴-홈' },
+	{ pattern: '{dir}_{name}', values: { dir: 'icons', path: ['nav'], name: 'arrow-left' }, expected: 'icons_arrow-left' },
+	{ pattern: '{name}[-{path1}]', values: { dir: 'icons', path: ['nav', 'top'], name: 'arrow' }, expected: 'arrow-nav' },
+	{ pattern: '{name}[-{path1}]', values: { dir: 'icons', path: [], name: 'arrow' }, expected: 'arrow' },
+	{
+		pattern: '{dir}-{name}[-{width}x{height}]',
+		values: { dir: 'images', path: [], name: 'logo', width: 120, height: 40 },
+		expected: 'images-logo-120x40'
+	},
+	{
+		pattern: '{dir}-{name}[-{width}x{height}]',
+		values: { dir: 'images', path: [], name: 'logo' },
+		expected: 'images-logo'
+	},
+	{
+		pattern: '{dir}-{name}-{hash}',
+		values: { dir: 'images', path: [], name: 'hero', hash: '0a1b2c3d' },
+		expected: 'images-hero-0a1b2c3d'
+	}
+]
+
+describe('renderNamingPattern / extractNameFromPattern', () => {
+	for (const { pattern, values, expected } of ROUND_TRIP_CASES) {
+		it(`${pattern}: ${expected}`, () => {
+			const rendered = renderNamingPattern(pattern, values)
+			assert.equal(rendered, expected)
+			assert.equal(extractNameFromPattern(pattern, rendered, { dir: values.dir, path: values.path }), values.name)
+		})
+	}
+
+	it('separatorChar로 {path}를 연결', () => {
+		const pattern = getNamingPattern({ conventions: { separatorChar: '_' } })
+		const values = { dir: 'icons', path: ['nav', 'top'], name: 'arrow' }
+		const rendered = renderNamingPattern(pattern, values, '_')
+
+		assert.equal(rendered, 'icons_nav_top_arrow')
+		assert.equal(extractNameFromPattern(pattern, rendered, values, '_'), 'arrow')
+	})
+
+	it('템플릿과 다른 파일명은 null', () => {
+		assert.equal(extractNameFromPattern(DEFAULT_PATTERN, 'home', { dir: 'icons', path: [] }), null)
+		assert.equal(extractNameFromPattern(DEFAULT_PATTERN, 'images-home', { dir: 'icons', path: [] }), null)
+		assert.equal(extractNameFromPattern(DEFAULT_PATTERN, 'icons-home', { dir: 'icons', path: ['nav'] }), null)
+	})
+
+	it('이미 적용된 파일명에 다시 적용해도 같은 이름', () => {
+		const values = { dir: 'icons', path: ['nav'], name: 'arrow' }
+		const once = renderNamingPattern(DEFAULT_PATTERN, values)
+		const name = extractNameFromPattern(DEFAULT_PATTERN, once, values)
+
+		assert.equal(renderNamingPattern(DEFAULT_PATTERN, { ...values, name }), once)
+	})
+})
+
+describe('validateNamingPattern', () => {
+	it('기본 템플릿과 이전 기본값은 유효', () => {
+		assert.deepEqual(validateNamingPattern(DEFAULT_PATTERN), [])
+		assert.deepEqual(validateNamingPattern('{category}-{subcategory}-{name}'), [])
+	})
+
+	it('{name}이 없거나 선택 세그먼트 안에 있으면 오류', () => {
+		assert.equal(validateNamingPattern('{dir}-{path}').length, 1)
+		assert.equal(validateNamingPattern('{dir}[-{name}]').length, 1)
+	})
+
+	it('알 수 없는 플레이스홀더와 정규화되는 고정 문자는 오류', () => {
+		assert.match(validateNamingPattern('{category}-{name}')[0], /\{dir\}/)
+		assert.match(validateNamingPattern('{dir}.{name}')[0], /'\.'/)
+	})
+
+	it('문법 오류는 메시지로 반환', () => {
+		assert.equal(validateNamingPattern('{dir}-{name').length, 1)
+		assert.equal(validateNamingPattern('{dir}[-{path}-{name}').length, 1)
+	})
+})
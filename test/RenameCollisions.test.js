@@ -0,0 +1,100 @@
+/**
+ * 🚧 파일명 변경 충돌 검사 테스트
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveRenameCollisions } from '../src/utils/RenameCollisions.js'
+
+/**
+ * 파일명 변경 계획 항목 (planRenames 결과 형식)
+ */
+function rename(oldPath, newPath) {
+	return { oldPath, newPath, newName: newPath.split('/').pop() }
+}
+
+describe('resolveRenameCollisions', () => {
+	it('충돌이 없으면 모든 변경을 원래 순서대로 반환', () => {
+		const renames = [rename('icons/b.svg', 'icons/icons-b.svg'), rename('icons/a.svg', 'icons/icons-a.svg')]
+		const result = resolveRenameCollisions(renames, ['icons/a.svg', 'icons/b.svg'])
+
+		assert.deepEqual(result.renames, renames)
+		assert.deepEqual(result.conflicts, [])
+	})
+
+	it('fail: 두 파일이 같은 경로로 바뀌면 아무것도 변경하지 않음', () => {
+		const renames = [rename('icons/nav/home.svg', 'icons/home.svg'), rename('icons/home-x.svg', 'icons/home.svg')]
+		const result = resolveRenameCollisions(renames, ['icons/nav/home.svg', 'icons/home-x.svg'])
+
+		assert.deepEqual(result.renames, [])
+		assert.equal(result.conflicts.length, 1)
+		assert.deepEqual(result.conflicts[0], {
+			oldPath: 'icons/nav/home.svg',
+			newPath: 'icons/home.svg',
+			reason: 'path',
+			conflictsWith: 'icons/home.svg',
+			resolution: 'fail'
+		})
+	})
+
+	it('이미 있는 파일과 대소문자만 다르면 case 충돌', () => {
+		const result = resolveRenameCollisions([rename('icons/x.svg', 'icons/home.svg')], ['icons/Home.svg', 'icons/x.svg'])
+
+		assert.equal(result.conflicts[0].reason, 'case')
+		assert.equal(result.conflicts[0].conflictsWith, 'icons/Home.svg')
+	})
+
+	it('자기 자신의 대소문자만 바꾸는 변경은 충돌이 아님', () => {
+		const renames = [rename('icons/Home.svg', 'icons/home.svg')]
+		const result = resolveRenameCollisions(renames, ['icons/Home.svg'])
+
+		assert.deepEqual(result.renames, renames)
+		assert.deepEqual(result.conflicts, [])
+	})
+
+	it('연쇄 변경(a → b, b → c)은 이동 전 경로가 점유된 것으로 보고 충돌', () => {
+		const renames = [rename('icons/a.svg', 'icons/b.svg'), rename('icons/b.svg', 'icons/c.svg')]
+		const result = resolveRenameCollisions(renames, ['icons/a.svg', 'icons/b.svg'], { strategy: 'skip' })
+
+		assert.deepEqual(result.renames, [renames[1]])
+		assert.deepEqual(
+			result.conflicts.map(({ oldPath, reason, resolution }) => ({ oldPath, reason, resolution })),
+			[{ oldPath: 'icons/a.svg', reason: 'path', resolution: 'skip' }]
+		)
+	})
+
+	it('suffix: 비어 있는 번호를 찾아 구분자와 함께 붙임', () => {
+		const renames = [rename('icons/a.svg', 'icons/home.svg'), rename('icons/b.svg', 'icons/home.svg')]
+		const result = resolveRenameCollisions(renames, ['icons/a.svg', 'icons/b.svg', 'icons/home_2.svg'], {
+			strategy: 'suffix',
+			separatorChar: '_'
+		})
+
+		assert.deepEqual(
+			result.renames.map((item) => item.newPath),
+			['icons/home.svg', 'icons/home_3.svg']
+		)
+		assert.equal(result.renames[1].newName, 'home_3.svg')
+		assert.equal(result.conflicts[0].resolvedPath, 'icons/home_3.svg')
+	})
+
+	it('checkAssetNames: 다른 디렉토리의 같은 Asset 이름도 충돌', () => {
+		const renames = [rename('images/home.svg', 'images/icons-home.svg')]
+		const currentFiles = ['icons/icons-home.svg', 'images/home.svg']
+
+		assert.deepEqual(resolveRenameCollisions(renames, currentFiles).conflicts, [])
+
+		const result = resolveRenameCollisions(renames, currentFiles, { checkAssetNames: true })
+		assert.equal(result.conflicts[0].reason, 'name')
+		assert.equal(result.conflicts[0].conflictsWith, 'icons/icons-home.svg')
+	})
+
+	it('확장자가 다르면 같은 이름이어도 다른 Asset', () => {
+		const renames = [rename('images/home.png', 'images/icons-home.png')]
+		const result = resolveRenameCollisions(renames, ['icons/icons-home.svg', 'images/home.png'], {
+			checkAssetNames: true
+		})
+
+		assert.deepEqual(result.conflicts, [])
+	})
+})
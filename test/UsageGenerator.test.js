@@ -0,0 +1,144 @@
+/**
+ * 🔎 Asset 사용 현황 테스트 (참조 추출, 해상도 변형 묶음)
+ */
+
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { ConfigManager } from '../src/utils/ConfigManager.js'
+import { UsageGenerator } from '../src/generators/UsageGenerator.js'
+
+const config = new ConfigManager().getDefaultConfig()
+const usageGenerator = new UsageGenerator(config)
+const urls = new Map([
+	['/icons/icons-home.svg', {}],
+	['/images/images-logo.png', {}]
+])
+
+/**
+ * 참조 목록 → [kind, value, line] 배열 (비교용)
+ */
+function findReferences(content) {
+	return usageGenerator.findReferences(content, urls).map(({ kind, value, line }) => [kind, value, line])
+}
+
+describe('UsageGenerator.findReferences', () => {
+	it('지원 확장자로 끝나는 Asset 이름 리터럴', () => {
+		const content = [
+			"const a = 'icons-home-svg'",
+			'const b = "images-logo-png"',
+			'const c = `icons-nav-arrow-svg`',
+			"const d = 'not-an-asset'"
+		].join('\n')
+
+		assert.deepEqual(findReferences(content), [
+			['name', 'icons-home-svg', 1],
+			['name', 'images-logo-png', 2],
+			['name', 'icons-nav-arrow-svg', 3]
+		])
+	})
+
+	it('해상도 접미사(@2x)와 Unicode 이름도 리터럴로 인식', () => {
+		assert.deepEqual(findReferences("['icons-star@2x-png', 'icons-홈-svg', 'icons-ñandú-svg']"), [
+			['name', 'icons-star@2x-png', 1],
+			['name', 'icons-홈-svg', 1],
+			['name', 'icons-ñandú-svg', 1]
+		])
+	})
+
+	it('생성 함수/Hook 호출과 Asset 컴포넌트 name prop은 확장자 없이도 인식', () => {
+		const content = [
+			"getAssetPath('icons-home')",
+			'useAssetInfo( "images-logo" )',
+			'<Asset type="icon" name="icons-arrow" size="md" />',
+			"<Asset name={'icons-close'} />",
+			'<Other name="icons-ignored" />'
+		].join('\n')
+
+		assert.deepEqual(findReferences(content), [
+			['name', 'icons-home', 1],
+			['name', 'images-logo', 2],
+			['name', 'icons-arrow', 3],
+			['name', 'icons-close', 4]
+		])
+	})
+
+	it('같은 위치를 여러 패턴이 잡으면 한 번만 기록', () => {
+		assert.deepEqual(findReferences("getAssetPath('icons-home-svg')"), [['name', 'icons-home-svg', 1]])
+	})
+
+	it('템플릿 리터럴 보간이 있는 이름은 무시', () => {
+		assert.deepEqual(findReferences('getAssetPath(`icons-${name}`)'), [])
+	})
+
+	it('Asset 디렉토리의 public URL (쿼리/해시 제외)', () => {
+		const content = [
+			'<img src="/icons/icons-home.svg?v=2" />',
+			'.logo { background: url(/images/images-logo.png); }',
+			"fetch('/api/icons/list')",
+			"const missing = '/icons/icons-gone.svg#top'"
+		].join('\n')
+
+		assert.deepEqual(findReferences(content), [
+			['url', '/icons/icons-home.svg', 1],
+			['url', '/images/images-logo.png', 2],
+			['url', '/icons/icons-gone.svg', 4]
+		])
+	})
+
+	it('알려진 URL이 없으면 URL 참조를 찾지 않음', () => {
+		assert.deepEqual(usageGenerator.findReferences('<img src="/icons/icons-home.svg" />', new Map()), [])
+	})
+
+	it('componentName 설정을 따름', () => {
+		const generator = new UsageGenerator({
+			...config,
+			componentGeneration: { ...config.componentGeneration, componentName: 'Icon' }
+		})
+
+		assert.deepEqual(
+			generator.findReferences('<Icon name="icons-home" />\n<Asset name="icons-other" />', new Map()).map((reference) => reference.value),
+			['icons-home']
+		)
+	})
+})
+
+describe('UsageGenerator.analyze', () => {
+	const originalCwd = process.cwd()
+	let dir
+
+	before(async () => {
+		dir = await mkdtemp(join(tmpdir(), 'asset-codegen-usage-'))
+		await mkdir(join(dir, 'public/icons'), { recursive: true })
+		await mkdir(join(dir, 'src'), { recursive: true })
+
+		const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"></svg>'
+		for (const name of ['icons-star.svg', 'icons-star@2x.svg', 'icons-moon@2x.svg', 'icons-moon@3x.svg', 'icons-unused.svg']) {
+			await writeFile(join(dir, 'public/icons', name), svg)
+		}
+		await writeFile(join(dir, 'src/app.tsx'), "getAssetPath('icons-star-svg')\n<img src=\"/icons/icons-moon@3x.svg\" />\n")
+
+		process.chdir(dir)
+	})
+
+	after(async () => {
+		process.chdir(originalCwd)
+		await rm(dir, { recursive: true, force: true })
+	})
+
+	it('해상도 변형은 기준 Asset과 한 묶음으로 사용 여부를 판단', async () => {
+		const generator = new UsageGenerator({
+			...config,
+			assetDirectories: [{ name: 'icons', path: 'public/icons', enabled: true }]
+		})
+		const { unused, missing } = await generator.analyze()
+
+		assert.deepEqual(
+			unused.map((asset) => asset.path),
+			[join('public/icons', 'icons-unused.svg')]
+		)
+		assert.deepEqual(missing, [])
+	})
+})